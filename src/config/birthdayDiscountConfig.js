@@ -11,4 +11,6 @@ module.exports = {
     maxDiscountAmount: Number(process.env.BIRTHDAY_MAX_DISCOUNT) || 50000,
     /** Voucher validity in days (from creation) */
     expiryDays: Number(process.env.BIRTHDAY_VOUCHER_DAYS) || 7,
+    /** Whether the birthday voucher can be combined with other stackable codes */
+    stackable: process.env.BIRTHDAY_DISCOUNT_STACKABLE !== "false",
 };
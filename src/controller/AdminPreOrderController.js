@@ -9,11 +9,20 @@
  * - PUT /pre-orders/:id/complete: mark pre-order as completed (delivery done)
  * - PUT /pre-orders/:id/refund: mark pre-order as refunded
  * - PUT /pre-orders/:id/cancel: mark pre-order as cancelled (admin only; customer cannot cancel)
+ * - GET /pre-orders/:id/timeline: status history (who changed what, when, why)
+ * - POST /pre-orders/:id/create-order: create the delivery order for a fully paid pre-order (legacy / missing receiver)
  *
  * @module controller/AdminPreOrderController
  */
 const PreOrderService = require("../services/PreOrderService");
 
+/** Actor ghi vào status_history: user đang đăng nhập + role, lý do (tùy chọn) từ body.reason. */
+const getStatusActor = (req) => ({
+  changedBy: req.user?._id,
+  role: req.user?.role_id?.name?.toLowerCase?.() || "admin",
+  reason: typeof req.body?.reason === "string" ? req.body.reason : undefined,
+});
+
 /**
  * Get pre-order statistics for date range (admin/sales).
  * Query: startDate, endDate (ISO string).
@@ -58,13 +67,27 @@ const getPreOrderDetail = async (req, res) => {
 };
 
 /**
- * Mark pre-order as completed (delivery done). Allowed only when status is READY_FOR_FULFILLMENT.
+ * Get the status timeline of a pre-order (status_history, oldest first).
  * @param {Object} req - Express request (params.id)
  * @param {Object} res - Express response
  */
+const getPreOrderTimeline = async (req, res) => {
+  try {
+    const response = await PreOrderService.getPreOrderTimeline(req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Pre-order not found" ? 404 : 500).json({ status: "ERR", message: err.message });
+  }
+};
+
+/**
+ * Mark pre-order as completed (delivery done). Allowed only when status is READY_FOR_FULFILLMENT.
+ * @param {Object} req - Express request (params.id, body.reason optional)
+ * @param {Object} res - Express response
+ */
 const markCompleted = async (req, res) => {
   try {
-    const response = await PreOrderService.markPreOrderCompleted(req.params.id);
+    const response = await PreOrderService.markPreOrderCompleted(req.params.id, getStatusActor(req));
     return res.status(200).json(response);
   } catch (err) {
     return res.status(400).json({ status: "ERR", message: err.message });
@@ -72,30 +95,59 @@ const markCompleted = async (req, res) => {
 };
 
 /**
- * Mark pre-order as refunded. Allowed from any status except already REFUND.
- * @param {Object} req - Express request (params.id)
+ * Mark pre-order as refunded and queue the VNPay refund of what the customer is still owed.
+ * Not allowed once delivered, with a linked order, or after a customer / overdue cancellation (already refunded by policy).
+ * @param {Object} req - Express request (params.id, body.reason optional)
  * @param {Object} res - Express response
  */
 const markRefund = async (req, res) => {
   try {
-    const response = await PreOrderService.markPreOrderRefunded(req.params.id);
+    const response = await PreOrderService.markPreOrderRefunded(req.params.id, getStatusActor(req));
     return res.status(200).json(response);
   } catch (err) {
     return res.status(400).json({ status: "ERR", message: err.message });
   }
 };
 
+/**
+ * Create the linked delivery order (is_preorder) for a READY_FOR_FULFILLMENT pre-order that has none yet.
+ * @param {Object} req - Express request (params.id, body: receiver_name, receiver_phone, receiver_address optional)
+ * @param {Object} res - Express response
+ */
+const createOrder = async (req, res) => {
+  try {
+    const { receiver_name, receiver_phone, receiver_address } = req.body || {};
+    const { changedBy, role } = getStatusActor(req);
+    const data = await PreOrderService.createOrderFromPreOrder(req.params.id, {
+      receiver: { receiver_name, receiver_phone, receiver_address },
+      actor: { changedBy, role },
+    });
+    return res.status(201).json({ status: "OK", data });
+  } catch (err) {
+    return res.status(err.message === "Pre-order not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
 /**
  * Mark pre-order as cancelled (admin only). Allowed only from WAITING_FOR_ALLOCATION, WAITING_FOR_NEXT_BATCH, ALLOCATED_WAITING_PAYMENT.
  * Customer cannot cancel pre-orders (business rule).
  */
 const markCancel = async (req, res) => {
   try {
-    const response = await PreOrderService.markPreOrderCancelled(req.params.id);
+    const response = await PreOrderService.markPreOrderCancelled(req.params.id, getStatusActor(req));
     return res.status(200).json(response);
   } catch (err) {
     return res.status(400).json({ status: "ERR", message: err.message });
   }
 };
 
-module.exports = { listPreOrders, getPreOrderDetail, getPreOrderStats, markCompleted, markRefund, markCancel };
+module.exports = {
+  listPreOrders,
+  getPreOrderDetail,
+  getPreOrderTimeline,
+  getPreOrderStats,
+  markCompleted,
+  markRefund,
+  markCancel,
+  createOrder,
+};
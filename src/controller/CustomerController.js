@@ -148,6 +148,27 @@ const CustomerController = {
                 message: error.message
             });
         }
+    },
+
+    /**
+     * Get voucher segments of a customer (built from order history)
+     * GET /customers/:id/segments
+     */
+    async getCustomerSegments(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await CustomerService.getCustomerSegments(id);
+
+            if (result.status === "OK") {
+                return res.status(200).json(result);
+            }
+            return res.status(400).json(result);
+        } catch (error) {
+            return res.status(500).json({
+                status: "ERR",
+                message: error.message
+            });
+        }
     }
 };
 
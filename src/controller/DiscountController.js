@@ -212,9 +212,14 @@ const getValidDiscountsForCustomerController = async (req, res) => {
  */
 const validateDiscountCodeController = async (req, res) => {
     try {
-        const { code, orderValue } = req.body;
+        const { code, codes, orderValue, items, shippingFee } = req.body;
         const userId = req.user._id;
-        const response = await DiscountService.validateDiscountCode(code, userId, orderValue);
+        // codes: nhiều mã dùng chung; code: một mã
+        const requestedCodes = Array.isArray(codes) && codes.length ? codes : code;
+        const response = await DiscountService.validateDiscountCode(requestedCodes, userId, orderValue, {
+            items,
+            shippingFee,
+        });
         const statusCode = response?.status === "OK" ? 200 : 400;
         return res.status(statusCode).json(response);
     } catch (error) {
@@ -231,9 +236,13 @@ const validateDiscountCodeController = async (req, res) => {
  */
 const applyDiscountCodeController = async (req, res) => {
     try {
-        const { discountId, orderValue, orderId } = req.body;
+        const { discountId, discountIds, orderValue, orderId, items, shippingFee } = req.body;
         const userId = req.user._id;
-        const response = await DiscountService.applyDiscountCode(discountId, userId, orderValue, orderId);
+        const requestedIds = Array.isArray(discountIds) && discountIds.length ? discountIds : discountId;
+        const response = await DiscountService.applyDiscountCode(requestedIds, userId, orderValue, orderId, {
+            items,
+            shippingFee,
+        });
         const code = response?.status === "OK" ? 200 : 400;
         return res.status(code).json(response);
     } catch (error) {
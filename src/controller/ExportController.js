@@ -30,6 +30,73 @@ const exportSalesStatsExcel = async (req, res) => {
   }
 };
 
+/**
+ * GET /admin/export/payment-reconciliation — Excel file of VNPay reconciliation results.
+ * Query: run_date | from_date + to_date (YYYY-MM-DD), result, discrepancy_type. Auth: admin.
+ */
+const exportPaymentReconciliationExcel = async (req, res) => {
+  try {
+    const buffer = await ExportService.exportPaymentReconciliationToExcel({
+      run_date: req.query.run_date,
+      from_date: req.query.from_date,
+      to_date: req.query.to_date,
+      result: req.query.result,
+      discrepancy_type: req.query.discrepancy_type,
+    });
+    const filename = `payment-reconciliation-${new Date().toISOString().slice(0, 16).replace("T", "-").replace(":", "-")}.xlsx`;
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ status: "ERR", message: err.message });
+  }
+};
+
+/**
+ * GET /admin/export/preorder-forecast — Excel file of the pre-order harvest forecast (demand vs supply per week).
+ * Query: weeks (1..26), fruitTypeId. Auth: admin or sales-staff (order permission).
+ */
+const exportPreOrderForecastExcel = async (req, res) => {
+  try {
+    const buffer = await ExportService.exportPreOrderForecastToExcel({
+      weeks: req.query.weeks,
+      fruitTypeId: req.query.fruitTypeId,
+    });
+    const filename = `preorder-forecast-${new Date().toISOString().slice(0, 16).replace("T", "-").replace(":", "-")}.xlsx`;
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(err.statusCode || (err.message === "Invalid fruitTypeId" ? 400 : 500)).json({ status: "ERR", message: err.message });
+  }
+};
+
+/**
+ * GET /admin/export/supplier-scorecards — Excel file of ranked supplier scorecards.
+ * Query: startDate, endDate, cooperationStatus, type, sortBy, order. Auth: admin.
+ */
+const exportSupplierScorecardsExcel = async (req, res) => {
+  try {
+    const buffer = await ExportService.exportSupplierScorecardsToExcel({
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      cooperationStatus: req.query.cooperationStatus,
+      type: req.query.type,
+      sortBy: req.query.sortBy,
+      order: req.query.order,
+    });
+    const filename = `supplier-scorecards-${new Date().toISOString().slice(0, 16).replace("T", "-").replace(":", "-")}.xlsx`;
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ status: "ERR", message: err.message });
+  }
+};
+
 module.exports = {
   exportSalesStatsExcel,
+  exportPaymentReconciliationExcel,
+  exportPreOrderForecastExcel,
+  exportSupplierScorecardsExcel,
 };
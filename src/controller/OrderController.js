@@ -7,7 +7,7 @@ const OrderModel = require("../models/OrderModel");
 const createOrder = async (req, res) => {
   try {
     const user_id = req.user._id;
-    const { selected_product_ids, receiverInfo, payment_method, discount_id, isMobile } = req.body;
+    const { selected_product_ids, receiverInfo, payment_method, discount_id, discount_ids, isMobile, fulfillment_preference } = req.body;
 
 
     if (
@@ -74,6 +74,13 @@ const createOrder = async (req, res) => {
       });
     }
 
+    if (!receiverInfo.city || !receiverInfo.city.toString().trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please select a province/city",
+      });
+    }
+
     if (!["COD", "VNPAY"].includes(payment_method)) {
       return res.status(400).json({
         success: false,
@@ -86,6 +93,8 @@ const createOrder = async (req, res) => {
       receiver_name: receiverInfo.receiver_name.trim(),
       receiver_phone: receiverInfo.receiver_phone.trim(),
       receiver_address: receiverInfo.receiver_address.trim(),
+      city: receiverInfo.city.toString().trim(),
+      district: receiverInfo.district?.toString().trim() || null,
       note: receiverInfo.note?.trim(),
     };
 
@@ -97,7 +106,9 @@ const createOrder = async (req, res) => {
       payment_method,
       ip: req.ip,
       discount_id: discount_id || null,
-      isMobile
+      discount_ids: Array.isArray(discount_ids) ? discount_ids : null,
+      isMobile,
+      fulfillment_preference,
     });
 
 
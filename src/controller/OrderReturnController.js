@@ -0,0 +1,87 @@
+const OrderReturnService = require("../services/OrderReturnService");
+
+// Customer: tạo yêu cầu trả hàng (multipart: order_id, items (JSON), reason, images[])
+const createReturnRequest = async (req, res) => {
+  try {
+    const response = await OrderReturnService.createReturnRequest(req.user._id, req.body);
+    return res.status(response.status === "OK" ? 201 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getMyReturns = async (req, res) => {
+  try {
+    const response = await OrderReturnService.getMyReturns(req.user._id, req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getReturnById = async (req, res) => {
+  try {
+    const response = await OrderReturnService.getReturnById(req.params.id, {
+      userId: req.user._id,
+      role: req.user.role_id?.name,
+    });
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+// Admin + Sales-staff
+const getReturns = async (req, res) => {
+  try {
+    const response = await OrderReturnService.getReturns(req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const approveReturn = async (req, res) => {
+  try {
+    const response = await OrderReturnService.approveReturn(req.params.id, req.user._id, req.body);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const rejectReturn = async (req, res) => {
+  try {
+    const response = await OrderReturnService.rejectReturn(req.params.id, req.user._id, req.body);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+module.exports = {
+  createReturnRequest,
+  getMyReturns,
+  getReturnById,
+  getReturns,
+  approveReturn,
+  rejectReturn,
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const OrderStatusService = require('../services/OrderStatusService');
 
 
@@ -13,6 +14,28 @@ const getAllOrderStatus = async (req, res) => {
     }
 }
 
+const getOrderTransitions = async (req, res) => {
+    try {
+        const { order_id } = req.query;
+        if (!order_id || !mongoose.isValidObjectId(order_id)) {
+            return res.status(400).json({ status: "ERR", message: "Invalid order_id" });
+        }
+        const response = await OrderStatusService.getOrderTransitions({
+            order_id,
+            userId: req.user._id,
+            role: req.user.role_id?.name,
+        });
+        return res.status(200).json(response);
+    } catch (error) {
+        const message = error.message || "Internal server error";
+        const code = message === "Order not found" ? 404
+            : message.includes("permission") ? 403
+                : 500;
+        return res.status(code).json({ status: "ERR", message });
+    }
+}
+
 module.exports = {
     getAllOrderStatus,
+    getOrderTransitions,
 };
\ No newline at end of file
@@ -1,18 +1,10 @@
-const qs = require("qs");
-const crypto = require("crypto");
 const OrderModel = require("../models/OrderModel");
 const OrderDetailModel = require("../models/OrderDetailModel");
 const PaymentModel = require("../models/PaymentModel");
-const OrderStatusModel = require("../models/OrderStatusModel");
-const PreOrderPaymentIntentModel = require("../models/PreOrderPaymentIntentModel");
-const PreOrderRemainingPaymentModel = require("../models/PreOrderRemainingPaymentModel");
-const PreOrderService = require("../services/PreOrderService");
-const { createVnpayUrl, refund } = require("../utils/createVnpayUrl");
-const { vnpConfig } = require("../config/vnpayConfig");
+const PaymentService = require("../services/PaymentService");
+const { VNPAY_RESULT } = PaymentService;
+const { createVnpayUrl, createDate, verifyVnpayQuery, refund } = require("../utils/createVnpayUrl");
 const { default: mongoose } = require("mongoose");
-const NotificationService = require("../services/NotificationService");
-const CustomerEmailService = require("../services/CustomerEmailService");
-const UserModel = require("../models/UserModel");
 const ProductModel = require("../models/ProductModel");
 
 /* =============================
@@ -38,7 +30,10 @@ const createVnpayPaymentUrl = async (req, res) => {
     if (!payment || payment.status !== "PENDING")
       throw new Error("Order is not valid for payment");
 
-    const payUrl = createVnpayUrl(order._id, payment.amount, req.ip);
+    const vnpCreateDate = createDate();
+    const payUrl = createVnpayUrl(order._id, payment.amount, req.ip, false, vnpCreateDate);
+    payment.vnp_create_date = vnpCreateDate;
+    await payment.save();
 
     res.json({ success: true, payUrl });
   } catch (err) {
@@ -66,357 +61,97 @@ async function isOrderOutOfStock(orderId, session) {
   return false;
 }
 
-async function deductStock(orderId, session) {
-  const orderDetails = await OrderDetailModel.find({
-    order_id: orderId,
-  }).session(session);
-
-  for (const item of orderDetails) {
-    const result = await ProductModel.updateOne(
-      {
-        _id: item.product_id,
-        onHandQuantity: { $gte: item.quantity },
-      },
-      {
-        $inc: { onHandQuantity: -item.quantity },
-      },
-      { session },
-    );
-
-    if (result.modifiedCount === 0) {
-      throw new Error("Insufficient inventory when deducting");
-    }
-  }
-}
-
 /* =============================
    VNPAY RETURN URL
 ============================= */
-const vnpayReturn = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+const buildVnpayRedirect = ({ kind, id, paid, isMobile }) => {
+  if (kind === "PREORDER_DEPOSIT") {
+    if (isMobile) {
+      return paid
+        ? "myshopapps://preorder-payment-success?status=success&type=preorder_deposit"
+        : "myshopapps://preorder-payment-fail?status=failed&type=preorder_deposit";
+    }
+    return `http://localhost:5173/customer/preorder-payment-result?status=${paid ? "success" : "failed"}`;
+  }
+  if (kind === "PREORDER_REMAINING") {
+    if (isMobile) {
+      return paid
+        ? "myshopapps://preorder-payment-success?status=success&remaining=success"
+        : "myshopapps://preorder-payment-fail?status=failed&remaining=failed";
+    }
+    return `http://localhost:5173/customer/my-pre-orders?remaining=${paid ? "success" : "failed"}`;
+  }
+  if (isMobile) {
+    return paid
+      ? `myshopapps://payment-success?status=success&orderId=${id}`
+      : `myshopapps://payment-fail?status=failed&orderId=${id}`;
+  }
+  return paid
+    ? `http://localhost:5173/customer/payment-result?status=success&orderId=${id}`
+    : `http://localhost:5173/customer/payment-fail?status=failed&orderId=${id}`;
+};
 
+const vnpayReturn = async (req, res) => {
   try {
-    /* =======================
-       1️⃣ GET RAW QUERY
-    ======================= */
+    // Query gốc (không decode "+") để verify chữ ký
     const rawQuery = req.originalUrl.split("?")[1];
     if (!rawQuery) {
       return res.status(400).send("Missing query params");
     }
 
-    /* =======================
-       2️⃣ PARSE QUERY (NO DECODE +)
-    ======================= */
-    const vnpParams = qs.parse(rawQuery, {
-      ignoreQueryPrefix: true,
-      decoder(str) {
-        return str;
-      },
-    });
-
-    const secureHash = vnpParams.vnp_SecureHash;
-    delete vnpParams.vnp_SecureHash;
-    delete vnpParams.vnp_SecureHashType;
-
-    /* =======================
-       3️⃣ SORT PARAMS
-    ======================= */
-    const sortedParams = {};
-    Object.keys(vnpParams)
-      .sort()
-      .forEach((key) => {
-        sortedParams[key] = vnpParams[key];
-      });
-
-    /* =======================
-       4️⃣ VERIFY SIGNATURE
-    ======================= */
-    const signData = qs.stringify(sortedParams, { encode: false });
-
-    const checkHash = crypto
-      .createHmac("sha512", vnpConfig.hashSecret)
-      .update(signData, "utf-8")
-      .digest("hex");
-
-    if (checkHash !== secureHash) {
+    const { isValid, params } = verifyVnpayQuery(rawQuery);
+    if (!isValid) {
       return res.status(400).send("Invalid VNPay signature");
     }
 
-    /* =======================
-       5️⃣ EXTRACT DATA
-    ======================= */
-    const orderIdStr = sortedParams.vnp_TxnRef;
-    const responseCode = sortedParams.vnp_ResponseCode;
-    const transactionNo = sortedParams.vnp_TransactionNo;
-
-    if (!orderIdStr || !transactionNo) {
-      throw new Error("Missing orderId or transactionNo");
-    }
-
-    /* =======================
-       PRE-ORDER: intent id as vnp_TxnRef
-    ======================= */
-    const preOrderIntent =
-      await PreOrderPaymentIntentModel.findById(orderIdStr).session(session);
-    if (preOrderIntent) {
-      const isMobile = preOrderIntent.is_mobile === true;
-      const depositSuccessRedirect = isMobile
-        ? "myshopapps://preorder-payment-success?status=success&type=preorder_deposit"
-        : "http://localhost:5173/customer/preorder-payment-result?status=success";
-      const depositFailRedirect = isMobile
-        ? "myshopapps://preorder-payment-fail?status=failed&type=preorder_deposit"
-        : "http://localhost:5173/customer/preorder-payment-result?status=failed";
-      if (responseCode === "00") {
-        await PreOrderService.fulfillPaymentIntent(orderIdStr, session);
-        await session.commitTransaction();
-        return res.redirect(depositSuccessRedirect);
-      }
-      preOrderIntent.status = "FAILED";
-      await preOrderIntent.save({ session });
-      await session.commitTransaction();
-      return res.redirect(depositFailRedirect);
-    }
-
-    const remainingIntent =
-      await PreOrderRemainingPaymentModel.findById(orderIdStr).session(session);
-    if (remainingIntent) {
-      const isMobile = remainingIntent.is_mobile === true;
-      const remainingSuccessRedirect = isMobile
-        ? "myshopapps://preorder-payment-success?status=success&remaining=success"
-        : "http://localhost:5173/customer/my-pre-orders?remaining=success";
-      const remainingFailRedirect = isMobile
-        ? "myshopapps://preorder-payment-fail?status=failed&remaining=failed"
-        : "http://localhost:5173/customer/my-pre-orders?remaining=failed";
-      if (responseCode === "00") {
-        await PreOrderService.fulfillRemainingPayment(orderIdStr, session);
-        await session.commitTransaction();
-        return res.redirect(remainingSuccessRedirect);
-      }
-      remainingIntent.status = "FAILED";
-      await remainingIntent.save({ session });
-      await session.commitTransaction();
-      return res.redirect(remainingFailRedirect);
-    }
-
-    const orderId = new mongoose.Types.ObjectId(orderIdStr);
-
-    /* =======================
-       6️⃣ LOAD PAYMENT
-    ======================= */
-    const payment = await PaymentModel.findOne({
-      order_id: orderId,
-      method: "VNPAY",
-      type: "PAYMENT",
-    }).session(session);
-
-    if (!payment) {
-      throw new Error("Payment not found");
-    }
-
-    /* =======================
-       🔒 ANTI-REPLAY #1
-       PAYMENT SUCCESS
-    ======================= */
-    if (payment.status === "SUCCESS") {
-      await session.commitTransaction();
-      return res.redirect(
-        `http://localhost:5173/customer/payment-result?status=success&orderId=${orderId}`,
-      );
-    }
-
-    /* =======================
-       🔒 ANTI-REPLAY #2
-       DUPLICATE TXN (OTHER PAYMENT)
-    ======================= */
-    const existedTxn = await PaymentModel.findOne({
-      provider_txn_id: transactionNo,
-      _id: { $ne: payment._id },
-    }).session(session);
-
-    if (existedTxn) {
-      await session.abortTransaction();
-      return res.status(409).send("Duplicate transaction");
-    }
+    // IPN có thể đã xử lý trước → processVnpayResult trả ALREADY_CONFIRMED
+    const outcome = await PaymentService.processVnpayResult(params);
 
-    /* =======================
-       7️⃣ LOAD ORDER
-    ======================= */
-    const order = await OrderModel.findById(orderId).session(session);
-    if (!order) {
-      throw new Error("Order not found");
+    switch (outcome.result) {
+      case VNPAY_RESULT.NOT_FOUND:
+        return res.status(404).send("Order not found");
+      case VNPAY_RESULT.DUPLICATE_TXN:
+        return res.status(409).send("Duplicate transaction");
+      case VNPAY_RESULT.INVALID_AMOUNT:
+        return res.status(400).send("Invalid payment amount");
+      default:
+        return res.redirect(buildVnpayRedirect(outcome));
     }
+  } catch (err) {
+    console.error("🔥 VNPAY RETURN ERROR:", err.message);
+    return res.status(500).send("Payment processing error");
+  }
+};
 
-    const isMobile = order.is_mobile === true;
-
-    const successRedirect = isMobile
-      ? `myshopapps://payment-success?status=success&orderId=${orderId}`
-      : `http://localhost:5173/customer/payment-result?status=success&orderId=${orderId}`;
-
-    const failRedirect = isMobile
-      ? `myshopapps://payment-fail?status=failed&orderId=${orderId}`
-      : `http://localhost:5173/customer/payment-fail?status=failed&orderId=${orderId}`;
-
-    const paidStatus = await OrderStatusModel.findOne({
-      name: "PAID",
-    }).session(session);
-
-    if (!paidStatus) {
-      throw new Error("PAID status not found");
-    }
-
-    /* =======================
-       🔒 ANTI-REPLAY #3
-       ORDER PAID
-    ======================= */
-    if (order.order_status_id.equals(paidStatus._id)) {
-      await session.commitTransaction();
-      return res.redirect(successRedirect);
-    }
-
-    /* =======================
-       8️⃣ HANDLE RESULT
-    ======================= */
-    // responseCode từ VNPay
-    if (responseCode === "00") {
-      /* =====================
-     PAYMENT SUCCESS
-  ===================== */
-      payment.status = "SUCCESS";
-      payment.provider_txn_id = transactionNo;
-      payment.provider_response = sortedParams;
-      await payment.save({ session });
-
-      order.status_history.push({
-        from_status: order.order_status_id,
-        to_status: paidStatus._id,
-        changed_by: order.user_id,
-        changed_by_role: "customer",
-        note: "VNPAY payment successful",
-      });
-
-      order.order_status_id = paidStatus._id;
-      await order.save({ session });
-
-      await session.commitTransaction();
-
-      try {
-        await NotificationService.sendToUser(order.user_id.toString(), {
-          title: "VNPay payment successfull",
-          body: `Payment successfull for order ${orderId}. Go to Order History to check your order`,
-          data: {
-            type: "order",
-            orderId: orderId.toString(),
-            action: "view_order",
-          },
-        });
-      } catch (notifErr) {
-        console.error("Failed to send payment failure notification:", notifErr);
-      }
-
-      try {
-        await NotificationService.sendToRole("sales-staff", {
-          title: "Order VNPay Payment Successfull",
-          body: `Payment successfull for order ${orderId}`,
-          data: {
-            type: "order",
-            orderId: orderId.toString(),
-            action: "view_order",
-          },
-        });
-      } catch (notifErr) {
-        console.error("Failed to send payment failure notification:", notifErr);
-      }
-
-      try {
-        const user = await UserModel.findById(order.user_id)
-          .select("email user_name")
-          .lean();
-        if (user && user.email) {
-          await CustomerEmailService.sendPaymentSuccessEmail(
-            user.email,
-            user.user_name || "Customer",
-            orderId.toString(),
-          );
-        }
-      } catch (emailErr) {
-        console.error("Failed to send payment failure email:", emailErr);
-      }
-
-     return res.redirect(successRedirect);
-    }
-
-    /* =====================
-   PAYMENT TIMEOUT
-===================== */
-
-    /* ===== PAYMENT FAILED ===== */
-    payment.status = "FAILED";
-    payment.provider_response = sortedParams;
-    await payment.save({ session });
-
-    /* ===== ORDER → FAILED + RETRY 10 PHÚT ===== */
-    const TEN_MINUTES = 10 * 60 * 1000;
-
-    const status = await OrderStatusModel.findOne({ name: "PENDING" }).session(
-      session,
-    );
-
-    order.allow_retry = true;
-    order.auto_delete = true;
-    order.retry_expired_at = new Date(Date.now() + TEN_MINUTES);
-
-    // ghi history
-    order.status_history.push({
-      from_status: order.order_status_id,
-      to_status: status._id,
-      changed_by: order.user_id,
-      changed_by_role: "customer",
-      note: "VNPAY payment failed – allow re-payment within 10 minutes",
-    });
-
-    order.order_status_id = status._id;
-    await order.save({ session });
-
-    /* ===== COMMIT ===== */
-    await session.commitTransaction();
-    try {
-      await NotificationService.sendToUser(order.user_id.toString(), {
-        title: "VNPay payment failed",
-        body: `Payment failed for order ${orderId}. Go to Order History to re-pay in 10 minutes`,
-        data: {
-          type: "order",
-          orderId: orderId.toString(),
-          action: "retry_payment",
-        },
-      });
-    } catch (notifErr) {
-      console.error("Failed to send payment failure notification:", notifErr);
-    }
+/* =============================
+   VNPAY IPN (SERVER-TO-SERVER)
+   VNPay gọi GET kèm các tham số như return URL, yêu cầu HTTP 200 + JSON { RspCode, Message }.
+   RspCode ≠ "00"/"02" → VNPay gọi lại IPN.
+============================= */
+const IPN_RESPONSES = {
+  [VNPAY_RESULT.SUCCESS]: { RspCode: "00", Message: "Confirm Success" },
+  [VNPAY_RESULT.FAILED]: { RspCode: "00", Message: "Confirm Success" },
+  [VNPAY_RESULT.ALREADY_CONFIRMED]: { RspCode: "02", Message: "Order already confirmed" },
+  [VNPAY_RESULT.DUPLICATE_TXN]: { RspCode: "02", Message: "Order already confirmed" },
+  [VNPAY_RESULT.NOT_FOUND]: { RspCode: "01", Message: "Order not found" },
+  [VNPAY_RESULT.INVALID_AMOUNT]: { RspCode: "04", Message: "Invalid amount" },
+};
 
-    try {
-      const user = await UserModel.findById(order.user_id)
-        .select("email user_name")
-        .lean();
-      if (user && user.email) {
-        await CustomerEmailService.sendPaymentFailureEmail(
-          user.email,
-          user.user_name || "Customer",
-          orderId.toString(),
-        );
-      }
-    } catch (emailErr) {
-      console.error("Failed to send payment failure email:", emailErr);
+const vnpayIpn = async (req, res) => {
+  try {
+    const rawQuery = req.originalUrl.split("?")[1];
+    const { isValid, params } = verifyVnpayQuery(rawQuery);
+    if (!isValid) {
+      return res.status(200).json({ RspCode: "97", Message: "Invalid signature" });
     }
 
-    /* ===== REDIRECT ===== */
-   return res.redirect(failRedirect);
+    const outcome = await PaymentService.processVnpayResult(params);
+    return res
+      .status(200)
+      .json(IPN_RESPONSES[outcome.result] || { RspCode: "99", Message: "Unknown error" });
   } catch (err) {
-    console.error("🔥 VNPAY RETURN ERROR:", err.message);
-    await session.abortTransaction();
-    return res.status(500).send("Payment processing error");
-  } finally {
-    session.endSession();
+    console.error("🔥 VNPAY IPN ERROR:", err.message);
+    return res.status(200).json({ RspCode: "99", Message: "Unknown error" });
   }
 };
 
@@ -477,5 +212,6 @@ const refundVNPay = async (req, res) => {
 module.exports = {
   createVnpayPaymentUrl,
   vnpayReturn,
+  vnpayIpn,
   refundVNPay,
 };
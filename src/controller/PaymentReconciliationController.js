@@ -0,0 +1,32 @@
+const PaymentReconciliationService = require("../services/PaymentReconciliationService");
+
+const getReconciliations = async (req, res) => {
+  try {
+    const response = await PaymentReconciliationService.getReconciliations(req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const runReconciliation = async (req, res) => {
+  try {
+    const summary = await PaymentReconciliationService.runReconciliation({
+      olderThanMinutes: req.body?.older_than_minutes,
+    });
+    return res.status(200).json({ status: "OK", message: "Reconciliation completed", data: summary });
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+module.exports = {
+  getReconciliations,
+  runReconciliation,
+};
@@ -5,12 +5,18 @@
  *
  * Handles:
  * - GET /demand: demand dashboard by fruit type (page, limit, keyword)
+ * - GET /forecast: weekly demand-vs-supply forecast (weeks, fruitTypeId); Excel at GET /admin/export/preorder-forecast
  * - GET /allocations: list allocation records (optional fruitTypeId)
- * - POST /allocations: run FIFO allocation for a fruit type (body: fruitTypeId, allocatedKg)
+ * - POST /allocations: run allocation for a fruit type with its strategy (body: fruitTypeId, strategy optional)
+ * - POST /allocations/preview: dry-run – who gets what, nothing is written (body: fruitTypeId, strategy optional)
+ * - PUT /fruit-types/:id/allocation-strategy: set FIFO | PRO_RATA | PRIORITY_TIER (body: strategy)
+ * - POST /settlements/preview, POST /settlements: actual-weight settlement (body: fruitTypeId, finalPricePerKg, items)
  *
  * @module controller/PreOrderAllocationController
  */
 const PreOrderAllocationService = require("../services/PreOrderAllocationService");
+const PreOrderSettlementService = require("../services/PreOrderSettlementService");
+const PreOrderForecastService = require("../services/PreOrderForecastService");
 
 /**
  * Get demand by fruit type with pagination and keyword filter.
@@ -27,6 +33,21 @@ const getDemand = async (req, res) => {
   }
 };
 
+/**
+ * Weekly harvest forecast: expected supply (pending batches × supplier history ratio) vs open pre-order demand.
+ * @param {Object} req - Express request (query: weeks, fruitTypeId)
+ * @param {Object} res - Express response
+ */
+const getForecast = async (req, res) => {
+  try {
+    const { weeks, fruitTypeId } = req.query;
+    const response = await PreOrderForecastService.getForecast({ weeks, fruitTypeId });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Invalid fruitTypeId" ? 400 : 500).json({ status: "ERR", message: err.message });
+  }
+};
+
 /**
  * List allocation records, optionally filtered by fruit type.
  * @param {Object} req - Express request (query.fruitTypeId optional)
@@ -43,19 +64,24 @@ const listAllocations = async (req, res) => {
 };
 
 /**
- * Run FIFO allocation for a fruit type. Body: fruitTypeId (required), allocatedKg (ignored).
- * @param {Object} req - Express request (body: fruitTypeId, allocatedKg)
+ * Run allocation for a fruit type. Body: fruitTypeId (required), strategy (optional override), allocatedKg (ignored).
+ * @param {Object} req - Express request (body: fruitTypeId, strategy, allocatedKg)
  * @param {Object} res - Express response
  */
 const upsertAllocation = async (req, res) => {
   try {
-    const { fruitTypeId, allocatedKg } = req.body;
+    const { fruitTypeId, allocatedKg, strategy } = req.body;
     if (!fruitTypeId) {
       return res.status(400).json({ status: "ERR", message: "Missing fruitTypeId" });
     }
     const response = await PreOrderAllocationService.upsertAllocation({
       fruitTypeId,
       allocatedKg: allocatedKg != null ? Number(allocatedKg) : undefined,
+      strategy,
+      actor: {
+        changedBy: req.user?._id,
+        role: req.user?.role_id?.name?.toLowerCase?.() || "admin",
+      },
     });
     return res.status(200).json(response);
   } catch (err) {
@@ -63,8 +89,89 @@ const upsertAllocation = async (req, res) => {
   }
 };
 
+/**
+ * Dry-run allocation: plan per pre-order (FULL / PARTIAL / NONE, kg, deposit refund). Nothing is written.
+ * @param {Object} req - Express request (body: fruitTypeId, strategy optional)
+ * @param {Object} res - Express response
+ */
+const previewAllocation = async (req, res) => {
+  try {
+    const { fruitTypeId, strategy } = req.body;
+    if (!fruitTypeId) {
+      return res.status(400).json({ status: "ERR", message: "Missing fruitTypeId" });
+    }
+    const response = await PreOrderAllocationService.previewAllocation({ fruitTypeId, strategy });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(400).json({ status: "ERR", message: err.message });
+  }
+};
+
+/**
+ * Set the allocation strategy of a fruit type.
+ * @param {Object} req - Express request (params.id, body.strategy)
+ * @param {Object} res - Express response
+ */
+const setAllocationStrategy = async (req, res) => {
+  try {
+    const response = await PreOrderAllocationService.setAllocationStrategy(req.params.id, req.body?.strategy);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Fruit type not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+/**
+ * Dry-run settlement: final total, balance due or credit per pre-order. Nothing is written.
+ * @param {Object} req - Express request (body: fruitTypeId, finalPricePerKg, items [{ preOrderId, actualKg }] optional)
+ * @param {Object} res - Express response
+ */
+const previewSettlement = async (req, res) => {
+  try {
+    const { fruitTypeId, finalPricePerKg, items } = req.body || {};
+    if (!fruitTypeId) {
+      return res.status(400).json({ status: "ERR", message: "Missing fruitTypeId" });
+    }
+    const response = await PreOrderSettlementService.previewSettlement({ fruitTypeId, finalPricePerKg, items });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Fruit type not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+/**
+ * Settle pre-orders with the final price per kg and actual kg (true-up before the remaining payment).
+ * @param {Object} req - Express request (body: fruitTypeId, finalPricePerKg, items [{ preOrderId, actualKg }] optional)
+ * @param {Object} res - Express response
+ */
+const settlePreOrders = async (req, res) => {
+  try {
+    const { fruitTypeId, finalPricePerKg, items } = req.body || {};
+    if (!fruitTypeId) {
+      return res.status(400).json({ status: "ERR", message: "Missing fruitTypeId" });
+    }
+    const response = await PreOrderSettlementService.settlePreOrders({
+      fruitTypeId,
+      finalPricePerKg,
+      items,
+      actor: {
+        changedBy: req.user?._id,
+        role: req.user?.role_id?.name?.toLowerCase?.() || "admin",
+      },
+    });
+    return res.status(response.status === "ERR" ? 400 : 200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Fruit type not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
 module.exports = {
   getDemand,
+  getForecast,
   listAllocations,
   upsertAllocation,
+  previewAllocation,
+  setAllocationStrategy,
+  previewSettlement,
+  settlePreOrders,
 };
@@ -1,4 +1,5 @@
 const PreOrderService = require("../services/PreOrderService");
+const PreOrderDeliverySlotService = require("../services/PreOrderDeliverySlotService");
 
 const createPaymentIntent = async (req, res) => {
   try {
@@ -48,6 +49,15 @@ const cancelPreOrder = async (req, res) => {
   }
 };
 
+const getCancellationQuote = async (req, res) => {
+  try {
+    const response = await PreOrderService.getCancellationQuote(req.params.id, req.user._id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Pre-order not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
 const createRemainingPayment = async (req, res) => {
   try {
     const userId = req.user._id;
@@ -56,16 +66,49 @@ const createRemainingPayment = async (req, res) => {
     const platform = req.body?.platform || req.get("X-Platform") || undefined;
     const appReturnUrlDefault = process.env.VNP_RETURN_URL_APP || "shopapp://payment/vnpay/return";
     const returnUrl = req.body?.returnUrl || (platform === "app" ? appReturnUrlDefault : null);
-    const result = await PreOrderService.createRemainingPaymentIntent(preOrderId, userId, ip, returnUrl || null, platform);
+    const deliverySlotId = req.body?.deliverySlotId || null;
+    const result = await PreOrderService.createRemainingPaymentIntent(
+      preOrderId,
+      userId,
+      ip,
+      returnUrl || null,
+      platform,
+      deliverySlotId
+    );
     return res.status(200).json(result);
   } catch (err) {
     return res.status(400).json({ success: false, message: err.message });
   }
 };
 
+const getDeliverySlots = async (req, res) => {
+  try {
+    const response = await PreOrderDeliverySlotService.getAvailableSlotsForPreOrder(req.params.id, req.user._id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Pre-order not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+const chooseDeliverySlot = async (req, res) => {
+  try {
+    const response = await PreOrderDeliverySlotService.chooseDeliverySlot(
+      req.params.id,
+      req.user._id,
+      req.body?.deliverySlotId
+    );
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Pre-order not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
 module.exports = {
   createPaymentIntent,
   getMyPreOrders,
   cancelPreOrder,
+  getCancellationQuote,
   createRemainingPayment,
+  getDeliverySlots,
+  chooseDeliverySlot,
 };
@@ -0,0 +1,49 @@
+const PreOrderDeliverySlotService = require("../services/PreOrderDeliverySlotService");
+
+const NOT_FOUND_MESSAGES = ["Delivery slot not found", "Fruit type not found"];
+
+const listSlots = async (req, res) => {
+  try {
+    const { fruitTypeId, status, from, to, page, limit } = req.query;
+    const response = await PreOrderDeliverySlotService.listSlots({ fruitTypeId, status, from, to, page, limit });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(400).json({ status: "ERR", message: err.message });
+  }
+};
+
+const createSlot = async (req, res) => {
+  try {
+    const { startAt, endAt, capacity, fruitTypeId, note } = req.body || {};
+    const response = await PreOrderDeliverySlotService.createSlot({ startAt, endAt, capacity, fruitTypeId, note }, req.user?._id);
+    return res.status(201).json(response);
+  } catch (err) {
+    return res.status(NOT_FOUND_MESSAGES.includes(err.message) ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+const updateSlot = async (req, res) => {
+  try {
+    const { startAt, endAt, capacity, fruitTypeId, note } = req.body || {};
+    const response = await PreOrderDeliverySlotService.updateSlot(req.params.id, { startAt, endAt, capacity, fruitTypeId, note });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(NOT_FOUND_MESSAGES.includes(err.message) ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+const closeSlot = async (req, res) => {
+  try {
+    const response = await PreOrderDeliverySlotService.closeSlot(req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(NOT_FOUND_MESSAGES.includes(err.message) ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+module.exports = {
+  listSlots,
+  createSlot,
+  updateSlot,
+  closeSlot,
+};
@@ -10,12 +10,15 @@
  * - POST /preorder-stock/receive: record receive by fruit type (body: fruitTypeId, supplierAvailableQuantity, note)
  * - POST /preorder-stock/receive-by-batch: record receive by PreOrderHarvestBatch (body: preOrderHarvestBatchId, quantityKg, note); no simulation, warehouse receives planned quantity
  * - GET /preorder-stock/receives: list receive history (query: fruitTypeId, preOrderHarvestBatchId, page, limit)
+ * - GET /preorder-stock/delivery-slots: list delivery slots with usage (query: fruitTypeId, status, from, to, page, limit)
+ * - GET /preorder-stock/delivery-slots/:id/pick-list: pick list of a delivery slot (paid pre-orders, kg per fruit type)
  *
  * @module controller/PreOrderStockController
  */
 const mongoose = require("mongoose");
 const PreOrderStockService = require("../services/PreOrderStockService");
 const PreOrderService = require("../services/PreOrderService");
+const PreOrderDeliverySlotService = require("../services/PreOrderDeliverySlotService");
 const PreOrderHarvestBatchModel = require("../models/PreOrderHarvestBatchModel");
 
 /** List pre-order stock by fruit type. */
@@ -115,4 +118,33 @@ const listReceives = async (req, res) => {
   }
 };
 
-module.exports = { listStock, simulateImport, createReceive, createReceiveByBatch, listReceives };
+/** List delivery slots with booked / pending counts (warehouse planning). */
+const listDeliverySlots = async (req, res) => {
+  try {
+    const { fruitTypeId, status, from, to, page, limit } = req.query;
+    const response = await PreOrderDeliverySlotService.listSlots({ fruitTypeId, status, from, to, page, limit });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(400).json({ status: "ERR", message: err.message });
+  }
+};
+
+/** Pick list of a delivery slot. */
+const getDeliverySlotPickList = async (req, res) => {
+  try {
+    const response = await PreOrderStockService.getDeliverySlotPickList(req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Delivery slot not found" ? 404 : 500).json({ status: "ERR", message: err.message });
+  }
+};
+
+module.exports = {
+  listStock,
+  simulateImport,
+  createReceive,
+  createReceiveByBatch,
+  listReceives,
+  listDeliverySlots,
+  getDeliverySlotPickList,
+};
@@ -0,0 +1,59 @@
+const PreOrderWaitlistService = require("../services/PreOrderWaitlistService");
+
+const joinWaitlist = async (req, res) => {
+  try {
+    const { fruitTypeId, quantityKg } = req.body || {};
+    if (!fruitTypeId || quantityKg == null) {
+      return res.status(400).json({ status: "ERR", message: "Missing fruitTypeId or quantityKg" });
+    }
+    const response = await PreOrderWaitlistService.joinWaitlist(req.user._id, { fruitTypeId, quantityKg });
+    return res.status(201).json(response);
+  } catch (err) {
+    return res.status(err.message === "Fruit type not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+const leaveWaitlist = async (req, res) => {
+  try {
+    const response = await PreOrderWaitlistService.leaveWaitlist(req.user._id, req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Waitlist entry not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+const getMyWaitlist = async (req, res) => {
+  try {
+    const response = await PreOrderWaitlistService.getMyWaitlist(req.user._id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(500).json({ status: "ERR", message: err.message });
+  }
+};
+
+const listWaitlist = async (req, res) => {
+  try {
+    const { fruitTypeId, status, page, limit } = req.query;
+    const response = await PreOrderWaitlistService.getWaitlist({ fruitTypeId, status, page, limit });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(400).json({ status: "ERR", message: err.message });
+  }
+};
+
+const setCapacity = async (req, res) => {
+  try {
+    const response = await PreOrderWaitlistService.setCapacity(req.params.id, req.body?.capacityKg);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(err.message === "Fruit type not found" ? 404 : 400).json({ status: "ERR", message: err.message });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  leaveWaitlist,
+  getMyWaitlist,
+  listWaitlist,
+  setCapacity,
+};
@@ -0,0 +1,98 @@
+const PromotionService = require("../services/PromotionService");
+
+const createPromotion = async (req, res) => {
+  try {
+    const response = await PromotionService.createPromotion(req.body, req.user._id);
+    return res.status(response.status === "OK" ? 201 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const updatePromotion = async (req, res) => {
+  try {
+    const response = await PromotionService.updatePromotion(req.params.id, req.body);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const activatePromotion = async (req, res) => {
+  try {
+    const response = await PromotionService.setPromotionActive(req.params.id, true);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const deactivatePromotion = async (req, res) => {
+  try {
+    const response = await PromotionService.setPromotionActive(req.params.id, false);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getPromotions = async (req, res) => {
+  try {
+    const response = await PromotionService.getPromotions(req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getPromotionById = async (req, res) => {
+  try {
+    const response = await PromotionService.getPromotionById(req.params.id);
+    if (response.status !== "OK") {
+      return res.status(response.message === "Promotion not found" ? 404 : 400).json(response);
+    }
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getRunningPromotions = async (req, res) => {
+  try {
+    const response = await PromotionService.getRunningPromotions();
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+module.exports = {
+  createPromotion,
+  updatePromotion,
+  activatePromotion,
+  deactivatePromotion,
+  getPromotions,
+  getPromotionById,
+  getRunningPromotions,
+};
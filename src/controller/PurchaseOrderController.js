@@ -0,0 +1,114 @@
+const PurchaseOrderService = require("../services/PurchaseOrderService");
+
+const statusCodeOf = (response) => {
+  if (response.status === "OK") return 200;
+  return response.message === "Purchase order not found" ? 404 : 400;
+};
+
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.createPurchaseOrder(req.user._id, req.body || {});
+    return res.status(response.status === "OK" ? 201 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.updatePurchaseOrder(req.params.id, req.body || {});
+    return res.status(statusCodeOf(response)).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const sendPurchaseOrder = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.sendPurchaseOrder(req.params.id, req.user._id);
+    return res.status(statusCodeOf(response)).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const closePurchaseOrder = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.closePurchaseOrder(req.params.id, req.user._id, req.body || {});
+    return res.status(statusCodeOf(response)).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.cancelPurchaseOrder(req.params.id, req.user._id, req.body || {});
+    return res.status(statusCodeOf(response)).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.getPurchaseOrders(req.query);
+    return res.status(statusCodeOf(response)).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getPurchaseOrderById = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.getPurchaseOrderById(req.params.id);
+    return res.status(statusCodeOf(response)).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+// Warehouse staff: dòng PO còn nhận được (chọn khi tạo phiếu nhập)
+const getReceivableLines = async (req, res) => {
+  try {
+    const response = await PurchaseOrderService.getReceivableLines(req.query);
+    return res.status(statusCodeOf(response)).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+module.exports = {
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  getReceivableLines,
+};
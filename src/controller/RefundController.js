@@ -0,0 +1,44 @@
+const RefundService = require("../services/RefundService");
+
+const getRefunds = async (req, res) => {
+  try {
+    const response = await RefundService.getRefunds(req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const retryRefund = async (req, res) => {
+  try {
+    const response = await RefundService.retryRefund(req.params.id);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const resolveStuckRefund = async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    const response = await RefundService.resolveStuckRefund(req.params.id, { status, note });
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+module.exports = {
+  getRefunds,
+  retryRefund,
+  resolveStuckRefund,
+};
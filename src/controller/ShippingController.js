@@ -3,7 +3,7 @@ const ShippingService = require("../services/ShippingService");
 const checkShippingFee = async (req, res) => {
   try {
     const user_id = req.user._id;
-    const { selected_product_ids, city } = req.body;
+    const { selected_product_ids, city, district, fulfillment_preference } = req.body;
 
     if (!city) {
       return res.status(400).json({
@@ -26,6 +26,8 @@ const checkShippingFee = async (req, res) => {
       user_id,
       selected_product_ids,
       city,
+      district,
+      preference: fulfillment_preference,
     });
 
     return res.status(200).json({
@@ -41,4 +43,75 @@ const checkShippingFee = async (req, res) => {
   }
 };
 
-module.exports = { checkShippingFee };
+/* =====================================================
+   ADMIN: SHIPPING RULES
+===================================================== */
+const getShippingRules = async (req, res) => {
+  try {
+    const response = await ShippingService.getShippingRules(req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getShippingRuleById = async (req, res) => {
+  try {
+    const response = await ShippingService.getShippingRuleById(req.params.id);
+    const statusCode = response.status === "OK" ? 200 : (response.message?.toLowerCase().includes("does not exist") ? 404 : 400);
+    return res.status(statusCode).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const createShippingRule = async (req, res) => {
+  try {
+    const response = await ShippingService.createShippingRule(req.body);
+    return res.status(response.status === "OK" ? 201 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const updateShippingRule = async (req, res) => {
+  try {
+    const response = await ShippingService.updateShippingRule(req.params.id, req.body);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const deleteShippingRule = async (req, res) => {
+  try {
+    const response = await ShippingService.deleteShippingRule(req.params.id);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+module.exports = {
+  checkShippingFee,
+  getShippingRules,
+  getShippingRuleById,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+};
@@ -0,0 +1,159 @@
+const StockCountService = require("../services/StockCountService");
+
+const NOT_FOUND_MESSAGES = ["Stock count not found"];
+
+const isWarehouseStaffOnly = (req) => {
+  const role = (req.user?.role || req.user?.role_id?.name || "")
+    .toString()
+    .toLowerCase()
+    .replace(/_/g, "-");
+  return role === "warehouse-staff";
+};
+
+const errorStatus = (response) => (NOT_FOUND_MESSAGES.includes(response.message) ? 404 : 400);
+
+const viewerOf = (req) => ({ _id: req.user._id, isAdmin: !isWarehouseStaffOnly(req) });
+
+/**
+ * Mở phiên kiểm kê
+ * POST /inventory/stock-counts
+ */
+const openSession = async (req, res) => {
+  try {
+    const response = await StockCountService.openSession(req.user._id, req.body || {});
+    if (response.status === "ERR") return res.status(400).json(response);
+    return res.status(201).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Danh sách phiên kiểm kê
+ * GET /inventory/stock-counts
+ */
+const listSessions = async (req, res) => {
+  try {
+    const response = await StockCountService.listSessions(req.query, viewerOf(req));
+    if (response.status === "ERR") return res.status(400).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Báo cáo chênh lệch kiểm kê theo nhân viên / kỳ
+ * GET /inventory/stock-counts/variance-report
+ *
+ * BR-WH-02: Warehouse staff chỉ xem số liệu do chính mình đếm.
+ */
+const getVarianceReport = async (req, res) => {
+  try {
+    const filters = { ...req.query };
+    if (isWarehouseStaffOnly(req)) {
+      filters.staffId = req.user._id.toString();
+    }
+    const response = await StockCountService.getVarianceReport(filters);
+    if (response.status === "ERR") return res.status(400).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Chi tiết phiên kiểm kê
+ * GET /inventory/stock-counts/:id
+ */
+const getSessionById = async (req, res) => {
+  try {
+    const response = await StockCountService.getSessionById(req.params.id, viewerOf(req));
+    if (response.status === "ERR") return res.status(errorStatus(response)).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Nhập số đếm
+ * PUT /inventory/stock-counts/:id/counts
+ */
+const recordCounts = async (req, res) => {
+  try {
+    const response = await StockCountService.recordCounts(req.params.id, viewerOf(req), req.body || {});
+    if (response.status === "ERR") return res.status(errorStatus(response)).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Gửi duyệt
+ * POST /inventory/stock-counts/:id/submit
+ */
+const submitSession = async (req, res) => {
+  try {
+    const response = await StockCountService.submitSession(req.params.id, viewerOf(req));
+    if (response.status === "ERR") return res.status(errorStatus(response)).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Admin duyệt → ghi ADJUST cho các dòng lệch
+ * POST /inventory/stock-counts/:id/approve
+ */
+const approveSession = async (req, res) => {
+  try {
+    const response = await StockCountService.approveSession(req.params.id, req.user._id, req.body || {});
+    if (response.status === "ERR") return res.status(errorStatus(response)).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Admin trả về để đếm lại
+ * POST /inventory/stock-counts/:id/reopen
+ */
+const reopenSession = async (req, res) => {
+  try {
+    const response = await StockCountService.reopenSession(req.params.id, req.user._id, req.body || {});
+    if (response.status === "ERR") return res.status(errorStatus(response)).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Admin huỷ phiên
+ * POST /inventory/stock-counts/:id/cancel
+ */
+const cancelSession = async (req, res) => {
+  try {
+    const response = await StockCountService.cancelSession(req.params.id, req.user._id, req.body || {});
+    if (response.status === "ERR") return res.status(errorStatus(response)).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+module.exports = {
+  openSession,
+  listSessions,
+  getVarianceReport,
+  getSessionById,
+  recordCounts,
+  submitSession,
+  approveSession,
+  reopenSession,
+  cancelSession,
+};
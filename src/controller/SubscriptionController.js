@@ -0,0 +1,162 @@
+/**
+ * Subscription Controller
+ *
+ * HTTP layer for recurring fruit boxes. Delegates to SubscriptionService.
+ *
+ * Handles:
+ * - Public: GET /subscriptions/plans, GET /subscriptions/plans/:id (with box preview)
+ * - Customer: POST /subscriptions, GET /subscriptions/my, PUT /subscriptions/:id, PUT /subscriptions/:id/pause | resume | skip | cancel
+ * - Admin: GET|POST /subscriptions/admin/plans, GET|PUT /subscriptions/admin/plans/:id, GET /subscriptions/admin/subscriptions
+ *
+ * @module controller/SubscriptionController
+ */
+const SubscriptionService = require("../services/SubscriptionService");
+
+const NOT_FOUND_MESSAGES = ["Plan not found", "Subscription not found"];
+const errorStatus = (err) => (NOT_FOUND_MESSAGES.includes(err.message) ? 404 : 400);
+
+const listPlans = async (req, res) => {
+  try {
+    const { frequency, page, limit } = req.query;
+    const response = await SubscriptionService.listPlans({ frequency, page, limit });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(500).json({ status: "ERR", message: err.message });
+  }
+};
+
+const getPlanById = async (req, res) => {
+  try {
+    const response = await SubscriptionService.getPlanById(req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const subscribe = async (req, res) => {
+  try {
+    const response = await SubscriptionService.subscribe(req.user._id, req.body || {});
+    return res.status(201).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const getMySubscriptions = async (req, res) => {
+  try {
+    const response = await SubscriptionService.getMySubscriptions(req.user._id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(500).json({ status: "ERR", message: err.message });
+  }
+};
+
+const updateSubscription = async (req, res) => {
+  try {
+    const response = await SubscriptionService.updateSubscription(req.user._id, req.params.id, req.body || {});
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const pauseSubscription = async (req, res) => {
+  try {
+    const response = await SubscriptionService.pauseSubscription(req.user._id, req.params.id, { until: req.body?.until });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const resumeSubscription = async (req, res) => {
+  try {
+    const response = await SubscriptionService.resumeSubscription(req.user._id, req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const skipNextDelivery = async (req, res) => {
+  try {
+    const response = await SubscriptionService.skipNextDelivery(req.user._id, req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const cancelSubscription = async (req, res) => {
+  try {
+    const response = await SubscriptionService.cancelSubscription(req.user._id, req.params.id);
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const adminListPlans = async (req, res) => {
+  try {
+    const { frequency, isActive, page, limit } = req.query;
+    const response = await SubscriptionService.listPlans({ frequency, isActive, page, limit }, { admin: true });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(500).json({ status: "ERR", message: err.message });
+  }
+};
+
+const adminGetPlanById = async (req, res) => {
+  try {
+    const response = await SubscriptionService.getPlanById(req.params.id, { admin: true });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const createPlan = async (req, res) => {
+  try {
+    const response = await SubscriptionService.createPlan(req.body || {}, req.user?._id);
+    return res.status(201).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const updatePlan = async (req, res) => {
+  try {
+    const response = await SubscriptionService.updatePlan(req.params.id, req.body || {});
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ status: "ERR", message: err.message });
+  }
+};
+
+const adminListSubscriptions = async (req, res) => {
+  try {
+    const { status, plan_id, page, limit } = req.query;
+    const response = await SubscriptionService.listSubscriptions({ status, plan_id, page, limit });
+    return res.status(200).json(response);
+  } catch (err) {
+    return res.status(400).json({ status: "ERR", message: err.message });
+  }
+};
+
+module.exports = {
+  listPlans,
+  getPlanById,
+  subscribe,
+  getMySubscriptions,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextDelivery,
+  cancelSubscription,
+  adminListPlans,
+  adminGetPlanById,
+  createPlan,
+  updatePlan,
+  adminListSubscriptions,
+};
@@ -1,4 +1,5 @@
 const SupplierService = require("../services/SupplierService");
+const SupplierScorecardService = require("../services/SupplierScorecardService");
 // Import các controller đã tách
 const HarvestBatchController = require("./HarvestBatchController");
 
@@ -109,6 +110,33 @@ const updateCooperationStatus = async (req, res) => {
   }
 };
 
+// Scorecard NCC: giao đúng hạn, độ chính xác số lượng, tỉ lệ huỷ, số ngày bán hết, lợi nhuận gộp, đánh giá
+const getSupplierScorecards = async (req, res) => {
+  try {
+    const response = await SupplierScorecardService.getSupplierScorecards(req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getSupplierScorecardById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const response = await SupplierScorecardService.getSupplierScorecardById(id, req.query);
+    const statusCode = response.status === "OK" ? 200 : (response.message?.toLowerCase().includes("does not exist") ? 404 : 400);
+    return res.status(statusCode).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
 // ✅ Re-export các controller đã tách để giữ backward compatibility
 module.exports = {
   // Supplier Management
@@ -120,6 +148,8 @@ module.exports = {
   getSuppliersForBrand,
   updatePurchaseCost,
   updateCooperationStatus,
+  getSupplierScorecards,
+  getSupplierScorecardById,
   
   // Harvest Batch Management (re-export từ HarvestBatchController)
   createHarvestBatch: HarvestBatchController.createHarvestBatch,
@@ -0,0 +1,101 @@
+const WarehouseService = require("../services/WarehouseService");
+const ProductLotService = require("../services/ProductLotService");
+
+const createWarehouse = async (req, res) => {
+  try {
+    const response = await WarehouseService.createWarehouse(req.body);
+    return res.status(response.status === "OK" ? 201 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const updateWarehouse = async (req, res) => {
+  try {
+    const response = await WarehouseService.updateWarehouse(req.params.id, req.body);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const deleteWarehouse = async (req, res) => {
+  try {
+    const response = await WarehouseService.deleteWarehouse(req.params.id);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getWarehouses = async (req, res) => {
+  try {
+    const response = await WarehouseService.getWarehouses(req.query);
+    return res.status(response.status === "OK" ? 200 : 400).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getWarehouseById = async (req, res) => {
+  try {
+    const response = await WarehouseService.getWarehouseById(req.params.id);
+    const statusCode = response.status === "OK" ? 200 : (response.message?.toLowerCase().includes("does not exist") ? 404 : 400);
+    return res.status(statusCode).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+const getProductStockByWarehouse = async (req, res) => {
+  try {
+    const response = await WarehouseService.getProductStockByWarehouse(req.params.productId);
+    const statusCode = response.status === "OK" ? 200 : (response.message?.toLowerCase().includes("does not exist") ? 404 : 400);
+    return res.status(statusCode).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+// Lô tồn kho của sản phẩm (FEFO): ?warehouseId=&includeEmpty=true
+const getProductLots = async (req, res) => {
+  try {
+    const { warehouseId, includeEmpty } = req.query;
+    const response = await ProductLotService.getProductLots(req.params.productId, { warehouseId, includeEmpty });
+    const statusCode = response.status === "OK" ? 200 : (response.message?.toLowerCase().includes("does not exist") ? 404 : 400);
+    return res.status(statusCode).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      status: "ERR",
+      message: error.message || "Internal Server Error",
+    });
+  }
+};
+
+module.exports = {
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+  getWarehouses,
+  getWarehouseById,
+  getProductStockByWarehouse,
+  getProductLots,
+};
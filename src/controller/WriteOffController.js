@@ -0,0 +1,90 @@
+const WriteOffService = require("../services/WriteOffService");
+
+const isWarehouseStaffOnly = (req) => {
+  const role = (req.user?.role || req.user?.role_id?.name || "")
+    .toString()
+    .toLowerCase()
+    .replace(/_/g, "-");
+  return role === "warehouse-staff";
+};
+
+/**
+ * Ghi nhận huỷ hàng (multipart: images[] + productId, quantity, reasonCode, warehouseId?, lotId?, note)
+ * POST /inventory/write-offs
+ */
+const createWriteOff = async (req, res) => {
+  try {
+    const response = await WriteOffService.createWriteOff(req.user._id, req.body || {});
+    if (response.status === "ERR") return res.status(400).json(response);
+    return res.status(201).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Danh sách phiếu huỷ
+ * GET /inventory/write-offs
+ *
+ * BR-WH-02: Warehouse staff chỉ xem phiếu do chính họ tạo.
+ */
+const getWriteOffs = async (req, res) => {
+  try {
+    const filters = { ...req.query };
+    if (isWarehouseStaffOnly(req)) {
+      filters.createdBy = req.user._id.toString();
+    }
+    const response = await WriteOffService.getWriteOffs(filters);
+    if (response.status === "ERR") return res.status(400).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Báo cáo hao hụt theo sản phẩm / nhà cung cấp / lô thu hoạch
+ * GET /inventory/write-offs/shrinkage-report
+ */
+const getShrinkageReport = async (req, res) => {
+  try {
+    const response = await WriteOffService.getShrinkageReport(req.query);
+    if (response.status === "ERR") return res.status(400).json(response);
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+/**
+ * Chi tiết phiếu huỷ
+ * GET /inventory/write-offs/:id
+ */
+const getWriteOffById = async (req, res) => {
+  try {
+    const response = await WriteOffService.getWriteOffById(req.params.id);
+    if (response.status === "ERR") {
+      return res.status(response.message === "Write-off not found" ? 404 : 400).json(response);
+    }
+
+    if (isWarehouseStaffOnly(req)) {
+      const ownerId = response.data.createdBy?._id?.toString?.() || response.data.createdBy?.toString?.();
+      if (ownerId !== req.user._id.toString()) {
+        return res.status(403).json({
+          status: "ERR",
+          message: "You can only view write-offs you created.",
+        });
+      }
+    }
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({ status: "ERR", message: error.message });
+  }
+};
+
+module.exports = {
+  createWriteOff,
+  getWriteOffs,
+  getShrinkageReport,
+  getWriteOffById,
+};
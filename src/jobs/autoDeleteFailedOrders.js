@@ -7,12 +7,17 @@ const OrderStatusModel = require("../models/OrderStatusModel");
 const PaymentModel = require("../models/PaymentModel");
 const ProductModel = require("../models/ProductModel");
 const NotificationService = require("../services/NotificationService");
+const WarehouseService = require("../services/WarehouseService");
 const CustomerEmailService = require("../services/CustomerEmailService");
 const UserModel = require("../models/UserModel");
+const PaymentReconciliationService = require("../services/PaymentReconciliationService");
+const SubscriptionService = require("../services/SubscriptionService");
+
+const SUBSCRIPTION_UNPAID_REASON = "The VNPay payment was not completed before the delivery date";
 
 /**
  * ⏱️ Chạy mỗi 1 phút
- * Xóa đơn VNPAY FAILED quá 10 phút không retry
+ * Xóa đơn VNPAY FAILED quá 10 phút không retry (đơn hộp định kỳ: quá pay_by)
  */
 cron.schedule("*/1 * * * *", async () => {
   const session = await mongoose.startSession();
@@ -42,6 +47,11 @@ cron.schedule("*/1 * * * *", async () => {
         order_id: order._id,
       }).session(session);
 
+      await WarehouseService.restockOrderItems({
+        warehouseId: order.warehouse_id,
+        items: orderDetails,
+        session,
+      });
       for (const item of orderDetails) {
         await ProductModel.updateOne(
           { _id: item.product_id },
@@ -64,9 +74,12 @@ cron.schedule("*/1 * * * *", async () => {
          🗑️ DELETE ORDER
       ========================= */
       await order.deleteOne({ session });
+      await SubscriptionService.markCycleOrderRemoved(order, SUBSCRIPTION_UNPAID_REASON, session);
       await NotificationService.sendToUser(order.user_id, {
         title: "Order Removed",
-        body: `Your order ${order._id.toString()} was automatically removed because the payment was not completed within 10 minutes.`,
+        body: order.pay_by
+          ? `Your order ${order._id.toString()} was automatically removed because the payment was not completed before the delivery date.`
+          : `Your order ${order._id.toString()} was automatically removed because the payment was not completed within 10 minutes.`,
         data: {
           type: "order",
           orderId: order._id.toString(),
@@ -88,124 +101,222 @@ cron.schedule("*/1 * * * *", async () => {
   }
 });
 
-cron.schedule("*/1 * * * *", async () => {
-  
-
+/**
+ * Xoá một đơn VNPAY PENDING quá hạn (rollback tồn kho) – transaction riêng cho từng đơn.
+ * Kiểm tra lại trong transaction: đơn vẫn PENDING và payment vẫn PENDING / TIMEOUT (IPN có thể vừa tới).
+ * Đơn hộp định kỳ: kỳ giao tương ứng chuyển FAILED.
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Lý do trong thông báo gửi khách
+ */
+const deleteExpiredPendingOrder = async (
+  orderId,
+  pendingStatusId,
+  { reason = "the payment was not completed (pending > 15 minutes)" } = {}
+) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let order;
+  try {
+    order = await OrderModel.findOne({
+      _id: orderId,
+      order_status_id: pendingStatusId,
+      payment_method: "VNPAY",
+    }).session(session);
+    const payment = order
+      ? await PaymentModel.findOne({
+          order_id: order._id,
+          type: "PAYMENT",
+          status: { $in: ["PENDING", "TIMEOUT"] },
+        }).session(session)
+      : null;
+    if (!order || !payment) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    /* =========================
+       🔄 ROLLBACK STOCK
+    ========================= */
+    const orderDetails = await OrderDetailModel.find({
+      order_id: order._id,
+    }).session(session);
+
+    await WarehouseService.restockOrderItems({
+      warehouseId: order.warehouse_id,
+      items: orderDetails,
+      session,
+    });
+    for (const item of orderDetails) {
+      await ProductModel.updateOne(
+        { _id: item.product_id },
+        { $inc: { onHandQuantity: item.quantity } },
+        { session }
+      );
+    }
+
+    /* =========================
+       🧹 DELETE ORDER DETAILS
+    ========================= */
+    await OrderDetailModel.deleteMany(
+      { order_id: order._id },
+      { session }
+    );
+
+    /* =========================
+       💳 DELETE PAYMENT
+    ========================= */
+    await PaymentModel.deleteMany(
+      { order_id: order._id },
+      { session }
+    );
+
+    /* =========================
+       🗑️ DELETE ORDER
+    ========================= */
+    await order.deleteOne({ session });
+    await SubscriptionService.markCycleOrderRemoved(order, SUBSCRIPTION_UNPAID_REASON, session);
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // Notify user via FCM (non-blocking)
+  try {
+    await NotificationService.sendToUser(order.user_id, {
+      title: "Order Removed",
+      body: `The order ${order._id.toString()} was automatically deleted because ${reason}.`,
+      data: {
+        type: "order",
+        orderId: order._id.toString(),
+        action: "order_removed",
+      },
+    });
+  } catch (notifErr) {
+    console.error("Failed to send auto-delete notification:", notifErr);
+  }
+
+  // Send email to user if available (non-blocking)
+  try {
+    const user = await UserModel.findById(order.user_id).select("email user_name").lean();
+    if (user && user.email) {
+      await CustomerEmailService.sendPaymentFailureEmail(
+        user.email,
+        user.user_name || "Khách hàng",
+        order._id.toString(),
+      );
+    }
+  } catch (emailErr) {
+    console.error("Failed to send auto-delete email:", emailErr);
+  }
+
+  console.log(`🗑️ Auto deleted order ${order._id.toString()} (${reason})`);
+  return true;
+};
+
+cron.schedule("*/1 * * * *", async () => {
   try {
     /* =========================
        🔍 GET PENDING ORDER STATUS
     ========================= */
     const pendingStatus = await OrderStatusModel.findOne({ name: "PENDING" });
-    if (!pendingStatus) {
-      await session.abortTransaction();
-      return;
-    }
+    if (!pendingStatus) return;
 
     const expiredTime = new Date(Date.now() - 15 * 60 * 1000); // ⏱️ 15 minutes ago
 
     /* =========================
        🔍 FIND PENDING VNPAY ORDERS
-       (KHÔNG CHECK createdAt của order)
+       (KHÔNG CHECK createdAt của order – DÙNG payment.createdAt)
     ========================= */
+    // Đơn hộp định kỳ (pay_by) có hạn riêng – xử lý ở job bên dưới
     const pendingOrders = await OrderModel.find({
       order_status_id: pendingStatus._id,
       payment_method: "VNPAY",
-    }).session(session);
+      pay_by: null,
+    })
+      .select("_id")
+      .lean();
+    if (pendingOrders.length === 0) return;
 
-    for (const order of pendingOrders) {
-      /* =========================
-         🔍 CHECK PAYMENT EXPIRED
-         (DÙNG payment.createdAt)
-      ========================= */
-      const payment = await PaymentModel.findOne({
-        order_id: order._id,
-        status: "PENDING",
-        createdAt: { $lt: expiredTime },
-      }).session(session);
-
-      if (!payment) continue; // chưa quá 15 phút hoặc đã xử lý
+    const expiredPayments = await PaymentModel.find({
+      order_id: { $in: pendingOrders.map((o) => o._id) },
+      type: "PAYMENT",
+      method: "VNPAY",
+      status: { $in: ["PENDING", "TIMEOUT"] },
+      createdAt: { $lt: expiredTime },
+    }).lean();
 
-      /* =========================
-         🔄 ROLLBACK STOCK
-      ========================= */
-      const orderDetails = await OrderDetailModel.find({
-        order_id: order._id,
-      }).session(session);
+    for (const payment of expiredPayments) {
+      try {
+        /* =========================
+           🔎 QUERYDR TRƯỚC KHI XOÁ
+           Mất IPN nhưng khách đã trả tiền → ghi nhận PAID thay vì xoá đơn
+        ========================= */
+        const { expired } = await PaymentReconciliationService.checkPendingBeforeExpiry(payment);
+        if (!expired) continue;
 
-      for (const item of orderDetails) {
-        await ProductModel.updateOne(
-          { _id: item.product_id },
-          { $inc: { onHandQuantity: item.quantity } },
-          { session }
+        await deleteExpiredPendingOrder(payment.order_id, pendingStatus._id);
+      } catch (error) {
+        console.error(
+          "❌ Auto delete pending order failed:",
+          payment.order_id?.toString(),
+          error.message
         );
       }
+    }
+  } catch (error) {
+    console.error("❌ Auto delete pending order job error:", error.message);
+  }
+});
 
-      /* =========================
-         🧹 DELETE ORDER DETAILS
-      ========================= */
-      await OrderDetailModel.deleteMany(
-        { order_id: order._id },
-        { session }
-      );
+/**
+ * ⏱️ Chạy mỗi 5 phút
+ * Đơn hộp định kỳ VNPAY chưa thanh toán quá pay_by (ngày giao) → querydr rồi xoá đơn, kỳ giao FAILED
+ */
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    const pendingStatus = await OrderStatusModel.findOne({ name: "PENDING" });
+    if (!pendingStatus) return;
 
-      /* =========================
-         💳 DELETE PAYMENT
-      ========================= */
-      await PaymentModel.deleteMany(
-        { order_id: order._id },
-        { session }
-      );
+    const overdueOrders = await OrderModel.find({
+      order_status_id: pendingStatus._id,
+      payment_method: "VNPAY",
+      pay_by: { $ne: null, $lt: new Date() },
+    })
+      .select("_id")
+      .lean();
+    if (overdueOrders.length === 0) return;
 
-      /* =========================
-         🗑️ DELETE ORDER
-      ========================= */
-      await order.deleteOne({ session });
+    const pendingPayments = await PaymentModel.find({
+      order_id: { $in: overdueOrders.map((o) => o._id) },
+      type: "PAYMENT",
+      method: "VNPAY",
+      status: { $in: ["PENDING", "TIMEOUT"] },
+    }).lean();
 
-      // Notify user via FCM (non-blocking)
+    for (const payment of pendingPayments) {
       try {
-        await NotificationService.sendToUser(order.user_id, {
-          title: "Order Removed",
-          body: `The order ${order._id.toString()} was automatically deleted because the payment was not completed (pending > 15 minutes).`,
-          data: {
-            type: "order",
-            orderId: order._id.toString(),
-            action: "order_removed",
-          },
-        });
-      } catch (notifErr) {
-        console.error("Failed to send auto-delete notification:", notifErr);
-      }
+        const { expired } = await PaymentReconciliationService.checkPendingBeforeExpiry(payment);
+        if (!expired) continue;
 
-      // Send email to user if available (non-blocking)
-      try {
-        const user = await UserModel.findById(order.user_id).select("email user_name").lean();
-        if (user && user.email) {
-          await CustomerEmailService.sendPaymentFailureEmail(
-            user.email,
-            user.user_name || "Khách hàng",
-            order._id.toString(),
-          );
-        }
-      } catch (emailErr) {
-        console.error("Failed to send auto-delete email:", emailErr);
+        await deleteExpiredPendingOrder(payment.order_id, pendingStatus._id, {
+          reason: "the fruit box payment was not completed before the delivery date",
+        });
+      } catch (error) {
+        console.error(
+          "❌ Auto delete overdue subscription order failed:",
+          payment.order_id?.toString(),
+          error.message
+        );
       }
-
-      console.log(
-        `🗑️ Auto deleted order ${order._id.toString()} (payment pending > 15 minutes)`
-      );
     }
-
-    await session.commitTransaction();
   } catch (error) {
-    await session.abortTransaction();
-    console.error("❌ Auto delete pending order job error:", error.message);
-  } finally {
-    session.endSession();
+    console.error("❌ Auto delete overdue subscription order job error:", error.message);
   }
 });
 
-
 module.exports = {};
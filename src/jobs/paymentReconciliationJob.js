@@ -0,0 +1,27 @@
+/**
+ * Daily CRON: đối soát payment VNPay PENDING với querydr, lưu kết quả vào payment_reconciliations.
+ * Runs at 01:00 Asia/Ho_Chi_Minh. Admin xem / export tại /admin/reconciliation, /admin/export/payment-reconciliation.
+ */
+const cron = require("node-cron");
+const PaymentReconciliationService = require("../services/PaymentReconciliationService");
+
+const CRON_EXPRESSION = "0 1 * * *"; // 01:00 every day
+
+function startPaymentReconciliationJob() {
+    cron.schedule(
+        CRON_EXPRESSION,
+        async () => {
+            console.log("[PaymentReconciliation] Starting daily reconciliation...");
+            try {
+                const result = await PaymentReconciliationService.runReconciliation();
+                console.log("[PaymentReconciliation] Job finished:", result);
+            } catch (error) {
+                console.error("[PaymentReconciliation] Job failed:", error);
+            }
+        },
+        { timezone: "Asia/Ho_Chi_Minh" }
+    );
+    console.log("Payment reconciliation cron scheduled (daily at 01:00 VN time)");
+}
+
+module.exports = { startPaymentReconciliationJob };
@@ -1,48 +1,54 @@
 /**
  * Pre-order Cancel Overdue Job
  *
- * Automatically cancels pre-orders that have been in ALLOCATED_WAITING_PAYMENT
- * (allocated, waiting for remaining payment) for more than 7 days.
- * Business rule: if customer does not pay remaining within 7 days, order is cancelled.
+ * Automatically cancels pre-orders that are still in ALLOCATED_WAITING_PAYMENT
+ * (allocated, waiting for remaining payment) after their payment deadline.
+ * Business rule: the deadline is paymentDeadlineDays of the fruit type's policy, stored as paymentDueAt at allocation;
+ * on cancellation overdueForfeitPercent of the deposit is kept and the rest is refunded (PreOrderService.cancelOverduePreOrder).
  *
- * Runs once daily at 00:10 (Asia/Ho_Chi_Minh). Uses updatedAt to determine how long
- * the order has been in current status (updatedAt is set when status becomes ALLOCATED_WAITING_PAYMENT).
+ * Runs once daily at 00:10 (Asia/Ho_Chi_Minh). Pre-orders allocated before payment policies existed have no paymentDueAt
+ * and use the default deadline counted from status_changed_at (or updatedAt for even older data).
+ * Cancellations are recorded in status_history with role "system".
  *
  * @module jobs/preorderCancelOverdueJob
  */
 const cron = require("node-cron");
 const PreOrderModel = require("../models/PreOrderModel");
 const PreOrderService = require("../services/PreOrderService");
+const { DEFAULT_PAYMENT_DEADLINE_DAYS } = require("../services/preorderPolicy");
 
 /** Cron expression: 00:10 every day (VN time). */
 const CRON_DAILY = "10 0 * * *";
 
-/** Days after which ALLOCATED_WAITING_PAYMENT is auto-cancelled. */
-const DAYS_OVERDUE = 7;
-
 function run() {
   cron.schedule(
     CRON_DAILY,
     async () => {
       try {
-        const cutoff = new Date(Date.now() - DAYS_OVERDUE * 24 * 60 * 60 * 1000);
+        const now = new Date();
+        const legacyCutoff = new Date(now.getTime() - DEFAULT_PAYMENT_DEADLINE_DAYS * 24 * 60 * 60 * 1000);
         const overdue = await PreOrderModel.find({
           status: "ALLOCATED_WAITING_PAYMENT",
-          updatedAt: { $lt: cutoff },
+          remainingPaidAt: null,
+          $or: [
+            { paymentDueAt: { $lt: now } },
+            { paymentDueAt: null, status_changed_at: { $lt: legacyCutoff } },
+            { paymentDueAt: null, status_changed_at: null, updatedAt: { $lt: legacyCutoff } },
+          ],
         })
           .select("_id")
           .lean();
         let cancelled = 0;
         for (const po of overdue) {
           try {
-            await PreOrderService.markPreOrderCancelled(po._id.toString());
+            await PreOrderService.cancelOverduePreOrder(po._id.toString());
             cancelled += 1;
           } catch (err) {
             console.warn("PreOrder cancel overdue: skip order", po._id, err.message);
           }
         }
         if (cancelled > 0) {
-          console.log(`Pre-order cancel overdue job: cancelled ${cancelled} order(s) (ALLOCATED_WAITING_PAYMENT > ${DAYS_OVERDUE} days)`);
+          console.log(`Pre-order cancel overdue job: cancelled ${cancelled} order(s) past their payment deadline`);
         }
       } catch (err) {
         console.error("Pre-order cancel overdue job error:", err.message);
@@ -50,7 +56,7 @@ function run() {
     },
     { timezone: "Asia/Ho_Chi_Minh" }
   );
-  console.log(`Pre-order cancel overdue job scheduled (daily at 00:10 VN time, cancel if > ${DAYS_OVERDUE} days in ALLOCATED_WAITING_PAYMENT)`);
+  console.log("Pre-order cancel overdue job scheduled (daily at 00:10 VN time, cancel ALLOCATED_WAITING_PAYMENT past paymentDueAt)");
 }
 
-module.exports = { run, DAYS_OVERDUE };
+module.exports = { run };
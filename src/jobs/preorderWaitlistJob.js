@@ -0,0 +1,37 @@
+/**
+ * Pre-order Waitlist Job
+ *
+ * Expires waitlist offers that were not converted into a paid deposit within WAITLIST_OFFER_EXPIRE_HOURS,
+ * closes waitlists of fruit types that no longer accept pre-orders (INACTIVE, locked by harvest),
+ * then offers the available capacity to the next WAITING customers (PreOrderWaitlistService.processWaitlists).
+ *
+ * Runs every 15 minutes (Asia/Ho_Chi_Minh). Cancellations / refunds / capacity changes also offer immediately;
+ * this job catches expired offers and expired deposit intents that released their reserved kg.
+ *
+ * @module jobs/preorderWaitlistJob
+ */
+const cron = require("node-cron");
+const PreOrderWaitlistService = require("../services/PreOrderWaitlistService");
+
+/** Cron expression: every 15 minutes. */
+const CRON_EVERY_15_MIN = "*/15 * * * *";
+
+function run() {
+  cron.schedule(
+    CRON_EVERY_15_MIN,
+    async () => {
+      try {
+        const { expired, closed, offered } = await PreOrderWaitlistService.processWaitlists();
+        if (expired > 0 || closed > 0 || offered > 0) {
+          console.log(`Pre-order waitlist job: expired ${expired} offer(s), closed ${closed} entr(ies), sent ${offered} new offer(s)`);
+        }
+      } catch (err) {
+        console.error("Pre-order waitlist job error:", err.message);
+      }
+    },
+    { timezone: "Asia/Ho_Chi_Minh" }
+  );
+  console.log("Pre-order waitlist job scheduled (every 15 minutes, offers expire after " + PreOrderWaitlistService.WAITLIST_OFFER_EXPIRE_HOURS + "h)");
+}
+
+module.exports = { run };
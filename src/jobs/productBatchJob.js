@@ -30,6 +30,9 @@ const runExpiredCheckOnce = async () => {
       if (resetCount > 0 && result.data?.resetProducts) {
         console.log(`[${formatDateTimeVN()}] Reset products (startup):`, result.data.resetProducts);
       }
+      if (result.data?.writtenOffLots?.length > 0) {
+        console.log(`[${formatDateTimeVN()}] Expired lots written off (startup):`, result.data.writtenOffLots);
+      }
       if (skippedCount > 0 && result.data?.skippedProducts) {
         console.log(`[${formatDateTimeVN()}] Skipped (orders in transition):`, result.data.skippedProducts);
       }
@@ -67,7 +70,7 @@ const runSoldOutCatchUpOnce = async () => {
 /**
  * Scheduled job: Tự động chốt lô
  * - Chạy hàng ngày lúc 00:00 (Asia/Ho_Chi_Minh).
- * - 1) Expired: reset sản phẩm hết hạn (chỉ khi đơn COMPLETED/CANCELLED/REFUND).
+ * - 1) Expired: huỷ lô hết hạn khi còn lô tươi hơn đang bán; reset sản phẩm chỉ còn hàng hết hạn (chỉ khi đơn COMPLETED/CANCELLED/REFUND).
  * - 2) Sold-out catch-up: chốt lô đã bán hết nhưng chưa reset (chờ qua ngày hoặc nhận đủ).
  */
 const startProductBatchJob = () => {
@@ -82,6 +85,9 @@ const startProductBatchJob = () => {
         if (resetCount > 0 && expiredResult.data?.resetProducts) {
           console.log(`[${formatDateTimeVN()}] Reset products (expired):`, expiredResult.data.resetProducts);
         }
+        if (expiredResult.data?.writtenOffLots?.length > 0) {
+          console.log(`[${formatDateTimeVN()}] Expired lots written off:`, expiredResult.data.writtenOffLots);
+        }
         if (skippedCount > 0 && expiredResult.data?.skippedProducts) {
           console.log(`[${formatDateTimeVN()}] Skipped (orders in transition):`, expiredResult.data.skippedProducts);
         }
@@ -0,0 +1,40 @@
+/**
+ * Subscription Job
+ *
+ * Recurring fruit boxes (SubscriptionService.processSubscriptions):
+ * - Resumes paused subscriptions whose paused_until has passed
+ * - Reminds customers REMINDER_DAYS_BEFORE_CHARGE days before their order is created (FCM + email)
+ * - Creates the order of each due cycle ORDER_LEAD_DAYS before the delivery date, substituting out-of-stock items
+ *
+ * Runs every hour at minute 10 (Asia/Ho_Chi_Minh). Each cycle is claimed before its order is created, so re-runs
+ * and restarts never order the same delivery twice.
+ *
+ * @module jobs/subscriptionJob
+ */
+const cron = require("node-cron");
+const SubscriptionService = require("../services/SubscriptionService");
+
+/** Cron expression: minute 10 of every hour. */
+const CRON_HOURLY = "10 * * * *";
+
+function run() {
+  cron.schedule(
+    CRON_HOURLY,
+    async () => {
+      try {
+        const { resumed, reminded, ordered, failed, skipped } = await SubscriptionService.processSubscriptions();
+        if (resumed + reminded + ordered + failed + skipped > 0) {
+          console.log(
+            `Subscription job: resumed ${resumed}, reminded ${reminded}, ordered ${ordered}, failed ${failed}, skipped ${skipped}`
+          );
+        }
+      } catch (err) {
+        console.error("Subscription job error:", err.message);
+      }
+    },
+    { timezone: "Asia/Ho_Chi_Minh" }
+  );
+  console.log("Subscription job scheduled (hourly, orders created " + SubscriptionService.ORDER_LEAD_DAYS + " day(s) before delivery)");
+}
+
+module.exports = { run };
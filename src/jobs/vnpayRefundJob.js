@@ -0,0 +1,31 @@
+/**
+ * CRON: gửi các refund VNPay đang chờ (PaymentModel REFUND/PENDING đến hạn next_attempt_at) sang VNPay.
+ * Chạy mỗi phút; lỗi tạm thời được RefundService lên lịch thử lại với backoff, hết lượt → FAILED (admin retry).
+ */
+const cron = require("node-cron");
+const RefundService = require("../services/RefundService");
+
+const CRON_EXPRESSION = "* * * * *"; // mỗi phút
+
+let running = false;
+
+function startVnpayRefundJob() {
+    cron.schedule(CRON_EXPRESSION, async () => {
+        // Lượt trước chưa xong (VNPay chậm) → bỏ qua lượt này
+        if (running) return;
+        running = true;
+        try {
+            const result = await RefundService.runPendingRefunds();
+            if (result.processed > 0) {
+                console.log("[VnpayRefund] Job finished:", result);
+            }
+        } catch (error) {
+            console.error("[VnpayRefund] Job failed:", error);
+        } finally {
+            running = false;
+        }
+    });
+    console.log("VNPay refund cron scheduled (every minute)");
+}
+
+module.exports = { startVnpayRefundJob };
@@ -940,3 +940,82 @@ const uploadChatImages = (req, res, next) => {
 
 module.exports.uploadChatImages = uploadChatImages;
 
+// Upload ảnh yêu cầu trả hàng (tối đa 5 ảnh) → req.body.images / imagePublicIds
+const uploadReturnImages = (req, res, next) => {
+  const handler = upload.array("images", 5);
+
+  handler(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        status: "ERR",
+        message: err.message,
+      });
+    }
+
+    try {
+      if (req.files && req.files.length > 0) {
+        const uploads = req.files.map((file) =>
+          uploadToCloudinary(file.buffer, "returns")
+        );
+
+        const results = await Promise.all(uploads);
+
+        req.body.images = results.map((r) => r.secure_url);
+        req.body.imagePublicIds = results.map((r) => r.public_id);
+      } else {
+        req.body.images = [];
+        req.body.imagePublicIds = [];
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        status: "ERR",
+        message: error.message,
+      });
+    }
+  });
+};
+
+module.exports.uploadReturnImages = uploadReturnImages;
+
+// Upload ảnh phiếu huỷ hàng (tối đa 5 ảnh) → req.body.images / imagePublicIds
+const uploadWriteOffImages = (req, res, next) => {
+  const handler = upload.array("images", 5);
+
+  handler(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        status: "ERR",
+        message: err.message,
+      });
+    }
+
+    try {
+      const files = req.files || [];
+      if (files.some((file) => !ALLOWED_IMAGE_MIMES.includes(file.mimetype))) {
+        return res.status(400).json({ status: "ERR", message: IMAGE_FILE_TYPE_ERROR });
+      }
+      if (files.length > 0) {
+        const results = await Promise.all(
+          files.map((file) => uploadToCloudinary(file.buffer, "write-offs"))
+        );
+
+        req.body.images = results.map((r) => r.secure_url);
+        req.body.imagePublicIds = results.map((r) => r.public_id);
+      } else {
+        req.body.images = [];
+        req.body.imagePublicIds = [];
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        status: "ERR",
+        message: error.message,
+      });
+    }
+  });
+};
+
+module.exports.uploadWriteOffImages = uploadWriteOffImages;
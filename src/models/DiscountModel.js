@@ -10,13 +10,52 @@ const discountSchema = new mongoose.Schema(
             trim: true
         },
 
+        // PERCENT: % trên giá trị hàng hợp lệ | FIXED: số tiền VND cố định | FREE_SHIPPING: giảm phí ship
+        discountType: {
+            type: String,
+            enum: ["PERCENT", "FIXED", "FREE_SHIPPING"],
+            default: "PERCENT"
+        },
+
         discountPercent: {
             type: Number,
-            required: true,
+            required: function () {
+                return !this.discountType || this.discountType === "PERCENT";
+            },
+            default: null,
             min: 1,
             max: 100
         },
 
+        // FIXED: số tiền giảm (VND), không vượt giá trị hàng hợp lệ
+        discountValue: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+
+        // Phạm vi áp dụng: mảng rỗng = mọi sản phẩm; nhiều điều kiện = sản phẩm phải thỏa tất cả
+        applicableProducts: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "products"
+            }
+        ],
+
+        applicableCategories: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "categories"
+            }
+        ],
+
+        applicableSuppliers: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "suppliers"
+            }
+        ],
+
         minOrderValue: {
             type: Number,
             default: 0,
@@ -51,6 +90,39 @@ const discountSchema = new mongoose.Schema(
             min: 0
         },
 
+        // Số lần tối đa mỗi khách được dùng (null = không giới hạn)
+        perUserLimit: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+
+        // Điều kiện khách hàng theo lịch sử đơn (CustomerService.matchesSegment)
+        customerSegment: {
+            type: String,
+            enum: ["ALL", "NEW_CUSTOMER", "RETURNING_CUSTOMER", "LOYAL_CUSTOMER"],
+            default: "ALL"
+        },
+
+        // LOYAL_CUSTOMER: số đơn COMPLETED tối thiểu
+        minCompletedOrders: {
+            type: Number,
+            default: null,
+            min: 1
+        },
+
+        // Cho phép dùng chung với mã khác (mọi mã trong đơn đều phải stackable)
+        stackable: {
+            type: Boolean,
+            default: false
+        },
+
+        // Thứ tự áp dụng khi dùng nhiều mã: số nhỏ áp dụng trước, mã sau tính trên giá đã giảm
+        priority: {
+            type: Number,
+            default: 100
+        },
+
         status: {
             type: String,
             enum: ["PENDING", "APPROVED", "REJECTED", "EXPIRED"],
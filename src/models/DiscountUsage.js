@@ -20,9 +20,22 @@ const discountUsageSchema = new mongoose.Schema(
             required: true
         },
 
+        discountType: {
+            type: String,
+            enum: ["PERCENT", "FIXED", "FREE_SHIPPING"],
+            default: "PERCENT"
+        },
+
         discountPercent: {
             type: Number,
-            required: true
+            default: 0
+        },
+
+        // Phần giảm trên phí ship (FREE_SHIPPING); discountAmount đã bao gồm
+        shippingDiscountAmount: {
+            type: Number,
+            default: 0,
+            min: 0
         },
 
         discountAmount: {
@@ -46,6 +59,12 @@ const discountUsageSchema = new mongoose.Schema(
         usedAt: {
             type: Date,
             default: Date.now
+        },
+
+        // Lượt dùng thứ mấy của user với mã có perUserLimit (1..perUserLimit) – unique để chặn hai đơn tranh cùng lượt
+        useIndex: {
+            type: Number,
+            min: 1
         }
     },
     {
@@ -53,11 +72,13 @@ const discountUsageSchema = new mongoose.Schema(
     }
 );
 
-//each user can use a discount only once
+// số lần dùng mỗi user giới hạn bởi discount.perUserLimit (DiscountService.recordDiscountUsage)
+discountUsageSchema.index({ userId: 1, discountId: 1 });
 discountUsageSchema.index(
-    { userId: 1, discountId: 1 },
-    { unique: true }
+    { discountId: 1, userId: 1, useIndex: 1 },
+    { unique: true, partialFilterExpression: { useIndex: { $exists: true } } }
 );
+discountUsageSchema.index({ discountId: 1, orderId: 1 });
 discountUsageSchema.index({ usedAt: 1 });
 
 const DiscountUsageModel = mongoose.model("discount_usages", discountUsageSchema);
@@ -49,6 +49,46 @@ const fruitTypeSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    /** Số ngày (tính từ lúc phân bổ) khách phải thanh toán phần còn lại; quá hạn → job hủy đơn. */
+    paymentDeadlineDays: {
+      type: Number,
+      default: 7,
+      min: 1,
+      max: 60,
+    },
+    /** % tiền cọc bị giữ lại khi đơn bị hủy do quá hạn thanh toán (100 = mất toàn bộ cọc, 0 = hoàn toàn bộ cọc). */
+    overdueForfeitPercent: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100,
+    },
+    /** Khách tự hủy đơn miễn phí (hoàn toàn bộ cọc) trong số giờ này kể từ lúc đặt. */
+    freeCancelHours: {
+      type: Number,
+      default: 24,
+      min: 0,
+      max: 720,
+    },
+    /** Quá thời gian hủy miễn phí: % tiền cọc bị giữ lại khi khách tự hủy. */
+    lateCancelForfeitPercent: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100,
+    },
+    /** Sản lượng dự kiến (kg) = tổng kg tối đa nhận đặt trước; null = không giới hạn. Đủ thì khách vào waitlist. */
+    capacityKg: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    /** Cách chia hàng khi thu hoạch thiếu: FIFO | PRO_RATA (chia theo tỷ lệ, hoàn cọc phần thiếu) | PRIORITY_TIER (ưu tiên hạng khách). */
+    allocationStrategy: {
+      type: String,
+      enum: ["FIFO", "PRO_RATA", "PRIORITY_TIER"],
+      default: "FIFO",
+    },
     status: {
       type: String,
       enum: ["ACTIVE", "INACTIVE"],
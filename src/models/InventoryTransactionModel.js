@@ -39,6 +39,39 @@ const inventoryTransactionSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+
+    // ✅ Warehouse the stock moved in/out of (null on legacy records = default warehouse)
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "warehouses",
+      default: null,
+      index: true,
+    },
+
+    // ✅ ADJUST only: IN = stock increased, OUT = stock decreased (quantity stays positive)
+    direction: {
+      type: String,
+      enum: ["IN", "OUT", null],
+      default: null,
+    },
+    // ✅ ADJUST only: why the counted stock differs from the system stock (StockCountService)
+    reasonCode: {
+      type: String,
+      enum: ["SPOILAGE", "DAMAGE", "THEFT", "COUNT_ERROR", "OTHER", null],
+      default: null,
+    },
+
+    // ✅ Lots consumed by an ISSUE / ADJUST OUT (FEFO) or created by an ADJUST IN – see ProductLotService; empty on legacy records
+    lots: {
+      type: [
+        {
+          _id: false,
+          lot: { type: mongoose.Schema.Types.ObjectId, ref: "product_lots", required: true },
+          quantity: { type: Number, required: true, min: 1 },
+        },
+      ],
+      default: [],
+    },
   },
   { timestamps: true }
 );
@@ -46,6 +79,9 @@ const inventoryTransactionSchema = new mongoose.Schema(
 // Index: product + time
 inventoryTransactionSchema.index({ product: 1, createdAt: -1 });
 
+// ADJUST by reason (variance / shrinkage reports)
+inventoryTransactionSchema.index({ type: 1, reasonCode: 1, createdAt: -1 });
+
 // Composite index: RECEIPT by harvest batch (receipt history from harvest)
 inventoryTransactionSchema.index({ harvestBatch: 1, type: 1, createdAt: -1 });
 
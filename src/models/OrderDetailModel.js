@@ -10,7 +10,17 @@ const orderDetailSchema = new mongoose.Schema({
   product_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "products",
-    required: true,
+    // dòng của đơn pre-order là fruit type, không phải product
+    required: function () {
+      return !this.fruit_type_id;
+    },
+  },
+
+
+  fruit_type_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "fruit_types",
+    default: null,
   },
 
 
@@ -58,6 +68,32 @@ const orderDetailSchema = new mongoose.Schema({
     default: null,
     min: 0,
   },
+  // Voucher discount allocated to this line (VND, whole line) – used to prorate refunds
+  discount_share: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Automatic promotion discount allocated to this line (VND, whole line)
+  promotion_share: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Lots the line was picked from (FEFO) with the near-expiry price of each lot – restocked into the same lots on cancel
+  lots: {
+    type: [
+      {
+        _id: false,
+        lot: { type: mongoose.Schema.Types.ObjectId, ref: "product_lots", required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        expiry_date: { type: Date, default: null },
+        price: { type: Number, default: 0, min: 0 },
+        unit_cost: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    default: [],
+  },
 });
 const OrderDetailModel = mongoose.model('order_details', orderDetailSchema);
 module.exports = OrderDetailModel;
@@ -68,6 +68,16 @@ const orderSchema = new mongoose.Schema(
         "Invalid phone (must start with 0 and be 10 digits)",
       ],
     },
+    receiver_city: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    receiver_district: {
+      type: String,
+      trim: true,
+      default: null,
+    },
     order_status_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "order_statuses",
@@ -77,27 +87,99 @@ const orderSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    /** Pre-order đã thanh toán đủ mà đơn này giao hàng cho (is_preorder = true) */
+    pre_order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pre_orders",
+      default: null,
+      index: true,
+    },
     expected_ship_date: {
       type: Date,
     },
+    /** Hộp trái cây định kỳ đã sinh ra đơn này (null = đơn thường) */
+    subscription_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "subscriptions",
+      default: null,
+      index: true,
+    },
     payment_method: {
       type: String,
       enum: ["COD", "VNPAY"],
       required: true,
     },
 
-    /** Applied discount code (shown on the order) */
+    /** Applied discount code(s) (shown on the order; comma-separated when stacked) */
     discount_code: {
       type: String,
       default: null,
       trim: true,
     },
-    /** Discount amount (VND) */
+    /** Applied discount codes, in the order they were applied (snapshot) */
+    discounts: {
+      type: [
+        {
+          _id: false,
+          discount_id: { type: mongoose.Schema.Types.ObjectId, ref: "discounts" },
+          code: String,
+          discount_type: String,
+          discount_amount: { type: Number, min: 0 },
+          shipping_discount: { type: Number, min: 0 },
+        },
+      ],
+      default: [],
+    },
+    /** Discount amount (VND) – product discount + shipping_discount */
     discount_amount: {
       type: Number,
       default: 0,
       min: 0,
     },
+    /** Automatic promotions applied at checkout (snapshot) */
+    promotions: {
+      type: [
+        {
+          _id: false,
+          promotion_id: { type: mongoose.Schema.Types.ObjectId, ref: "promotions" },
+          name: String,
+          type: { type: String },
+          description: String,
+          discount_amount: { type: Number, min: 0 },
+        },
+      ],
+      default: [],
+    },
+    /** Total of automatic promotions (VND) – total_price = subtotal + shipping_fee - promotion_amount - discount_amount */
+    promotion_amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    /** Part of discount_amount taken off the shipping fee (FREE_SHIPPING vouchers) */
+    shipping_discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    /** Shipping fee (VND) – included in total_price */
+    shipping_fee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    /** Matched shipping rule type (IN_PROVINCE | OUT_PROVINCE | PROVINCE | DISTRICT) */
+    shipping_type: {
+      type: String,
+      default: null,
+    },
+    /** Fulfilling warehouse (stock is deducted from / restocked to this warehouse) */
+    warehouse_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "warehouses",
+      default: null,
+    },
 
     /* =========================
        🔁 RETRY + AUTO DELETE
@@ -112,6 +194,12 @@ const orderSchema = new mongoose.Schema(
       default: null,
     },
 
+    /** Hạn thanh toán VNPAY của đơn hộp định kỳ (= ngày giao): không bị xoá sau 15 phút, quá hạn mới xoá */
+    pay_by: {
+      type: Date,
+      default: null,
+    },
+
     auto_delete: {
       type: Boolean,
       default: false,
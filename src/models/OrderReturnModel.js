@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+/**
+ * Yêu cầu trả hàng một phần (theo dòng OrderDetail) cho đơn COMPLETED.
+ * Customer tạo (PENDING) → sales-staff / admin duyệt (APPROVED: tạo REFUND payment theo tỉ lệ, xử lý tồn kho) hoặc từ chối (REJECTED).
+ */
+const returnItemSchema = new mongoose.Schema(
+  {
+    order_detail_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "order_details",
+      required: true,
+    },
+    product_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "products",
+      required: true,
+    },
+    product_name: {
+      type: String,
+      trim: true,
+    },
+    // kg trả lại
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "quantity must be an integer",
+      },
+    },
+    // giá / kg tại thời điểm mua (OrderDetail.price)
+    unit_price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // tiền hoàn cho dòng này (đã trừ phần giảm giá phân bổ)
+    refund_amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const orderReturnSchema = new mongoose.Schema(
+  {
+    order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "orders",
+      required: true,
+      index: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "At least one item is required",
+      },
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: [1000, "Reason must be at most 1000 characters"],
+    },
+    images: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (v) => v.length <= 5,
+        message: "Return images cannot exceed 5",
+      },
+      default: [],
+    },
+    imagePublicIds: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "APPROVED", "REJECTED"],
+      default: "PENDING",
+      index: true,
+    },
+    // Khi duyệt: RESTOCK (nhập lại kho), WRITE_OFF (huỷ hàng), NONE (không thu hồi hàng)
+    disposition: {
+      type: String,
+      enum: ["RESTOCK", "WRITE_OFF", "NONE", null],
+      default: null,
+    },
+    refund_amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refund_payment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "payments",
+      default: null,
+    },
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      default: null,
+    },
+    reviewed_at: {
+      type: Date,
+      default: null,
+    },
+    review_note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Review note must be at most 500 characters"],
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("order_returns", orderReturnSchema);
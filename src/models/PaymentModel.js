@@ -5,10 +5,27 @@ const paymentSchema = new mongoose.Schema(
     order_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "orders",
-      required: true,
+      // payment của pre-order (deposit / remaining) không có order
+      required: function () {
+        return !this.pre_order_id;
+      },
+      index: true,
+    },
+
+    pre_order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pre_orders",
+      default: null,
       index: true,
     },
 
+    // REFUND: payment gốc được hoàn (lấy vnp_TransactionNo / vnp_PayDate)
+    refund_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "payments",
+      default: null,
+    },
+
     // PAYMENT | REFUND
     type: {
       type: String,
@@ -32,10 +49,35 @@ const paymentSchema = new mongoose.Schema(
     // trạng thái giao dịch tiền
     status: {
       type: String,
-      enum: ["PENDING", "SUCCESS", "FAILED", "CANCELLED", "UNPAID","TIMEOUT"],
+      // PROCESSING: refund đang được worker gửi sang VNPay
+      enum: ["PENDING", "PROCESSING", "SUCCESS", "FAILED", "CANCELLED", "UNPAID","TIMEOUT"],
       default: "PENDING",
     },
 
+    // Refund worker: số lần đã gọi VNPay, thời điểm được thử lại, lỗi gần nhất
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    next_attempt_at: {
+      type: Date,
+      default: null,
+    },
+
+    last_error: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+
+    processed_at: {
+      type: Date,
+      default: null,
+    },
+
     // VNPay fields
     provider_txn_id: {
       type: String, // vnp_TxnRef / vnp_TransactionNo
@@ -46,6 +88,12 @@ const paymentSchema = new mongoose.Schema(
       type: Object, // lưu raw response từ VNPay
     },
 
+    // vnp_CreateDate (yyyyMMddHHmmss) của URL thanh toán gần nhất – querydr đối soát cần đúng giá trị này
+    vnp_create_date: {
+      type: String,
+      default: null,
+    },
+
     note: {
       type: String,
       trim: true,
@@ -62,5 +110,7 @@ paymentSchema.index(
   { provider_txn_id: 1 },
   { unique: true, sparse: true }
 );
+paymentSchema.index({ type: 1, status: 1, next_attempt_at: 1 });
+
 const PaymentModel = mongoose.model("payments", paymentSchema);
 module.exports = PaymentModel;
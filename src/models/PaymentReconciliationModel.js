@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+/**
+ * Kết quả đối soát một payment VNPay với querydr.
+ * Một dòng / payment / ngày đối soát (run_date, giờ VN); chạy lại trong ngày sẽ ghi đè.
+ * - MATCHED: khớp, không cần sửa (VNPay chưa ghi nhận thanh toán / vẫn đang xử lý)
+ * - FIXED: đã cập nhật status payment (và order) theo VNPay
+ * - DISCREPANCY: lệch cần xử lý tay (discrepancy_type)
+ * - ERROR: không tra cứu được / response querydr sai chữ ký
+ */
+const paymentReconciliationSchema = new mongoose.Schema(
+  {
+    run_date: {
+      type: String, // YYYY-MM-DD
+      required: true,
+      index: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "payments",
+      required: true,
+    },
+    order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "orders",
+      default: null,
+    },
+    txn_ref: {
+      type: String,
+      trim: true,
+    },
+    local_status_before: {
+      type: String,
+    },
+    local_status_after: {
+      type: String,
+    },
+    local_amount: {
+      type: Number,
+      default: 0,
+    },
+    provider_amount: {
+      type: Number,
+      default: null,
+    },
+    provider_response_code: {
+      type: String,
+      default: null,
+    },
+    provider_transaction_status: {
+      type: String,
+      default: null,
+    },
+    provider_txn_id: {
+      type: String,
+      default: null,
+    },
+    result: {
+      type: String,
+      enum: ["MATCHED", "FIXED", "DISCREPANCY", "ERROR"],
+      required: true,
+      index: true,
+    },
+    discrepancy_type: {
+      type: String,
+      enum: [
+        "AMOUNT_MISMATCH",
+        "SUCCESS_WITHOUT_ORDER",
+        "DUPLICATE_TRANSACTION",
+        "QUERY_FAILED",
+        "INVALID_SIGNATURE",
+        null,
+      ],
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    provider_response: {
+      type: Object,
+      default: null,
+    },
+    checked_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentReconciliationSchema.index({ run_date: 1, payment: 1 }, { unique: true });
+
+module.exports = mongoose.model("payment_reconciliations", paymentReconciliationSchema);
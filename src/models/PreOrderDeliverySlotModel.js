@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+/**
+ * PreOrderDeliverySlot – Khung giờ giao hàng cho pre-order do admin tạo, giới hạn số đơn mỗi khung (capacity).
+ * Khách chọn khung khi thanh toán phần còn lại; pre-order giữ deliverySlotId, kho in pick list theo từng khung.
+ *
+ * fruitTypeId = null → khung dùng chung cho mọi fruit type. CLOSED = admin ngừng nhận đặt (đơn đã đặt vẫn giữ khung).
+ */
+const preOrderDeliverySlotSchema = new mongoose.Schema(
+  {
+    fruitTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "fruit_types",
+      default: null,
+    },
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, required: true },
+    /** Số pre-order tối đa được giao trong khung này. */
+    capacity: { type: Number, required: true, min: 1 },
+    status: {
+      type: String,
+      enum: ["ACTIVE", "CLOSED"],
+      default: "ACTIVE",
+    },
+    note: { type: String, trim: true, default: "" },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+preOrderDeliverySlotSchema.index({ status: 1, startAt: 1 });
+preOrderDeliverySlotSchema.index({ fruitTypeId: 1, startAt: 1 });
+
+const PreOrderDeliverySlotModel = mongoose.model("pre_order_delivery_slots", preOrderDeliverySlotSchema);
+module.exports = PreOrderDeliverySlotModel;
@@ -1,5 +1,54 @@
 const mongoose = require("mongoose");
 
+/** Một lần đổi trạng thái pre-order (ai đổi, vì sao, lúc nào) – tương tự OrderModel.status_history. */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from_status: { type: String, default: null },
+    to_status: { type: String, required: true },
+    changed_by: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    changed_by_role: {
+      type: String,
+      enum: ["admin", "sales-staff", "customer", "system"],
+      required: true,
+    },
+    reason: { type: String, trim: true, maxlength: 500 },
+    changed_at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Chốt giá / cân thực tế sau thu hoạch (PreOrderSettlementService). totalAmount được cập nhật = finalTotal;
+ * estimatedTotalAmount giữ tổng tiền tạm tính lúc đặt để khách thấy chênh lệch.
+ */
+const settlementSchema = new mongoose.Schema(
+  {
+    estimatedTotalAmount: { type: Number, required: true, min: 0 },
+    finalPricePerKg: { type: Number, required: true, min: 0 },
+    actualKg: { type: Number, required: true, min: 0 },
+    finalTotal: { type: Number, required: true, min: 0 },
+    /** Còn phải trả (finalTotal - depositPaid > 0). */
+    balanceDue: { type: Number, default: 0, min: 0 },
+    /** Tiền cọc vượt tổng tiền thực tế → hoàn lại (VNPay refund). */
+    creditAmount: { type: Number, default: 0, min: 0 },
+    settledBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    settledAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/** Chính sách thanh toán của fruit type tại thời điểm đặt cọc (services/preorderPolicy). */
+const policySchema = new mongoose.Schema(
+  {
+    depositPercent: { type: Number, min: 0, max: 100 },
+    paymentDeadlineDays: { type: Number, min: 1 },
+    overdueForfeitPercent: { type: Number, min: 0, max: 100 },
+    freeCancelHours: { type: Number, min: 0 },
+    lateCancelForfeitPercent: { type: Number, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
 /**
  * PreOrder - Created ONLY after successful VNPay payment.
  * Business commitment, not a stock transaction.
@@ -39,6 +88,9 @@ const preOrderSchema = new mongoose.Schema(
       default: "WAITING_FOR_ALLOCATION",
       index: true,
     },
+    /** Thời điểm chuyển sang status hiện tại (null = dữ liệu cũ, dùng updatedAt). */
+    status_changed_at: { type: Date, default: null },
+    status_history: { type: [statusHistorySchema], default: [] },
     paymentStatus: {
       type: String,
       enum: ["PAID"],
@@ -53,12 +105,30 @@ const preOrderSchema = new mongoose.Schema(
     totalAmount: { type: Number, default: 0, min: 0 },
     /** Thời điểm thanh toán phần còn lại thành công (null = chưa thanh toán nốt). */
     remainingPaidAt: { type: Date, default: null },
+    /** Đơn giao hàng (OrderModel, is_preorder) tạo khi đã thanh toán đủ; trạng thái pre-order đồng bộ theo đơn này. */
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: "orders", default: null },
+    /** Số kg khách đặt ban đầu khi đơn chỉ được phân bổ một phần (PRO_RATA); quantityKg = số kg được phân bổ. */
+    requestedKg: { type: Number, default: null, min: 0 },
+    /** Tiền cọc của phần không được phân bổ (đã xếp hàng hoàn VNPay hoặc hoàn thủ công). */
+    allocationRefundAmount: { type: Number, default: 0, min: 0 },
+    /** null = đơn cũ, dùng chính sách mặc định (cọc 50%, 7 ngày, mất cọc khi quá hạn). */
+    policy: { type: policySchema, default: null },
+    /** Hạn thanh toán phần còn lại (set khi chuyển sang ALLOCATED_WAITING_PAYMENT). */
+    paymentDueAt: { type: Date, default: null },
+    /** Tiền cọc bị giữ lại khi hủy (quá hạn thanh toán hoặc khách tự hủy muộn); phần còn lại của cọc được hoàn. */
+    forfeitedAmount: { type: Number, default: 0, min: 0 },
+    /** Quyết toán theo giá / số kg thực tế (null = chưa quyết toán, thanh toán theo giá tạm tính). */
+    settlement: { type: settlementSchema, default: null },
+    /** Khung giờ giao hàng khách chọn khi thanh toán phần còn lại (null = chưa chọn / đơn cũ). */
+    deliverySlotId: { type: mongoose.Schema.Types.ObjectId, ref: "pre_order_delivery_slots", default: null },
   },
   { timestamps: true }
 );
 
 preOrderSchema.index({ userId: 1, createdAt: -1 });
 preOrderSchema.index({ fruitTypeId: 1, status: 1 });
+preOrderSchema.index({ status: 1, status_changed_at: 1 });
+preOrderSchema.index({ deliverySlotId: 1, status: 1 });
 
 const PreOrderModel = mongoose.model("pre_orders", preOrderSchema);
 module.exports = PreOrderModel;
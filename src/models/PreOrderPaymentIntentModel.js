@@ -28,6 +28,8 @@ const preOrderPaymentIntentSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    /** % cọc của fruit type lúc tạo intent (amount = depositPercent% tổng tạm tính); 100 = thanh toán full. */
+    depositPercent: { type: Number, min: 0, max: 100, default: null },
     status: {
       type: String,
       enum: ["PENDING", "SUCCESS", "EXPIRED", "FAILED"],
@@ -42,8 +44,12 @@ const preOrderPaymentIntentSchema = new mongoose.Schema(
     receiver_name: { type: String, trim: true },
     receiver_phone: { type: String, trim: true },
     receiver_address: { type: String, trim: true },
+    /** Waitlist offer this intent uses (kg reserved for the customer); marked CONVERTED when the deposit succeeds. */
+    waitlistEntryId: { type: mongoose.Schema.Types.ObjectId, ref: "pre_order_waitlists", default: null },
     /** True when payment was initiated from mobile app; used at VNPay return to redirect to app deep link. */
     is_mobile: { type: Boolean, default: false },
+    /** vnp_CreateDate (yyyyMMddHHmmss) of the pay URL; copied to the payment for querydr / refund. */
+    vnp_create_date: { type: String, default: null },
   },
   { timestamps: true }
 );
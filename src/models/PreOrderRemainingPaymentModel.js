@@ -19,6 +19,14 @@ const preOrderRemainingPaymentSchema = new mongoose.Schema(
     expiresAt: { type: Date, required: true, index: true },
     /** True when payment was initiated from mobile app; used at VNPay return to redirect to app deep link. */
     is_mobile: { type: Boolean, default: false },
+    /** vnp_CreateDate (yyyyMMddHHmmss) của URL thanh toán; chép sang payment khi thành công (querydr / refund). */
+    vnp_create_date: { type: String, default: null },
+    /** Khung giờ giao hàng khách chọn; giữ chỗ trong khung khi intent còn PENDING, gán vào pre-order khi thanh toán thành công. */
+    deliverySlotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pre_order_delivery_slots",
+      default: null,
+    },
   },
   { timestamps: true }
 );
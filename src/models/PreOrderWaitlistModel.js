@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * PreOrderWaitlist – Khách xếp hàng chờ khi fruit type đã đủ capacityKg.
+ * Khi có kg được giải phóng (đơn bị huỷ / hoàn tiền, admin tăng capacity), hệ thống offer lần lượt theo thứ tự tham gia.
+ * Offer có hạn (offerExpiresAt); khách đặt cọc trong hạn → CONVERTED, quá hạn → EXPIRED và kg được offer cho người tiếp theo.
+ *
+ * WAITING → OFFERED → CONVERTED | EXPIRED; CANCELLED = khách rời hàng chờ; CLOSED = fruit type đã ngừng nhận pre-order.
+ */
+const preOrderWaitlistSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+    fruitTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "fruit_types",
+      required: true,
+    },
+    /** Số kg khách muốn đặt. */
+    quantityKg: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["WAITING", "OFFERED", "CONVERTED", "EXPIRED", "CANCELLED", "CLOSED"],
+      default: "WAITING",
+    },
+    /** Số kg được giữ cho khách trong offer (có thể < quantityKg nếu chỉ giải phóng được một phần). */
+    offeredKg: { type: Number, default: null, min: 0 },
+    offeredAt: { type: Date, default: null },
+    offerExpiresAt: { type: Date, default: null },
+    convertedPreOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pre_orders",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+preOrderWaitlistSchema.index({ fruitTypeId: 1, status: 1, createdAt: 1 });
+preOrderWaitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+// Mỗi khách chỉ có một chỗ đang chờ / đang được offer cho một fruit type
+preOrderWaitlistSchema.index(
+  { userId: 1, fruitTypeId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["WAITING", "OFFERED"] } } }
+);
+
+const PreOrderWaitlistModel = mongoose.model("pre_order_waitlists", preOrderWaitlistSchema);
+module.exports = PreOrderWaitlistModel;
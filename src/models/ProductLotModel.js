@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+/**
+ * ProductLot – Lô tồn kho thực tế của product tại một kho: mỗi phiếu nhập (RECEIPT) tạo một lô
+ * với hạn sử dụng, lô thu hoạch và giá vốn riêng → nhiều lô của cùng sản phẩm có thể bán song song.
+ *
+ * Xuất kho / trừ kho đơn hàng lấy theo FEFO (hạn gần nhất trước), xem ProductLotService.
+ * Tổng remainingQuantity các lô của một kho = WarehouseStock.onHandQuantity.
+ * source = LEGACY: lô bù cho tồn có từ trước khi theo dõi theo lô (hạn = Product.expiryDate lúc bù).
+ * source = ADJUST: hàng thừa phát hiện khi kiểm kê (StockCountService), hạn = lô bán được gần hạn nhất cùng kho
+ * (kho không còn lô bán được → Product.expiryDate).
+ */
+const productLotSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "products",
+      required: true,
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "warehouses",
+      required: true,
+    },
+    harvestBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "harvest_batches",
+      default: null,
+    },
+    // Phiếu RECEIPT / ADJUST tạo lô (null với lô LEGACY)
+    receiptTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "inventory_transactions",
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ["RECEIPT", "LEGACY", "ADJUST"],
+      default: "RECEIPT",
+    },
+    // Kỳ lô của product lúc nhập (Product.batchNumber)
+    batchNumber: { type: Number, default: 1 },
+    expiryDate: { type: Date, default: null },
+    // ✅ Date-only YYYY-MM-DD in Asia/Ho_Chi_Minh
+    expiryDateStr: {
+      type: String,
+      default: null,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "expiryDateStr must be in YYYY-MM-DD format"],
+    },
+    // Giá vốn / kg của lô (mặc định Product.purchasePrice lúc nhập)
+    unitCost: { type: Number, default: 0, min: 0 },
+    receivedQuantity: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: { validator: Number.isInteger, message: "receivedQuantity must be an integer" },
+    },
+    remainingQuantity: {
+      type: Number,
+      required: true,
+      min: [0, "remainingQuantity cannot be negative"],
+      validate: { validator: Number.isInteger, message: "remainingQuantity must be an integer" },
+    },
+    // Số lượng huỷ do hết hạn (job hết hạn / chốt lô EXPIRED)
+    writtenOffQuantity: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+// FEFO: lô còn hàng của product tại kho, hạn gần nhất trước
+productLotSchema.index({ product: 1, warehouse: 1, remainingQuantity: 1, expiryDate: 1 });
+productLotSchema.index({ expiryDateStr: 1, remainingQuantity: 1 });
+productLotSchema.index({ harvestBatch: 1 });
+
+module.exports = mongoose.model("product_lots", productLotSchema);
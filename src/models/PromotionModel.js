@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+/**
+ * Khuyến mãi tự động (không cần mã) – admin tạo, áp dụng khi xem giỏ hàng và khi đặt đơn.
+ * - BUY_X_GET_Y: mua buyQuantity kg product → tặng freeQuantity kg (giảm tiền tương ứng, không xuất thêm hàng)
+ * - SPEND_THRESHOLD: tổng tiền hàng đạt minSpend của bậc cao nhất → giảm percent (tối đa maxDiscountAmount)
+ * - BUNDLE: đủ bộ bundleItems → mỗi bộ tính bundlePrice
+ */
+const tierSchema = new mongoose.Schema(
+  {
+    minSpend: { type: Number, required: true, min: 0 },
+    percent: { type: Number, required: true, min: 1, max: 100 },
+    maxDiscountAmount: { type: Number, default: null, min: 0 },
+  },
+  { _id: false }
+);
+
+const bundleItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "products", required: true },
+    quantity: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Promotion name is required"],
+      trim: true,
+      maxlength: [200, "Promotion name cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: ["BUY_X_GET_Y", "SPEND_THRESHOLD", "BUNDLE"],
+      required: true,
+    },
+
+    // BUY_X_GET_Y
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "products", default: null },
+    buyQuantity: { type: Number, default: null, min: 1 },
+    freeQuantity: { type: Number, default: null, min: 0 },
+
+    // SPEND_THRESHOLD
+    tiers: { type: [tierSchema], default: [] },
+
+    // BUNDLE
+    bundleItems: { type: [bundleItemSchema], default: [] },
+    bundlePrice: { type: Number, default: null, min: 0 },
+
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    isActive: { type: Boolean, default: true },
+    // Số nhỏ áp dụng trước; khuyến mãi theo sản phẩm không dùng lại số kg đã được khuyến mãi khác dùng
+    priority: { type: Number, default: 100 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("promotions", promotionSchema);
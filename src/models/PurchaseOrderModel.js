@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+
+/**
+ * PurchaseOrder – Đơn đặt hàng nhà cung cấp.
+ * DRAFT → SENT (gửi NCC) → PARTIALLY_RECEIVED (đã nhập một phần) → CLOSED (nhận đủ / admin chốt thiếu).
+ * CANCELLED: huỷ khi chưa nhập dòng nào.
+ *
+ * Dòng PO: product, quantity đặt, unitCost thoả thuận. Phiếu nhập (RECEIPT) nhận theo dòng PO
+ * → receivedQuantity, receipts (ngày nhận, đúng hạn hay không so với expectedDate).
+ * Phần chưa nhận của PO đang mở (SENT / PARTIALLY_RECEIVED) được cộng vào Product.plannedQuantity (PurchaseOrderService).
+ */
+const purchaseOrderReceiptSchema = new mongoose.Schema(
+  {
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: "inventory_transactions", required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    receivedAt: { type: Date, required: true },
+    // ✅ Date-only YYYY-MM-DD in Asia/Ho_Chi_Minh
+    receivedDateStr: { type: String, required: true },
+    onTime: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "products",
+    required: true,
+  },
+  productName: { type: String, trim: true, default: "" },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: { validator: Number.isInteger, message: "quantity must be an integer" },
+  },
+  // Giá nhập / kg thoả thuận – giá vốn mặc định của lô nhận theo dòng này
+  unitCost: { type: Number, required: true, min: 0 },
+  receivedQuantity: { type: Number, default: 0, min: 0 },
+  receipts: { type: [purchaseOrderReceiptSchema], default: [] },
+  firstReceivedAt: { type: Date, default: null },
+  // Lần nhập làm dòng đủ số lượng đặt
+  fullyReceivedAt: { type: Date, default: null },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    code: { type: String, trim: true, uppercase: true, immutable: true },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "suppliers",
+      required: true,
+    },
+    // Kho nhận hàng (null = kho mặc định)
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "warehouses",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["DRAFT", "SENT", "PARTIALLY_RECEIVED", "CLOSED", "CANCELLED"],
+      default: "DRAFT",
+    },
+    expectedDate: { type: Date, required: true },
+    expectedDateStr: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "expectedDateStr must be in YYYY-MM-DD format"],
+    },
+    note: { type: String, trim: true, default: "" },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "A purchase order needs at least one line",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    sentAt: { type: Date, default: null },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    closedAt: { type: Date, default: null },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    // FULLY_RECEIVED: tự đóng khi mọi dòng nhận đủ; SHORT_CLOSED: admin chốt khi NCC giao thiếu
+    closeReason: {
+      type: String,
+      enum: ["FULLY_RECEIVED", "SHORT_CLOSED", null],
+      default: null,
+    },
+    closeNote: { type: String, trim: true, default: "" },
+    cancelledAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+purchaseOrderSchema.pre("save", function (next) {
+  if (this.isNew && !this.code) {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.code = `PO-${timestamp}-${random}`;
+  }
+  next();
+});
+
+purchaseOrderSchema.index({ code: 1 }, { unique: true });
+purchaseOrderSchema.index({ status: 1, expectedDate: 1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ "lines.product": 1, status: 1 });
+
+module.exports = mongoose.model("purchase_orders", purchaseOrderSchema);
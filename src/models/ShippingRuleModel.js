@@ -1,32 +1,145 @@
 const mongoose = require("mongoose");
 
+/**
+ * Bảng giá ship.
+ * - IN_PROVINCE / OUT_PROVINCE: rule mặc định theo nội tỉnh / ngoại tỉnh so với tỉnh gửi hàng.
+ * - PROVINCE: rule riêng cho một tỉnh nhận (destinationProvince).
+ * - DISTRICT: rule riêng cho một quận/huyện (destinationProvince + destinationDistrict).
+ * Khi tính phí, rule cụ thể hơn được ưu tiên: DISTRICT > PROVINCE > IN_PROVINCE / OUT_PROVINCE.
+ */
+const weightTierSchema = new mongoose.Schema(
+  {
+    /** Cân nặng tối đa (kg) của bậc này */
+    maxWeight: {
+      type: Number,
+      required: true,
+      min: [0.1, "maxWeight must be greater than 0"],
+    },
+    /** Phí ship (VND) cho đơn có cân nặng ≤ maxWeight */
+    price: {
+      type: Number,
+      required: true,
+      min: [0, "Tier price cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
 const shippingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: "",
+    maxlength: [100, "Rule name must be at most 100 characters"],
+  },
+
   type: {
     type: String,
-    enum: ["IN_PROVINCE", "OUT_PROVINCE"],
+    enum: ["IN_PROVINCE", "OUT_PROVINCE", "PROVINCE", "DISTRICT"],
     required: true,
   },
 
   province: {
     type: String,
-    required: true, // ví dụ: "Cần Thơ"
+    required: true, // tỉnh gửi hàng, ví dụ: "Thành phố Cần Thơ"
+    trim: true,
+  },
+
+  /** Tỉnh nhận – bắt buộc với type PROVINCE / DISTRICT */
+  destinationProvince: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  /** Quận/huyện nhận – bắt buộc với type DISTRICT */
+  destinationDistrict: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  /** REMOTE = vùng sâu/xa, cộng remoteSurcharge */
+  zone: {
+    type: String,
+    enum: ["STANDARD", "REMOTE"],
+    default: "STANDARD",
   },
 
   baseWeight: {
     type: Number,
-    required: true, // kg (ví dụ: 1kg)
+    default: 0,
+    min: 0, // kg (ví dụ: 1kg) – chỉ dùng khi không có weightTiers
   },
 
   basePrice: {
     type: Number,
-    required: true, // tiền cho baseWeight
+    default: 0,
+    min: 0, // tiền cho baseWeight
   },
 
   extraPricePerKg: {
     type: Number,
-    required: true, // tiền mỗi kg vượt
+    default: 0,
+    min: 0, // tiền mỗi kg vượt (vượt baseWeight hoặc vượt bậc cuối của weightTiers)
+  },
+
+  /** Bậc cân nặng, sắp xếp tăng dần theo maxWeight */
+  weightTiers: {
+    type: [weightTierSchema],
+    default: [],
+  },
+
+  /** Giá trị đơn (VND) từ mức này trở lên thì miễn phí ship; null = không áp dụng */
+  freeShippingThreshold: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+
+  /** Phụ phí vùng sâu/xa (VND), chỉ áp dụng khi zone = REMOTE */
+  remoteSurcharge: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  /** Phụ phí hàng dễ hỏng (VND / kg) cho sản phẩm còn ≤ perishableWithinDays ngày đến hạn */
+  perishableSurchargePerKg: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  perishableWithinDays: {
+    type: Number,
+    default: 3,
+    min: 0,
+    validate: { validator: Number.isInteger, message: "perishableWithinDays must be an integer" },
+  },
+
+  /** Số ngày giao dự kiến – dùng khi chọn kho giao nhanh nhất */
+  estimatedDeliveryDays: {
+    type: Number,
+    default: 3,
+    min: 0,
+    validate: { validator: Number.isInteger, message: "estimatedDeliveryDays must be an integer" },
+  },
+
+  status: {
+    type: Boolean,
+    default: true,
   },
 
 }, { timestamps: true });
 
+shippingRuleSchema.index({ province: 1, type: 1, status: 1 });
+
+shippingRuleSchema.pre("save", function (next) {
+  if (Array.isArray(this.weightTiers) && this.weightTiers.length > 1) {
+    this.weightTiers.sort((a, b) => a.maxWeight - b.maxWeight);
+  }
+  next();
+});
+
 module.exports = mongoose.model("shipping_rules", shippingRuleSchema);
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+/**
+ * StockCountSession – Phiên kiểm kê (cycle count) tồn kho của một kho cho một nhóm sản phẩm.
+ * OPEN: nhân viên kho nhập số đếm → SUBMITTED: chờ admin duyệt → APPROVED: đã ghi ADJUST cho dòng lệch.
+ * CANCELLED: huỷ, không điều chỉnh tồn.
+ *
+ * systemQuantity = tồn theo kho lúc nhập số đếm (lúc mở phiên nếu chưa đếm); variance = countedQuantity - systemQuantity.
+ * Khi duyệt, variance được ghi thành ADJUST trên tồn hiện tại (bán hàng sau lúc đếm không bị tính là lệch).
+ * blind = true: nhân viên kho không thấy systemQuantity / variance cho tới khi phiên được duyệt.
+ */
+const stockCountItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "products",
+      required: true,
+    },
+    productName: { type: String, default: "" },
+    systemQuantity: { type: Number, required: true, min: 0 },
+    countedQuantity: { type: Number, default: null, min: 0 },
+    variance: { type: Number, default: null },
+    // Giá nhập lúc mở phiên – định giá chênh lệch
+    unitCost: { type: Number, default: 0, min: 0 },
+    reasonCode: {
+      type: String,
+      enum: ["SPOILAGE", "DAMAGE", "THEFT", "COUNT_ERROR", "OTHER", null],
+      default: null,
+    },
+    note: { type: String, trim: true, default: "" },
+    countedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      default: null,
+    },
+    countedAt: { type: Date, default: null },
+    // Phiếu ADJUST đã ghi khi duyệt (null nếu không lệch)
+    adjustmentTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "inventory_transactions",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const stockCountSessionSchema = new mongoose.Schema(
+  {
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "warehouses",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["OPEN", "SUBMITTED", "APPROVED", "CANCELLED"],
+      default: "OPEN",
+    },
+    blind: { type: Boolean, default: false },
+    note: { type: String, trim: true, default: "" },
+    items: {
+      type: [stockCountItemSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "A stock count needs at least one product",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    submittedAt: { type: Date, default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+stockCountSessionSchema.index({ status: 1, createdAt: -1 });
+stockCountSessionSchema.index({ warehouse: 1, status: 1 });
+stockCountSessionSchema.index({ "items.product": 1, status: 1 });
+stockCountSessionSchema.index({ "items.countedBy": 1, reviewedAt: -1 });
+
+module.exports = mongoose.model("stock_count_sessions", stockCountSessionSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+/**
+ * Subscription – Khách đăng ký hộp trái cây định kỳ theo một SubscriptionPlan.
+ * Mỗi kỳ jobs/subscriptionJob nhắc khách trước ngày tạo đơn, rồi tạo OrderModel (subscription_id) và dời next_delivery_date.
+ *
+ * ACTIVE → PAUSED (paused_until: tự chạy lại; null = đến khi khách resume) → ACTIVE; CANCELLED là trạng thái cuối.
+ */
+const substitutionSchema = new mongoose.Schema(
+  {
+    from_product: { type: mongoose.Schema.Types.ObjectId, ref: "products", default: null },
+    to_product: { type: mongoose.Schema.Types.ObjectId, ref: "products", default: null },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: "categories", default: null },
+    quantity: { type: Number, min: 0 },
+    /** OUT_OF_STOCK = thay bằng sản phẩm cùng danh mục; UNAVAILABLE = không có sản phẩm thay thế, bỏ dòng này */
+    reason: { type: String, enum: ["OUT_OF_STOCK", "UNAVAILABLE"] },
+  },
+  { _id: false }
+);
+
+const cycleSchema = new mongoose.Schema(
+  {
+    delivery_date: { type: Date, required: true },
+    status: { type: String, enum: ["ORDERED", "SKIPPED", "FAILED"], required: true },
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: "orders", default: null },
+    substitutions: { type: [substitutionSchema], default: [] },
+    message: { type: String, default: "" },
+    created_at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true, index: true },
+    plan_id: { type: mongoose.Schema.Types.ObjectId, ref: "subscription_plans", required: true },
+    /** Tần suất tại thời điểm đăng ký (admin đổi gói không ảnh hưởng khách đang dùng). */
+    frequency: { type: String, enum: ["WEEKLY", "MONTHLY"], required: true },
+    receiver_name: { type: String, required: true, trim: true },
+    receiver_phone: { type: String, required: true, trim: true },
+    receiver_address: { type: String, required: true, trim: true },
+    receiver_city: { type: String, required: true, trim: true },
+    receiver_district: { type: String, default: null, trim: true },
+    note: { type: String, default: "", trim: true },
+    payment_method: { type: String, enum: ["COD", "VNPAY"], default: "COD" },
+    status: {
+      type: String,
+      enum: ["ACTIVE", "PAUSED", "CANCELLED"],
+      default: "ACTIVE",
+    },
+    next_delivery_date: { type: Date, required: true },
+    /** Ngày trong tháng của lần giao đầu (MONTHLY giao đúng ngày này, tháng ngắn hơn → ngày cuối tháng). */
+    anchor_day: { type: Number, min: 1, max: 31, default: null },
+    paused_until: { type: Date, default: null },
+    /** next_delivery_date đã được nhắc (tránh gửi trùng). */
+    reminder_sent_for: { type: Date, default: null },
+    cycles: { type: [cycleSchema], default: [] },
+    cancelled_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+subscriptionSchema.index({ status: 1, next_delivery_date: 1 });
+subscriptionSchema.index({ status: 1, paused_until: 1 });
+
+const SubscriptionModel = mongoose.model("subscriptions", subscriptionSchema);
+module.exports = SubscriptionModel;
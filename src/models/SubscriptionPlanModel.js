@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * SubscriptionPlan – Gói hộp trái cây định kỳ (admin tạo).
+ * Mỗi dòng là một product cụ thể hoặc một danh mục (hệ thống chọn product còn hàng trong danh mục mỗi kỳ), quantity tính theo kg.
+ */
+const planItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "products", default: null },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: "categories", default: null },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: { validator: Number.isInteger, message: "quantity must be an integer (kg)" },
+    },
+  },
+  { _id: false }
+);
+
+const subscriptionPlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Plan name is required"],
+      trim: true,
+      maxlength: [200, "Plan name cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+      default: "",
+    },
+    frequency: {
+      type: String,
+      enum: ["WEEKLY", "MONTHLY"],
+      required: true,
+    },
+    items: {
+      type: [planItemSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0 && v.every((i) => !!i.product !== !!i.category),
+        message: "A plan needs at least one item; each item is either a product or a category",
+      },
+    },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  },
+  { timestamps: true }
+);
+
+subscriptionPlanSchema.index({ isActive: 1, frequency: 1 });
+
+const SubscriptionPlanModel = mongoose.model("subscription_plans", subscriptionPlanSchema);
+module.exports = SubscriptionPlanModel;
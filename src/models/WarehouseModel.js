@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+/**
+ * Kho / điểm lấy hàng. Mỗi kho có tỉnh gửi riêng (province) để tính phí ship theo bảng giá của tỉnh đó.
+ * Luôn có đúng một kho mặc định (isDefault) – dùng cho nhập/xuất khi không chỉ định kho.
+ */
+const warehouseSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Warehouse code is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+      maxlength: [20, "Warehouse code must be at most 20 characters"],
+    },
+    name: {
+      type: String,
+      required: [true, "Warehouse name is required"],
+      trim: true,
+      maxlength: [100, "Warehouse name must be at most 100 characters"],
+    },
+    address: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [200, "Address must be at most 200 characters"],
+    },
+    /** Tỉnh/thành của kho – khớp với ShippingRule.province */
+    province: {
+      type: String,
+      required: [true, "Province is required"],
+      trim: true,
+    },
+    district: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    phone: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    status: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("warehouses", warehouseSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+/**
+ * Tồn kho theo từng kho. Product.onHandQuantity = tổng onHandQuantity của các kho.
+ */
+const warehouseStockSchema = new mongoose.Schema(
+  {
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "warehouses",
+      required: true,
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "products",
+      required: true,
+      index: true,
+    },
+    onHandQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, "onHandQuantity cannot be negative"],
+      validate: {
+        validator: Number.isInteger,
+        message: "onHandQuantity must be an integer",
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+warehouseStockSchema.index({ warehouse: 1, product: 1 }, { unique: true });
+
+module.exports = mongoose.model("warehouse_stocks", warehouseStockSchema);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+/**
+ * WriteOff – Phiếu huỷ hàng hỏng / dập / mất do nhân viên kho ghi nhận (kèm ảnh chứng từ).
+ * Mỗi phiếu trừ tồn ngay qua một transaction ADJUST (direction OUT) cùng reasonCode.
+ *
+ * Giá trị huỷ = quantity × unitCost (Product.purchasePrice lúc huỷ).
+ * lots: phân bổ theo lô đã trừ (FEFO hoặc lô chỉ định) – kèm lô thu hoạch + nhà cung cấp để báo cáo hao hụt.
+ */
+const writeOffLotSchema = new mongoose.Schema(
+  {
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "product_lots", required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    harvestBatch: { type: mongoose.Schema.Types.ObjectId, ref: "harvest_batches", default: null },
+    // NCC của lô thu hoạch, không có lô thu hoạch thì lấy NCC của product
+    supplier: { type: mongoose.Schema.Types.ObjectId, ref: "suppliers", default: null },
+  },
+  { _id: false }
+);
+
+const writeOffSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "products",
+      required: true,
+    },
+    productName: { type: String, trim: true, default: "" },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "warehouses",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: { validator: Number.isInteger, message: "quantity must be an integer" },
+    },
+    reasonCode: {
+      type: String,
+      enum: ["SPOILAGE", "DAMAGE", "THEFT", "OTHER"],
+      required: true,
+    },
+    note: { type: String, trim: true, default: "" },
+    images: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (v) => v.length <= 5,
+        message: "Write-off images cannot exceed 5",
+      },
+      default: [],
+    },
+    imagePublicIds: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+    unitCost: { type: Number, default: 0, min: 0 },
+    totalCost: { type: Number, default: 0, min: 0 },
+    supplier: { type: mongoose.Schema.Types.ObjectId, ref: "suppliers", default: null },
+    lots: { type: [writeOffLotSchema], default: [] },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "inventory_transactions",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+writeOffSchema.index({ createdAt: -1 });
+writeOffSchema.index({ product: 1, createdAt: -1 });
+writeOffSchema.index({ createdBy: 1, createdAt: -1 });
+writeOffSchema.index({ "lots.harvestBatch": 1 });
+
+module.exports = mongoose.model("write_offs", writeOffSchema);
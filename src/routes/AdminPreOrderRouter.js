@@ -3,6 +3,8 @@ const router = express.Router();
 const FruitTypeController = require("../controller/FruitTypeController");
 const PreOrderAllocationController = require("../controller/PreOrderAllocationController");
 const AdminPreOrderController = require("../controller/AdminPreOrderController");
+const PreOrderWaitlistController = require("../controller/PreOrderWaitlistController");
+const PreOrderDeliverySlotController = require("../controller/PreOrderDeliverySlotController");
 const { authAdminOrSalesStaffForOrderMiddleware } = require("../middleware/authMiddleware");
 const { uploadFruitTypeImages } = require("../middleware/uploadMiddleware");
 
@@ -10,18 +12,33 @@ const { uploadFruitTypeImages } = require("../middleware/uploadMiddleware");
 router.get("/stats", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.getPreOrderStats);
 router.get("/pre-orders", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.listPreOrders);
 router.get("/pre-orders/:id", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.getPreOrderDetail);
+router.get("/pre-orders/:id/timeline", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.getPreOrderTimeline);
 router.put("/pre-orders/:id/complete", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.markCompleted);
 router.put("/pre-orders/:id/refund", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.markRefund);
 router.put("/pre-orders/:id/cancel", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.markCancel);
+router.post("/pre-orders/:id/create-order", authAdminOrSalesStaffForOrderMiddleware, AdminPreOrderController.createOrder);
 
 router.get("/demand", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.getDemand);
+router.get("/forecast", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.getForecast);
 router.get("/allocations", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.listAllocations);
+router.post("/allocations/preview", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.previewAllocation);
 router.post("/allocations", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.upsertAllocation);
+router.post("/settlements/preview", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.previewSettlement);
+router.post("/settlements", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.settlePreOrders);
+
+router.get("/waitlist", authAdminOrSalesStaffForOrderMiddleware, PreOrderWaitlistController.listWaitlist);
+
+router.get("/delivery-slots", authAdminOrSalesStaffForOrderMiddleware, PreOrderDeliverySlotController.listSlots);
+router.post("/delivery-slots", authAdminOrSalesStaffForOrderMiddleware, PreOrderDeliverySlotController.createSlot);
+router.put("/delivery-slots/:id", authAdminOrSalesStaffForOrderMiddleware, PreOrderDeliverySlotController.updateSlot);
+router.put("/delivery-slots/:id/close", authAdminOrSalesStaffForOrderMiddleware, PreOrderDeliverySlotController.closeSlot);
 
 router.get("/fruit-types", authAdminOrSalesStaffForOrderMiddleware, FruitTypeController.listAdmin);
 router.get("/fruit-types/:id", authAdminOrSalesStaffForOrderMiddleware, FruitTypeController.getById);
 router.post("/fruit-types", authAdminOrSalesStaffForOrderMiddleware, uploadFruitTypeImages, FruitTypeController.create);
 router.put("/fruit-types/:id", authAdminOrSalesStaffForOrderMiddleware, uploadFruitTypeImages, FruitTypeController.update);
+router.put("/fruit-types/:id/allocation-strategy", authAdminOrSalesStaffForOrderMiddleware, PreOrderAllocationController.setAllocationStrategy);
+router.put("/fruit-types/:id/capacity", authAdminOrSalesStaffForOrderMiddleware, PreOrderWaitlistController.setCapacity);
 router.delete("/fruit-types/:id", authAdminOrSalesStaffForOrderMiddleware, FruitTypeController.remove);
 
 module.exports = router;
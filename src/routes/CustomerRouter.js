@@ -52,6 +52,14 @@ router.patch("/:id/status", CustomerController.updateCustomerStatus);
  */
 router.get("/:id/orders", CustomerController.getCustomerOrders);
 
+/**
+ * @route   GET /customers/:id/segments
+ * @desc    Get voucher eligibility segments (NEW_CUSTOMER, RETURNING_CUSTOMER, LOYAL_CUSTOMER) and order stats
+ * @params  id - Customer ID
+ * @access  Admin
+ */
+router.get("/:id/segments", CustomerController.getCustomerSegments);
+
 /**
  * @route   GET /customers/:id
  * @desc    Get detailed information of a customer
@@ -6,8 +6,14 @@
 const express = require("express");
 const router = express.Router();
 const ExportController = require("../controller/ExportController");
-const { authAdminOrSalesStaffForOrderMiddleware } = require("../middleware/authMiddleware");
+const {
+  authAdminMiddleware,
+  authAdminOrSalesStaffForOrderMiddleware,
+} = require("../middleware/authMiddleware");
 
 router.get("/sales-stats", authAdminOrSalesStaffForOrderMiddleware, ExportController.exportSalesStatsExcel);
+router.get("/payment-reconciliation", authAdminMiddleware, ExportController.exportPaymentReconciliationExcel);
+router.get("/preorder-forecast", authAdminOrSalesStaffForOrderMiddleware, ExportController.exportPreOrderForecastExcel);
+router.get("/supplier-scorecards", authAdminMiddleware, ExportController.exportSupplierScorecardsExcel);
 
 module.exports = router;
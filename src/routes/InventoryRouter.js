@@ -3,6 +3,10 @@ const InventoryTransactionController = require("../controller/InventoryTransacti
 const PreOrderStockController = require("../controller/PreOrderStockController");
 const PreOrderHarvestBatchController = require("../controller/PreOrderHarvestBatchController");
 const WarehouseStaffStatsController = require("../controller/WarehouseStaffStatsController");
+const StockCountController = require("../controller/StockCountController");
+const WriteOffController = require("../controller/WriteOffController");
+const PurchaseOrderController = require("../controller/PurchaseOrderController");
+const { uploadWriteOffImages } = require("../middleware/uploadMiddleware");
 const {
   inventoryWarehouseMiddleware,
   inventoryAdminOrWarehouseMiddleware,
@@ -48,6 +52,19 @@ InventoryRouter.post(
   PreOrderStockController.createReceiveByBatch
 );
 InventoryRouter.get("/preorder-stock/receives", inventoryAdminOrWarehouseMiddleware, PreOrderStockController.listReceives);
+InventoryRouter.get("/preorder-stock/delivery-slots", inventoryAdminOrWarehouseMiddleware, PreOrderStockController.listDeliverySlots);
+InventoryRouter.get(
+  "/preorder-stock/delivery-slots/:id/pick-list",
+  inventoryAdminOrWarehouseMiddleware,
+  PreOrderStockController.getDeliverySlotPickList
+);
+
+// Admin và Warehouse staff: dòng PO còn nhận được (nhập kho theo dòng PO: purchaseOrderId + purchaseOrderLineId)
+InventoryRouter.get(
+  "/purchase-orders/receivable",
+  inventoryAdminOrWarehouseMiddleware,
+  PurchaseOrderController.getReceivableLines
+);
 
 // Admin và Warehouse staff: nhập kho (RECEIPT) -> tạo transaction + update product (atomic)
 InventoryRouter.post("/receipts", inventoryAdminOrWarehouseMiddleware, InventoryTransactionController.createReceipt);
@@ -65,5 +82,37 @@ InventoryRouter.post("/issues", inventoryWarehouseMiddleware, InventoryTransacti
 // Admin và Warehouse staff: Xem lịch sử tất cả transactions
 InventoryRouter.get("/transactions", inventoryAdminOrWarehouseMiddleware, InventoryTransactionController.getTransactionHistory);
 
+// ----- Kiểm kê (Warehouse staff đếm + gửi duyệt; Admin duyệt → ghi ADJUST) -----
+InventoryRouter.post("/stock-counts", inventoryAdminOrWarehouseMiddleware, StockCountController.openSession);
+InventoryRouter.get("/stock-counts", inventoryAdminOrWarehouseMiddleware, StockCountController.listSessions);
+// Phải đặt trước /stock-counts/:id
+InventoryRouter.get(
+  "/stock-counts/variance-report",
+  inventoryAdminOrWarehouseMiddleware,
+  StockCountController.getVarianceReport
+);
+InventoryRouter.get("/stock-counts/:id", inventoryAdminOrWarehouseMiddleware, StockCountController.getSessionById);
+InventoryRouter.put("/stock-counts/:id/counts", inventoryAdminOrWarehouseMiddleware, StockCountController.recordCounts);
+InventoryRouter.post("/stock-counts/:id/submit", inventoryAdminOrWarehouseMiddleware, StockCountController.submitSession);
+InventoryRouter.post("/stock-counts/:id/approve", inventoryAdminMiddleware, StockCountController.approveSession);
+InventoryRouter.post("/stock-counts/:id/reopen", inventoryAdminMiddleware, StockCountController.reopenSession);
+InventoryRouter.post("/stock-counts/:id/cancel", inventoryAdminMiddleware, StockCountController.cancelSession);
+
+// ----- Huỷ hàng hỏng / dập / mất (trừ tồn ngay bằng ADJUST, kèm ảnh) -----
+InventoryRouter.post(
+  "/write-offs",
+  inventoryAdminOrWarehouseMiddleware,
+  uploadWriteOffImages,
+  WriteOffController.createWriteOff
+);
+InventoryRouter.get("/write-offs", inventoryAdminOrWarehouseMiddleware, WriteOffController.getWriteOffs);
+// Phải đặt trước /write-offs/:id
+InventoryRouter.get(
+  "/write-offs/shrinkage-report",
+  inventoryAdminOrWarehouseMiddleware,
+  WriteOffController.getShrinkageReport
+);
+InventoryRouter.get("/write-offs/:id", inventoryAdminOrWarehouseMiddleware, WriteOffController.getWriteOffById);
+
 module.exports = InventoryRouter;
 
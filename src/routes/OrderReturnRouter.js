@@ -0,0 +1,22 @@
+const express = require("express");
+const OrderReturnRouter = express.Router();
+const OrderReturnController = require("../controller/OrderReturnController");
+const {
+  authAdminOrSalesStaffForOrderMiddleware,
+  authUserMiddleware,
+  customerMiddleware,
+} = require("../middleware/authMiddleware");
+const { uploadReturnImages } = require("../middleware/uploadMiddleware");
+
+// Customer: yêu cầu trả hàng một phần cho đơn COMPLETED
+OrderReturnRouter.post("/", customerMiddleware, uploadReturnImages, OrderReturnController.createReturnRequest);
+OrderReturnRouter.get("/my-returns", authUserMiddleware, OrderReturnController.getMyReturns);
+
+// Admin + Sales-staff: duyệt / từ chối (approve body: disposition RESTOCK | WRITE_OFF | NONE, reasonCode khi WRITE_OFF, note)
+OrderReturnRouter.get("/", authAdminOrSalesStaffForOrderMiddleware, OrderReturnController.getReturns);
+OrderReturnRouter.put("/:id/approve", authAdminOrSalesStaffForOrderMiddleware, OrderReturnController.approveReturn);
+OrderReturnRouter.put("/:id/reject", authAdminOrSalesStaffForOrderMiddleware, OrderReturnController.rejectReturn);
+
+OrderReturnRouter.get("/:id", authUserMiddleware, OrderReturnController.getReturnById);
+
+module.exports = OrderReturnRouter;
@@ -9,5 +9,6 @@ const {
 
 
 routerOrderStatus.get("/", authUserMiddleware, orderStatusController.getAllOrderStatus);
+routerOrderStatus.get("/transitions", authUserMiddleware, orderStatusController.getOrderTransitions);
 
 module.exports = routerOrderStatus;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require("express");
+const PaymentReconciliationRouter = express.Router();
+const PaymentReconciliationController = require("../controller/PaymentReconciliationController");
+const { authAdminMiddleware } = require("../middleware/authMiddleware");
+
+// Admin: kết quả đối soát VNPay (?run_date | from_date + to_date, result, discrepancy_type) + chạy đối soát thủ công
+// Excel: GET /admin/export/payment-reconciliation
+PaymentReconciliationRouter.get("/", authAdminMiddleware, PaymentReconciliationController.getReconciliations);
+PaymentReconciliationRouter.post("/run", authAdminMiddleware, PaymentReconciliationController.runReconciliation);
+
+module.exports = PaymentReconciliationRouter;
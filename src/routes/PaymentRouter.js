@@ -5,5 +5,6 @@ const { authUserMiddleware } = require("../middleware/authMiddleware");
 
 routerPayment.post("/vnpay/create", authUserMiddleware, paymentController.createVnpayPaymentUrl);
 routerPayment.get("/vnpay/return", paymentController.vnpayReturn);
+routerPayment.get("/vnpay/ipn", paymentController.vnpayIpn);
 
 module.exports = routerPayment;
\ No newline at end of file
@@ -2,13 +2,20 @@ const express = require("express");
 const router = express.Router();
 const FruitTypeController = require("../controller/FruitTypeController");
 const PreOrderController = require("../controller/PreOrderController");
+const PreOrderWaitlistController = require("../controller/PreOrderWaitlistController");
 const { authUserMiddleware } = require("../middleware/authMiddleware");
 
 router.get("/fruit-types", FruitTypeController.listAvailable);
 router.get("/fruit-types/:id", FruitTypeController.getAvailableById);
 router.post("/create-payment-intent", authUserMiddleware, PreOrderController.createPaymentIntent);
 router.get("/my-pre-orders", authUserMiddleware, PreOrderController.getMyPreOrders);
+router.get("/cancel/:id/quote", authUserMiddleware, PreOrderController.getCancellationQuote);
 router.put("/cancel/:id", authUserMiddleware, PreOrderController.cancelPreOrder);
+router.get("/delivery-slots/:id", authUserMiddleware, PreOrderController.getDeliverySlots);
+router.put("/delivery-slots/:id", authUserMiddleware, PreOrderController.chooseDeliverySlot);
 router.post("/create-remaining-payment/:id", authUserMiddleware, PreOrderController.createRemainingPayment);
+router.post("/waitlist", authUserMiddleware, PreOrderWaitlistController.joinWaitlist);
+router.get("/my-waitlist", authUserMiddleware, PreOrderWaitlistController.getMyWaitlist);
+router.delete("/waitlist/:id", authUserMiddleware, PreOrderWaitlistController.leaveWaitlist);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const PromotionRouter = express.Router();
+const PromotionController = require("../controller/PromotionController");
+const { authAdminMiddleware } = require("../middleware/authMiddleware");
+
+// Public: khuyến mãi tự động đang chạy
+PromotionRouter.get("/active", PromotionController.getRunningPromotions);
+
+// Admin: quản lý khuyến mãi (?status=RUNNING|UPCOMING|ENDED|INACTIVE|ALL&type=...)
+PromotionRouter.get("/", authAdminMiddleware, PromotionController.getPromotions);
+PromotionRouter.post("/", authAdminMiddleware, PromotionController.createPromotion);
+PromotionRouter.get("/:id", authAdminMiddleware, PromotionController.getPromotionById);
+PromotionRouter.put("/:id", authAdminMiddleware, PromotionController.updatePromotion);
+PromotionRouter.put("/:id/activate", authAdminMiddleware, PromotionController.activatePromotion);
+PromotionRouter.put("/:id/deactivate", authAdminMiddleware, PromotionController.deactivatePromotion);
+
+module.exports = PromotionRouter;
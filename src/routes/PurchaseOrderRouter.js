@@ -0,0 +1,15 @@
+const express = require("express");
+const PurchaseOrderRouter = express.Router();
+const PurchaseOrderController = require("../controller/PurchaseOrderController");
+const { authAdminMiddleware } = require("../middleware/authMiddleware");
+
+// Admin only: đơn đặt hàng NCC (DRAFT → SENT → PARTIALLY_RECEIVED → CLOSED)
+PurchaseOrderRouter.post("/", authAdminMiddleware, PurchaseOrderController.createPurchaseOrder);
+PurchaseOrderRouter.get("/", authAdminMiddleware, PurchaseOrderController.getPurchaseOrders);
+PurchaseOrderRouter.put("/:id", authAdminMiddleware, PurchaseOrderController.updatePurchaseOrder);
+PurchaseOrderRouter.post("/:id/send", authAdminMiddleware, PurchaseOrderController.sendPurchaseOrder);
+PurchaseOrderRouter.post("/:id/close", authAdminMiddleware, PurchaseOrderController.closePurchaseOrder);
+PurchaseOrderRouter.post("/:id/cancel", authAdminMiddleware, PurchaseOrderController.cancelPurchaseOrder);
+PurchaseOrderRouter.get("/:id", authAdminMiddleware, PurchaseOrderController.getPurchaseOrderById);
+
+module.exports = PurchaseOrderRouter;
@@ -0,0 +1,12 @@
+const express = require("express");
+const RefundRouter = express.Router();
+const RefundController = require("../controller/RefundController");
+const { authAdminMiddleware } = require("../middleware/authMiddleware");
+
+// Admin: refund VNPay bị kẹt / thất bại (?status=ATTENTION|STUCK|FAILED|PENDING|PROCESSING|SUCCESS|ALL) + retry thủ công (chỉ FAILED)
+RefundRouter.get("/", authAdminMiddleware, RefundController.getRefunds);
+RefundRouter.post("/:id/retry", authAdminMiddleware, RefundController.retryRefund);
+// PROCESSING bị kẹt: admin đối chiếu cổng VNPay rồi chốt { status: SUCCESS|FAILED, note }
+RefundRouter.post("/:id/resolve", authAdminMiddleware, RefundController.resolveStuckRefund);
+
+module.exports = RefundRouter;
@@ -1,8 +1,15 @@
 const express = require("express");
 const routerShipping = express.Router();
 const shippingController = require("../controller/ShippingController");
-const { authUserMiddleware } = require("../middleware/authMiddleware");
+const { authUserMiddleware, authAdminMiddleware } = require("../middleware/authMiddleware");
 
 routerShipping.post("/check", authUserMiddleware, shippingController.checkShippingFee);
 
-module.exports = routerShipping;
\ No newline at end of file
+// Admin: quản lý bảng giá ship
+routerShipping.get("/rules", authAdminMiddleware, shippingController.getShippingRules);
+routerShipping.post("/rules", authAdminMiddleware, shippingController.createShippingRule);
+routerShipping.get("/rules/:id", authAdminMiddleware, shippingController.getShippingRuleById);
+routerShipping.put("/rules/:id", authAdminMiddleware, shippingController.updateShippingRule);
+routerShipping.delete("/rules/:id", authAdminMiddleware, shippingController.deleteShippingRule);
+
+module.exports = routerShipping;
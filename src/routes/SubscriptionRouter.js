@@ -0,0 +1,26 @@
+const express = require("express");
+const SubscriptionRouter = express.Router();
+const SubscriptionController = require("../controller/SubscriptionController");
+const { authAdminMiddleware, authUserMiddleware } = require("../middleware/authMiddleware");
+
+// Admin: gói hộp trái cây định kỳ + danh sách khách đăng ký
+SubscriptionRouter.get("/admin/plans", authAdminMiddleware, SubscriptionController.adminListPlans);
+SubscriptionRouter.post("/admin/plans", authAdminMiddleware, SubscriptionController.createPlan);
+SubscriptionRouter.get("/admin/plans/:id", authAdminMiddleware, SubscriptionController.adminGetPlanById);
+SubscriptionRouter.put("/admin/plans/:id", authAdminMiddleware, SubscriptionController.updatePlan);
+SubscriptionRouter.get("/admin/subscriptions", authAdminMiddleware, SubscriptionController.adminListSubscriptions);
+
+// Public: gói đang mở đăng ký
+SubscriptionRouter.get("/plans", SubscriptionController.listPlans);
+SubscriptionRouter.get("/plans/:id", SubscriptionController.getPlanById);
+
+// Customer: đăng ký / tạm dừng / bỏ qua kỳ / hủy
+SubscriptionRouter.post("/", authUserMiddleware, SubscriptionController.subscribe);
+SubscriptionRouter.get("/my", authUserMiddleware, SubscriptionController.getMySubscriptions);
+SubscriptionRouter.put("/:id", authUserMiddleware, SubscriptionController.updateSubscription);
+SubscriptionRouter.put("/:id/pause", authUserMiddleware, SubscriptionController.pauseSubscription);
+SubscriptionRouter.put("/:id/resume", authUserMiddleware, SubscriptionController.resumeSubscription);
+SubscriptionRouter.put("/:id/skip", authUserMiddleware, SubscriptionController.skipNextDelivery);
+SubscriptionRouter.put("/:id/cancel", authUserMiddleware, SubscriptionController.cancelSubscription);
+
+module.exports = SubscriptionRouter;
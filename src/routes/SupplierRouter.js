@@ -5,6 +5,7 @@ const { authAdminMiddleware } = require("../middleware/authMiddleware");
 
 // Import các router đã tách
 const HarvestBatchRouter = require("./HarvestBatchRouter");
+const PurchaseOrderRouter = require("./PurchaseOrderRouter");
 
 // ✅ QUAN TRỌNG: Routes cụ thể PHẢI đứng TRƯỚC routes động /:id
 // Express match routes theo thứ tự từ trên xuống, nên /:id sẽ match mọi thứ nếu đặt trước
@@ -13,16 +14,20 @@ const HarvestBatchRouter = require("./HarvestBatchRouter");
 // 1. Admin routes (specific routes)
 // ============================================
 SupplierRouter.get("/for-brand", authAdminMiddleware, SupplierController.getSuppliersForBrand);
+// Scorecard NCC (xếp hạng: sortBy, order; lọc startDate, endDate, cooperationStatus, type)
+SupplierRouter.get("/scorecards", authAdminMiddleware, SupplierController.getSupplierScorecards);
 
 // ============================================
 // 2. Harvest Batch routes (PHẢI TRƯỚC /:id)
 // ============================================
 SupplierRouter.use("/harvest-batch", HarvestBatchRouter);
+SupplierRouter.use("/purchase-orders", PurchaseOrderRouter);
 
 // ============================================
 // 3. General supplier routes với sub-routes (TRƯỚC /:id)
 // ============================================
 SupplierRouter.put("/:id/cooperation-status", authAdminMiddleware, SupplierController.updateCooperationStatus);
+SupplierRouter.get("/:id/scorecard", authAdminMiddleware, SupplierController.getSupplierScorecardById);
 
 // ============================================
 // 4. General supplier routes (SAU tất cả routes cụ thể)
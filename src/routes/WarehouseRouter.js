@@ -0,0 +1,20 @@
+const express = require("express");
+const WarehouseRouter = express.Router();
+const WarehouseController = require("../controller/WarehouseController");
+const {
+  authAdminMiddleware,
+  authAdminOrWarehouseStaffMiddleware,
+} = require("../middleware/authMiddleware");
+
+// Admin + Warehouse staff: xem danh sách kho (chọn kho khi nhập/xuất), tồn theo kho và theo lô
+WarehouseRouter.get("/", authAdminOrWarehouseStaffMiddleware, WarehouseController.getWarehouses);
+WarehouseRouter.get("/stock/:productId", authAdminOrWarehouseStaffMiddleware, WarehouseController.getProductStockByWarehouse);
+WarehouseRouter.get("/lots/:productId", authAdminOrWarehouseStaffMiddleware, WarehouseController.getProductLots);
+
+// Admin: quản lý kho
+WarehouseRouter.post("/", authAdminMiddleware, WarehouseController.createWarehouse);
+WarehouseRouter.put("/:id", authAdminMiddleware, WarehouseController.updateWarehouse);
+WarehouseRouter.delete("/:id", authAdminMiddleware, WarehouseController.deleteWarehouse);
+WarehouseRouter.get("/:id", authAdminOrWarehouseStaffMiddleware, WarehouseController.getWarehouseById);
+
+module.exports = WarehouseRouter;
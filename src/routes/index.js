@@ -8,6 +8,10 @@ const ProductRouter = require("./ProductRouter");
 const InventoryRouter = require("./InventoryRouter");
 const SupplierRouter = require("./SupplierRouter");
 const HarvestBatchRouter = require("./HarvestBatchRouter");
+const PurchaseOrderRouter = require("./PurchaseOrderRouter");
+const WarehouseRouter = require("./WarehouseRouter");
+const RefundRouter = require("./RefundRouter");
+const PaymentReconciliationRouter = require("./PaymentReconciliationRouter");
 
 const NewsRouter = require("./NewsRouter");
 const NewsCommentRouter = require("./NewsCommentRouter");
@@ -27,6 +31,7 @@ const CartRouter = require("./CartRouter");
 const CheckoutRouter = require("./CheckoutRouter");
 const OrderStatusRouter = require("./OrderStatusRouter");
 const OrderRouter = require("./OrderRouter");
+const OrderReturnRouter = require("./OrderReturnRouter");
 const PaymentRouter = require("./PaymentRouter");
 const PreOrderRouter = require("./PreOrderRouter");
 const AdminPreOrderRouter = require("./AdminPreOrderRouter");
@@ -38,6 +43,8 @@ const ShippingRouter = require("./ShippingRouter");
 const StaffRouter = require("./StaffRouter");
 const CustomerRouter = require("./CustomerRouter");
 const DiscountRouter = require("./DiscountRouter");
+const PromotionRouter = require("./PromotionRouter");
+const SubscriptionRouter = require("./SubscriptionRouter");
 const NotificationRouter = require("./NotificationRouter");
 const FruitAssistantRouter = require("./FruitAssistantRouter");
 
@@ -58,6 +65,7 @@ const routes = (app) => {
     app.use("/checkout", CheckoutRouter);
     app.use("/orderstatus", OrderStatusRouter);
     app.use("/order", OrderRouter);
+    app.use("/order-returns", OrderReturnRouter);
     app.use("/payment", PaymentRouter);
     app.use("/preorder", PreOrderRouter);
     app.use("/reviews", ReviewRouter);
@@ -68,9 +76,13 @@ const routes = (app) => {
     app.use("/admin/categories", CategoryRouter);
     app.use("/admin/products", ProductRouter);
     app.use("/admin/harvest-batch", HarvestBatchRouter);
+    app.use("/admin/purchase-orders", PurchaseOrderRouter);
     // Admin routes - Supplier Management
-    app.use("/admin/suppliers", SupplierRouter); // ✅ Includes: /harvest-batch
+    app.use("/admin/suppliers", SupplierRouter); // ✅ Includes: /harvest-batch, /purchase-orders
     // Note: /for-brand trong SupplierRouter dùng authAdminMiddleware (Admin only)    
+    app.use("/admin/warehouses", WarehouseRouter);
+    app.use("/admin/refunds", RefundRouter);
+    app.use("/admin/reconciliation", PaymentReconciliationRouter);
     app.use("/admin/shop", ShopRouter);
     app.use("/admin/preorder", AdminPreOrderRouter);
     app.use("/admin/export", ExportRouter);
@@ -99,6 +111,10 @@ const routes = (app) => {
     app.use("/customers", CustomerRouter);
     // Discount management routes (includes admin birthday report at GET /discounts/birthday/report)
     app.use("/discounts", DiscountRouter);
+    // Automatic promotions (public GET /promotions/active; admin CRUD)
+    app.use("/promotions", PromotionRouter);
+    // Fruit box subscriptions (public plans; customer subscribe / pause / skip; admin plans at /subscriptions/admin)
+    app.use("/subscriptions", SubscriptionRouter);
     // Notification routes
     app.use("/notifications", NotificationRouter);
 };
@@ -7,6 +7,8 @@ const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const { startProductBatchJob } = require("./jobs/productBatchJob");
 const { startBirthdayVoucherJob } = require("./jobs/birthdayVoucherJob");
+const { startVnpayRefundJob } = require("./jobs/vnpayRefundJob");
+const { startPaymentReconciliationJob } = require("./jobs/paymentReconciliationJob");
 
 
 // 👉 SOCKET
@@ -83,11 +85,22 @@ mongoose
   .connect(process.env.MONGO_URL)
   .then(() => {
      console.log("✅ Connected to MongoDB");
+    require("./services/orderWorkflow")
+      .seedOrderStatuses()
+      .catch((err) => console.error("❌ Seed order statuses failed:", err));
+    // Bỏ unique index cũ { userId, discountId } – số lần dùng giờ theo discount.perUserLimit
+    require("./models/DiscountUsage")
+      .syncIndexes()
+      .catch((err) => console.error("❌ Sync discount usage indexes failed:", err));
     require("./jobs/autoDeleteFailedOrders");
     require("./jobs/preorderFulfillmentJob").run();
     require("./jobs/preorderCancelOverdueJob").run();
+    require("./jobs/preorderWaitlistJob").run();
+    require("./jobs/subscriptionJob").run();
     startProductBatchJob();
     startBirthdayVoucherJob();
+    startVnpayRefundJob();
+    startPaymentReconciliationJob();
   })
   .catch((error) =>
     console.error("❌ MongoDB connection error:", error)
@@ -92,6 +92,7 @@ async function alreadyReceivedThisYear(userId, year) {
             discountPercent: birthdayConfig.discountPercent,
             minOrderValue: birthdayConfig.minOrderValue,
             maxDiscountAmount: birthdayConfig.maxDiscountAmount,
+            stackable: birthdayConfig.stackable,
             startDate: now,
             endDate,
             usageLimit: 1,
@@ -1,6 +1,7 @@
 const CartModel = require("../models/CartsModel");
 const CartDetailModel = require("../models/CartDetailsModel");
 const ProductModel = require("../models/ProductModel");
+const PromotionService = require("./PromotionService");
 const { default: mongoose } = require("mongoose");
 const { getEffectivePrice, isProductExpired } = require("../utils/productPrice");
 const addItemToCart = async (user_id, product_id, quantity) => {
@@ -315,11 +316,30 @@ const getCartItems = async (user_id) => {
       subtotal: item.quantity * priceToUse,
     };
   });
+
+  // Khuyến mãi tự động: chỉ tính trên sản phẩm còn bán được
+  const promotion = await PromotionService.evaluatePromotions(
+    formattedItems
+      .filter((i) => !i.isExpired && i.status && i.in_stock > 0)
+      .map((i) => ({ product_id: i.product_id, quantity: i.quantity, price: i.price }))
+  );
+  const promotionShareMap = new Map(
+    promotion.line_shares.map((s) => [s.product_id.toString(), s.promotion_share])
+  );
+  formattedItems.forEach((i) => {
+    i.promotion_discount = promotionShareMap.get(i.product_id.toString()) || 0;
+  });
+  const subtotal = formattedItems.reduce((sum, i) => sum + i.subtotal, 0);
+
   return {
     cart_id: cart._id,
     sum: cart.sum,
     item_count: formattedItems.length,
     items: formattedItems,
+    promotions: promotion.promotions,
+    promotion_discount: promotion.total_discount,
+    subtotal,
+    total_after_promotions: subtotal - promotion.total_discount,
   };
 };
 module.exports = {
@@ -3,6 +3,7 @@ const StockLockModel = require("../models/StockLockModel");
 const CartDetailModel = require("../models/CartDetailsModel");
 const CartModel = require("../models/CartsModel");
 const ProductModel = require("../models/ProductModel");
+const PromotionService = require("./PromotionService");
 const { getEffectivePrice, isProductExpired } = require("../utils/productPrice");
 const HOLD_MINUTES = 15;
 const COOLDOWN_MINUTES = 30;
@@ -200,12 +201,29 @@ const checkoutHold = async (
         subtotal: item.quantity * effectivePrice,
       };
     });
+
+    // Khuyến mãi tự động cho các sản phẩm đã giữ (cùng cách tính khi tạo đơn)
+    const promotion = await PromotionService.evaluatePromotions(
+      formattedItems.map((i) => ({ product_id: i.product_id, quantity: i.quantity, price: i.price }))
+    );
+    const promotionShareMap = new Map(
+      promotion.line_shares.map((s) => [s.product_id.toString(), s.promotion_share])
+    );
+    formattedItems.forEach((i) => {
+      i.promotion_discount = promotionShareMap.get(i.product_id.toString()) || 0;
+    });
+    const subtotal = formattedItems.reduce((sum, i) => sum + i.subtotal, 0);
+
     return {
       status: "OK",
       message: "Items reserved, please complete payment within 15 minutes",
       checkout_session_id,
       item_count: formattedItems.length,
       items: formattedItems,
+      promotions: promotion.promotions,
+      promotion_discount: promotion.total_discount,
+      subtotal,
+      total_after_promotions: subtotal - promotion.total_discount,
     };
   } catch (error) {
     await session.abortTransaction();
@@ -277,12 +277,19 @@ Smart Fruit Shop
      * @param {String} customerName
      * @param {String} fruitTypeName - Fruit type name
      * @param {Number} quantityKg
-     * @param {Number} daysToPay - Number of days to pay (default 7)
+     * @param {Number} daysToPay - Number of days to pay (fruit type paymentDeadlineDays, default 7)
+     * @param {Number} overdueForfeitPercent - % of deposit kept if not paid in time (default 100)
      */
-    async sendPreOrderReadyEmail(customerEmail, customerName, fruitTypeName = "pre-order product", quantityKg = 0, daysToPay = 7) {
+    async sendPreOrderReadyEmail(customerEmail, customerName, fruitTypeName = "pre-order product", quantityKg = 0, daysToPay = 7, overdueForfeitPercent = 100) {
         try {
             const transporter = createTransporter();
             const fruitLabel = fruitTypeName ? `${fruitTypeName} (${quantityKg} kg)` : `product (${quantityKg} kg)`;
+            const forfeitLabel =
+                overdueForfeitPercent >= 100
+                    ? "the deposit already paid will not be refunded"
+                    : overdueForfeitPercent > 0
+                        ? `${overdueForfeitPercent}% of the deposit already paid will not be refunded`
+                        : "the deposit already paid will be refunded in full";
 
             const mailOptions = {
                 from: {
@@ -315,7 +322,7 @@ Smart Fruit Shop
                                 <p>Your pre-order <strong>${fruitLabel}</strong> has been allocated and is ready for delivery.</p>
                                 <div class="highlight">
                                     <strong>Please pay the remaining amount within ${daysToPay} days.</strong><br>
-                                    If payment is not completed within this period, your pre-order may be cancelled and <strong>the deposit already paid will not be refunded</strong>.
+                                    If payment is not completed within this period, your pre-order may be cancelled and <strong>${forfeitLabel}</strong>.
                                 </div>
                                 <p>Please log in to the app/website and complete the payment to receive your order.</p>
                             </div>
@@ -333,7 +340,7 @@ Hello ${customerName || "Customer"},
 
 Your pre-order ${fruitLabel} is ready for delivery.
 
-Please pay the remaining amount within ${daysToPay} days. If payment is not completed within this period, your order may be cancelled and the deposit will not be refunded.
+Please pay the remaining amount within ${daysToPay} days. If payment is not completed within this period, your order may be cancelled and ${forfeitLabel}.
 
 Best regards,
 Smart Fruit Shop
@@ -409,7 +416,7 @@ Smart Fruit Shop
                                     <strong>Current status:</strong> Waiting for the next receive batch.<br>
                                     Your order will be <strong>prioritized for allocation</strong> in the next receive batch (FIFO order).
                                 </div>
-                                <p><strong>You do not need to pay anything more</strong> at this time. When stock arrives and your order is allocated, we will notify you to pay the remaining 50%.</p>
+                                <p><strong>You do not need to pay anything more</strong> at this time. When stock arrives and your order is allocated, we will notify you to pay the remaining balance.</p>
                                 <p>Thank you for your patience.</p>
                             </div>
                             <div class="footer">
@@ -444,6 +451,185 @@ Smart Fruit Shop
     }
   },
 
+  /**
+   * Send pre-order waitlist offer email (capacity freed up, deposit must be paid before the offer expires).
+   * @param {String} customerEmail
+   * @param {String} customerName
+   * @param {String} fruitTypeName
+   * @param {Number} offeredKg
+   * @param {Date} offerExpiresAt
+   */
+  async sendPreOrderWaitlistOfferEmail(
+    customerEmail,
+    customerName,
+    fruitTypeName = "pre-order product",
+    offeredKg = 0,
+    offerExpiresAt = null,
+  ) {
+    try {
+      const transporter = createTransporter();
+      const fruitLabel = `${fruitTypeName || "pre-order product"} (${offeredKg} kg)`;
+      const expiresLabel = offerExpiresAt
+        ? new Date(offerExpiresAt).toLocaleString("vi-VN", { timeZone: "Asia/Ho_Chi_Minh" })
+        : "soon";
+
+      const mailOptions = {
+        from: {
+          name: "Smart Fruit Shop",
+          address: process.env.EMAIL_USER || "noreply@smartfruitshop.vn",
+        },
+        to: customerEmail,
+        subject: "A pre-order spot is available for you – Smart Fruit Shop",
+        html: `
+                    <!DOCTYPE html>
+                    <html lang="en">
+                    <head>
+                        <meta charset="UTF-8">
+                        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                        <style>
+                            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+                            .container { background-color: #f9f9f9; border: 1px solid #ddd; border-radius: 8px; padding: 30px; }
+                            .header { background-color: #28a745; color: white; padding: 15px; border-radius: 8px 8px 0 0; text-align: center; margin: -30px -30px 20px -30px; }
+                            .content { margin: 20px 0; }
+                            .highlight { background-color: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+                            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 14px; }
+                        </style>
+                    </head>
+                    <body>
+                        <div class="container">
+                            <div class="header"><h2>Your waitlist spot is ready</h2></div>
+                            <div class="content">
+                                <p>Hello <strong>${customerName || "Customer"}</strong>,</p>
+                                <p>Pre-order capacity has freed up and <strong>${fruitLabel}</strong> is now reserved for you.</p>
+                                <div class="highlight">
+                                    <strong>Please pay the deposit before ${expiresLabel}.</strong><br>
+                                    After this time the reservation expires and the spot is offered to the next customer on the waitlist.
+                                </div>
+                                <p>Please log in to the app/website and place your pre-order to secure it.</p>
+                            </div>
+                            <div class="footer">
+                                <p>Best regards,<br><strong>Smart Fruit Shop</strong></p>
+                            </div>
+                        </div>
+                    </body>
+                    </html>
+                `,
+        text: `
+Hello ${customerName || "Customer"},
+
+Pre-order capacity has freed up and ${fruitLabel} is now reserved for you. Please pay the deposit before ${expiresLabel}, otherwise the spot is offered to the next customer on the waitlist.
+
+Best regards,
+Smart Fruit Shop
+                `.trim(),
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return {
+        status: "OK",
+        message: "Email sent successfully",
+        messageId: info.messageId,
+      };
+    } catch (error) {
+      console.error("PreOrder waitlist offer email error:", error);
+      return {
+        status: "ERR",
+        message: `Failed to send email: ${error.message}`,
+      };
+    }
+  },
+
+  /**
+   * Send fruit box subscription reminder (sent before the order of the next delivery is created).
+   * @param {String} customerEmail
+   * @param {String} customerName
+   * @param {String} planName
+   * @param {Date} chargeDate - When the order is created
+   * @param {Date} deliveryDate
+   * @param {String} paymentMethod - COD | VNPAY
+   */
+  async sendSubscriptionReminderEmail(
+    customerEmail,
+    customerName,
+    planName = "fruit box",
+    chargeDate = null,
+    deliveryDate = null,
+    paymentMethod = "COD",
+  ) {
+    try {
+      const transporter = createTransporter();
+      const fmt = (d) => (d ? new Date(d).toLocaleDateString("vi-VN", { timeZone: "Asia/Ho_Chi_Minh" }) : "soon");
+      const paymentLabel =
+        paymentMethod === "VNPAY"
+          ? "You will receive a VNPay payment link when the order is created."
+          : "Payment is cash on delivery.";
+
+      const mailOptions = {
+        from: {
+          name: "Smart Fruit Shop",
+          address: process.env.EMAIL_USER || "noreply@smartfruitshop.vn",
+        },
+        to: customerEmail,
+        subject: "Your fruit box is coming up – Smart Fruit Shop",
+        html: `
+                    <!DOCTYPE html>
+                    <html lang="en">
+                    <head>
+                        <meta charset="UTF-8">
+                        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                        <style>
+                            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+                            .container { background-color: #f9f9f9; border: 1px solid #ddd; border-radius: 8px; padding: 30px; }
+                            .header { background-color: #28a745; color: white; padding: 15px; border-radius: 8px 8px 0 0; text-align: center; margin: -30px -30px 20px -30px; }
+                            .content { margin: 20px 0; }
+                            .highlight { background-color: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+                            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 14px; }
+                        </style>
+                    </head>
+                    <body>
+                        <div class="container">
+                            <div class="header"><h2>Your fruit box is coming up</h2></div>
+                            <div class="content">
+                                <p>Hello <strong>${customerName || "Customer"}</strong>,</p>
+                                <p>The order for your <strong>${planName}</strong> subscription will be placed on <strong>${fmt(chargeDate)}</strong> for delivery on <strong>${fmt(deliveryDate)}</strong>.</p>
+                                <p>${paymentLabel} Items that are out of stock are replaced with a similar fruit of the same category.</p>
+                                <div class="highlight">
+                                    Need a break? Skip this delivery or pause your subscription in the app/website before ${fmt(chargeDate)}.
+                                </div>
+                            </div>
+                            <div class="footer">
+                                <p>Best regards,<br><strong>Smart Fruit Shop</strong></p>
+                            </div>
+                        </div>
+                    </body>
+                    </html>
+                `,
+        text: `
+Hello ${customerName || "Customer"},
+
+The order for your ${planName} subscription will be placed on ${fmt(chargeDate)} for delivery on ${fmt(deliveryDate)}. ${paymentLabel}
+Skip this delivery or pause your subscription before ${fmt(chargeDate)} if needed.
+
+Best regards,
+Smart Fruit Shop
+                `.trim(),
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return {
+        status: "OK",
+        message: "Email sent successfully",
+        messageId: info.messageId,
+      };
+    } catch (error) {
+      console.error("Subscription reminder email error:", error);
+      return {
+        status: "ERR",
+        message: `Failed to send email: ${error.message}`,
+      };
+    }
+  },
+
   /**
    * Send birthday voucher notification email.
    * @param {String} customerEmail
@@ -9,9 +9,21 @@ const RoleModel = require("../models/RolesModel");
 const EmailService = require("../services/CustomerEmailService");
 const OrderModel = require("../models/OrderModel");
 const OrderStatusModel = require("../models/OrderStatusModel");
+const mongoose = require("mongoose");
 
 const CUSTOMER_ROLE = "customer";
 
+/**
+ * Phân khúc khách hàng theo lịch sử đơn (dùng cho điều kiện voucher):
+ * - NEW_CUSTOMER: chưa có đơn nào (trừ đơn đã huỷ)
+ * - RETURNING_CUSTOMER: có ít nhất 1 đơn COMPLETED
+ * - LOYAL_CUSTOMER: có ít nhất minCompletedOrders đơn COMPLETED (mặc định 3)
+ */
+const CUSTOMER_SEGMENTS = ["ALL", "NEW_CUSTOMER", "RETURNING_CUSTOMER", "LOYAL_CUSTOMER"];
+const DEFAULT_LOYAL_MIN_COMPLETED_ORDERS = 3;
+// Đơn không tính là "đã mua" khi xét khách mới
+const NON_PURCHASE_STATUSES = ["CANCELLED"];
+
 // Helper function to normalize status input
 function normalizeStatus(input) {
     if (input === true || input === "true" || input === "active") return true;
@@ -434,7 +446,93 @@ const CustomerService = {
         } catch (error) {
             return { status: "ERR", message: error.message };
         }
+    },
+
+    /**
+     * Order history stats of a customer (for segment eligibility)
+     *
+     * @param {String} customerId - Customer ID
+     * @returns {Promise<Object>} { completedOrders, purchaseOrders, completedSpend, lastCompletedAt }
+     */
+    async getOrderHistoryStats(customerId) {
+        const statuses = await OrderStatusModel.find({
+            name: { $in: ["COMPLETED", ...NON_PURCHASE_STATUSES] }
+        }).lean();
+        const completedIds = statuses.filter((st) => st.name === "COMPLETED").map((st) => st._id);
+        const nonPurchaseIds = statuses
+            .filter((st) => NON_PURCHASE_STATUSES.includes(st.name))
+            .map((st) => st._id);
+
+        const [completed, purchaseOrders] = await Promise.all([
+            OrderModel.aggregate([
+                { $match: { user_id: new mongoose.Types.ObjectId(customerId.toString()), order_status_id: { $in: completedIds } } },
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        spend: { $sum: "$total_price" },
+                        lastCompletedAt: { $max: "$updatedAt" }
+                    }
+                }
+            ]),
+            OrderModel.countDocuments({
+                user_id: customerId,
+                order_status_id: { $nin: nonPurchaseIds }
+            })
+        ]);
+
+        return {
+            completedOrders: completed[0]?.count || 0,
+            purchaseOrders,
+            completedSpend: completed[0]?.spend || 0,
+            lastCompletedAt: completed[0]?.lastCompletedAt || null
+        };
+    },
+
+    /**
+     * Check whether order history stats match a segment
+     *
+     * @param {Object} stats - Result of getOrderHistoryStats
+     * @param {String} segment - One of CUSTOMER_SEGMENTS
+     * @param {Number} [minCompletedOrders] - Threshold for LOYAL_CUSTOMER
+     * @returns {Boolean}
+     */
+    matchesSegment(stats, segment, minCompletedOrders) {
+        switch (segment || "ALL") {
+            case "NEW_CUSTOMER":
+                return stats.purchaseOrders === 0;
+            case "RETURNING_CUSTOMER":
+                return stats.completedOrders >= 1;
+            case "LOYAL_CUSTOMER":
+                return stats.completedOrders >= (minCompletedOrders || DEFAULT_LOYAL_MIN_COMPLETED_ORDERS);
+            default:
+                return true;
+        }
+    },
+
+    /**
+     * Get segments of a customer built from order history
+     *
+     * @param {String} customerId - Customer ID
+     * @returns {Promise<Object>} { status, data: { stats, segments } }
+     */
+    async getCustomerSegments(customerId) {
+        try {
+            if (!customerId || !mongoose.Types.ObjectId.isValid(customerId)) {
+                return { status: "ERR", message: "Invalid customer ID" };
+            }
+            const stats = await this.getOrderHistoryStats(customerId);
+            const segments = CUSTOMER_SEGMENTS.filter(
+                (segment) => segment !== "ALL" && this.matchesSegment(stats, segment)
+            );
+            return { status: "OK", data: { stats, segments } };
+        } catch (error) {
+            return { status: "ERR", message: error.message };
+        }
     }
 };
 
+CustomerService.CUSTOMER_SEGMENTS = CUSTOMER_SEGMENTS;
+CustomerService.DEFAULT_LOYAL_MIN_COMPLETED_ORDERS = DEFAULT_LOYAL_MIN_COMPLETED_ORDERS;
+
 module.exports = CustomerService; 
\ No newline at end of file
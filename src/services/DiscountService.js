@@ -19,13 +19,155 @@ const DiscountUsageModel = require("../models/DiscountUsage");
 const UserModel = require("../models/UserModel");
 const RoleModel = require("../models/RolesModel");
 const OrderModel = require("../models/OrderModel");
+const OrderDetailModel = require("../models/OrderDetailModel");
+const ProductModel = require("../models/ProductModel");
+const CategoryModel = require("../models/CategoryModel");
+const SupplierModel = require("../models/SupplierModel");
 const PaymentModel = require("../models/PaymentModel");
 const NotificationService = require("./NotificationService");
+const PromotionService = require("./PromotionService");
+const CustomerService = require("./CustomerService");
 const CustomerEmailService = require("./CustomerEmailService");
 const birthdayDiscountConfig = require("../config/birthdayDiscountConfig");
 const mongoose = require("mongoose");
+const { getEffectivePrice } = require("../utils/productPrice");
+
+const DISCOUNT_TYPES = ["PERCENT", "FIXED", "FREE_SHIPPING"];
+/** Số mã tối đa trong một đơn (khi các mã đều stackable) */
+const MAX_STACKED_CODES = 3;
+
+const SEGMENT_ERROR_MESSAGES = {
+    NEW_CUSTOMER: () => "This discount code is only for new customers",
+    RETURNING_CUSTOMER: () => "This discount code is only for customers with a completed order",
+    LOYAL_CUSTOMER: (discount) =>
+        `This discount code is only for customers with at least ${discount.minCompletedOrders || CustomerService.DEFAULT_LOYAL_MIN_COMPLETED_ORDERS} completed orders`,
+};
 
 const DiscountService = {
+    /**
+     * Đọc phạm vi áp dụng (applicableProducts / applicableCategories / applicableSuppliers) từ request.
+     * Chỉ trả về các field có trong data; id phải hợp lệ và tồn tại.
+     *
+     * @param {Object} data
+     * @returns {Promise<Object>} { status, data: { applicableProducts?, ... } | message }
+     */
+    async _parseDiscountScope(data) {
+        const scopeModels = {
+            applicableProducts: ProductModel,
+            applicableCategories: CategoryModel,
+            applicableSuppliers: SupplierModel,
+        };
+        const scope = {};
+        for (const [field, Model] of Object.entries(scopeModels)) {
+            if (data[field] === undefined) continue;
+            const ids = [...new Set((Array.isArray(data[field]) ? data[field] : [data[field]])
+                .filter((id) => id !== null && id !== "")
+                .map((id) => id.toString()))];
+            if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+                return { status: "ERR", message: `Invalid id in ${field}` };
+            }
+            const found = ids.length ? await Model.countDocuments({ _id: { $in: ids } }) : 0;
+            if (found !== ids.length) {
+                return { status: "ERR", message: `Some ${field} were not found` };
+            }
+            scope[field] = ids;
+        }
+        return { status: "OK", data: scope };
+    },
+
+    /**
+     * Gán các field được phép cập nhật vào discount (staff + admin dùng chung).
+     *
+     * @returns {Promise<Object|null>} Kết quả lỗi, null nếu OK
+     */
+    async _applyDiscountUpdates(discount, data) {
+        if (data.discountType !== undefined) {
+            if (!DISCOUNT_TYPES.includes(data.discountType)) {
+                return { status: "ERR", message: "Invalid discount type" };
+            }
+            discount.discountType = data.discountType;
+        }
+        const scope = await this._parseDiscountScope(data);
+        if (scope.status === "ERR") return scope;
+
+        if (data.code) discount.code = data.code.toUpperCase();
+        if (data.discountPercent !== undefined) discount.discountPercent = data.discountPercent;
+        if (data.discountValue !== undefined) discount.discountValue = data.discountValue;
+        if (data.minOrderValue !== undefined) discount.minOrderValue = data.minOrderValue;
+        if (data.maxDiscountAmount !== undefined) discount.maxDiscountAmount = data.maxDiscountAmount;
+        if (data.startDate) discount.startDate = new Date(data.startDate);
+        if (data.endDate) discount.endDate = new Date(data.endDate);
+        if (data.usageLimit !== undefined) discount.usageLimit = data.usageLimit;
+        if (data.description !== undefined) discount.description = data.description;
+        if (data.perUserLimit !== undefined) discount.perUserLimit = data.perUserLimit === "" ? null : data.perUserLimit;
+        if (data.customerSegment !== undefined) discount.customerSegment = data.customerSegment;
+        if (data.minCompletedOrders !== undefined) discount.minCompletedOrders = data.minCompletedOrders || null;
+        if (data.stackable !== undefined) discount.stackable = data.stackable === true || data.stackable === "true";
+        if (data.priority !== undefined) discount.priority = Number(data.priority);
+        Object.assign(discount, scope.data);
+
+        // Field không dùng của loại khác → null
+        if (discount.discountType !== "PERCENT") discount.discountPercent = null;
+        if (discount.discountType !== "FIXED") discount.discountValue = null;
+        if (discount.discountType === "FIXED") discount.maxDiscountAmount = null;
+        return null;
+    },
+
+    /**
+     * Mô tả ngắn voucher cho thông báo (theo loại).
+     */
+    _describeDiscount(discount) {
+        const fmt = (v) => new Intl.NumberFormat("vi-VN").format(v);
+        const type = discount.discountType || "PERCENT";
+        if (type === "FIXED") return `Save ${fmt(discount.discountValue)} VND`;
+        if (type === "FREE_SHIPPING") {
+            return discount.maxDiscountAmount != null
+                ? `Free shipping up to ${fmt(discount.maxDiscountAmount)} VND`
+                : "Free shipping";
+        }
+        return discount.maxDiscountAmount != null
+            ? `Save ${discount.discountPercent}% up to ${fmt(discount.maxDiscountAmount)} VND`
+            : `Save ${discount.discountPercent}%`;
+    },
+
+    /**
+     * Kiểm tra giá trị giảm theo loại voucher.
+     *
+     * @param {Object} discount
+     * @param {Object} [options]
+     * @param {Boolean} [options.checkAmounts] - kiểm tra mức tối thiểu 1000 VND của các field tiền
+     * @returns {String|null} Thông báo lỗi
+     */
+    _validateDiscountValues(discount, { checkAmounts = false } = {}) {
+        const type = discount.discountType || "PERCENT";
+        if (type === "PERCENT" && !(discount.discountPercent >= 1 && discount.discountPercent <= 100)) {
+            return "Discount percentage must be between 1 and 100";
+        }
+        if (type === "FIXED" && !(discount.discountValue >= 1000)) {
+            return "Discount value must be at least 1000";
+        }
+        if (discount.perUserLimit != null && !(Number.isInteger(Number(discount.perUserLimit)) && discount.perUserLimit >= 1)) {
+            return "Per-customer usage limit must be a whole number >= 1";
+        }
+        if (!CustomerService.CUSTOMER_SEGMENTS.includes(discount.customerSegment || "ALL")) {
+            return "Invalid customer segment";
+        }
+        if (!Number.isFinite(Number(discount.priority ?? 100))) {
+            return "Priority must be a number";
+        }
+        if (!checkAmounts) return null;
+        if (discount.minOrderValue < 1000) {
+            return "Minimum order value must be at least 1000";
+        }
+        if (discount.maxDiscountAmount != null && discount.maxDiscountAmount < 1000) {
+            return "Maximum discount amount must be at least 1000";
+        }
+        if (type === "PERCENT" && discount.maxDiscountAmount == null) {
+            return "Maximum discount amount is required for percentage discounts";
+        }
+        return null;
+    },
+
     /**
      * Create a new discount code (SALES-STAFF only)
      *
@@ -33,7 +175,8 @@ const DiscountService = {
      * - Newly created discounts must start with status = "PENDING"
      * - Discount is inactive until approved by Admin
      * - Discount code must be unique
-     * - Discount percentage must be between 1 and 100
+     * - discountType: PERCENT (1-100%), FIXED (discountValue VND) or FREE_SHIPPING
+     * - Optional scope: applicableProducts / applicableCategories / applicableSuppliers
      *
      * @param {Object} data - Discount creation data
      * @param {String} createdBy - User ID of sales staff
@@ -43,31 +186,44 @@ const DiscountService = {
         try {
             const {
                 code,
+                discountType = "PERCENT",
                 discountPercent,
+                discountValue,
                 minOrderValue,
                 maxDiscountAmount,
                 startDate,
                 endDate,
                 usageLimit,
                 description,
+                perUserLimit,
+                customerSegment,
+                minCompletedOrders,
+                stackable,
+                priority,
             } = data;
 
-            // Validate required fields
+            const isMissing = (v) => v === undefined || v === null || v === "";
+
+            // Validate required fields (theo loại voucher)
             if (
                 !code ||
                 !String(code).trim() ||
-                discountPercent === undefined ||
-                discountPercent === null ||
-                minOrderValue === undefined ||
-                minOrderValue === null ||
-                maxDiscountAmount === undefined ||
-                maxDiscountAmount === null ||
+                isMissing(minOrderValue) ||
                 !startDate ||
-                !endDate
+                !endDate ||
+                (discountType === "PERCENT" && (isMissing(discountPercent) || isMissing(maxDiscountAmount))) ||
+                (discountType === "FIXED" && isMissing(discountValue))
             ) {
                 return { status: "ERR", message: "Missing required fields" };
             }
 
+            if (!DISCOUNT_TYPES.includes(discountType)) {
+                return { status: "ERR", message: "Invalid discount type" };
+            }
+
+            const scope = await this._parseDiscountScope(data);
+            if (scope.status === "ERR") return scope;
+
             // Validate date range
             const start = new Date(startDate);
             const end = new Date(endDate);
@@ -98,35 +254,36 @@ const DiscountService = {
                 return { status: "ERR", message: "Discount code already exists" };
             }
 
-            // Validate discount percentage
-            if (discountPercent < 1 || discountPercent > 100) {
-                return { status: "ERR", message: "Discount percentage must be between 1 and 100" };
-            }
-
-            // Validate currency fields (VND) - meaningful minimum
-            if (minOrderValue < 1000) {
-                return { status: "ERR", message: "Minimum order value must be at least 1000" };
-            }
-            if (maxDiscountAmount < 1000) {
-                return { status: "ERR", message: "Maximum discount amount must be at least 1000" };
-            }
-
             // Create new discount in PENDING state
             const newDiscount = new DiscountModel({
                 code: code.toUpperCase(),
-                discountPercent,
+                discountType,
+                discountPercent: discountType === "PERCENT" ? discountPercent : null,
+                discountValue: discountType === "FIXED" ? discountValue : null,
                 minOrderValue,
-                maxDiscountAmount,
+                maxDiscountAmount: isMissing(maxDiscountAmount) || discountType === "FIXED" ? null : maxDiscountAmount,
+                ...scope.data,
                 startDate: start,
                 endDate: end,
                 usageLimit: usageLimit || null,
                 usedCount: 0,
+                perUserLimit: perUserLimit === undefined ? 1 : perUserLimit || null,
+                customerSegment: customerSegment || "ALL",
+                minCompletedOrders: minCompletedOrders || null,
+                stackable: stackable === true || stackable === "true",
+                priority: priority === undefined || priority === "" ? 100 : Number(priority),
                 status: "PENDING",
                 isActive: false,
                 createdBy,
                 description: description || "",
             });
 
+            // Validate discount value + currency fields (VND) - meaningful minimum
+            const valueError = this._validateDiscountValues(newDiscount, { checkAmounts: true });
+            if (valueError) {
+                return { status: "ERR", message: valueError };
+            }
+
             await newDiscount.save();
 
             return {
@@ -196,26 +353,13 @@ const DiscountService = {
             }
 
             // Apply allowed updates
-            if (data.code) discount.code = data.code.toUpperCase();
-            if (data.discountPercent !== undefined) discount.discountPercent = data.discountPercent;
-            if (data.minOrderValue !== undefined) discount.minOrderValue = data.minOrderValue;
-            if (data.maxDiscountAmount !== undefined) discount.maxDiscountAmount = data.maxDiscountAmount;
-            if (data.startDate) discount.startDate = new Date(data.startDate);
-            if (data.endDate) discount.endDate = new Date(data.endDate);
-            if (data.usageLimit !== undefined) discount.usageLimit = data.usageLimit;
-            if (data.description !== undefined) discount.description = data.description;
-
-            // Validate discount percentage again after update
-            if (discount.discountPercent < 1 || discount.discountPercent > 100) {
-                return { status: "ERR", message: "Discount percentage must be between 1 and 100" };
-            }
+            const applyResult = await this._applyDiscountUpdates(discount, data);
+            if (applyResult) return applyResult;
 
-            // Validate currency fields (VND) - meaningful minimum
-            if (discount.minOrderValue < 1000) {
-                return { status: "ERR", message: "Minimum order value must be at least 1000" };
-            }
-            if (discount.maxDiscountAmount < 1000) {
-                return { status: "ERR", message: "Maximum discount amount must be at least 1000" };
+            // Validate discount value + currency fields (VND) again after update
+            const valueError = this._validateDiscountValues(discount, { checkAmounts: true });
+            if (valueError) {
+                return { status: "ERR", message: valueError };
             }
 
             await discount.save();
@@ -327,14 +471,16 @@ const DiscountService = {
                 // 2. Notify all customers about new voucher
                 await NotificationService.sendToAllCustomers({
                     title: "New voucher available!",
-                    body: `Save ${discount.discountPercent}% up to ${new Intl.NumberFormat("vi-VN").format(discount.maxDiscountAmount)} VND. Code: ${discount.code}`,
+                    body: `${this._describeDiscount(discount)}. Code: ${discount.code}`,
                     data: {
                         type: "discount",
                         discountId: discount._id.toString(),
                         action: "view_voucher",
                         code: discount.code,
-                        discountPercent: discount.discountPercent.toString(),
-                        maxDiscountAmount: discount.maxDiscountAmount.toString()
+                        discountType: discount.discountType || "PERCENT",
+                        discountPercent: String(discount.discountPercent ?? ""),
+                        discountValue: String(discount.discountValue ?? ""),
+                        maxDiscountAmount: String(discount.maxDiscountAmount ?? "")
                     }
                 });
             } catch (notificationError) {
@@ -541,17 +687,12 @@ const DiscountService = {
                 }
             }
 
-            if (data.code) discount.code = data.code.toUpperCase();
-            if (data.discountPercent !== undefined) discount.discountPercent = data.discountPercent;
-            if (data.minOrderValue !== undefined) discount.minOrderValue = data.minOrderValue;
-            if (data.maxDiscountAmount !== undefined) discount.maxDiscountAmount = data.maxDiscountAmount;
-            if (data.startDate) discount.startDate = new Date(data.startDate);
-            if (data.endDate) discount.endDate = new Date(data.endDate);
-            if (data.usageLimit !== undefined) discount.usageLimit = data.usageLimit;
-            if (data.description !== undefined) discount.description = data.description;
-
-            if (discount.discountPercent < 1 || discount.discountPercent > 100) {
-                return { status: "ERR", message: "Discount percentage must be between 1 and 100" };
+            const applyResult = await this._applyDiscountUpdates(discount, data);
+            if (applyResult) return applyResult;
+
+            const valueError = this._validateDiscountValues(discount);
+            if (valueError) {
+                return { status: "ERR", message: valueError };
             }
 
             await discount.save();
@@ -763,9 +904,16 @@ const DiscountService = {
                 expiredAt: d.endDate,
             }));
 
-            // byType: schema only has percentage
-            const percentageCount = await DiscountModel.countDocuments(discountFilter);
-            const byType = { percentage: percentageCount, fixed: 0 };
+            // byType: discount cũ không có discountType = PERCENT
+            const [percentageCount, fixedCount, freeShippingCount] = await Promise.all([
+                DiscountModel.countDocuments({
+                    ...discountFilter,
+                    discountType: { $nin: ["FIXED", "FREE_SHIPPING"] },
+                }),
+                DiscountModel.countDocuments({ ...discountFilter, discountType: "FIXED" }),
+                DiscountModel.countDocuments({ ...discountFilter, discountType: "FREE_SHIPPING" }),
+            ]);
+            const byType = { percentage: percentageCount, fixed: fixedCount, freeShipping: freeShippingCount };
 
             const summary = {
                 totalDiscounts,
@@ -935,9 +1083,25 @@ const DiscountService = {
             }
 
             if (userId) {
-                const usedDiscountIds = await DiscountUsageModel.find({ userId }).distinct("discountId");
-                const usedSet = new Set(usedDiscountIds.map((id) => id.toString()));
-                discounts = discounts.filter((d) => !usedSet.has(d._id.toString()));
+                // Loại mã user đã dùng hết perUserLimit
+                const usageCounts = await DiscountUsageModel.aggregate([
+                    { $match: { userId: new mongoose.Types.ObjectId(userId.toString()) } },
+                    { $group: { _id: "$discountId", count: { $sum: 1 } } },
+                ]);
+                const usedMap = new Map(usageCounts.map((u) => [u._id.toString(), u.count]));
+                discounts = discounts.filter(
+                    (d) => d.perUserLimit === null || (usedMap.get(d._id.toString()) || 0) < (d.perUserLimit ?? 1)
+                );
+
+                // Chỉ hiện mã thuộc phân khúc của khách
+                if (discounts.some((d) => d.customerSegment && d.customerSegment !== "ALL")) {
+                    const stats = await CustomerService.getOrderHistoryStats(userId);
+                    discounts = discounts.filter((d) =>
+                        CustomerService.matchesSegment(stats, d.customerSegment, d.minCompletedOrders)
+                    );
+                }
+            } else {
+                discounts = discounts.filter((d) => !d.customerSegment || d.customerSegment === "ALL");
             }
 
             return {
@@ -950,70 +1114,370 @@ const DiscountService = {
     },
 
     /**
-     * Validate discount code and calculate discount amount
+     * Kiểm tra voucher còn dùng được cho user (trạng thái, thời hạn, lượt dùng, voucher cá nhân,
+     * số lần user đã dùng so với perUserLimit, phân khúc khách hàng).
      *
-     * @param {String} code
+     * @param {Object} discount - Discount document
      * @param {String} userId
-     * @param {Number} orderValue
-     * @returns {Object}
+     * @param {Object} [context] - cache dùng chung khi kiểm tra nhiều mã ({ stats })
+     * @returns {Promise<String|null>} Thông báo lỗi, null nếu hợp lệ
      */
-    async validateDiscountCode(code, userId, orderValue) {
-        try {
-            if (!code || !userId || orderValue === undefined) {
-                return { status: "ERR", message: "Missing required parameters" };
-            }
+    async _checkDiscountUsable(discount, userId, context = {}) {
+        const now = new Date();
+        if (
+            discount.status !== "APPROVED" ||
+            !discount.isActive ||
+            now < discount.startDate ||
+            now > discount.endDate
+        ) {
+            return "Discount code is not valid";
+        }
 
-            const discount = await DiscountModel.findOne({ code: code.toUpperCase() });
-            if (!discount) {
-                return { status: "ERR", message: "Invalid discount code" };
-            }
+        if (discount.usageLimit !== null && discount.usedCount >= discount.usageLimit) {
+            return "Discount code has reached its usage limit";
+        }
 
-            const now = new Date();
-            if (
-                discount.status !== "APPROVED" ||
-                !discount.isActive ||
-                now < discount.startDate ||
-                now > discount.endDate
-            ) {
-                return { status: "ERR", message: "Discount code is not valid" };
-            }
+        // Personal voucher: only the target user can use it
+        if (discount.targetUserId && discount.targetUserId.toString() !== userId.toString()) {
+            return "This discount code is not valid for your account";
+        }
 
-            if (discount.usageLimit !== null && discount.usedCount >= discount.usageLimit) {
-                return { status: "ERR", message: "Discount code has reached its usage limit" };
+        if (discount.perUserLimit != null) {
+            const usedByUser = await DiscountUsageModel.countDocuments({
+                discountId: discount._id,
+                userId,
+            });
+            if (usedByUser >= discount.perUserLimit) {
+                return discount.perUserLimit === 1
+                    ? "You have already used this discount code"
+                    : `You can use this discount code at most ${discount.perUserLimit} times`;
             }
+        }
 
-            // Personal voucher: only the target user can use it
-            if (discount.targetUserId && discount.targetUserId.toString() !== userId.toString()) {
-                return { status: "ERR", message: "This discount code is not valid for your account" };
+        const segment = discount.customerSegment || "ALL";
+        if (segment !== "ALL") {
+            if (!context.stats) {
+                context.stats = await CustomerService.getOrderHistoryStats(userId);
             }
+            if (!CustomerService.matchesSegment(context.stats, segment, discount.minCompletedOrders)) {
+                return SEGMENT_ERROR_MESSAGES[segment](discount);
+            }
+        }
+        return null;
+    },
 
-            const existingUsage = await DiscountUsageModel.findOne({
-                discountId: discount._id,
-                userId,
-            });
+    /**
+     * Chuẩn hoá items từ client ({ product_id, quantity }) thành dòng tính giảm giá.
+     * Đơn giá lấy theo giá bán hiệu lực hiện tại (giống checkout), không tin giá client gửi.
+     * applyPromotions: trừ khuyến mãi tự động vào đơn giá (như khi tạo đơn).
+     *
+     * @param {Array} items - [{ product_id, quantity }]
+     * @param {Object} [options] - { applyPromotions }
+     * @returns {Promise<Array>} [{ product_id, category_id, supplier_id, quantity, price }]
+     */
+    async _resolveDiscountLines(items, { applyPromotions = false } = {}) {
+        if (!Array.isArray(items) || !items.length) return [];
+        const ids = items
+            .map((i) => i?.product_id?.toString())
+            .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+        const products = await ProductModel.find({ _id: { $in: ids } })
+            .select("price category supplier expiryDate expiryDateStr nearExpiryDaysThreshold nearExpiryDiscountPercent")
+            .lean();
+        const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+        const lines = items
+            .map((item) => {
+                const product = productMap.get(item?.product_id?.toString());
+                const quantity = Number(item?.quantity);
+                if (!product || !Number.isFinite(quantity) || quantity <= 0) return null;
+                return {
+                    product_id: product._id,
+                    category_id: product.category || null,
+                    supplier_id: product.supplier || null,
+                    quantity,
+                    price: getEffectivePrice(product).effectivePrice,
+                };
+            })
+            .filter(Boolean);
+        if (!applyPromotions || !lines.length) return lines;
+
+        const { line_shares } = await PromotionService.evaluatePromotions(lines);
+        const shareMap = new Map(line_shares.map((s) => [s.product_id.toString(), s.promotion_share]));
+        lines.forEach((line) => {
+            line.price -= (shareMap.get(line.product_id.toString()) || 0) / line.quantity;
+        });
+        return lines;
+    },
+
+    /**
+     * Dòng có thuộc phạm vi voucher không (applicableProducts / Categories / Suppliers; rỗng = không giới hạn).
+     */
+    _isLineEligible(discount, line) {
+        const inList = (list, id) =>
+            !list?.length || (id != null && list.some((x) => x.toString() === id.toString()));
+        return (
+            inList(discount.applicableProducts, line.product_id) &&
+            inList(discount.applicableCategories, line.category_id) &&
+            inList(discount.applicableSuppliers, line.supplier_id)
+        );
+    },
 
-            if (existingUsage) {
-                return { status: "ERR", message: "You have already used this discount code" };
+    /**
+     * Tính số tiền giảm của voucher và phân bổ cho từng dòng hàng.
+     *
+     * - minOrderValue so với giá trị hàng hợp lệ (toàn đơn nếu voucher không giới hạn phạm vi)
+     * - PERCENT: % giá trị hàng hợp lệ, tối đa maxDiscountAmount
+     * - FIXED: discountValue, không vượt giá trị hàng hợp lệ
+     * - FREE_SHIPPING: giảm phí ship (tối đa maxDiscountAmount nếu có), không phân bổ vào dòng hàng
+     * Phần giảm trên hàng được chia theo giá trị dòng (làm tròn VND, dòng cuối nhận phần dư).
+     *
+     * @param {Object} discount - Discount document
+     * @param {Object} params
+     * @param {Number} params.orderValue - Giá trị hàng trước giảm giá
+     * @param {Array} [params.lines] - [{ product_id, category_id, supplier_id, quantity, price }]
+     * @param {Number} [params.shippingFee]
+     * @returns {Object} { status, data: { discountAmount, productDiscount, shippingDiscount, eligibleValue, lineShares } | message }
+     */
+    _calculateDiscount(discount, { orderValue, lines = [], shippingFee = 0 }) {
+        const discountType = discount.discountType || "PERCENT";
+        const isScoped =
+            !!discount.applicableProducts?.length ||
+            !!discount.applicableCategories?.length ||
+            !!discount.applicableSuppliers?.length;
+
+        if (isScoped && !lines.length) {
+            return { status: "ERR", message: "Order items are required to apply this discount code" };
+        }
+
+        const eligibleLines = lines.filter((line) => this._isLineEligible(discount, line));
+        const eligibleValue = lines.length
+            ? eligibleLines.reduce((sum, line) => sum + line.quantity * line.price, 0)
+            : Number(orderValue) || 0;
+
+        if (isScoped && eligibleValue <= 0) {
+            return { status: "ERR", message: "This discount code does not apply to any product in your order" };
+        }
+        if (eligibleValue < discount.minOrderValue) {
+            return {
+                status: "ERR",
+                message: isScoped
+                    ? `Minimum value of eligible products is ${discount.minOrderValue}`
+                    : `Minimum order value is ${discount.minOrderValue}`,
+            };
+        }
+
+        let productDiscount = 0;
+        let shippingDiscount = 0;
+        if (discountType === "FREE_SHIPPING") {
+            const fee = Math.max(0, Number(shippingFee) || 0);
+            shippingDiscount =
+                discount.maxDiscountAmount != null ? Math.min(fee, discount.maxDiscountAmount) : fee;
+        } else if (discountType === "FIXED") {
+            productDiscount = Math.min(discount.discountValue || 0, eligibleValue);
+        } else {
+            productDiscount = (eligibleValue * discount.discountPercent) / 100;
+            if (discount.maxDiscountAmount != null) {
+                productDiscount = Math.min(productDiscount, discount.maxDiscountAmount);
             }
+        }
+        productDiscount = Math.round(productDiscount);
+
+        const lineShares = [];
+        if (productDiscount > 0 && eligibleLines.length) {
+            let allocated = 0;
+            eligibleLines.forEach((line, index) => {
+                const share =
+                    index === eligibleLines.length - 1
+                        ? productDiscount - allocated
+                        : Math.round((productDiscount * line.quantity * line.price) / eligibleValue);
+                allocated += share;
+                lineShares.push({ product_id: line.product_id, discount_share: share });
+            });
+        }
 
-            if (orderValue < discount.minOrderValue) {
+        return {
+            status: "OK",
+            data: {
+                discountType,
+                discountAmount: productDiscount + shippingDiscount,
+                productDiscount,
+                shippingDiscount,
+                eligibleValue,
+                lineShares,
+            },
+        };
+    },
+
+    /**
+     * Nạp các mã (theo code hoặc id) và kiểm tra từng mã dùng được cho user.
+     *
+     * @param {Array} refs - danh sách code hoặc discountId
+     * @param {String} userId
+     * @param {Object} [options] - { byId }
+     * @returns {Promise<Object>} { status, data: discounts[] | message }
+     */
+    async _loadUsableDiscounts(refs, userId, { byId = false } = {}) {
+        const keys = [...new Set(refs.filter(Boolean).map((r) => (byId ? r.toString() : r.toString().trim().toUpperCase())))];
+        if (!keys.length) {
+            return { status: "ERR", message: "Missing required parameters" };
+        }
+        if (keys.length > MAX_STACKED_CODES) {
+            return { status: "ERR", message: `You can use at most ${MAX_STACKED_CODES} discount codes per order` };
+        }
+        if (byId && keys.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+            return { status: "ERR", message: "Invalid discount ID" };
+        }
+
+        const found = await DiscountModel.find(byId ? { _id: { $in: keys } } : { code: { $in: keys } });
+        const foundMap = new Map(found.map((d) => [byId ? d._id.toString() : d.code, d]));
+        const context = {};
+        const discounts = [];
+        for (const key of keys) {
+            const discount = foundMap.get(key);
+            if (!discount) {
                 return {
                     status: "ERR",
-                    message: `Minimum order value is ${discount.minOrderValue}`,
+                    message: byId ? "Discount not found" : keys.length > 1 ? `Invalid discount code ${key}` : "Invalid discount code",
                 };
             }
+            const usableError = await this._checkDiscountUsable(discount, userId, context);
+            if (usableError) {
+                return { status: "ERR", message: keys.length > 1 ? `${discount.code}: ${usableError}` : usableError };
+            }
+            discounts.push(discount);
+        }
+        return { status: "OK", data: discounts };
+    },
 
-            const discountAmount = Math.min(
-                (orderValue * discount.discountPercent) / 100,
-                discount.maxDiscountAmount
-            );
+    /**
+     * Tính nhiều mã dùng chung (stacking).
+     *
+     * Quy tắc:
+     * - Nhiều mã: tất cả phải stackable; tối đa 1 mã FREE_SHIPPING, 1 voucher sinh nhật
+     * - Áp dụng theo priority tăng dần (cùng priority: PERCENT/FIXED trước FREE_SHIPPING);
+     *   mỗi mã tính trên giá đã trừ các mã trước (kể cả minOrderValue)
+     *
+     * @param {Array} discounts - Discount documents
+     * @param {Object} params - { orderValue, lines, shippingFee } như _calculateDiscount
+     * @returns {Object} { status, data: { discounts, discountAmount, productDiscount, shippingDiscount, lineShares } | message }
+     */
+    _calculateStackedDiscounts(discounts, { orderValue, lines = [], shippingFee = 0 }) {
+        if (discounts.length > 1) {
+            const exclusive = discounts.find((d) => !d.stackable);
+            if (exclusive) {
+                return { status: "ERR", message: `Discount code ${exclusive.code} cannot be combined with other codes` };
+            }
+            if (discounts.filter((d) => d.discountType === "FREE_SHIPPING").length > 1) {
+                return { status: "ERR", message: "Only one free-shipping code can be used per order" };
+            }
+            if (discounts.filter((d) => d.isBirthdayDiscount).length > 1) {
+                return { status: "ERR", message: "Only one birthday voucher can be used per order" };
+            }
+        }
+
+        const ordered = [...discounts].sort(
+            (a, b) =>
+                (a.priority ?? 100) - (b.priority ?? 100) ||
+                (a.discountType === "FREE_SHIPPING") - (b.discountType === "FREE_SHIPPING")
+        );
+
+        const workingLines = lines.map((line) => ({ ...line }));
+        let remainingValue = Number(orderValue) || 0;
+        let remainingFee = Math.max(0, Number(shippingFee) || 0);
+        const shareMap = new Map();
+        const applied = [];
+        for (const discount of ordered) {
+            const calc = this._calculateDiscount(discount, {
+                orderValue: remainingValue,
+                lines: workingLines,
+                shippingFee: remainingFee,
+            });
+            if (calc.status !== "OK") {
+                return discounts.length > 1 ? { ...calc, message: `${discount.code}: ${calc.message}` } : calc;
+            }
+            const { productDiscount, shippingDiscount, lineShares } = calc.data;
+            lineShares.forEach((share) => {
+                const key = share.product_id.toString();
+                shareMap.set(key, (shareMap.get(key) || 0) + share.discount_share);
+                const line = workingLines.find((l) => l.product_id.toString() === key);
+                if (line) line.price -= share.discount_share / line.quantity;
+            });
+            remainingValue -= productDiscount;
+            remainingFee -= shippingDiscount;
+            applied.push({ discount, ...calc.data });
+        }
+
+        const productDiscount = applied.reduce((sum, a) => sum + a.productDiscount, 0);
+        const shippingDiscount = applied.reduce((sum, a) => sum + a.shippingDiscount, 0);
+        return {
+            status: "OK",
+            data: {
+                discounts: applied.map(({ discount, lineShares, ...calc }) => ({
+                    discountId: discount._id,
+                    code: discount.code,
+                    ...calc,
+                })),
+                discountAmount: productDiscount + shippingDiscount,
+                productDiscount,
+                shippingDiscount,
+                lineShares: [...shareMap.entries()].map(([product_id, discount_share]) => ({
+                    product_id,
+                    discount_share,
+                })),
+            },
+        };
+    },
+
+    /**
+     * Snapshot các mã đã áp dụng để lưu vào order.discounts
+     */
+    _toOrderDiscounts(applied) {
+        return applied.map((d) => ({
+            discount_id: d.discountId,
+            code: d.code,
+            discount_type: d.discountType,
+            discount_amount: d.discountAmount,
+            shipping_discount: d.shippingDiscount,
+        }));
+    },
 
+    /**
+     * Validate discount code(s) and calculate discount amount
+     *
+     * @param {String|String[]} code - một mã hoặc danh sách mã dùng chung
+     * @param {String} userId
+     * @param {Number} [orderValue] - Bắt buộc nếu không gửi items
+     * @param {Object} [options]
+     * @param {Array} [options.items] - [{ product_id, quantity }] – bắt buộc với voucher giới hạn sản phẩm / danh mục / NCC
+     * @param {Number} [options.shippingFee] - Phí ship dự kiến (voucher FREE_SHIPPING)
+     * @returns {Object}
+     */
+    async validateDiscountCode(code, userId, orderValue, { items, shippingFee = 0 } = {}) {
+        try {
+            const codes = Array.isArray(code) ? code : [code];
+            if (!codes.some(Boolean) || !userId || (orderValue === undefined && !items)) {
+                return { status: "ERR", message: "Missing required parameters" };
+            }
+
+            const loaded = await this._loadUsableDiscounts(codes, userId);
+            if (loaded.status !== "OK") return loaded;
+
+            const lines = await this._resolveDiscountLines(items, { applyPromotions: true });
+            const value = lines.length
+                ? lines.reduce((sum, line) => sum + line.quantity * line.price, 0)
+                : Number(orderValue);
+
+            const calc = this._calculateStackedDiscounts(loaded.data, { orderValue: value, lines, shippingFee });
+            if (calc.status !== "OK") return calc;
+
+            const [first] = calc.data.discounts;
             return {
                 status: "OK",
                 data: {
-                    discountId: discount._id,
-                    discountAmount,
-                    finalAmount: orderValue - discountAmount,
+                    discountId: first.discountId,
+                    discountType: first.discountType,
+                    ...calc.data,
+                    finalAmount: value + (Number(shippingFee) || 0) - calc.data.discountAmount,
                 },
             };
         } catch (error) {
@@ -1022,58 +1486,31 @@ const DiscountService = {
     },
 
     /**
-     * Validate discount by ID and return discount amount + code (không ghi usage).
+     * Validate discount(s) by ID and return discount amount + code (không ghi usage).
      * Dùng khi tạo đơn có áp dụng mã giảm giá ngay từ đầu.
      *
-     * @param {String} discountId
+     * @param {String|String[]} discountIds - một id hoặc danh sách id dùng chung
      * @param {String} userId
      * @param {Number} orderValue
-     * @returns {Object} { status, data: { discountAmount, code } | message }
+     * @param {Object} [options]
+     * @param {Array} [options.lines] - dòng hàng đã có category_id / supplier_id / price
+     * @param {Number} [options.shippingFee]
+     * @returns {Object} { status, data: { discounts, discountAmount, productDiscount, shippingDiscount, lineShares, code } | message }
      */
-    async getDiscountAmountForOrder(discountId, userId, orderValue) {
+    async getDiscountAmountForOrder(discountIds, userId, orderValue, { lines = [], shippingFee = 0 } = {}) {
         try {
-            if (!discountId || !userId || orderValue === undefined) {
+            const ids = Array.isArray(discountIds) ? discountIds : [discountIds];
+            if (!ids.some(Boolean) || !userId || orderValue === undefined) {
                 return { status: "ERR", message: "Missing required parameters" };
             }
-            const discount = await DiscountModel.findById(discountId);
-            if (!discount) {
-                return { status: "ERR", message: "Discount not found" };
-            }
-            const now = new Date();
-            if (
-                discount.status !== "APPROVED" ||
-                !discount.isActive ||
-                now < discount.startDate ||
-                now > discount.endDate
-            ) {
-                return { status: "ERR", message: "Discount code is not valid" };
-            }
-            if (discount.usageLimit !== null && discount.usedCount >= discount.usageLimit) {
-                return { status: "ERR", message: "Discount code has reached its usage limit" };
-            }
-            if (discount.targetUserId && discount.targetUserId.toString() !== userId.toString()) {
-                return { status: "ERR", message: "This discount code is not valid for your account" };
-            }
-            const existingUsage = await DiscountUsageModel.findOne({
-                discountId: discount._id,
-                userId,
-            });
-            if (existingUsage) {
-                return { status: "ERR", message: "You have already used this discount code" };
-            }
-            if (orderValue < discount.minOrderValue) {
-                return {
-                    status: "ERR",
-                    message: `Minimum order value is ${discount.minOrderValue}`,
-                };
-            }
-            const discountAmount = Math.min(
-                (orderValue * discount.discountPercent) / 100,
-                discount.maxDiscountAmount
-            );
+            const loaded = await this._loadUsableDiscounts(ids, userId, { byId: true });
+            if (loaded.status !== "OK") return loaded;
+
+            const calc = this._calculateStackedDiscounts(loaded.data, { orderValue, lines, shippingFee });
+            if (calc.status !== "OK") return calc;
             return {
                 status: "OK",
-                data: { discountAmount, code: discount.code },
+                data: { ...calc.data, code: calc.data.discounts.map((d) => d.code).join(", ") },
             };
         } catch (error) {
             return { status: "ERR", message: error.message };
@@ -1081,99 +1518,101 @@ const DiscountService = {
     },
 
     /**
-     * Apply discount code after successful order creation
+     * Apply discount code(s) after successful order creation
      *
-     * @param {String} discountId
+     * Có orderId: tính lại theo dòng hàng + phí ship của đơn, cập nhật tổng tiền,
+     * discount_share từng dòng và payment. Không có orderId: tính theo orderValue / items.
+     * Ghi một DiscountUsage cho mỗi mã.
+     *
+     * @param {String|String[]} discountIds - một id hoặc danh sách id dùng chung
      * @param {String} userId
      * @param {Number} orderValue
      * @param {String|null} orderId
+     * @param {Object} [options] - { items, shippingFee } khi không có orderId
      * @returns {Object}
      */
-    async applyDiscountCode(discountId, userId, orderValue, orderId = null) {
+    async applyDiscountCode(discountIds, userId, orderValue, orderId = null, { items, shippingFee = 0 } = {}) {
         try {
-            if (!discountId || !userId || orderValue === undefined) {
+            const ids = Array.isArray(discountIds) ? discountIds : [discountIds];
+            if (!ids.some(Boolean) || !userId || (orderValue === undefined && !orderId)) {
                 return { status: "ERR", message: "Missing required parameters" };
             }
 
-            const discount = await DiscountModel.findById(discountId);
-            if (!discount) {
-                return { status: "ERR", message: "Discount not found" };
-            }
+            // Validate discounts are still valid
+            const loaded = await this._loadUsableDiscounts(ids, userId, { byId: true });
+            if (loaded.status !== "OK") return loaded;
+            const discounts = loaded.data;
 
-            // Validate discount is still valid
-            const now = new Date();
-            if (
-                discount.status !== "APPROVED" ||
-                !discount.isActive ||
-                now < discount.startDate ||
-                now > discount.endDate
-            ) {
-                return { status: "ERR", message: "Discount code is not valid" };
-            }
+            let orderObjectId = null;
+            let order = null;
+            let orderDetails = [];
+            if (orderId) {
+                // Convert orderId to ObjectId if it's a string
+                if (typeof orderId === 'string') {
+                    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+                        return { status: "ERR", message: "Invalid order ID format" };
+                    }
+                    orderObjectId = new mongoose.Types.ObjectId(orderId);
+                } else {
+                    orderObjectId = orderId;
+                }
 
-            if (discount.usageLimit !== null && discount.usedCount >= discount.usageLimit) {
-                return { status: "ERR", message: "Discount code has reached its usage limit" };
-            }
+                // Verify order exists and belongs to user
+                order = await OrderModel.findById(orderObjectId);
+                if (!order) {
+                    return { status: "ERR", message: "Order not found. Please wait a moment and try again." };
+                }
 
-            // Personal voucher: only the target user can use it
-            if (discount.targetUserId && discount.targetUserId.toString() !== userId.toString()) {
-                return { status: "ERR", message: "This discount code is not valid for your account" };
+                if (order.user_id.toString() !== userId.toString()) {
+                    return { status: "ERR", message: "Order does not belong to user" };
+                }
+                orderDetails = await OrderDetailModel.find({ order_id: orderObjectId }).lean();
             }
 
-            // Check if user already used this discount
-            const existingUsage = await DiscountUsageModel.findOne({
-                discountId: discount._id,
-                userId,
-            });
-
-            if (existingUsage) {
-                return { status: "ERR", message: "You have already used this discount code" };
-            }
-            // Validate minimum order value
-            if (orderValue < discount.minOrderValue) {
-                return {
-                    status: "ERR",
-                    message: `Minimum order value is ${discount.minOrderValue}`,
-                };
+            let lines;
+            let value;
+            let fee;
+            if (order) {
+                lines = await this._resolveDiscountLines(orderDetails);
+                // Giá theo snapshot của đơn (sau khuyến mãi tự động), không theo giá hiện tại
+                const detailMap = new Map(orderDetails.map((d) => [d.product_id.toString(), d]));
+                lines.forEach((line) => {
+                    const detail = detailMap.get(line.product_id.toString());
+                    if (detail) line.price = detail.price - (detail.promotion_share || 0) / detail.quantity;
+                });
+                value = orderDetails.reduce(
+                    (sum, d) => sum + d.price * d.quantity - (d.promotion_share || 0),
+                    0
+                );
+                fee = order.shipping_fee || 0;
+            } else {
+                lines = await this._resolveDiscountLines(items, { applyPromotions: true });
+                value = lines.length
+                    ? lines.reduce((sum, line) => sum + line.quantity * line.price, 0)
+                    : Number(orderValue);
+                fee = Number(shippingFee) || 0;
             }
 
-            const discountAmount = Math.min(
-                (orderValue * discount.discountPercent) / 100,
-                discount.maxDiscountAmount
-            );
+            const calc = this._calculateStackedDiscounts(discounts, { orderValue: value, lines, shippingFee: fee });
+            if (calc.status !== "OK") return calc;
+            const { discountAmount, shippingDiscount, lineShares } = calc.data;
 
-            const finalAmount = orderValue - discountAmount;
+            // Đơn: total_price = tiền hàng + ship - khuyến mãi tự động - voucher (value đã trừ khuyến mãi)
+            const finalAmount = value + fee - discountAmount;
 
-            // If an orderId is provided, update order and payment first
-            if (orderId) {
+            // If an orderId is provided, update order, line shares and payment first
+            if (order) {
                 try {
-                    // Convert orderId to ObjectId if it's a string
-                    let orderObjectId = orderId;
-                    if (typeof orderId === 'string') {
-                        if (!mongoose.Types.ObjectId.isValid(orderId)) {
-                            return { status: "ERR", message: "Invalid order ID format" };
-                        }
-                        orderObjectId = new mongoose.Types.ObjectId(orderId);
-                    }
-
-                    // Verify order exists and belongs to user
-                    const order = await OrderModel.findById(orderObjectId);
-                    if (!order) {
-                        return { status: "ERR", message: "Order not found. Please wait a moment and try again." };
-                    }
-
-                    if (order.user_id.toString() !== userId.toString()) {
-                        return { status: "ERR", message: "Order does not belong to user" };
-                    }
-
                     // Update order total and discount info for display
                     const updateResult = await OrderModel.updateOne(
                         { _id: orderObjectId },
                         {
                             $set: {
                                 total_price: finalAmount,
-                                discount_code: discount.code,
+                                discount_code: calc.data.discounts.map((d) => d.code).join(", "),
                                 discount_amount: discountAmount,
+                                shipping_discount: shippingDiscount,
+                                discounts: this._toOrderDiscounts(calc.data.discounts),
                             },
                         }
                     );
@@ -1187,6 +1626,16 @@ const DiscountService = {
                         console.log(`Order ${orderId} already has price ${finalAmount}`);
                     }
 
+                    const shareMap = new Map(lineShares.map((s) => [s.product_id.toString(), s.discount_share]));
+                    await OrderDetailModel.bulkWrite(
+                        orderDetails.map((d) => ({
+                            updateOne: {
+                                filter: { _id: d._id },
+                                update: { $set: { discount_share: shareMap.get(d.product_id.toString()) || 0 } },
+                            },
+                        }))
+                    );
+
                     // Update associated payment amount so payment uses discounted total
                     const paymentUpdateResult = await PaymentModel.updateOne(
                         { order_id: orderObjectId, type: "PAYMENT" },
@@ -1203,37 +1652,19 @@ const DiscountService = {
                 }
             }
 
-            // Save discount usage record (ALWAYS save usage, even if orderId is not provided)
-            let orderObjectId = null;
-            if (orderId) {
-                if (typeof orderId === 'string' && mongoose.Types.ObjectId.isValid(orderId)) {
-                    orderObjectId = new mongoose.Types.ObjectId(orderId);
-                } else if (orderId instanceof mongoose.Types.ObjectId) {
-                    orderObjectId = orderId;
-                }
-            }
-
-            const usage = new DiscountUsageModel({
-                discountId: discount._id,
+            // Save discount usage record per code (ALWAYS save usage, even if orderId is not provided)
+            await this.recordDiscountUsage({
+                applied: calc.data.discounts,
                 userId,
                 orderId: orderObjectId,
-                discountCode: discount.code,
-                discountPercent: discount.discountPercent,
-                discountAmount,
-                orderValue,
+                orderValue: value,
             });
 
-            await usage.save();
-
-            // Increment discount usedCount (CRITICAL: This must happen to track usage)
-            discount.usedCount += 1;
-            await discount.save();
-
             return {
                 status: "OK",
                 message: "Discount code applied successfully",
                 data: {
-                    discountAmount,
+                    ...calc.data,
                     finalAmount,
                 },
             };
@@ -1243,6 +1674,79 @@ const DiscountService = {
         }
     },
 
+    /**
+     * Ghi DiscountUsage + tăng usedCount cho các mã đã áp dụng – chạy trong transaction tạo đơn (OrderService).
+     * Không kiểm tra lại điều kiện segment: đơn vừa tạo đã nằm trong lịch sử mua của khách.
+     * - usageLimit: tăng usedCount có điều kiện (usedCount < usageLimit), hết lượt → throw
+     * - perUserLimit: useIndex = lượt thứ mấy của user, unique (discountId, userId, useIndex) → hai đơn tranh
+     *   cùng một lượt thì đơn sau bị huỷ
+     * Đơn đã có usage của mã đó thì bỏ qua (gọi lại không tính hai lần).
+     *
+     * @param {Object} params
+     * @param {Array} params.applied - [{ discountId, code, discountAmount, shippingDiscount }] (_calculateStackedDiscounts)
+     * @param {String|ObjectId} params.userId
+     * @param {ObjectId|null} [params.orderId]
+     * @param {Number} [params.orderValue]
+     * @param {ClientSession} [params.session]
+     */
+    async recordDiscountUsage({ applied, userId, orderId = null, orderValue = 0, session = null }) {
+        for (const item of applied) {
+            if (orderId) {
+                const recorded = await DiscountUsageModel.exists({ discountId: item.discountId, orderId }).session(session);
+                if (recorded) continue;
+            }
+
+            const discount = await DiscountModel.findOneAndUpdate(
+                {
+                    _id: item.discountId,
+                    $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+                },
+                { $inc: { usedCount: 1 } },
+                { new: true, session }
+            );
+            if (!discount) {
+                throw new Error(`Discount code ${item.code} has reached its usage limit`);
+            }
+
+            let useIndex;
+            if (discount.perUserLimit != null) {
+                const usedByUser = await DiscountUsageModel.countDocuments({
+                    discountId: discount._id,
+                    userId,
+                }).session(session);
+                if (usedByUser >= discount.perUserLimit) {
+                    throw new Error(`You have already used discount code ${discount.code} the maximum number of times`);
+                }
+                useIndex = usedByUser + 1;
+            }
+
+            try {
+                await DiscountUsageModel.create(
+                    [
+                        {
+                            discountId: discount._id,
+                            userId,
+                            orderId,
+                            discountCode: discount.code,
+                            discountType: discount.discountType || "PERCENT",
+                            discountPercent: discount.discountPercent || 0,
+                            discountAmount: item.discountAmount,
+                            shippingDiscountAmount: item.shippingDiscount || 0,
+                            orderValue,
+                            ...(useIndex ? { useIndex } : {}),
+                        },
+                    ],
+                    { session }
+                );
+            } catch (err) {
+                if (err.code === 11000) {
+                    throw new Error(`Discount code ${discount.code} is already being used by another order of yours`);
+                }
+                throw err;
+            }
+        }
+    },
+
     /**
      * Get discount usage history for a customer
      *
@@ -1455,6 +1959,7 @@ const DiscountService = {
             discountPercent: birthdayDiscountConfig.discountPercent,
             minOrderValue: birthdayDiscountConfig.minOrderValue,
             maxDiscountAmount: birthdayDiscountConfig.maxDiscountAmount,
+            stackable: birthdayDiscountConfig.stackable,
             startDate: now,
             endDate,
             usageLimit: 1,
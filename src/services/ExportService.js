@@ -12,6 +12,9 @@ const OrderService = require("./OrderService");
 const DiscountService = require("./DiscountService");
 const PreOrderService = require("./PreOrderService");
 const NewsService = require("./NewsService");
+const PaymentReconciliationService = require("./PaymentReconciliationService");
+const PreOrderForecastService = require("./PreOrderForecastService");
+const SupplierScorecardService = require("./SupplierScorecardService");
 
 // ---- Format helpers ----
 // Change these to adjust the look of exported Excel sheets.
@@ -284,18 +287,20 @@ async function exportSalesStatsToExcel(options = {}) {
   // ---- Sheet 5: Discount List ----
   const discountList = discListRes?.data ?? [];
   const wsDiscList = workbook.addWorksheet("Discount List", { sheetView: { showGridLines: true } });
-  wsDiscList.addRow(["Code", "Discount %", "Status", "Expires"]);
+  wsDiscList.addRow(["Code", "Discount %", "Status", "Expires", "Type", "Fixed Amount (VND)"]);
   discountList.forEach((d) => {
     wsDiscList.addRow([
       d.code ?? "",
       d.discountPercent ?? d.discount_percent ?? 0,
       d.status ?? "",
       fmtDate(d.endDate || d.end_date),
+      d.discountType ?? "PERCENT",
+      d.discountValue ?? "",
     ]);
   });
-  setColumnWidths(wsDiscList, [16, 14, 14, 20]);
+  setColumnWidths(wsDiscList, [16, 14, 14, 20, 16, 18]);
   styleHeaderRow(wsDiscList, 1);
-  styleTableBorders(wsDiscList, 1, 1 + discountList.length, 4);
+  styleTableBorders(wsDiscList, 1, 1 + discountList.length, 6);
   for (let r = 2; r <= 1 + discountList.length; r++) {
     wsDiscList.getCell(r, 2).numFmt = "0%";
   }
@@ -442,6 +447,328 @@ async function exportSalesStatsToExcel(options = {}) {
   return Buffer.from(buffer);
 }
 
+const RECONCILIATION_RESULT_LABELS = {
+  MATCHED: "Matched",
+  FIXED: "Fixed",
+  DISCREPANCY: "Discrepancy",
+  ERROR: "Error",
+};
+
+/**
+ * Export VNPay payment reconciliation to Excel buffer.
+ * Sheets: Summary (count per result), Details (one row per reconciled payment), Discrepancies.
+ *
+ * @param {Object} [filters] - run_date | from_date + to_date, result, discrepancy_type (see PaymentReconciliationService)
+ * @returns {Promise<Buffer>} Excel file buffer
+ */
+async function exportPaymentReconciliationToExcel(filters = {}) {
+  const rows = await PaymentReconciliationService.getReconciliationRows(filters);
+  const workbook = new ExcelJS.Workbook();
+
+  // ---- Sheet: Summary ----
+  const wsSummary = workbook.addWorksheet("Summary", { sheetView: { showGridLines: true } });
+  wsSummary.addRow(["Result", "Payments"]);
+  const resultKeys = Object.keys(RECONCILIATION_RESULT_LABELS);
+  resultKeys.forEach((key) => {
+    wsSummary.addRow([RECONCILIATION_RESULT_LABELS[key], rows.filter((r) => r.result === key).length]);
+  });
+  wsSummary.addRow(["Total", rows.length]);
+  setColumnWidths(wsSummary, [20, 14]);
+  styleHeaderRow(wsSummary, 1);
+  styleTableBorders(wsSummary, 1, resultKeys.length + 2, 2);
+  for (let r = 2; r <= resultKeys.length + 2; r++) {
+    formatNumberCell(wsSummary.getCell(r, 2));
+  }
+  wsSummary.getRow(resultKeys.length + 2).font = { bold: true };
+
+  // ---- Sheets: Details + Discrepancies ----
+  const header = [
+    "Run date",
+    "Order ID",
+    "Result",
+    "Discrepancy",
+    "Status before",
+    "Status after",
+    "Local amount",
+    "VNPay amount",
+    "VNPay response",
+    "VNPay txn status",
+    "VNPay txn no",
+    "Note",
+    "Checked at",
+  ];
+  const addRowsSheet = (name, list) => {
+    const ws = workbook.addWorksheet(name, { sheetView: { showGridLines: true } });
+    ws.addRow(header);
+    list.forEach((r) => {
+      ws.addRow([
+        r.run_date ?? "",
+        r.txn_ref || r.order_id?.toString() || "",
+        RECONCILIATION_RESULT_LABELS[r.result] || r.result || "",
+        r.discrepancy_type ?? "",
+        r.local_status_before ?? "",
+        r.local_status_after ?? "",
+        r.local_amount ?? 0,
+        r.provider_amount ?? "",
+        r.provider_response_code ?? "",
+        r.provider_transaction_status ?? "",
+        r.provider_txn_id ?? "",
+        r.note ?? "",
+        fmtDate(r.checked_at),
+      ]);
+    });
+    setColumnWidths(ws, [12, 26, 14, 24, 14, 14, 16, 16, 14, 16, 16, 50, 20]);
+    styleHeaderRow(ws, 1);
+    styleTableBorders(ws, 1, 1 + list.length, header.length);
+    for (let r = 2; r <= 1 + list.length; r++) {
+      formatCurrencyCell(ws.getCell(r, 7));
+      formatCurrencyCell(ws.getCell(r, 8));
+    }
+  };
+  addRowsSheet("Details", rows);
+  addRowsSheet("Discrepancies", rows.filter((r) => r.result === "DISCREPANCY" || r.result === "ERROR"));
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+}
+
+/** Short date (dd/mm/yyyy) for week columns. */
+function fmtDay(v) {
+  if (!v) return "";
+  return new Date(v).toLocaleDateString("vi-VN", { day: "2-digit", month: "2-digit", year: "numeric", timeZone: "Asia/Ho_Chi_Minh" });
+}
+
+/**
+ * Export pre-order harvest forecast to Excel buffer.
+ * Sheets: Summary (one row per fruit type), Weekly (fruit type × week), Pending Batches (with supplier history ratio).
+ *
+ * @param {Object} [options] - weeks, fruitTypeId (see PreOrderForecastService.getForecast)
+ * @returns {Promise<Buffer>} Excel file buffer
+ */
+async function exportPreOrderForecastToExcel(options = {}) {
+  const { data } = await PreOrderForecastService.getForecast(options);
+  const workbook = new ExcelJS.Workbook();
+
+  // ---- Sheet: Summary ----
+  const wsSummary = workbook.addWorksheet("Summary", { sheetView: { showGridLines: true } });
+  const summaryHeader = [
+    "Fruit type",
+    "Estimated harvest",
+    "Open demand (kg)",
+    "Stock on hand (kg)",
+    "Projected supply (kg)",
+    "Supply after horizon (kg)",
+    "Projected balance (kg)",
+    "Shortfall (kg)",
+    "First shortfall week",
+    "Status",
+  ];
+  wsSummary.addRow(summaryHeader);
+  data.fruitTypes.forEach((r) => {
+    wsSummary.addRow([
+      r.fruitTypeName,
+      fmtDay(r.estimatedHarvestDate),
+      r.openDemandKg,
+      r.stockOnHandKg,
+      r.projectedSupplyKg,
+      r.laterSupplyKg,
+      r.projectedBalanceKg,
+      r.shortfallKg,
+      fmtDay(r.firstShortfallWeek),
+      r.shortfall ? "SHORTFALL" : "OK",
+    ]);
+  });
+  setColumnWidths(wsSummary, [28, 16, 16, 18, 20, 22, 20, 14, 20, 12]);
+  styleHeaderRow(wsSummary, 1);
+  styleTableBorders(wsSummary, 1, 1 + data.fruitTypes.length, summaryHeader.length);
+  data.fruitTypes.forEach((r, i) => {
+    for (let c = 3; c <= 8; c++) formatNumberCell(wsSummary.getCell(i + 2, c));
+    if (r.shortfall) wsSummary.getCell(i + 2, 10).font = { bold: true, color: { argb: "FFC00000" } };
+  });
+
+  // ---- Sheet: Weekly ----
+  const wsWeekly = workbook.addWorksheet("Weekly", { sheetView: { showGridLines: true } });
+  const weeklyHeader = ["Fruit type", "Week of", "Expected supply (kg)", "Cumulative supply (kg)", "Demand due (kg)", "Balance (kg)", "Shortfall"];
+  wsWeekly.addRow(weeklyHeader);
+  let weeklyRows = 0;
+  data.fruitTypes.forEach((r) => {
+    r.weeks.forEach((w) => {
+      wsWeekly.addRow([
+        r.fruitTypeName,
+        fmtDay(w.weekStart),
+        w.expectedSupplyKg,
+        w.cumulativeSupplyKg,
+        w.demandDueKg,
+        w.balanceKg,
+        w.shortfall ? "YES" : "",
+      ]);
+      weeklyRows += 1;
+      const rowIdx = weeklyRows + 1;
+      for (let c = 3; c <= 6; c++) formatNumberCell(wsWeekly.getCell(rowIdx, c));
+      if (w.shortfall) wsWeekly.getCell(rowIdx, 6).font = { color: { argb: "FFC00000" } };
+    });
+  });
+  setColumnWidths(wsWeekly, [28, 14, 20, 22, 16, 14, 10]);
+  styleHeaderRow(wsWeekly, 1);
+  styleTableBorders(wsWeekly, 1, 1 + weeklyRows, weeklyHeader.length);
+
+  // ---- Sheet: Pending Batches ----
+  const wsBatches = workbook.addWorksheet("Pending Batches", { sheetView: { showGridLines: true } });
+  const batchHeader = [
+    "Fruit type",
+    "Batch code",
+    "Supplier",
+    "Harvest date",
+    "Quantity (kg)",
+    "Received (kg)",
+    "Supplier ratio",
+    "History batches",
+    "Expected (kg)",
+  ];
+  wsBatches.addRow(batchHeader);
+  let batchRows = 0;
+  data.fruitTypes.forEach((r) => {
+    r.batches.forEach((b) => {
+      wsBatches.addRow([
+        r.fruitTypeName,
+        b.batchCode || "",
+        b.supplierName,
+        fmtDay(b.harvestDate),
+        b.quantityKg,
+        b.receivedKg,
+        b.supplierRatio,
+        b.historyBatches,
+        b.expectedKg,
+      ]);
+      batchRows += 1;
+      const rowIdx = batchRows + 1;
+      [5, 6, 8, 9].forEach((c) => formatNumberCell(wsBatches.getCell(rowIdx, c)));
+      formatPercentCell(wsBatches.getCell(rowIdx, 7));
+    });
+  });
+  setColumnWidths(wsBatches, [28, 24, 24, 14, 14, 14, 14, 16, 14]);
+  styleHeaderRow(wsBatches, 1);
+  styleTableBorders(wsBatches, 1, 1 + batchRows, batchHeader.length);
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+}
+
+/**
+ * Export supplier scorecards to Excel buffer.
+ * Sheets: Scorecards (ranked, one row per supplier), Details (underlying quantities per supplier).
+ *
+ * @param {Object} [filters] - startDate, endDate, cooperationStatus, type, sortBy, order (see SupplierScorecardService.getSupplierScorecards)
+ * @returns {Promise<Buffer>} Excel file buffer
+ */
+async function exportSupplierScorecardsToExcel(filters = {}) {
+  const response = await SupplierScorecardService.getSupplierScorecards(filters);
+  if (response.status === "ERR") {
+    const err = new Error(response.message);
+    err.statusCode = 400;
+    throw err;
+  }
+  const rows = response.data.suppliers;
+  const workbook = new ExcelJS.Workbook();
+  const pct = (v) => (v == null ? null : v / 100);
+
+  // ---- Sheet: Scorecards ----
+  const wsScore = workbook.addWorksheet("Scorecards", { sheetView: { showGridLines: true } });
+  const scoreHeader = [
+    "Rank",
+    "Supplier",
+    "Code",
+    "Type",
+    "Cooperation",
+    "Score",
+    "On-time delivery",
+    "Quantity accuracy",
+    "Discard rate",
+    "Avg sell-through (days)",
+    "Gross margin",
+    "Avg rating",
+  ];
+  wsScore.addRow(scoreHeader);
+  rows.forEach((r, i) => {
+    wsScore.addRow([
+      r.rank,
+      r.name,
+      r.code || "",
+      r.type,
+      r.cooperationStatus,
+      r.score,
+      pct(r.onTimeDeliveryPercent),
+      pct(r.quantityAccuracyPercent),
+      pct(r.discardRatePercent),
+      r.avgSellThroughDays,
+      pct(r.grossMarginPercent),
+      r.avgRating,
+    ]);
+    [7, 8, 9, 11].forEach((c) => formatPercentCell(wsScore.getCell(i + 2, c)));
+  });
+  setColumnWidths(wsScore, [8, 28, 14, 14, 14, 10, 18, 18, 14, 22, 14, 12]);
+  styleHeaderRow(wsScore, 1);
+  styleTableBorders(wsScore, 1, 1 + rows.length, scoreHeader.length);
+
+  // ---- Sheet: Details ----
+  const wsDetails = workbook.addWorksheet("Details", { sheetView: { showGridLines: true } });
+  const detailHeader = [
+    "Supplier",
+    "Closed batches",
+    "Planned (kg)",
+    "Received (kg)",
+    "Sold (kg)",
+    "Discarded (kg)",
+    "Gross profit",
+    "Harvest deliveries",
+    "On time",
+    "Avg harvest → receipt (days)",
+    "PO receipts",
+    "PO receipts on time",
+    "Closed POs",
+    "PO fill rate",
+    "Write-off (kg)",
+    "Write-off value",
+    "Reviews",
+  ];
+  wsDetails.addRow(detailHeader);
+  rows.forEach((r, i) => {
+    const d = r.details;
+    wsDetails.addRow([
+      r.name,
+      d.closedBatches,
+      d.plannedQuantity,
+      d.receivedQuantity,
+      d.soldQuantity,
+      d.discardedQuantity,
+      d.grossProfit,
+      d.harvestDeliveries,
+      d.harvestDeliveriesOnTime,
+      d.avgHarvestToReceiptDays,
+      d.purchaseOrderReceipts,
+      d.purchaseOrderReceiptsOnTime,
+      d.closedPurchaseOrders,
+      pct(d.purchaseOrderFillRatePercent),
+      d.writeOffQuantity,
+      d.writeOffValue,
+      d.reviewCount,
+    ]);
+    const rowIdx = i + 2;
+    [3, 4, 5, 6, 15].forEach((c) => formatNumberCell(wsDetails.getCell(rowIdx, c)));
+    [7, 16].forEach((c) => formatCurrencyCell(wsDetails.getCell(rowIdx, c)));
+    formatPercentCell(wsDetails.getCell(rowIdx, 14));
+  });
+  setColumnWidths(wsDetails, [28, 14, 14, 14, 12, 14, 16, 18, 10, 26, 12, 18, 12, 14, 14, 16, 10]);
+  styleHeaderRow(wsDetails, 1);
+  styleTableBorders(wsDetails, 1, 1 + rows.length, detailHeader.length);
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+}
+
 module.exports = {
   exportSalesStatsToExcel,
+  exportPaymentReconciliationToExcel,
+  exportPreOrderForecastToExcel,
+  exportSupplierScorecardsToExcel,
 };
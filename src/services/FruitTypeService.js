@@ -17,6 +17,7 @@ const mongoose = require("mongoose");
 const FruitTypeModel = require("../models/FruitTypeModel");
 const PreOrderModel = require("../models/PreOrderModel");
 const cloudinary = require("../config/cloudinaryConfig");
+const { getPreOrderPolicy, toPolicySnapshot, parsePolicyInput } = require("./preorderPolicy");
 
 /** Pre-order statuses that count toward demand (no edit/delete when demand > 0). */
 const PREORDER_DEMAND_STATUSES = ["WAITING_FOR_ALLOCATION", "WAITING_FOR_NEXT_BATCH", "ALLOCATED_WAITING_PAYMENT", "WAITING_FOR_PRODUCT"];
@@ -58,6 +59,24 @@ function validateHarvestDate(estimatedHarvestDate) {
   }
 }
 
+const ALLOCATION_STRATEGIES = ["FIFO", "PRO_RATA", "PRIORITY_TIER"];
+
+function validateAllocationStrategy(allocationStrategy) {
+  if (!ALLOCATION_STRATEGIES.includes(String(allocationStrategy || "").trim().toUpperCase())) {
+    throw new Error(`Allocation strategy must be one of: ${ALLOCATION_STRATEGIES.join(", ")}`);
+  }
+}
+
+/** Capacity (expected yield kg): null / "" = không giới hạn; otherwise whole number >= 0. */
+function parseCapacityKg(capacityKg) {
+  if (capacityKg === null || capacityKg === undefined || capacityKg === "") return null;
+  const value = Number(capacityKg);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error("Capacity (kg) must be a whole number greater than or equal to 0");
+  }
+  return value;
+}
+
 /**
  * Get pre-order demand (sum quantityKg) for a fruit type. Used to block edit/delete when demand > 0.
  * @param {string} fruitTypeId - Fruit type ObjectId
@@ -209,7 +228,13 @@ const getAvailableById = async (id) => {
   if (closedIds.has(doc._id.toString())) {
     throw new Error("Pre-order closed for this fruit: orders for this batch have already been allocated.");
   }
-  if (doc.depositPercent == null) doc.depositPercent = 50;
+  Object.assign(doc, toPolicySnapshot(getPreOrderPolicy(doc)));
+  if (doc.capacityKg != null) {
+    // availableKg = 0 → customer joins the waitlist instead of pre-ordering
+    const PreOrderWaitlistService = require("./PreOrderWaitlistService");
+    const { availableKg } = await PreOrderWaitlistService.getCapacityInfo(doc);
+    doc.availableKg = availableKg;
+  }
   return { status: "OK", data: normalizeImages(doc) };
 };
 
@@ -292,6 +317,13 @@ const create = async (payload) => {
     maxOrderKg,
     estimatedHarvestDate,
     allowPreOrder = true,
+    allocationStrategy = "FIFO",
+    capacityKg = null,
+    depositPercent,
+    paymentDeadlineDays,
+    overdueForfeitPercent,
+    freeCancelHours,
+    lateCancelForfeitPercent,
     status = "ACTIVE",
     image,
     imagePublicId,
@@ -324,6 +356,15 @@ const create = async (payload) => {
     throw new Error("Estimated price must be a valid number greater than or equal to 0");
   }
   validateHarvestDate(estimatedHarvestDate);
+  validateAllocationStrategy(allocationStrategy);
+  const capacity = parseCapacityKg(capacityKg);
+  const policy = parsePolicyInput({
+    depositPercent,
+    paymentDeadlineDays,
+    overdueForfeitPercent,
+    freeCancelHours,
+    lateCancelForfeitPercent,
+  });
 
   const nameTrimmed = String(name).trim();
   const harvestDay = estimatedHarvestDate ? new Date(estimatedHarvestDate).toISOString().slice(0, 10) : null;
@@ -355,6 +396,9 @@ const create = async (payload) => {
     maxOrderKg: maxKg,
     estimatedHarvestDate: estimatedHarvestDate ? new Date(estimatedHarvestDate) : null,
     allowPreOrder: !!allowPreOrder,
+    allocationStrategy: String(allocationStrategy).trim().toUpperCase(),
+    capacityKg: capacity,
+    ...policy,
     status: status === "INACTIVE" ? "INACTIVE" : "ACTIVE",
     image: firstImg,
     imagePublicId: firstPid,
@@ -388,6 +432,13 @@ const update = async (id, payload) => {
     maxOrderKg,
     estimatedHarvestDate,
     allowPreOrder,
+    allocationStrategy,
+    capacityKg,
+    depositPercent,
+    paymentDeadlineDays,
+    overdueForfeitPercent,
+    freeCancelHours,
+    lateCancelForfeitPercent,
     status,
     image,
     imagePublicId,
@@ -430,6 +481,15 @@ const update = async (id, payload) => {
     doc.estimatedHarvestDate = estimatedHarvestDate ? new Date(estimatedHarvestDate) : null;
   }
   if (allowPreOrder !== undefined) doc.allowPreOrder = !!allowPreOrder;
+  if (allocationStrategy !== undefined) {
+    validateAllocationStrategy(allocationStrategy);
+    doc.allocationStrategy = String(allocationStrategy).trim().toUpperCase();
+  }
+  if (capacityKg !== undefined) doc.capacityKg = parseCapacityKg(capacityKg);
+  Object.assign(
+    doc,
+    parsePolicyInput({ depositPercent, paymentDeadlineDays, overdueForfeitPercent, freeCancelHours, lateCancelForfeitPercent })
+  );
   if (status !== undefined) doc.status = status === "INACTIVE" ? "INACTIVE" : "ACTIVE";
   if (!shouldRemoveImage && !Array.isArray(images) && !Array.isArray(imagePublicIds)) {
     if (image !== undefined) doc.image = image && String(image).trim() ? String(image).trim() : null;
@@ -473,6 +533,7 @@ module.exports = {
   listAvailableForPreOrder,
   getAvailableById,
   isPreOrderLockedByHarvest,
+  parseCapacityKg,
   DAYS_BEFORE_HARVEST_TO_LOCK,
   listAdmin,
   getById,
@@ -2,8 +2,13 @@ const mongoose = require("mongoose");
 const InventoryTransactionModel = require("../models/InventoryTransactionModel");
 const ProductModel = require("../models/ProductModel");
 const HarvestBatchModel = require("../models/HarvestBatchModel");
-const { getTodayInVietnam, formatDateVN, compareDates, calculateDaysBetween } = require("../utils/dateVN");
+const WarehouseService = require("./WarehouseService");
+const ProductLotService = require("./ProductLotService");
+const PurchaseOrderService = require("./PurchaseOrderService");
+const { getTodayInVietnam, formatDateVN } = require("../utils/dateVN");
 
+// Lý do điều chỉnh tồn (ADJUST) khi kiểm kê lệch số
+const ADJUST_REASON_CODES = ["SPOILAGE", "DAMAGE", "THEFT", "COUNT_ERROR", "OTHER"];
 
 // Build receivingStatus expression based on updated fields
 const receivingStatusExpr = () => ({
@@ -30,12 +35,34 @@ const stockStatusExpr = () => ({
  * - receivedQuantity + x <= plannedQuantity
  * - receivedQuantity += x
  * - onHandQuantity += x
- * - Nếu là lần nhập đầu tiên (receivedQuantity = 0), tự động set warehouseEntryDate = ngày hiện tại
- * - Nhận expiryDate từ payload (date picker)
- * - Validate: expiryDate >= ngày hiện tại + 1 ngày
+ * - Nếu là lần nhập đầu tiên của kỳ lô (chưa có warehouseEntryDate), tự động set warehouseEntryDate = ngày hiện tại
+ * - Mỗi phiếu nhập tạo một lô (ProductLot) với hạn sử dụng, lô thu hoạch và giá vốn riêng
+ *   → nhập được nhiều ngày / nhiều lô thu hoạch, các lô bán song song (xuất theo FEFO)
+ * - expiryDate bắt buộc mỗi phiếu, >= ngày hiện tại + 1 ngày
+ * - unitCost (optional): giá vốn / kg của lô, mặc định Product.purchasePrice
+ * - warehouseId (optional): kho nhận hàng, mặc định là kho mặc định; tồn theo kho += x
+ * - purchaseOrderId + purchaseOrderLineId (optional): nhận theo dòng PO đang mở (PurchaseOrderService)
+ *   → kho mặc định = kho của PO, giá vốn lô mặc định = unitCost của dòng PO,
+ *   giao thừa so với số đặt được cộng thêm vào plannedQuantity
  */
 const createReceipt = async (userId, payload = {}) => {
-  const { productId, quantity, expiryDate, note = "", referenceType = "", referenceId = null, harvestBatchId = null } = payload;
+  const {
+    productId,
+    quantity,
+    expiryDate,
+    unitCost,
+    note = "",
+    referenceType = "",
+    referenceId = null,
+    harvestBatchId = null,
+    warehouseId = null,
+    purchaseOrderId = null,
+    purchaseOrderLineId = null,
+  } = payload;
+
+  if (warehouseId && !mongoose.isValidObjectId(warehouseId)) {
+    return { status: "ERR", message: "Invalid warehouseId" };
+  }
 
 
   if (!mongoose.isValidObjectId(productId)) {
@@ -56,35 +83,42 @@ const createReceipt = async (userId, payload = {}) => {
   const today = getTodayInVietnam();
 
 
-  // Validate expiryDate
+  // Validate expiryDate (hạn của lô nhập)
   let finalExpiryDate = null;
 
 
-  if (expiryDate !== undefined && expiryDate !== null) {
-    try {
-      finalExpiryDate = new Date(expiryDate);
-      if (isNaN(finalExpiryDate.getTime())) {
-        return { status: "ERR", message: "Invalid expiryDate" };
-      }
-     
-      // Reset về 00:00:00 để so sánh ngày
-      finalExpiryDate.setHours(0, 0, 0, 0);
-     
-      // ✅ Validate: expiryDate >= ngày hiện tại + 1 ngày (theo timezone Vietnam)
-      const minDate = new Date(today);
-      minDate.setDate(minDate.getDate() + 1);
-     
-      if (finalExpiryDate < minDate) {
-        // ✅ Format date theo timezone VN thay vì toISOString() (UTC)
-        const minDateStr = formatDateVN(minDate);
-        return {
-          status: "ERR",
-          message: `Expiry date must be at least ${minDateStr} (tomorrow in Asia/Ho_Chi_Minh timezone)`
-        };
-      }
-    } catch (err) {
+  if (expiryDate === undefined || expiryDate === null || expiryDate === "") {
+    return { status: "ERR", message: "Each receipt must set an expiryDate for its lot" };
+  }
+  try {
+    finalExpiryDate = new Date(expiryDate);
+    if (isNaN(finalExpiryDate.getTime())) {
       return { status: "ERR", message: "Invalid expiryDate" };
     }
+
+    // Reset về 00:00:00 để so sánh ngày
+    finalExpiryDate.setHours(0, 0, 0, 0);
+
+    // ✅ Validate: expiryDate >= ngày hiện tại + 1 ngày (theo timezone Vietnam)
+    const minDate = new Date(today);
+    minDate.setDate(minDate.getDate() + 1);
+
+    if (finalExpiryDate < minDate) {
+      // ✅ Format date theo timezone VN thay vì toISOString() (UTC)
+      const minDateStr = formatDateVN(minDate);
+      return {
+        status: "ERR",
+        message: `Expiry date must be at least ${minDateStr} (tomorrow in Asia/Ho_Chi_Minh timezone)`
+      };
+    }
+  } catch (err) {
+    return { status: "ERR", message: "Invalid expiryDate" };
+  }
+
+
+  const lotUnitCost = unitCost === undefined || unitCost === null || unitCost === "" ? null : Number(unitCost);
+  if (lotUnitCost !== null && (!Number.isFinite(lotUnitCost) || lotUnitCost < 0)) {
+    return { status: "ERR", message: "unitCost must be a number greater than or equal to 0" };
   }
 
 
@@ -110,10 +144,17 @@ const createReceipt = async (userId, payload = {}) => {
   }
 
 
+  if (Boolean(purchaseOrderId) !== Boolean(purchaseOrderLineId)) {
+    return { status: "ERR", message: "purchaseOrderId and purchaseOrderLineId must be provided together" };
+  }
+
+
   const session = await mongoose.startSession();
   try {
     let updatedProduct = null;
     let txDoc = null;
+    let lotDoc = null;
+    let purchaseOrder = null;
 
 
     await session.withTransaction(async () => {
@@ -123,6 +164,25 @@ const createReceipt = async (userId, payload = {}) => {
         throw new Error("Product does not exist");
       }
 
+      // ✅ Nhận theo dòng PO: kiểm tra PO đang mở, đúng product / NCC; phần giao thừa nâng plannedQuantity
+      const poReceipt = purchaseOrderId
+        ? await PurchaseOrderService.prepareLineReceipt({
+            purchaseOrderId,
+            purchaseOrderLineId,
+            product: currentProduct,
+            quantity: qty,
+            session,
+          })
+        : null;
+      const overDelta = poReceipt?.overDelta || 0;
+      if (poReceipt?.po.warehouse && warehouseId && poReceipt.po.warehouse.toString() !== warehouseId.toString()) {
+        throw new Error("Receipt warehouse does not match the purchase order's warehouse");
+      }
+
+      // ✅ Kho nhận hàng (backfill tồn theo kho trước khi cộng tổng tồn product)
+      const warehouse = await WarehouseService.resolveWarehouse(warehouseId || poReceipt?.po.warehouse || null, session);
+      await WarehouseService.ensureStockRows([productId], session);
+
 
       // ✅ Logic mới: Nếu sản phẩm có supplier, bắt buộc phải có harvestBatchId khi nhập hàng
       if (currentProduct.supplier) {
@@ -153,106 +213,22 @@ const createReceipt = async (userId, payload = {}) => {
           throw new Error("Harvest batch does not belong to the product's supplier");
         }
       }
-      // ✅ Ràng buộc (theo từng kỳ nhập kho): Trong cùng một kỳ (cùng ngày nhập warehouseEntryDateStr),
-      // nếu đã có phiếu nhập chọn lô thu hoạch thì các phiếu sau phải dùng cùng lô.
-      // Sau khi sản phẩm reset (bán hết/hết hạn), warehouseEntryDateStr = null → kỳ mới → được chọn lô thu hoạch khác.
-      const receiptQuery = {
-        product: new mongoose.Types.ObjectId(productId),
-        type: "RECEIPT",
-        harvestBatch: { $ne: null },
-      };
-      if (currentProduct.warehouseEntryDateStr) {
-        receiptQuery.$expr = {
-          $eq: [
-            { $dateToString: { date: "$createdAt", format: "%Y-%m-%d", timezone: "Asia/Ho_Chi_Minh" } },
-            currentProduct.warehouseEntryDateStr,
-          ],
-        };
-      } else {
-        receiptQuery.$expr = { $eq: [1, 0] }; // Kỳ mới (chưa có ngày nhập) → không ràng buộc lô cũ
-      }
-      const existingReceipt = await InventoryTransactionModel.findOne(receiptQuery)
-        .sort({ createdAt: 1 })
-        .select("harvestBatch")
-        .session(session);
-
-
-      if (existingReceipt && harvestBatchIdValue) {
-        if (existingReceipt.harvestBatch?.toString() !== harvestBatchIdValue.toString()) {
-          throw new Error("The harvest batch was selected during the first receipt and cannot be changed in later receipts");
-        }
-      }
-
-
-      // ✅ Validate: Kiểm tra xem đây có phải lần nhập kho đầu tiên không
-      const isFirstReceipt = !currentProduct.warehouseEntryDate && !currentProduct.warehouseEntryDateStr;
-
-
-      // ✅ Ràng buộc: Ở lần nhập kho đầu tiên, bắt buộc phải setting hạn sử dụng
-      if (isFirstReceipt) {
-        if (!finalExpiryDate) {
-          throw new Error("The first receipt must set an expiryDate");
-        }
-      }
-
-
-      // ✅ Validate: Nếu đã có expiryDate (Date hoặc Str) mà payload gửi expiryDate mới → trả lỗi
-      // Check bằng cả Date + Str để khỏi lọt data cũ
-      const hasExpiry = !!(currentProduct.expiryDate || currentProduct.expiryDateStr);
-      if (hasExpiry && finalExpiryDate !== null) {
-        throw new Error("The expiry date has already been set and cannot be changed.");
-      }
-
-
-      // ✅ Lưu warehouseEntryDate là date-only (YYYY-MM-DD) theo timezone Asia/Ho_Chi_Minh
+      // ✅ Lưu warehouseEntryDate (ngày bắt đầu kỳ lô) là date-only (YYYY-MM-DD) theo timezone Asia/Ho_Chi_Minh
+      // Không còn ràng buộc nhập trong cùng ngày / cùng lô thu hoạch / hạn cố định: mỗi phiếu là một lô riêng (ProductLot)
       const warehouseEntryDate = getTodayInVietnam();
       const warehouseEntryDateStr = formatDateVN(warehouseEntryDate);
-      const todayStr = formatDateVN(today);
-
-
-      // ✅ Logic: Nếu đã có warehouseEntryDate, chỉ cho phép nhập trong cùng ngày (theo timezone Vietnam)
-      // So sánh bằng string để đơn giản và chắc chắn hơn
-      if (currentProduct.warehouseEntryDateStr) {
-        if (todayStr !== currentProduct.warehouseEntryDateStr) {
-          throw new Error("Inbound purchase orders must be completed on the same day (Asia/Ho_Chi_Minh). You cannot add receipts on a different day.");
-        }
-      } else if (currentProduct.warehouseEntryDate) {
-        // Fallback: nếu chưa có Str nhưng có Date (data cũ)
-        const existingEntryDate = new Date(currentProduct.warehouseEntryDate);
-        existingEntryDate.setHours(0, 0, 0, 0);
-        if (!compareDates(today, existingEntryDate)) {
-          throw new Error("Inbound purchase orders must be completed on the same day (Asia/Ho_Chi_Minh). You cannot add receipts on a different day.");
-        }
-      }
-
 
-      // ✅ Logic mới: Cho phép nhập nhiều lần trong ngày dù đã set expiryDate
-      // (Chỉ chặn khi qua ngày khác, không chặn khi đã set expiryDate)
 
+      // Bù lô LEGACY cho tồn cũ trước khi cộng tồn / đổi Product.expiryDate (hạn lô cũ lấy từ product)
+      await ProductLotService.ensureLots(productId, session);
 
-      // ✅ Tính toán expiryDate trước (nếu có)
-      let expiryDateToSet = null;
-      let expiryDateStrToSet = null;
-      const existingEntryDate = currentProduct.warehouseEntryDate
-        ? new Date(currentProduct.warehouseEntryDate)
-        : warehouseEntryDate;
-      existingEntryDate.setHours(0, 0, 0, 0);
 
-
-      if (finalExpiryDate !== null) {
-        const diffDays = calculateDaysBetween(existingEntryDate, finalExpiryDate);
-        if (diffDays <= 0) {
-          throw new Error("The expiry date must be after the warehouse entry date");
-        }
-        expiryDateToSet = finalExpiryDate;
-        expiryDateStrToSet = formatDateVN(finalExpiryDate);
-      }
-
-
-      // ✅ Atomic update: gộp logic set warehouseEntryDate và expiryDate vào pipeline để tránh race condition
+      // ✅ Atomic update: set warehouseEntryDate trong pipeline để tránh race condition
+      // (Product.expiryDate do ProductLotService.syncProductExpiry đặt theo lô bán được gần hạn nhất)
       const updatePipeline = [
         {
           $set: {
+            plannedQuantity: { $add: ["$plannedQuantity", overDelta] },
             receivedQuantity: { $add: ["$receivedQuantity", qty] },
             onHandQuantity: { $add: ["$onHandQuantity", qty] },
             // ✅ Atomic set warehouseEntryDate chỉ khi chưa có (tránh race condition)
@@ -263,17 +239,6 @@ const createReceipt = async (userId, payload = {}) => {
       ];
 
 
-      // ✅ Atomic set expiryDate chỉ khi chưa có và có giá trị mới
-      if (expiryDateToSet !== null) {
-        updatePipeline.push({
-          $set: {
-            expiryDate: { $ifNull: ["$expiryDate", expiryDateToSet] },
-            expiryDateStr: { $ifNull: ["$expiryDateStr", expiryDateStrToSet] },
-          },
-        });
-      }
-
-
       updatePipeline.push({
         $set: {
           receivingStatus: receivingStatusExpr(),
@@ -282,12 +247,12 @@ const createReceipt = async (userId, payload = {}) => {
       });
 
 
-      // Atomic condition: received + qty <= planned
+      // Atomic condition: received + qty <= planned (+ phần giao thừa của dòng PO)
       updatedProduct = await ProductModel.findOneAndUpdate(
         {
           _id: new mongoose.Types.ObjectId(productId),
           $expr: {
-            $lte: [{ $add: ["$receivedQuantity", qty] }, "$plannedQuantity"],
+            $lte: [{ $add: ["$receivedQuantity", qty] }, { $add: ["$plannedQuantity", overDelta] }],
           },
         },
         updatePipeline,
@@ -299,6 +264,13 @@ const createReceipt = async (userId, payload = {}) => {
         throw new Error("Inbound quantity exceeds the plannedQuantity");
       }
 
+      await WarehouseService.incrementStock({
+        warehouseId: warehouse._id,
+        productId,
+        quantity: qty,
+        session,
+      });
+
       // ✅ Cập nhật receivedQuantity và ẩn lô khỏi danh sách chọn (visibleInReceipt = false)
       if (harvestBatchIdValue) {
         await HarvestBatchModel.findByIdAndUpdate(
@@ -317,15 +289,42 @@ const createReceipt = async (userId, payload = {}) => {
             quantity: qty,
             createdBy: new mongoose.Types.ObjectId(userId),
             note: note?.toString?.() ? note.toString() : "",
-            referenceType: referenceType?.toString?.() ? referenceType.toString() : "",
-            referenceId: refIdValue,
+            referenceType: poReceipt
+              ? "PURCHASE_ORDER"
+              : referenceType?.toString?.() ? referenceType.toString() : "",
+            referenceId: poReceipt ? poReceipt.po._id : refIdValue,
             harvestBatch: harvestBatchIdValue, // ✅ Liên kết với harvest batch
+            warehouse: warehouse._id,
           },
         ],
         { session }
       );
       txDoc = created[0];
 
+      // ✅ Lô tồn kho của phiếu nhập
+      lotDoc = await ProductLotService.createLot({
+        productId,
+        warehouseId: warehouse._id,
+        quantity: qty,
+        expiryDate: finalExpiryDate,
+        harvestBatchId: harvestBatchIdValue,
+        receiptTransactionId: txDoc._id,
+        unitCost: lotUnitCost ?? poReceipt?.line.unitCost ?? currentProduct.purchasePrice ?? 0,
+        batchNumber: currentProduct.batchNumber || 1,
+        session,
+      });
+      updatedProduct = await ProductModel.findById(productId).session(session);
+
+      if (poReceipt) {
+        purchaseOrder = await PurchaseOrderService.recordLineReceipt({
+          po: poReceipt.po,
+          line: poReceipt.line,
+          quantity: qty,
+          transactionId: txDoc._id,
+          session,
+        });
+      }
+
 
       // ✅ Cập nhật inventoryTransactionIds trong harvest batch
       if (harvestBatchIdValue) {
@@ -358,6 +357,10 @@ const createReceipt = async (userId, payload = {}) => {
       data: {
         transaction: populatedTx,
         product: updatedProduct,
+        lot: lotDoc,
+        purchaseOrder: purchaseOrder
+          ? { _id: purchaseOrder._id, code: purchaseOrder.code, status: purchaseOrder.status }
+          : null,
       },
     };
   } catch (error) {
@@ -374,9 +377,15 @@ const createReceipt = async (userId, payload = {}) => {
  * - onHandQuantity - y >= 0 (chặn âm kho)
  * - onHandQuantity -= y
  * - Tự động reset product nếu bán hết (onHandQuantity = 0)
+ * - warehouseId (optional): kho xuất, mặc định là kho mặc định; tồn của kho đó phải đủ
+ * - Trừ lô theo FEFO (hạn gần nhất trước), phân bổ lưu ở transaction.lots
  */
 const createIssue = async (userId, payload = {}) => {
-  const { productId, quantity, note = "", referenceType = "", referenceId = null } = payload;
+  const { productId, quantity, note = "", referenceType = "", referenceId = null, warehouseId = null } = payload;
+
+  if (warehouseId && !mongoose.isValidObjectId(warehouseId)) {
+    return { status: "ERR", message: "Invalid warehouseId" };
+  }
 
 
   if (!mongoose.isValidObjectId(productId)) {
@@ -408,6 +417,8 @@ const createIssue = async (userId, payload = {}) => {
   try {
     let updatedProduct = null;
     let txDoc = null;
+    let issueWarehouseId = null;
+    let issueAllocations = [];
 
 
     await session.withTransaction(async () => {
@@ -423,6 +434,17 @@ const createIssue = async (userId, payload = {}) => {
         throw new Error(`Not enough inventory. Current on-hand quantity: ${currentProduct.onHandQuantity || 0}`);
       }
 
+      // ✅ Trừ tồn của kho xuất trước (atomic, chặn âm kho theo kho)
+      const warehouse = await WarehouseService.resolveWarehouse(warehouseId, session);
+      // Lấy theo lô FEFO (kể cả lô đã hết hạn – xuất huỷ / xuất tay)
+      issueAllocations = await WarehouseService.decrementStock({
+        warehouseId: warehouse._id,
+        productId,
+        quantity: qty,
+        session,
+      });
+      issueWarehouseId = warehouse._id;
+
 
       // ✅ Atomic update: onHandQuantity -= qty
       const updatePipeline = [
@@ -464,6 +486,8 @@ const createIssue = async (userId, payload = {}) => {
             note: note?.toString?.() ? note.toString() : "",
             referenceType: referenceType?.toString?.() ? referenceType.toString() : "",
             referenceId: refIdValue,
+            warehouse: issueWarehouseId,
+            lots: issueAllocations.map((a) => ({ lot: a.lot, quantity: a.quantity })),
           },
         ],
         { session }
@@ -524,6 +548,7 @@ const getReceiptHistory = async (filters = {}) => {
       page = 1,
       limit = 4,
       productId,
+      warehouseId,
       createdBy,
       startDate,
       endDate,
@@ -555,6 +580,18 @@ const getReceiptHistory = async (filters = {}) => {
     }
 
 
+    // Filter theo kho
+    if (warehouseId) {
+      if (!mongoose.isValidObjectId(warehouseId)) {
+        return {
+          status: "ERR",
+          message: "Invalid warehouseId",
+        };
+      }
+      query.warehouse = new mongoose.Types.ObjectId(warehouseId);
+    }
+
+
     // Filter theo createdBy (nhân viên nhập hàng)
     if (createdBy) {
       if (!mongoose.isValidObjectId(createdBy)) {
@@ -599,6 +636,7 @@ const getReceiptHistory = async (filters = {}) => {
     const [data, total] = await Promise.all([
       InventoryTransactionModel.find(query)
         .populate("product", "name price category")
+        .populate("warehouse", "code name province")
         .populate("createdBy", "user_name email") // ✅ Thông tin nhân viên nhập hàng
         .populate({
           path: "harvestBatch",
@@ -635,7 +673,7 @@ const getReceiptHistory = async (filters = {}) => {
 
 /**
  * Lấy lịch sử tất cả transactions (RECEIPT, ISSUE, etc.) - có search, sort, filter, pagination
- * @param {Object} filters - { page, limit, type, productId, createdBy, startDate, endDate, search, sortBy, sortOrder }
+ * @param {Object} filters - { page, limit, type, reasonCode, productId, createdBy, startDate, endDate, search, sortBy, sortOrder }
  * @returns {Promise<Object>} { status, message, data, pagination }
  */
 const getTransactionHistory = async (filters = {}) => {
@@ -644,7 +682,9 @@ const getTransactionHistory = async (filters = {}) => {
       page = 1,
       limit = 4,
       type, // "RECEIPT" | "ISSUE" | "RESERVE" | "RELEASE" | "ADJUST"
+      reasonCode, // ADJUST: SPOILAGE | DAMAGE | THEFT | COUNT_ERROR | OTHER
       productId,
+      warehouseId,
       createdBy,
       startDate,
       endDate,
@@ -671,6 +711,18 @@ const getTransactionHistory = async (filters = {}) => {
     }
 
 
+    // Filter theo lý do điều chỉnh (ADJUST)
+    if (reasonCode) {
+      if (!ADJUST_REASON_CODES.includes(reasonCode)) {
+        return {
+          status: "ERR",
+          message: `reasonCode must be one of ${ADJUST_REASON_CODES.join(", ")}`,
+        };
+      }
+      query.reasonCode = reasonCode;
+    }
+
+
     // Filter theo productId
     if (productId) {
       if (!mongoose.isValidObjectId(productId)) {
@@ -683,6 +735,18 @@ const getTransactionHistory = async (filters = {}) => {
     }
 
 
+    // Filter theo kho
+    if (warehouseId) {
+      if (!mongoose.isValidObjectId(warehouseId)) {
+        return {
+          status: "ERR",
+          message: "Invalid warehouseId",
+        };
+      }
+      query.warehouse = new mongoose.Types.ObjectId(warehouseId);
+    }
+
+
     // Filter theo createdBy
     if (createdBy) {
       if (!mongoose.isValidObjectId(createdBy)) {
@@ -727,6 +791,7 @@ const getTransactionHistory = async (filters = {}) => {
     const [data, total] = await Promise.all([
       InventoryTransactionModel.find(query)
         .populate("product", "name price category")
+        .populate("warehouse", "code name province")
         .populate("createdBy", "user_name email") // ✅ Thông tin người thao tác
         .populate({
           path: "harvestBatch",
@@ -826,7 +891,269 @@ const getReceiptById = async (transactionId) => {
 };
 
 
+/**
+ * Hàng khách trả lại (OrderReturn) – chạy trong session của caller.
+ * - RESTOCK: RECEIPT (referenceType ORDER_RETURN), cộng tồn kho giao đơn + tổng tồn product.
+ *   Chỉ khi product còn kỳ lô đang mở (đã reset lô thì không nhập lại hàng cũ → dùng WRITE_OFF).
+ * - WRITE_OFF: một ADJUST OUT (referenceType ORDER_RETURN_WRITE_OFF, postAdjustment recordOnly) – hàng trả về bị huỷ,
+ *   tồn không đổi vì hàng đã trừ kho khi bán.
+ * Không đụng receivedQuantity (không phải nhập mua).
+ * @param {ObjectId|string} userId - nhân viên duyệt
+ * @param {Object} payload - { productId, quantity, disposition, reasonCode, warehouseId, referenceId, note, lots }
+ *   – lots = OrderDetail.lots (RESTOCK về đúng lô), reasonCode cho WRITE_OFF (mặc định OTHER)
+ * @param {ClientSession} session
+ * @returns {Promise<Object[]>} transactions đã tạo
+ */
+const recordOrderReturn = async (userId, payload, session) => {
+  const {
+    productId,
+    quantity,
+    disposition,
+    reasonCode = "OTHER",
+    warehouseId = null,
+    referenceId = null,
+    note = "",
+    lots = null,
+  } = payload;
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty <= 0) {
+    throw new Error("Return quantity must be an integer greater than 0");
+  }
+  if (!["RESTOCK", "WRITE_OFF"].includes(disposition)) {
+    throw new Error("Invalid return disposition");
+  }
+
+  const warehouse = await WarehouseService.resolveWarehouse(warehouseId, session);
+  const base = {
+    product: new mongoose.Types.ObjectId(productId),
+    quantity: qty,
+    createdBy: new mongoose.Types.ObjectId(userId),
+    note: note?.toString?.() ? note.toString() : "",
+    referenceId: referenceId ? new mongoose.Types.ObjectId(referenceId) : null,
+    warehouse: warehouse._id,
+  };
+
+  if (disposition === "WRITE_OFF") {
+    const tx = await postAdjustment(
+      userId,
+      {
+        productId,
+        quantity: -qty,
+        reasonCode,
+        warehouseId: warehouse._id,
+        referenceType: "ORDER_RETURN_WRITE_OFF",
+        referenceId,
+        note: base.note,
+        recordOnly: true,
+      },
+      session
+    );
+    return [tx];
+  }
+
+  const product = await ProductModel.findById(productId)
+    .select("warehouseEntryDate warehouseEntryDateStr")
+    .session(session);
+  if (!product) throw new Error("Product does not exist");
+  if (!product.warehouseEntryDate && !product.warehouseEntryDateStr) {
+    throw new Error("The product batch has been closed; returned goods cannot be restocked, write them off instead");
+  }
+
+  // incrementStock backfill tồn theo kho trước khi cộng tổng tồn product
+  await ProductLotService.ensureLots(productId, session);
+  await WarehouseService.incrementStock({
+    warehouseId: warehouse._id,
+    productId,
+    quantity: qty,
+    session,
+  });
+  // Nhập lại vào đúng các lô đơn đã lấy (đơn cũ không có lots → bù lô LEGACY lần trừ kho sau)
+  if (lots?.length) {
+    await ProductLotService.restoreAllocations(lots, session, qty);
+  }
+  await ProductModel.findOneAndUpdate(
+    { _id: product._id },
+    [
+      {
+        $set: {
+          onHandQuantity: { $add: ["$onHandQuantity", qty] },
+          stockStatus: stockStatusExpr(),
+        },
+      },
+    ],
+    { session }
+  );
+
+  return InventoryTransactionModel.create(
+    [{ ...base, type: "RECEIPT", referenceType: "ORDER_RETURN" }],
+    { session }
+  );
+};
+
+/**
+ * Điều chỉnh tồn (ADJUST) – chạy trong transaction của caller (StockCountService.approveSession, WriteOffService.createWriteOff).
+ * - quantity < 0 (thiếu / huỷ): trừ tồn kho + lô FEFO (kể cả lô hết hạn; lotId = chỉ lô đó) + tổng tồn product
+ * - recordOnly (chỉ với quantity < 0): chỉ ghi ADJUST OUT, không trừ tồn – hàng đã ra khỏi kho trước đó (hàng trả về bị huỷ)
+ * - quantity > 0 (thừa): cộng tồn kho + tổng tồn product, tạo lô ADJUST (hạn = lô bán được gần hạn nhất của kho đó,
+ *   kho không còn lô bán được → Product.expiryDate);
+ *   receivedQuantity / plannedQuantity nâng theo để giữ bất biến onHand ≤ received ≤ planned
+ * @param {ObjectId|string} userId - người duyệt
+ * @param {Object} payload - { productId, quantity (±), reasonCode, warehouseId, lotId, referenceType, referenceId, note, recordOnly }
+ * @param {ClientSession} session
+ * @returns {Promise<Object>} transaction ADJUST đã tạo
+ */
+const postAdjustment = async (userId, payload, session) => {
+  const {
+    productId,
+    quantity,
+    reasonCode,
+    warehouseId = null,
+    lotId = null,
+    referenceType = "",
+    referenceId = null,
+    note = "",
+    recordOnly = false,
+  } = payload;
+  const delta = Number(quantity);
+  if (!Number.isInteger(delta) || delta === 0) {
+    throw new Error("Adjustment quantity must be a non-zero integer");
+  }
+  if (recordOnly && delta > 0) {
+    throw new Error("Only outgoing adjustments can be recorded without moving stock");
+  }
+  if (!ADJUST_REASON_CODES.includes(reasonCode)) {
+    throw new Error(`reasonCode must be one of ${ADJUST_REASON_CODES.join(", ")}`);
+  }
+  const qty = Math.abs(delta);
+  const productOid = new mongoose.Types.ObjectId(productId);
+  const product = await ProductModel.findById(productOid)
+    .select("name expiryDate purchasePrice batchNumber")
+    .session(session);
+  if (!product) throw new Error("Product does not exist");
+
+  const warehouse = await WarehouseService.resolveWarehouse(warehouseId, session);
+  let lots = [];
+  if (recordOnly) {
+    // Hàng đã xuất kho trước đó → chỉ ghi sổ
+  } else if (delta < 0) {
+    const allocations = await WarehouseService.decrementStock({
+      warehouseId: warehouse._id,
+      productId,
+      quantity: qty,
+      lotId: lotId || null,
+      session,
+    });
+    lots = allocations.map((a) => ({ lot: a.lot, quantity: a.quantity }));
+    const updated = await ProductModel.findOneAndUpdate(
+      { _id: productOid, onHandQuantity: { $gte: qty } },
+      [
+        {
+          $set: {
+            onHandQuantity: { $subtract: ["$onHandQuantity", qty] },
+            stockStatus: stockStatusExpr(),
+          },
+        },
+      ],
+      { session }
+    );
+    if (!updated) {
+      throw new Error(`Not enough inventory of ${product.name} to post the adjustment`);
+    }
+  } else {
+    await WarehouseService.ensureStockRows([productId], session);
+    await ProductLotService.ensureLots(productId, session);
+    await WarehouseService.incrementStock({
+      warehouseId: warehouse._id,
+      productId,
+      quantity: qty,
+      session,
+    });
+    const today = getTodayInVietnam();
+    await ProductModel.updateOne(
+      { _id: productOid },
+      [
+        {
+          $set: {
+            onHandQuantity: { $add: ["$onHandQuantity", qty] },
+            // Hàng thừa khi kỳ lô đã chốt → mở kỳ mới
+            warehouseEntryDate: { $ifNull: ["$warehouseEntryDate", today] },
+            warehouseEntryDateStr: { $ifNull: ["$warehouseEntryDateStr", formatDateVN(today)] },
+          },
+        },
+        { $set: { receivedQuantity: { $max: ["$receivedQuantity", "$onHandQuantity"] } } },
+        {
+          $set: {
+            plannedQuantity: { $max: ["$plannedQuantity", "$receivedQuantity"] },
+            receivingStatus: receivingStatusExpr(),
+            stockStatus: stockStatusExpr(),
+          },
+        },
+      ],
+      { session }
+    );
+  }
+
+  const [tx] = await InventoryTransactionModel.create(
+    [
+      {
+        product: productOid,
+        type: "ADJUST",
+        direction: delta < 0 ? "OUT" : "IN",
+        reasonCode,
+        quantity: qty,
+        createdBy: new mongoose.Types.ObjectId(userId),
+        note: note?.toString?.() ? note.toString() : "",
+        referenceType: referenceType?.toString?.() ? referenceType.toString() : "",
+        referenceId: referenceId ? new mongoose.Types.ObjectId(referenceId) : null,
+        warehouse: warehouse._id,
+        lots,
+      },
+    ],
+    { session }
+  );
+
+  if (delta > 0) {
+    const nearestLot = await ProductLotService.getNearestSellableLot(productId, warehouse._id, session);
+    const lot = await ProductLotService.createLot({
+      productId,
+      warehouseId: warehouse._id,
+      quantity: qty,
+      expiryDate: nearestLot?.expiryDate || product.expiryDate,
+      receiptTransactionId: tx._id,
+      unitCost: product.purchasePrice || 0,
+      batchNumber: product.batchNumber || 1,
+      source: "ADJUST",
+      session,
+    });
+    tx.lots = [{ lot: lot._id, quantity: qty }];
+    await tx.save({ session });
+  }
+  return tx;
+};
+
+/**
+ * Cộng / trừ plannedQuantity theo PO (gửi, giao thừa, chốt thiếu, huỷ) – không thấp hơn receivedQuantity.
+ * @param {ObjectId|string} productId
+ * @param {number} delta
+ * @param {ClientSession} session
+ */
+const adjustPlannedQuantity = async (productId, delta, session) => {
+  if (!delta) return;
+  await ProductModel.updateOne(
+    { _id: new mongoose.Types.ObjectId(productId.toString()) },
+    [
+      { $set: { plannedQuantity: { $max: ["$receivedQuantity", { $add: ["$plannedQuantity", delta] }] } } },
+      { $set: { receivingStatus: receivingStatusExpr() } },
+    ],
+    { session: session || null }
+  );
+};
+
 module.exports = {
+  ADJUST_REASON_CODES,
+  adjustPlannedQuantity,
+  postAdjustment,
+  recordOrderReturn,
   createReceipt,
   createIssue,
   getReceiptHistory,
@@ -0,0 +1,441 @@
+/**
+ * Order Return Service (partial refunds / per-item returns)
+ *
+ * Customer chọn dòng OrderDetail + số kg trả, kèm ảnh → yêu cầu PENDING.
+ * Sales-staff / admin duyệt:
+ * - Tiền hoàn = số kg trả * đơn giá - phần khuyến mãi + voucher của dòng (promotion_share + discount_share) theo tỉ lệ kg – phí ship không hoàn
+ * - Tạo REFUND PaymentModel: VNPAY → hàng đợi RefundService (hoàn một phần qua VNPay); COD → nhân viên hoàn tiền mặt (SUCCESS)
+ * - Tuỳ chọn RESTOCK / WRITE_OFF hàng trả qua InventoryTransactionService.recordOrderReturn
+ * Đơn vẫn ở COMPLETED; hoàn toàn bộ đơn vẫn dùng trạng thái REFUND.
+ *
+ * @module services/OrderReturnService
+ */
+
+const mongoose = require("mongoose");
+const OrderModel = require("../models/OrderModel");
+const OrderDetailModel = require("../models/OrderDetailModel");
+const OrderStatusModel = require("../models/OrderStatusModel");
+const OrderReturnModel = require("../models/OrderReturnModel");
+const PaymentModel = require("../models/PaymentModel");
+const NotificationService = require("./NotificationService");
+const RefundService = require("./RefundService");
+const InventoryTransactionService = require("./InventoryTransactionService");
+
+const DISPOSITIONS = ["RESTOCK", "WRITE_OFF", "NONE"];
+/** Yêu cầu PENDING / APPROVED giữ chỗ số kg đã trả của từng dòng */
+const OPEN_RETURN_STATUSES = ["PENDING", "APPROVED"];
+
+const parseItems = (items) => {
+  if (typeof items === "string") {
+    try {
+      return JSON.parse(items);
+    } catch (e) {
+      return null;
+    }
+  }
+  return items;
+};
+
+/** Số kg đã trả / đang chờ duyệt theo order_detail_id */
+const getReturnedQuantityMap = async (orderId, { excludeReturnId = null, session = null } = {}) => {
+  const query = { order_id: orderId, status: { $in: OPEN_RETURN_STATUSES } };
+  if (excludeReturnId) query._id = { $ne: excludeReturnId };
+  const returns = await OrderReturnModel.find(query).select("items").session(session).lean();
+  const map = new Map();
+  returns.forEach((r) =>
+    r.items.forEach((i) => {
+      const key = i.order_detail_id.toString();
+      map.set(key, (map.get(key) || 0) + i.quantity);
+    })
+  );
+  return map;
+};
+
+/**
+ * Tiền hoàn theo tỉ lệ: dùng promotion_share + discount_share của từng dòng (chia theo số kg trả).
+ * Đơn cũ chưa có share → phần giảm trên hàng của đơn được phân bổ theo giá trị dòng.
+ * @returns {{ items: Object[], total: number }}
+ */
+const calculateProratedRefund = (order, details, returnItems) => {
+  const detailMap = new Map(details.map((d) => [d._id.toString(), d]));
+  const lineShare = (d) => (d.discount_share || 0) + (d.promotion_share || 0);
+  const hasLineShares = details.some((d) => lineShare(d) > 0);
+
+  const subtotal = details.reduce((sum, d) => sum + (d.price || 0) * (d.quantity || 0), 0);
+  const productDiscount = Math.max(0, (order.discount_amount || 0) - (order.shipping_discount || 0));
+  const discountRatio = subtotal > 0 ? Math.min(1, productDiscount / subtotal) : 0;
+
+  const items = returnItems.map((item) => {
+    const gross = item.quantity * item.unit_price;
+    const detail = detailMap.get(item.order_detail_id?.toString());
+    const lineDiscount =
+      hasLineShares && detail?.quantity
+        ? (lineShare(detail) * item.quantity) / detail.quantity
+        : gross * discountRatio;
+    return { ...item, refund_amount: Math.max(0, Math.round(gross - lineDiscount)) };
+  });
+  return { items, total: items.reduce((sum, i) => sum + i.refund_amount, 0) };
+};
+
+/* =====================================================
+   CUSTOMER
+===================================================== */
+
+/**
+ * Customer tạo yêu cầu trả hàng.
+ * @param {ObjectId} userId
+ * @param {Object} payload - { order_id, items: [{ order_detail_id, quantity }] (array hoặc JSON string), reason, images, imagePublicIds }
+ */
+const createReturnRequest = async (userId, payload = {}) => {
+  const { order_id, reason, images = [], imagePublicIds = [] } = payload;
+  const items = parseItems(payload.items);
+
+  if (!mongoose.isValidObjectId(order_id)) {
+    return { status: "ERR", message: "Invalid order_id" };
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: "ERR", message: "Please select at least one item to return" };
+  }
+  if (!reason || !reason.toString().trim()) {
+    return { status: "ERR", message: "Please provide a reason for the return" };
+  }
+
+  const order = await OrderModel.findById(order_id).lean();
+  if (!order || order.user_id.toString() !== userId.toString()) {
+    return { status: "ERR", message: "Order not found" };
+  }
+  const statusDoc = await OrderStatusModel.findById(order.order_status_id).lean();
+  if ((statusDoc?.name || "").toUpperCase() !== "COMPLETED") {
+    return { status: "ERR", message: "Only completed orders can be returned" };
+  }
+  if (order.is_preorder) {
+    return { status: "ERR", message: "Pre-order deliveries cannot be partially returned; please contact us for a full refund" };
+  }
+
+  const details = await OrderDetailModel.find({ order_id: order._id }).lean();
+  const detailMap = new Map(details.map((d) => [d._id.toString(), d]));
+  const returnedMap = await getReturnedQuantityMap(order._id);
+
+  const seen = new Set();
+  const returnItems = [];
+  for (const item of items) {
+    const detailId = item?.order_detail_id?.toString();
+    const detail = detailId ? detailMap.get(detailId) : null;
+    if (!detail) {
+      return { status: "ERR", message: "Return item does not belong to this order" };
+    }
+    if (seen.has(detailId)) {
+      return { status: "ERR", message: `Duplicate return line for ${detail.product_name}` };
+    }
+    seen.add(detailId);
+
+    const qty = Number(item.quantity);
+    if (!Number.isInteger(qty) || qty <= 0) {
+      return { status: "ERR", message: "Return quantity must be an integer greater than 0" };
+    }
+    const returnable = detail.quantity - (returnedMap.get(detailId) || 0);
+    if (qty > returnable) {
+      return {
+        status: "ERR",
+        message: `Only ${returnable}kg of ${detail.product_name} can still be returned`,
+      };
+    }
+    returnItems.push({
+      order_detail_id: detail._id,
+      product_id: detail.product_id,
+      product_name: detail.product_name,
+      quantity: qty,
+      unit_price: detail.price,
+    });
+  }
+
+  const { items: pricedItems, total } = calculateProratedRefund(order, details, returnItems);
+  const created = await OrderReturnModel.create({
+    order_id: order._id,
+    user_id: userId,
+    items: pricedItems,
+    reason: reason.toString().trim(),
+    images: Array.isArray(images) ? images : [],
+    imagePublicIds: Array.isArray(imagePublicIds) ? imagePublicIds : [],
+    refund_amount: total,
+  });
+
+  try {
+    await NotificationService.sendToRole("sales-staff", {
+      title: "New return request",
+      body: `Order ${order._id.toString()} has a new return request (${pricedItems.length} item(s)).`,
+      data: {
+        type: "order_return",
+        orderId: order._id.toString(),
+        returnId: created._id.toString(),
+        action: "view_return",
+      },
+    });
+  } catch (notifErr) {
+    console.error("Failed to send return request notification:", notifErr);
+  }
+
+  return { status: "OK", message: "Return request submitted", data: created };
+};
+
+const getMyReturns = async (userId, filters = {}) => {
+  const query = { user_id: userId };
+  if (filters.order_id && mongoose.isValidObjectId(filters.order_id)) {
+    query.order_id = filters.order_id;
+  }
+  const data = await OrderReturnModel.find(query).sort({ createdAt: -1 }).lean();
+  return { status: "OK", data };
+};
+
+/* =====================================================
+   STAFF
+===================================================== */
+
+const getReturns = async (filters = {}) => {
+  const { status, order_id, page = 1, limit = 20 } = filters;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const query = {};
+  if (status) query.status = status.toString().trim().toUpperCase();
+  if (order_id && mongoose.isValidObjectId(order_id)) query.order_id = order_id;
+
+  const [data, total] = await Promise.all([
+    OrderReturnModel.find(query)
+      .populate("user_id", "user_name email phone")
+      .populate("reviewed_by", "user_name")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    OrderReturnModel.countDocuments(query),
+  ]);
+  return {
+    status: "OK",
+    data,
+    pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) || 1 },
+  };
+};
+
+/**
+ * Chi tiết yêu cầu trả hàng: chủ yêu cầu, hoặc admin / sales-staff.
+ */
+const getReturnById = async (returnId, { userId, role } = {}) => {
+  if (!mongoose.isValidObjectId(returnId)) {
+    return { status: "ERR", message: "Invalid return id" };
+  }
+  const doc = await OrderReturnModel.findById(returnId)
+    .populate("user_id", "user_name email phone")
+    .populate("reviewed_by", "user_name")
+    .populate("refund_payment_id", "method amount status last_error")
+    .lean();
+  const isOwner = doc?.user_id?._id?.toString() === userId?.toString();
+  const isReturnStaff = ["admin", "sales-staff"].includes((role || "").toString().toLowerCase());
+  if (!doc || (!isOwner && !isReturnStaff)) {
+    return { status: "ERR", message: "Return request not found" };
+  }
+  return { status: "OK", data: doc };
+};
+
+const notifyCustomer = async (returnDoc, title, body) => {
+  try {
+    await NotificationService.sendToUser(returnDoc.user_id.toString(), {
+      title,
+      body,
+      data: {
+        type: "order_return",
+        orderId: returnDoc.order_id.toString(),
+        returnId: returnDoc._id.toString(),
+        action: "view_return",
+      },
+    });
+  } catch (notifErr) {
+    console.error("Failed to send return notification:", notifErr);
+  }
+};
+
+/**
+ * Duyệt yêu cầu trả hàng: tính lại tiền hoàn, tạo REFUND payment, xử lý tồn kho.
+ * @param {string} returnId
+ * @param {ObjectId} staffId
+ * @param {Object} payload - { disposition: RESTOCK | WRITE_OFF | NONE, reasonCode (WRITE_OFF, mặc định OTHER), note }
+ */
+const approveReturn = async (returnId, staffId, payload = {}) => {
+  if (!mongoose.isValidObjectId(returnId)) {
+    return { status: "ERR", message: "Invalid return id" };
+  }
+  const disposition = (payload.disposition || "NONE").toString().trim().toUpperCase();
+  if (!DISPOSITIONS.includes(disposition)) {
+    return { status: "ERR", message: `disposition must be one of ${DISPOSITIONS.join(", ")}` };
+  }
+  const reasonCode = (payload.reasonCode || "OTHER").toString().trim().toUpperCase();
+  if (disposition === "WRITE_OFF" && !InventoryTransactionService.ADJUST_REASON_CODES.includes(reasonCode)) {
+    return {
+      status: "ERR",
+      message: `reasonCode must be one of ${InventoryTransactionService.ADJUST_REASON_CODES.join(", ")}`,
+    };
+  }
+
+  const session = await mongoose.startSession();
+  let returnDoc;
+  try {
+    await session.withTransaction(async () => {
+      returnDoc = await OrderReturnModel.findById(returnId).session(session);
+      if (!returnDoc) throw new Error("Return request not found");
+      if (returnDoc.status !== "PENDING") {
+        throw new Error("Only pending return requests can be approved");
+      }
+
+      const order = await OrderModel.findById(returnDoc.order_id).session(session);
+      if (!order) throw new Error("Order not found");
+      const statusDoc = await OrderStatusModel.findById(order.order_status_id).session(session).lean();
+      if ((statusDoc?.name || "").toUpperCase() !== "COMPLETED") {
+        throw new Error("The order is no longer completed; the return cannot be approved");
+      }
+
+      const details = await OrderDetailModel.find({ order_id: order._id }).session(session).lean();
+      const detailMap = new Map(details.map((d) => [d._id.toString(), d]));
+      const returnedMap = await getReturnedQuantityMap(order._id, { excludeReturnId: returnDoc._id, session });
+      for (const item of returnDoc.items) {
+        const detail = detailMap.get(item.order_detail_id.toString());
+        const returnable = (detail?.quantity || 0) - (returnedMap.get(item.order_detail_id.toString()) || 0);
+        if (!detail || item.quantity > returnable) {
+          throw new Error(`Return quantity of ${item.product_name} exceeds the returnable quantity`);
+        }
+      }
+
+      const { items: pricedItems, total } = calculateProratedRefund(
+        order,
+        details,
+        returnDoc.items.map((i) => i.toObject())
+      );
+
+      // Không hoàn vượt tiền hàng đã thu (tổng đơn trừ phí ship thực thu) trừ các lần hoàn trước
+      const approvedBefore = await OrderReturnModel.find({
+        order_id: order._id,
+        status: "APPROVED",
+        _id: { $ne: returnDoc._id },
+      })
+        .select("refund_amount")
+        .session(session)
+        .lean();
+      const refundedBefore = approvedBefore.reduce((sum, r) => sum + (r.refund_amount || 0), 0);
+      const shippingPaid = Math.max(0, (order.shipping_fee || 0) - (order.shipping_discount || 0));
+      const refundable = Math.max(0, (order.total_price || 0) - shippingPaid - refundedBefore);
+      const refundAmount = Math.min(total, refundable);
+
+      const payment = await PaymentModel.findOne({ order_id: order._id, type: "PAYMENT" }).session(session);
+      if (!payment) throw new Error("Order payment not found");
+
+      let refundPayment = null;
+      const refundNote = `Return ${returnDoc._id.toString()} – partial refund`;
+      if (refundAmount > 0) {
+        if (payment.method === "VNPAY") {
+          refundPayment = await RefundService.enqueueRefund({
+            payment,
+            amount: refundAmount,
+            note: refundNote,
+            session,
+          });
+        } else {
+          const [created] = await PaymentModel.create(
+            [
+              {
+                order_id: order._id,
+                refund_of: payment._id,
+                type: "REFUND",
+                method: "COD",
+                amount: refundAmount,
+                status: "SUCCESS",
+                processed_at: new Date(),
+                note: `${refundNote} – cash refunded by staff`,
+              },
+            ],
+            { session }
+          );
+          refundPayment = created;
+        }
+      }
+
+      if (disposition !== "NONE") {
+        for (const item of returnDoc.items) {
+          await InventoryTransactionService.recordOrderReturn(
+            staffId,
+            {
+              productId: item.product_id,
+              quantity: item.quantity,
+              disposition,
+              reasonCode,
+              warehouseId: order.warehouse_id,
+              referenceId: returnDoc._id,
+              note: `Order ${order._id.toString()} return`,
+              lots: detailMap.get(item.order_detail_id.toString())?.lots || null,
+            },
+            session
+          );
+        }
+      }
+
+      returnDoc.items = pricedItems;
+      returnDoc.refund_amount = refundAmount;
+      returnDoc.refund_payment_id = refundPayment?._id || null;
+      returnDoc.disposition = disposition;
+      returnDoc.status = "APPROVED";
+      returnDoc.reviewed_by = staffId;
+      returnDoc.reviewed_at = new Date();
+      returnDoc.review_note = (payload.note || "").toString().trim();
+      await returnDoc.save({ session });
+    });
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  } finally {
+    session.endSession();
+  }
+
+  await notifyCustomer(
+    returnDoc,
+    "Return approved",
+    `Your return request has been approved. ${returnDoc.refund_amount.toLocaleString("vi-VN")} VND will be refunded.`
+  );
+  return { status: "OK", message: "Return request approved", data: returnDoc };
+};
+
+const rejectReturn = async (returnId, staffId, payload = {}) => {
+  if (!mongoose.isValidObjectId(returnId)) {
+    return { status: "ERR", message: "Invalid return id" };
+  }
+  const note = (payload.note || "").toString().trim();
+  if (!note) {
+    return { status: "ERR", message: "Please provide a reason for rejecting the return" };
+  }
+
+  const returnDoc = await OrderReturnModel.findOneAndUpdate(
+    { _id: returnId, status: "PENDING" },
+    {
+      $set: {
+        status: "REJECTED",
+        reviewed_by: staffId,
+        reviewed_at: new Date(),
+        review_note: note,
+      },
+    },
+    { new: true }
+  );
+  if (!returnDoc) {
+    return { status: "ERR", message: "Only pending return requests can be rejected" };
+  }
+
+  await notifyCustomer(returnDoc, "Return rejected", `Your return request was rejected: ${note}`);
+  return { status: "OK", message: "Return request rejected", data: returnDoc };
+};
+
+module.exports = {
+  DISPOSITIONS,
+  calculateProratedRefund,
+  createReturnRequest,
+  getMyReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+};
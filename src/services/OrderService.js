@@ -11,67 +11,20 @@ const PaymentService = require("../services/PaymentService");
 const NotificationService = require("../services/NotificationService");
 const CustomerEmailService = require("./CustomerEmailService");
 const DiscountService = require("./DiscountService");
+const PromotionService = require("./PromotionService");
+const WarehouseService = require("./WarehouseService");
+const OrderWorkflow = require("./orderWorkflow");
+const RefundService = require("./RefundService");
 const UserModel = require("../models/UserModel");
 const ReviewModel = require("../models/ReviewModel");
 const { default: mongoose } = require("mongoose");
-const { createVnpayUrl } = require("../utils/createVnpayUrl");
-const { getEffectivePrice, isProductExpired } = require("../utils/productPrice");
-const STATUS_OPTIONS = [
-  { value: "PENDING", label: "Pending" },
-  { value: "PAID", label: "Paid" },
-  { value: "READY-TO-SHIP", label: "Ready to ship" },
-  { value: "SHIPPING", label: "Shipping" },
-  { value: "COMPLETED", label: "Completed" },
-  { value: "REFUND", label: "Refund" },
-  { value: "CANCELLED", label: "Cancelled" },
-];
-
-const getStatusDisplayLabel = (statusName) => {
-  const normalized = statusName
-    ? statusName
-      .toString()
-      .trim()
-      .toUpperCase()
-      .replace(/[_\s]+/g, "-")
-    : "";
-  const option = STATUS_OPTIONS.find((o) => o.value === normalized);
-  return option ? option.label : normalized || "Updated";
-};
-
-const normalizeStatusName = (value) => {
-  if (!value) return "";
-  return value
-    .toString()
-    .trim()
-    .toUpperCase()
-    .replace(/[_\s]+/g, "-");
-};
-
-const normalizeToken = (value) =>
-  value ? value.toString().trim().toUpperCase() : "";
-
-
-
-const isRefundStatus = (value) => {
-  const normalized = normalizeStatusName(value);
-  return normalized === "REFUND";
-};
-
-const buildStatusRegex = (value) => {
-  const normalized = normalizeStatusName(value);
-  if (!normalized) return null;
-  const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  const flexible = escaped.replace(/-/g, "[-_\\s]+");
-  return new RegExp(`^${flexible}$`, "i");
-};
-
-const findStatusByName = async (name, session) => {
-  const regex = buildStatusRegex(name);
-  if (!regex) return null;
-  return OrderStatusModel.findOne({ name: { $regex: regex } }).session(
-    session || null,
-  );
-};
+const { createVnpayUrl, createDate } = require("../utils/createVnpayUrl");
+const { getEffectivePrice, getLotsPrice, isProductExpired } = require("../utils/productPrice");
+const {
+  normalizeStatusName,
+  normalizeToken,
+  buildStatusRegex,
+} = OrderWorkflow;
 
 const getOrderStatusName = async (statusId, session) => {
   if (!statusId) return "";
@@ -81,59 +34,10 @@ const getOrderStatusName = async (statusId, session) => {
   return normalizeStatusName(statusDoc?.name || "");
 };
 
-const isValidStatusTransition = (paymentMethod, currentStatus, nextStatus) => {
-  const method = normalizeToken(paymentMethod);
-  const current = normalizeStatusName(currentStatus);
-  const next = normalizeStatusName(nextStatus);
-
-  const transitions = {
-    COD: {
-      PENDING: ["READY-TO-SHIP", "CANCELLED"],
-      "READY-TO-SHIP": ["SHIPPING"],
-      SHIPPING: ["COMPLETED"],
-    },
-    VNPAY: {
-      PENDING: ["PAID", "CANCELLED"],
-      PAID: ["READY-TO-SHIP"],
-      "READY-TO-SHIP": ["SHIPPING"],
-      SHIPPING: ["COMPLETED"],
-    },
-  };
-
-  const allowed = transitions[method] || {};
-  return (allowed[current] || []).includes(next);
-};
-
-/* =====================================================
-   HELPER: PUSH STATUS HISTORY
-===================================================== */
-async function pushStatusHistory({
-  order,
-  fromStatus,
-  toStatus,
-  userId,
-  role,
-  note,
-  session,
-}) {
-  const roleValue = ["admin", "sales-staff", "customer"].includes(role)
-    ? role
-    : "admin";
-  const changedAt = new Date();
-  order.status_history.push({
-    from_status: fromStatus,
-    to_status: toStatus,
-    changed_by: userId,
-    changed_by_role: roleValue,
-    note: note || "",
-    changed_at: changedAt,
-  });
-
-  await order.save({ session });
-
-}
 /* =====================================================
    CREATE ORDER (PENDING)
+   items (không qua giỏ hàng / stock lock): đơn hệ thống tạo – hộp trái cây định kỳ (SubscriptionService),
+   cùng cách tính giá / khuyến mãi / kho / thanh toán như đơn từ giỏ.
 ===================================================== */
 const confirmCheckoutAndCreateOrder = async ({
   user_id,
@@ -142,49 +46,70 @@ const confirmCheckoutAndCreateOrder = async ({
   payment_method,
   ip,
   discount_id,
+  discount_ids,
   isMobile = false,
+  fulfillment_preference = "CHEAPEST",
+  items = null,
+  subscription_id = null,
+  expected_ship_date = null,
+  pay_by = null,
+  defer_payment_url = false,
 }) => {
+  const fromItems = Array.isArray(items) && items.length > 0;
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     /* =======================
        1️⃣ LOAD CART
     ======================= */
-    const cart = await CartModel.findOne({ user_id }).session(session);
-    if (!cart) throw new Error("Shopping cart not found");
-
-    const cartItems = await CartDetailModel.find({
-      cart_id: cart._id,
-      product_id: { $in: selected_product_ids },
-    }).session(session);
+    let cart = null;
+    let cartItems;
+    if (fromItems) {
+      cartItems = items.map((i) => ({ product_id: new mongoose.Types.ObjectId(i.product_id.toString()), quantity: i.quantity }));
+    } else {
+      cart = await CartModel.findOne({ user_id }).session(session);
+      if (!cart) throw new Error("Shopping cart not found");
+
+      cartItems = await CartDetailModel.find({
+        cart_id: cart._id,
+        product_id: { $in: selected_product_ids },
+      }).session(session);
+    }
 
     if (!cartItems.length) throw new Error("No products were selected");
 
     /* =======================
        2️⃣ LOAD & VALIDATE STOCK LOCK
     ======================= */
-    const locks = await StockLockModel.find({
-      user_id,
-      product_id: { $in: selected_product_ids },
-    }).session(session);
+    const locks = fromItems
+      ? []
+      : await StockLockModel.find({
+          user_id,
+          product_id: { $in: selected_product_ids },
+        }).session(session);
 
     const lockMap = new Map(locks.map((l) => [l.product_id.toString(), l]));
 
     /* =======================
        3️⃣ SNAPSHOT + CALC PRICE
+       Giá tạm theo Product.expiryDate (lô bán được gần hạn nhất) – dùng chọn kho / phí ship như /shipping/check;
+       giá thật tính theo từng lô sau khi trừ kho FEFO (4️⃣)
     ======================= */
     let totalPrice = 0;
     const orderDetails = [];
+    const productMap = new Map();
+    // Dòng tính voucher (danh mục / NCC để xét phạm vi áp dụng)
+    const discountLines = [];
 
     for (const item of cartItems) {
       const lock = lockMap.get(item.product_id.toString());
 
       const now = new Date();
 
-      if (!lock || lock.expiresAt < now) {
+      if (!fromItems && (!lock || lock.expiresAt < now)) {
         throw new Error("The holding period has expired");
       }
-      if (lock.quantity < item.quantity) {
+      if (!fromItems && lock.quantity < item.quantity) {
         throw new Error("Not enough reserved stock for this product");
       }
       const product = await ProductModel.findById(item.product_id)
@@ -199,6 +124,7 @@ const confirmCheckoutAndCreateOrder = async ({
 
       const { effectivePrice, originalPrice } = getEffectivePrice(product);
       totalPrice += item.quantity * effectivePrice;
+      productMap.set(product._id.toString(), product);
       orderDetails.push({
         product_id: product._id,
         quantity: item.quantity,
@@ -211,29 +137,125 @@ const confirmCheckoutAndCreateOrder = async ({
         product_brand: product.brand,
         expiry_date: product.expiryDate,
       });
+      discountLines.push({
+        product_id: product._id,
+        category_id: product.category?._id || null,
+        supplier_id: product.supplier || null,
+        quantity: item.quantity,
+        price: effectivePrice,
+      });
     }
 
 
+    // Chọn kho giao + phí ship: cùng công thức với /shipping/check (xét miễn phí ship theo giá trị hàng trước giảm giá)
+    const { warehouse: fulfillmentWarehouse, quote: shippingQuote } =
+      await WarehouseService.selectFulfillmentWarehouse({
+        items: orderDetails.map((d) => ({
+          product_id: d.product_id,
+          product: { expiryDate: d.expiry_date },
+          quantity: d.quantity,
+        })),
+        city: receiverInfo.city,
+        district: receiverInfo.district,
+        orderValue: totalPrice,
+        preference: fulfillment_preference,
+        session,
+      });
+
+    /* =======================
+       4️⃣ TRỪ KHO THẬT THEO LÔ (FEFO) + GIÁ THEO LÔ
+       Kho giao + tổng tồn product; bỏ qua lô đã hết hạn; mỗi lô tính giá cận hạn riêng
+    ======================= */
+    totalPrice = 0;
+    for (const [index, detail] of orderDetails.entries()) {
+      const allocations = await WarehouseService.decrementStock({
+        warehouseId: fulfillmentWarehouse._id,
+        productId: detail.product_id,
+        quantity: detail.quantity,
+        sellableOnly: true,
+        session,
+      });
+      const result = await ProductModel.updateOne(
+        {
+          _id: detail.product_id,
+          onHandQuantity: { $gte: detail.quantity },
+        },
+        {
+          $inc: { onHandQuantity: -detail.quantity },
+        },
+        { session },
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new Error("Insufficient inventory to fulfill the order.");
+      }
+
+      const lotsPrice = getLotsPrice(productMap.get(detail.product_id.toString()), allocations);
+      totalPrice += lotsPrice.lineTotal;
+      detail.price = lotsPrice.effectivePrice;
+      detail.expiry_date = allocations[0]?.expiryDate ?? detail.expiry_date;
+      detail.lots = lotsPrice.lots.map((l) => ({
+        lot: l.lot,
+        quantity: l.quantity,
+        expiry_date: l.expiryDate,
+        price: l.price,
+        unit_cost: l.unitCost,
+      }));
+      discountLines[index].price = lotsPrice.effectivePrice;
+    }
+
     const orderValueBeforeDiscount = totalPrice;
-    let finalTotalPrice = orderValueBeforeDiscount;
+
+    // Khuyến mãi tự động (không cần mã): snapshot vào order + promotion_share từng dòng
+    const promotionResult = await PromotionService.evaluatePromotions(discountLines);
+    const promotionAmount = promotionResult.total_discount;
+    const promotionShareMap = new Map(
+      promotionResult.line_shares.map((s) => [s.product_id.toString(), s.promotion_share])
+    );
+    orderDetails.forEach((d) => {
+      d.promotion_share = promotionShareMap.get(d.product_id.toString()) || 0;
+    });
+    // Voucher tính trên giá sau khuyến mãi tự động
+    discountLines.forEach((line) => {
+      line.price -= (promotionShareMap.get(line.product_id.toString()) || 0) / line.quantity;
+    });
+
+    // Voucher: tính theo từng dòng (phạm vi sản phẩm / danh mục / NCC) + phí ship (FREE_SHIPPING)
+    // Nhiều mã dùng chung (discount_ids) hoặc một mã (discount_id)
+    const discountIds = (Array.isArray(discount_ids) && discount_ids.length ? discount_ids : [discount_id])
+      .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
     let discountCode = null;
     let discountAmount = 0;
-    if (discount_id && mongoose.Types.ObjectId.isValid(discount_id)) {
+    let shippingDiscount = 0;
+    let appliedDiscounts = [];
+    let discountUsages = [];
+    if (discountIds.length) {
       const discountResult = await DiscountService.getDiscountAmountForOrder(
-        discount_id,
+        discountIds,
         user_id.toString(),
-        orderValueBeforeDiscount
+        orderValueBeforeDiscount - promotionAmount,
+        { lines: discountLines, shippingFee: shippingQuote.shippingFee }
       );
       if (discountResult.status === "OK") {
         discountAmount = discountResult.data.discountAmount;
+        shippingDiscount = discountResult.data.shippingDiscount;
         discountCode = discountResult.data.code;
-        finalTotalPrice = orderValueBeforeDiscount - discountAmount;
+        appliedDiscounts = DiscountService._toOrderDiscounts(discountResult.data.discounts);
+        discountUsages = discountResult.data.discounts;
+        const shareMap = new Map(
+          discountResult.data.lineShares.map((s) => [s.product_id.toString(), s.discount_share])
+        );
+        orderDetails.forEach((d) => {
+          d.discount_share = shareMap.get(d.product_id.toString()) || 0;
+        });
       }
     }
+    const finalTotalPrice =
+      orderValueBeforeDiscount + shippingQuote.shippingFee - promotionAmount - discountAmount;
 
 
     /* =======================
-       4️⃣ CREATE ORDER
+       5️⃣ CREATE ORDER
     ======================= */
     const pendingStatus = await OrderStatusModel.findOne({
       name: "PENDING",
@@ -249,20 +271,32 @@ const confirmCheckoutAndCreateOrder = async ({
           receiver_name: receiverInfo.receiver_name,
           receiver_phone: receiverInfo.receiver_phone,
           receiver_address: receiverInfo.receiver_address,
+          receiver_city: receiverInfo.city,
+          receiver_district: receiverInfo.district || null,
           note: receiverInfo.note,
           order_status_id: pendingStatus._id,
           payment_method,
           status: true,
           discount_code: discountCode,
+          discounts: appliedDiscounts,
           discount_amount: discountAmount,
+          shipping_discount: shippingDiscount,
+          promotions: promotionResult.promotions.map(({ items, ...promo }) => promo),
+          promotion_amount: promotionAmount,
+          shipping_fee: shippingQuote.shippingFee,
+          shipping_type: shippingQuote.shippingType,
+          warehouse_id: fulfillmentWarehouse._id,
           is_mobile: isMobile,
+          subscription_id,
+          ...(expected_ship_date ? { expected_ship_date } : {}),
+          ...(pay_by ? { pay_by } : {}),
         },
       ],
       { session },
     );
 
     /* =======================
-       5️⃣ CREATE ORDER DETAILS
+       6️⃣ CREATE ORDER DETAILS
     ======================= */
     for (const detail of orderDetails) {
       await OrderDetailModel.create(
@@ -276,55 +310,48 @@ const confirmCheckoutAndCreateOrder = async ({
       );
     }
 
+    // Ghi lượt dùng voucher trong cùng transaction: vượt usageLimit / perUserLimit (kể cả hai đơn tranh nhau) → huỷ đơn
+    if (discountUsages.length) {
+      await DiscountService.recordDiscountUsage({
+        applied: discountUsages,
+        userId: user_id,
+        orderId: order._id,
+        orderValue: orderValueBeforeDiscount - promotionAmount,
+        session,
+      });
+    }
+
     /* =======================
-       6️⃣ TRỪ KHO THẬT
+       7️⃣ XÓA CART ITEMS
     ======================= */
-    for (const item of cartItems) {
-      const result = await ProductModel.updateOne(
+    if (cart) {
+      await CartDetailModel.deleteMany(
         {
-          _id: item.product_id,
-          onHandQuantity: { $gte: item.quantity },
-        },
-        {
-          $inc: { onHandQuantity: -item.quantity },
+          cart_id: cart._id,
+          product_id: { $in: selected_product_ids },
         },
         { session },
       );
 
-      if (result.modifiedCount === 0) {
-        throw new Error("Insufficient inventory to fulfill the order.");
-      }
-    }
-
-    /* =======================
-       7️⃣ XÓA CART ITEMS
-    ======================= */
-    await CartDetailModel.deleteMany(
-      {
-        cart_id: cart._id,
-        product_id: { $in: selected_product_ids },
-      },
-      { session },
-    );
-
-    const remainingItemCount = await CartDetailModel.countDocuments(
-      { cart_id: cart._id },
-      { session },
-    );
+      const remainingItemCount = await CartDetailModel.countDocuments(
+        { cart_id: cart._id },
+        { session },
+      );
 
-    cart.sum = remainingItemCount;
-    await cart.save({ session });
+      cart.sum = remainingItemCount;
+      await cart.save({ session });
 
-    /* =======================
-       8️⃣ XÓA STOCK LOCK
-    ======================= */
-    await StockLockModel.deleteMany(
-      {
-        user_id,
-        product_id: { $in: selected_product_ids },
-      },
-      { session },
-    );
+      /* =======================
+         8️⃣ XÓA STOCK LOCK
+      ======================= */
+      await StockLockModel.deleteMany(
+        {
+          user_id,
+          product_id: { $in: selected_product_ids },
+        },
+        { session },
+      );
+    }
 
     /* =======================
        9️⃣ PAYMENT
@@ -338,18 +365,6 @@ const confirmCheckoutAndCreateOrder = async ({
         session,
       });
       await session.commitTransaction();
-      if (discount_id && discountCode) {
-        try {
-          await DiscountService.applyDiscountCode(
-            discount_id,
-            user_id.toString(),
-            orderValueBeforeDiscount,
-            order._id.toString()
-          );
-        } catch (discountErr) {
-          console.error("Record discount usage after COD order failed:", discountErr);
-        }
-      }
       const orderId = order._id.toString();
       let redirect_url_cod;
       if (isMobile) {
@@ -414,26 +429,17 @@ const confirmCheckoutAndCreateOrder = async ({
         session,
       });
 
-      const paymentUrl = await PaymentService.createVnpayPaymentUrl({
-        order_id: order._id,
-        user_id,
-        ip,
-        isMobile,
-        session,
-      });
+      // defer_payment_url: khách lấy link khi mở thanh toán (retryVnpayPayment, IP thật của khách)
+      const paymentUrl = defer_payment_url
+        ? null
+        : await PaymentService.createVnpayPaymentUrl({
+          order_id: order._id,
+          user_id,
+          ip,
+          isMobile,
+          session,
+        });
       await session.commitTransaction();
-      if (discount_id && discountCode) {
-        try {
-          await DiscountService.applyDiscountCode(
-            discount_id,
-            user_id.toString(),
-            orderValueBeforeDiscount,
-            order._id.toString()
-          );
-        } catch (discountErr) {
-          console.error("Record discount usage after VNPAY order failed:", discountErr);
-        }
-      }
 
       await NotificationService.sendToUser(order.user_id.toString(), {
         title: "Order VNPay Created",
@@ -483,257 +489,39 @@ const updateOrder = async (order_id, new_status_name, userId, role, note) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let ctx;
   try {
     const order = await OrderModel.findById(order_id).session(session);
     if (!order) throw new Error("Order not found");
 
-    const newStatus = await findStatusByName(new_status_name, session);
-    if (!newStatus) throw new Error("Invalid order status");
-
-    const currentStatusName = await getOrderStatusName(
-      order.order_status_id,
-      session,
-    );
-    const nextStatusName = normalizeStatusName(newStatus.name);
-    const paymentMethod = normalizeToken(order.payment_method);
-    const normalizedRole = (role || "").toString().trim().toLowerCase();
-    const isTransitionToCancelled =
-      currentStatusName !== "CANCELLED" && nextStatusName === "CANCELLED";
-    const isShippingToCancelled =
-      currentStatusName === "SHIPPING" && isTransitionToCancelled;
-    const autoShippingCancelNote =
-      "Customer refused to receive, restocked inventory";
-    const statusHistoryNote = isShippingToCancelled
-      ? [note?.toString?.().trim?.(), autoShippingCancelNote]
-        .filter(Boolean)
-        .join(" | ")
-      : note;
-
-    if (isRefundStatus(nextStatusName)) {
-      const allowedRolesForRefund = ["admin", "sales-staff"];
-      if (!allowedRolesForRefund.includes(normalizedRole)) {
-        throw new Error(
-          "Only admin or sales-staff can move an order to the refund status",
-        );
-      }
-      if (currentStatusName !== "COMPLETED") {
-        throw new Error("Only COMPLETED orders can be moved to the refund workflow");
-      }
-      // Chỉ cho phép REFUND khi tổng số lượng sản phẩm trong đơn < 100
-      const orderDetails = await OrderDetailModel.find({ order_id: order._id })
-        .select("quantity")
-        .session(session)
-        .lean();
-      const totalOrderQuantity = orderDetails.reduce(
-        (sum, item) => sum + (Number(item.quantity) || 0),
-        0
-      );
-      if (totalOrderQuantity > 100) {
-        throw new Error(
-          "Refund is only allowed for orders with total product quantity below or equal to 100kg"
-        );
-      }
-    } else if (isShippingToCancelled) {
-      const allowedRolesForShippingCancel = ["admin", "sales-staff"];
-      if (!allowedRolesForShippingCancel.includes(normalizedRole)) {
-        throw new Error(
-          "Only admin or sales-staff can cancel orders from SHIPPING status",
-        );
-      }
-    } else if (
-      !isValidStatusTransition(paymentMethod, currentStatusName, nextStatusName)
-    ) {
-      throw new Error("Invalid status transition for this order");
-    }
-    const fromStatus = order.order_status_id;
-    /* =======================
-       UPDATE ORDER STATUS
-    ======================= */
-    order.order_status_id = newStatus._id;
-    await order.save({ session });
-
-    await pushStatusHistory({
+    // Kiểm tra transition, đổi trạng thái, payment/kho: xem services/orderWorkflow.js
+    ctx = await OrderWorkflow.executeTransition({
       order,
-      fromStatus,
-      toStatus: newStatus._id,
+      toStatus: new_status_name,
       userId,
       role,
-      note: statusHistoryNote,
+      note,
       session,
     });
 
-    /* =======================
-       PAYMENT LOGIC
-    ======================= */
-    const payment = await PaymentModel.findOne({
-      order_id: order._id,
-      type: "PAYMENT",
-    }).session(session);
-
-    if (!payment) {
-      throw new Error("Order payment not found");
-    }
-
-    /* ========= COD ========= */
-
-    // COD giao thành công → thu tiền
-    if (nextStatusName === "COMPLETED" && payment.method === "COD") {
-      payment.status = "SUCCESS";
-      await payment.save({ session });
-    }
-
-    // Admin huỷ COD → chưa thu tiền nên để UNPAID (FAILED chỉ dùng khi thanh toán thất bại)
-    if (nextStatusName === "CANCELLED" && payment.method === "COD") {
-      payment.status = "UNPAID";
-      await payment.save({ session });
-    }
-
-
-    // COMPLETED → REFUND: payment chuyển PENDING (đợi nhân viên lấy hàng, hoàn tiền thủ công bên ngoài)
-    if (nextStatusName === "REFUND") {
-      payment.status = "PENDING";
-      payment.note = (payment.note || "").trim()
-        ? payment.note + "; Refund pending – staff to collect and process refund manually"
-        : "Refund pending – staff to collect and process refund manually";
-      await payment.save({ session });
-    }
-
-    /* ========= VNPAY ========= */
-
-    // Admin huỷ khi VNPAY CHƯA thanh toán
-    if (
-      nextStatusName === "CANCELLED" &&
-      payment.method === "VNPAY" &&
-      payment.status === "PENDING"
-    ) {
-      payment.status = "CANCELLED";
-      await payment.save({ session });
-    }
-
-    // ✅ Admin huỷ khi VNPAY ĐÃ THANH TOÁN
-    if (
-      nextStatusName === "CANCELLED" &&
-      payment.method === "VNPAY" &&
-      payment.status === "SUCCESS"
-    ) {
-      // ❗ KHÔNG đổi payment PAYMENT
-      // ❗ KHÔNG gọi VNPay ở đây
-
-      // Tạo refund record
-      await PaymentModel.create(
-        [
-          {
-            order_id: order._id,
-            type: "REFUND",
-            method: "VNPAY",
-            amount: payment.amount,
-            status: "PENDING",
-            note: "Admin cancelled the order – pending VNPay refund",
-          },
-        ],
-        { session },
-      );
-    }
-
-    // Online: chỉ cho chuyển PENDING -> PAID khi payment đã SUCCESS
-    if (payment.method === "VNPAY" && nextStatusName === "PAID") {
-      if (payment.status !== "SUCCESS") {
-        throw new Error("Payment has not been recorded as successful");
-      }
-    }
-
-    // Bất kỳ transition -> CANCELLED: hoàn kho lại cho các sản phẩm trong đơn
-    if (isTransitionToCancelled) {
-      const details = await OrderDetailModel.find({ order_id: order._id })
-        .select("product_id quantity")
-        .session(session);
-      if (details.length > 0) {
-        const bulkOps = details
-          .filter((d) => d?.product_id && (d.quantity || 0) > 0)
-          .map((d) => ({
-            updateOne: {
-              filter: { _id: d.product_id },
-              update: { $inc: { onHandQuantity: Number(d.quantity) || 0 } },
-            },
-          }));
-        if (bulkOps.length > 0) {
-          await ProductModel.bulkWrite(bulkOps, { session });
-        }
-      }
-    }
-
     await session.commitTransaction();
-    // ✅ Chỉ chốt lô khi đơn đã chuyển COMPLETED
-    if (nextStatusName === "COMPLETED") {
-      try {
-        const details = await OrderDetailModel.find({ order_id: order._id }).select("product_id").lean();
-        const productIds = [...new Set(details.map((d) => d.product_id?.toString()).filter(Boolean))];
-        if (productIds.length > 0) {
-          // Bước an toàn: chỉ auto-reset khi sản phẩm đã thực sự hết hàng và có kỳ lô đang mở.
-          const products = await ProductModel.find({
-            _id: { $in: productIds.map((id) => new mongoose.Types.ObjectId(id)) },
-          })
-            .select("onHandQuantity warehouseEntryDate warehouseEntryDateStr")
-            .lean();
-          const eligibleProductIds = products
-            .filter(
-              (p) =>
-                (p.onHandQuantity ?? 0) === 0 &&
-                (p.warehouseEntryDate || p.warehouseEntryDateStr)
-            )
-            .map((p) => p._id.toString());
-
-          const ProductBatchService = require("./ProductBatchService");
-          const orderIdStr = order._id?.toString?.();
-          for (const pid of eligibleProductIds) {
-            try {
-              await ProductBatchService.autoResetSoldOutProduct(pid, { excludeOrderId: orderIdStr });
-            } catch (e) {
-              console.error("Auto-reset sold out product after COMPLETED failed:", pid, e);
-            }
-          }
-        }
-      } catch (e) {
-        console.error("Load order details for batch auto-reset failed:", order._id?.toString?.(), e);
-      }
-    }
-    // ✅ Thông báo cho khách hàng khi admin cập nhật trạng thái đơn
-    const customerId = order.user_id?.toString?.() || order.user_id;
-    if (customerId) {
-      try {
-        const statusValue = newStatus?.name || new_status_name || "";
-        const displayLabel = getStatusDisplayLabel(statusValue);
-        await NotificationService.sendToUser(customerId, {
-          title: "Order update",
-          body: `Your order status has been updated to "${displayLabel}".`,
-          data: {
-            type: "order",
-            orderId: order._id.toString(),
-            action: "view_order",
-            status: statusValue,
-          },
-        });
-      } catch (notifErr) {
-        console.error(
-          "Failed to send order status notification to customer:",
-          notifErr,
-        );
-        // Không throw – trạng thái đơn đã cập nhật thành công
-      }
-    }
-    return { success: true };
   } catch (err) {
     await session.abortTransaction();
     throw err;
   } finally {
     session.endSession();
   }
+
+  // Chốt lô, thông báo khách hàng – lỗi không ảnh hưởng kết quả
+  await OrderWorkflow.runAfterCommit(ctx);
+  return { success: true };
 };
 
 /* =====================================================
    CONFIRM REFUND PAYMENT (ADMIN / WAREHOUSE STAFF)
-   Chỉ cho phép khi đơn đang REFUND và payment đang PENDING.
-   Cập nhật payment sang SUCCESS khi đã hoàn tiền thủ công bên ngoài.
+   Chỉ cho phép khi đơn đang REFUND (nhân viên đã lấy hàng).
+   COD: payment PENDING → SUCCESS khi đã hoàn tiền thủ công bên ngoài.
+   VNPAY: đưa vào hàng đợi refund VNPay (RefundService / jobs/vnpayRefundJob).
 ===================================================== */
 const confirmRefundPayment = async (order_id) => {
   const order = await OrderModel.findById(order_id);
@@ -749,6 +537,38 @@ const confirmRefundPayment = async (order_id) => {
     type: "PAYMENT",
   });
   if (!payment) throw new Error("Order payment not found");
+
+  if (payment.method === "VNPAY" && order.is_preorder) {
+    // Đơn pre-order: hoàn cả tiền cọc và phần còn lại
+    const payments = await PaymentModel.find({
+      order_id: order._id,
+      type: "PAYMENT",
+      method: "VNPAY",
+      status: "SUCCESS",
+    }).sort({ createdAt: 1 });
+    const refundDocs = await RefundService.enqueueRefunds({
+      payments,
+      note: "Pre-order delivery returned – pending VNPay refund",
+    });
+    return {
+      success: true,
+      message: "Refund queued for VNPay",
+      refund_ids: refundDocs.map((r) => r._id),
+    };
+  }
+
+  if (payment.method === "VNPAY") {
+    const refundDoc = await RefundService.enqueueRefund({
+      payment,
+      note: "Order returned – pending VNPay refund",
+    });
+    return {
+      success: true,
+      message: "Refund queued for VNPay",
+      refund_id: refundDoc._id,
+    };
+  }
+
   if (payment.status !== "PENDING") {
     throw new Error("Refund payment can only be confirmed when payment status is PENDING");
   }
@@ -770,75 +590,28 @@ const cancelOrderByCustomer = async (order_id, user_id) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let ctx;
   try {
-    /* =======================
-       1️⃣ LOAD ORDER
-    ======================= */
     const order = await OrderModel.findById(order_id).session(session);
     if (!order) throw new Error("Order not found");
-    const status = await OrderStatusModel.findById(
-      order.order_status_id,
-    ).session(session);
 
-    if (status.name !== "PENDING")
+    const currentStatusName = await getOrderStatusName(
+      order.order_status_id,
+      session,
+    );
+    if (currentStatusName !== "PENDING") {
       throw new Error(
         "You can only cancel when the order is in PENDING status",
       );
-    /* =======================
-       2️⃣ HOÀN KHO
-    ======================= */
-    const details = await OrderDetailModel.find({ order_id }).session(session);
-
-    for (const item of details) {
-      await ProductModel.updateOne(
-        { _id: item.product_id },
-        { $inc: { onHandQuantity: item.quantity } },
-        { session },
-      );
     }
-
-    /* =======================
-       3️⃣ PAYMENT LOGIC
-    ======================= */
-    const payment = await PaymentModel.findOne({
-      order_id,
-      type: "PAYMENT",
-    }).session(session);
-    if (payment.method !== "COD") {
+    if (normalizeToken(order.payment_method) !== "COD") {
       throw new Error("Only COD orders can be cancelled");
     }
 
-    payment.status = "UNPAID";
-    payment.note = "Order cancelled";
-    await payment.save({ session });
-
-    /* =======================
-       4️⃣ UPDATE ORDER STATUS
-    ======================= */
-    const cancelled = await OrderStatusModel.findOne({
-      name: "CANCELLED",
-    }).session(session);
-
-    try {
-      await NotificationService.sendToUser(user_id, {
-        title: "Order placed successfully - awaiting payment",
-        body: `Order ${order._id.toString()} has been created. Please complete the payment.`,
-        data: {
-          type: "order",
-          orderId: order._id.toString(),
-          action: "pay_order",
-        },
-      });
-    } catch (notifErr) {
-      console.error("Failed to send order notification:", notifErr);
-    }
-    order.order_status_id = cancelled._id;
-    await order.save({ session });
-
-    await pushStatusHistory({
+    // Hoàn kho + payment UNPAID do hook CANCELLED của workflow xử lý
+    ctx = await OrderWorkflow.executeTransition({
       order,
-      fromStatus: status._id,
-      toStatus: cancelled._id,
+      toStatus: "CANCELLED",
       userId: user_id,
       role: "customer",
       note: "Customer cancelled the order",
@@ -846,13 +619,15 @@ const cancelOrderByCustomer = async (order_id, user_id) => {
     });
 
     await session.commitTransaction();
-    return { success: true };
   } catch (err) {
     await session.abortTransaction();
     throw err;
   } finally {
     session.endSession();
   }
+
+  await OrderWorkflow.runAfterCommit(ctx);
+  return { success: true };
 };
 
 const retryVnpayPayment = async ({ order_id, user_id, ip, isMobile }) => {
@@ -898,17 +673,25 @@ const retryVnpayPayment = async ({ order_id, user_id, ip, isMobile }) => {
       throw new Error("Payment information not found");
     }
 
-    if (!["FAILED"].includes(payment.status)) {
+    // Đơn hộp định kỳ PENDING: mỗi lần khách mở thanh toán tạo link mới (link VNPay hết hạn sau 15 phút), hạn là pay_by
+    const awaitingSubscriptionPayment = !!order.pay_by && payment.status === "PENDING";
+    if (!awaitingSubscriptionPayment && !["FAILED"].includes(payment.status)) {
       throw new Error("Invalid payment status for retry");
     }
 
     /* ===== CHECK RETRY PER PAYMENT STATUS ===== */
-    if (!order.allow_retry) {
-      throw new Error("The order does not allow refunds");
-    }
+    if (awaitingSubscriptionPayment) {
+      if (order.pay_by < new Date()) {
+        throw new Error("The order is overdue for payment");
+      }
+    } else {
+      if (!order.allow_retry) {
+        throw new Error("The order does not allow refunds");
+      }
 
-    if (!order.retry_expired_at || order.retry_expired_at < new Date()) {
-      throw new Error("The order is overdue for payment");
+      if (!order.retry_expired_at || order.retry_expired_at < new Date()) {
+        throw new Error("The order is overdue for payment");
+      }
     }
 
     order.allow_retry = false;
@@ -919,9 +702,11 @@ const retryVnpayPayment = async ({ order_id, user_id, ip, isMobile }) => {
     /* =======================
        4️⃣ RESET PAYMENT
     ======================= */
+    const vnpCreateDate = createDate();
     payment.status = "PENDING";
     payment.provider_txn_id = null;
     payment.provider_response = null;
+    payment.vnp_create_date = vnpCreateDate;
 
     await payment.save({ session });
 
@@ -933,7 +718,8 @@ const retryVnpayPayment = async ({ order_id, user_id, ip, isMobile }) => {
       order._id,
       payment.amount,
       ip,
-      order.is_mobile // 👈 truyền xuống đây nếu bạn muốn xử lý return URL theo mobile/web
+      order.is_mobile, // 👈 truyền xuống đây nếu bạn muốn xử lý return URL theo mobile/web
+      vnpCreateDate
     );
 
     await session.commitTransaction();
@@ -1120,8 +906,10 @@ const getOrderByUser = async (order_id, user_id) => {
 
     const discountAmount = order.discount_amount ?? 0;
     const totalPrice = order.total_price ?? 0;
-    // Tổng tiền sản phẩm (chưa ship, chưa trừ voucher): total_price = subtotal_products + shipping_fee - discount_amount
-    const subtotalProducts = totalPrice + discountAmount;
+    const shippingFee = order.shipping_fee ?? 0;
+    const promotionAmount = order.promotion_amount ?? 0;
+    // Tổng tiền sản phẩm (chưa ship, chưa trừ khuyến mãi / voucher): total_price = subtotal_products + shipping_fee - promotion_amount - discount_amount
+    const subtotalProducts = totalPrice + discountAmount + promotionAmount - shippingFee;
 
     return {
       status: "OK",
@@ -1131,6 +919,10 @@ const getOrderByUser = async (order_id, user_id) => {
           ...order,
           discount_code: order.discount_code ?? null,
           discount_amount: discountAmount,
+          shipping_discount: order.shipping_discount ?? 0,
+          promotions: order.promotions ?? [],
+          promotion_amount: promotionAmount,
+          shipping_fee: shippingFee,
           total_price: totalPrice,
           subtotal_products: subtotalProducts,
         },
@@ -1156,6 +948,7 @@ const getOrdersForAdmin = async (filters = {}) => {
       status_names,
       payment_method,
       payment_status,
+      is_preorder,
       sortBy = "createdAt",
       sortOrder = "desc",
     } = filters;
@@ -1197,6 +990,10 @@ const getOrdersForAdmin = async (filters = {}) => {
       query.payment_method = normalizeToken(payment_method);
     }
 
+    // Đơn giao từ pre-order: is_preorder=true | false
+    if (is_preorder === "true" || is_preorder === true) query.is_preorder = true;
+    if (is_preorder === "false" || is_preorder === false) query.is_preorder = { $ne: true };
+
     const allowedSortFields = ["createdAt", "updatedAt", "total_price"];
     const sortField = allowedSortFields.includes(sortBy) ? sortBy : "createdAt";
     const sortDirection = sortOrder === "asc" ? 1 : -1;
@@ -1230,12 +1027,18 @@ const getOrdersForAdmin = async (filters = {}) => {
       .map((order) => {
         const discountAmount = order.discount_amount ?? 0;
         const totalPrice = order.total_price ?? 0;
-        const subtotalProducts = totalPrice + discountAmount;
+        const shippingFee = order.shipping_fee ?? 0;
+        const promotionAmount = order.promotion_amount ?? 0;
+        const subtotalProducts = totalPrice + discountAmount + promotionAmount - shippingFee;
         return {
           ...order,
           payment: paymentMap.get(order._id.toString()) || null,
           discount_code: order.discount_code ?? null,
           discount_amount: discountAmount,
+          shipping_discount: order.shipping_discount ?? 0,
+          promotions: order.promotions ?? [],
+          promotion_amount: promotionAmount,
+          shipping_fee: shippingFee,
           total_price: totalPrice,
           subtotal_products: subtotalProducts,
         };
@@ -1285,7 +1088,9 @@ const getOrderDetailForAdmin = async (order_id) => {
 
     const discountAmount = order.discount_amount ?? 0;
     const totalPrice = order.total_price ?? 0;
-    const subtotalProducts = totalPrice + discountAmount;
+    const shippingFee = order.shipping_fee ?? 0;
+    const promotionAmount = order.promotion_amount ?? 0;
+    const subtotalProducts = totalPrice + discountAmount + promotionAmount - shippingFee;
 
     return {
       status: "OK",
@@ -1295,6 +1100,10 @@ const getOrderDetailForAdmin = async (order_id) => {
           ...order,
           discount_code: order.discount_code ?? null,
           discount_amount: discountAmount,
+          shipping_discount: order.shipping_discount ?? 0,
+          promotions: order.promotions ?? [],
+          promotion_amount: promotionAmount,
+          shipping_fee: shippingFee,
           total_price: totalPrice,
           subtotal_products: subtotalProducts,
         },
@@ -1,4 +1,7 @@
 const OrderStatusModel = require("../models/OrderStatusModel");
+const OrderModel = require("../models/OrderModel");
+const PaymentModel = require("../models/PaymentModel");
+const OrderWorkflow = require("./orderWorkflow");
 
 const getAllOrderStatuses = async () => {
     try {
@@ -10,6 +13,45 @@ const getAllOrderStatuses = async () => {
     }
 }
 
+/**
+ * Các trạng thái tiếp theo hợp lệ cho một đơn theo role người gọi (bảng transition trong orderWorkflow).
+ * Giống xem chi tiết đơn: chủ đơn, hoặc admin / sales-staff.
+ */
+const getOrderTransitions = async ({ order_id, userId, role }) => {
+    const order = await OrderModel.findById(order_id).lean();
+    if (!order) throw new Error("Order not found");
+    const isOwner = order.user_id?.toString() === userId?.toString();
+    const isOrderStaff = ["admin", "sales-staff"].includes((role || "").toString().toLowerCase());
+    if (!isOwner && !isOrderStaff) {
+        throw new Error("You do not have permission to view this order");
+    }
+
+    const [statusDoc, payment] = await Promise.all([
+        OrderStatusModel.findById(order.order_status_id).lean(),
+        PaymentModel.findOne({ order_id: order._id, type: "PAYMENT" }).lean(),
+    ]);
+    const currentStatus = OrderWorkflow.normalizeStatusName(statusDoc?.name || "");
+
+    const transitions = await OrderWorkflow.getAvailableTransitions({
+        order,
+        payment,
+        fromStatus: currentStatus,
+        role,
+        userId,
+    });
+
+    return {
+        status: "OK",
+        data: {
+            order_id: order._id,
+            payment_method: order.payment_method,
+            current_status: currentStatus,
+            transitions,
+        },
+    };
+}
+
 module.exports = {
     getAllOrderStatuses,
+    getOrderTransitions,
 };
\ No newline at end of file
@@ -0,0 +1,334 @@
+/**
+ * Payment Reconciliation Service
+ *
+ * Đối soát payment VNPay còn PENDING / TIMEOUT với querydr của VNPay (response phải đúng chữ ký):
+ * - VNPay thành công → cập nhật payment + order qua PaymentService.processVnpayResult (như IPN)
+ * - VNPay thất bại → payment FAILED (order được retry 10 phút như return URL)
+ * - Lệch số tiền, thành công nhưng mất order, trùng transaction → DISCREPANCY, không tự sửa
+ * Kết quả lưu vào payment_reconciliations (một dòng / payment / ngày).
+ *
+ * Ngoài job hằng ngày, jobs/autoDeleteFailedOrders gọi checkPendingBeforeExpiry trước khi xoá đơn VNPay
+ * PENDING quá hạn – đơn mất IPN được ghi nhận thanh toán thay vì bị xoá.
+ *
+ * @module services/PaymentReconciliationService
+ */
+
+const PaymentModel = require("../models/PaymentModel");
+const OrderModel = require("../models/OrderModel");
+const PaymentReconciliationModel = require("../models/PaymentReconciliationModel");
+const PaymentService = require("./PaymentService");
+const { queryTransaction, verifyQueryResponse } = require("../utils/createVnpayUrl");
+const { formatDateVN } = require("../utils/dateVN");
+
+const { VNPAY_RESULT } = PaymentService;
+
+/** Chỉ đối soát payment không đổi trạng thái ít nhất N phút (tránh tranh chấp với return URL / IPN) */
+const RECONCILE_AFTER_MINUTES = Number(process.env.VNPAY_RECONCILE_AFTER_MINUTES) || 10;
+
+/** querydr lỗi liên tục quá N giờ → vẫn cho xoá đơn PENDING (dòng đối soát ERROR còn lại để admin kiểm tra) */
+const EXPIRE_WITHOUT_QUERY_AFTER_HOURS = 24;
+
+const RESULTS = ["MATCHED", "FIXED", "DISCREPANCY", "ERROR"];
+
+/** Payment chưa có kết quả từ VNPay: PENDING, hoặc TIMEOUT (hết hạn phía mình nhưng khách vẫn có thể đã trả) */
+const UNSETTLED_STATUSES = ["PENDING", "TIMEOUT"];
+
+/**
+ * Đối soát một payment. Trả về dữ liệu dòng reconciliation (chưa lưu).
+ */
+const reconcilePayment = async (payment) => {
+  const row = {
+    payment: payment._id,
+    order_id: payment.order_id || null,
+    txn_ref: payment.order_id?.toString() || "",
+    local_status_before: payment.status,
+    local_status_after: payment.status,
+    local_amount: payment.amount,
+  };
+
+  let response;
+  try {
+    response = await queryTransaction({
+      txnRef: payment.order_id,
+      // vnp_CreateDate của URL thanh toán gần nhất; payment cũ chưa lưu thì lấy lúc tạo payment
+      transactionDate: payment.vnp_create_date || payment.createdAt,
+    });
+  } catch (err) {
+    return {
+      ...row,
+      result: "ERROR",
+      discrepancy_type: "QUERY_FAILED",
+      note: `querydr request failed: ${err.message}`.slice(0, 500),
+    };
+  }
+
+  if (!verifyQueryResponse(response)) {
+    return {
+      ...row,
+      result: "ERROR",
+      discrepancy_type: "INVALID_SIGNATURE",
+      provider_response: response || null,
+      note: "querydr response signature is invalid – response ignored",
+    };
+  }
+
+  Object.assign(row, {
+    provider_response: response,
+    provider_response_code: response?.vnp_ResponseCode ?? null,
+    provider_transaction_status: response?.vnp_TransactionStatus ?? null,
+    provider_txn_id: response?.vnp_TransactionNo ?? null,
+    provider_amount: response?.vnp_Amount != null ? Number(response.vnp_Amount) / 100 : null,
+  });
+
+  if (response?.vnp_ResponseCode === "91") {
+    return { ...row, result: "MATCHED", note: "Transaction not found at VNPay (customer did not pay)" };
+  }
+  if (response?.vnp_ResponseCode !== "00") {
+    return {
+      ...row,
+      result: "ERROR",
+      discrepancy_type: "QUERY_FAILED",
+      note: `querydr ${response?.vnp_ResponseCode || "?"}: ${response?.vnp_Message || "Unknown response"}`.slice(0, 500),
+    };
+  }
+
+  const txnStatus = response.vnp_TransactionStatus;
+  if (txnStatus === "01") {
+    return { ...row, result: "MATCHED", note: "Transaction still in progress at VNPay" };
+  }
+
+  if (txnStatus === "00") {
+    const order = payment.order_id
+      ? await OrderModel.findById(payment.order_id).select("_id").lean()
+      : null;
+    if (!order) {
+      return {
+        ...row,
+        result: "DISCREPANCY",
+        discrepancy_type: "SUCCESS_WITHOUT_ORDER",
+        note: "VNPay settled the payment but the order no longer exists – refund required",
+      };
+    }
+    if (row.provider_amount !== payment.amount) {
+      return {
+        ...row,
+        result: "DISCREPANCY",
+        discrepancy_type: "AMOUNT_MISMATCH",
+        note: `VNPay settled ${row.provider_amount} but the payment amount is ${payment.amount}`,
+      };
+    }
+  }
+
+  // Thành công / thất bại: áp dụng như IPN (vnp_ResponseCode của giao dịch = vnp_TransactionStatus)
+  const outcome = await PaymentService.processVnpayResult({
+    ...response,
+    vnp_TxnRef: row.txn_ref,
+    vnp_ResponseCode: txnStatus,
+  });
+
+  const after = await PaymentModel.findById(payment._id).select("status").lean();
+  row.local_status_after = after?.status || row.local_status_before;
+
+  switch (outcome.result) {
+    case VNPAY_RESULT.SUCCESS:
+    case VNPAY_RESULT.FAILED:
+      return {
+        ...row,
+        result: "FIXED",
+        note: `Status updated from ${row.local_status_before} to ${row.local_status_after} per VNPay`,
+      };
+    case VNPAY_RESULT.DUPLICATE_TXN:
+      return {
+        ...row,
+        result: "DISCREPANCY",
+        discrepancy_type: "DUPLICATE_TRANSACTION",
+        note: "VNPay transaction number is already recorded on another payment",
+      };
+    case VNPAY_RESULT.INVALID_AMOUNT:
+      return {
+        ...row,
+        result: "DISCREPANCY",
+        discrepancy_type: "AMOUNT_MISMATCH",
+        note: `VNPay amount ${row.provider_amount} does not match payment amount ${payment.amount}`,
+      };
+    case VNPAY_RESULT.NOT_FOUND:
+      return {
+        ...row,
+        result: "DISCREPANCY",
+        discrepancy_type: "SUCCESS_WITHOUT_ORDER",
+        note: "Payment or order disappeared during reconciliation",
+      };
+    default:
+      // ALREADY_CONFIRMED: return URL / IPN đã xử lý trong lúc đối soát
+      return { ...row, result: "MATCHED", note: "Already confirmed by VNPay callback" };
+  }
+};
+
+const saveReconciliationRow = (runDate, row) =>
+  PaymentReconciliationModel.findOneAndUpdate(
+    { run_date: runDate, payment: row.payment },
+    {
+      $set: {
+        discrepancy_type: null,
+        provider_response: null,
+        ...row,
+        run_date: runDate,
+        checked_at: new Date(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+/** Đối soát một payment, lỗi bất ngờ ghi thành dòng ERROR */
+const reconcileSafely = async (payment) => {
+  try {
+    return await reconcilePayment(payment);
+  } catch (err) {
+    return {
+      payment: payment._id,
+      order_id: payment.order_id || null,
+      txn_ref: payment.order_id?.toString() || "",
+      local_status_before: payment.status,
+      local_status_after: payment.status,
+      local_amount: payment.amount,
+      result: "ERROR",
+      note: `Reconciliation failed: ${err.message}`.slice(0, 500),
+    };
+  }
+};
+
+/**
+ * Chạy đối soát cho các payment VNPay PENDING / TIMEOUT cũ hơn olderThanMinutes.
+ * @param {Object} [options]
+ * @param {number} [options.olderThanMinutes]
+ * @returns {Promise<{ run_date: string, total: number, MATCHED: number, FIXED: number, DISCREPANCY: number, ERROR: number }>}
+ */
+const runReconciliation = async ({ olderThanMinutes } = {}) => {
+  const minutes = Number(olderThanMinutes) > 0 ? Number(olderThanMinutes) : RECONCILE_AFTER_MINUTES;
+  const cutoff = new Date(Date.now() - minutes * 60 * 1000);
+  const runDate = formatDateVN(new Date());
+
+  const payments = await PaymentModel.find({
+    type: "PAYMENT",
+    method: "VNPAY",
+    status: { $in: UNSETTLED_STATUSES },
+    order_id: { $ne: null },
+    updatedAt: { $lt: cutoff },
+  }).lean();
+
+  const summary = { run_date: runDate, total: payments.length, MATCHED: 0, FIXED: 0, DISCREPANCY: 0, ERROR: 0 };
+  for (const payment of payments) {
+    const row = await reconcileSafely(payment);
+    await saveReconciliationRow(runDate, row);
+    summary[row.result] += 1;
+  }
+  return summary;
+};
+
+/**
+ * querydr cho payment VNPay PENDING / TIMEOUT sắp bị xoá (đơn quá hạn thanh toán), lưu dòng đối soát.
+ * expired = true chỉ khi VNPay xác nhận khách chưa thanh toán (hoặc không tra cứu được quá
+ * EXPIRE_WITHOUT_QUERY_AFTER_HOURS) → được xoá đơn. Thanh toán thành công / thất bại đã được ghi nhận,
+ * giao dịch còn đang xử lý, lệch dữ liệu → giữ đơn.
+ * @param {Object} payment - payment PENDING / TIMEOUT (lean)
+ * @returns {Promise<{ expired: boolean, row: Object }>}
+ */
+const checkPendingBeforeExpiry = async (payment) => {
+  const row = await reconcileSafely(payment);
+  await saveReconciliationRow(formatDateVN(new Date()), row);
+
+  if (!UNSETTLED_STATUSES.includes(row.local_status_after)) return { expired: false, row };
+  if (row.result === "MATCHED" && row.provider_response_code === "91") return { expired: true, row };
+  if (row.result === "ERROR") {
+    const giveUpBefore = new Date(Date.now() - EXPIRE_WITHOUT_QUERY_AFTER_HOURS * 60 * 60 * 1000);
+    return { expired: new Date(payment.createdAt) < giveUpBefore, row };
+  }
+  // VNPay: giao dịch thất bại nhưng payment chưa đổi (không xảy ra) / đang xử lý / DISCREPANCY
+  return { expired: false, row };
+};
+
+const buildReconciliationQuery = (filters = {}) => {
+  const query = {};
+  if (filters.run_date) {
+    query.run_date = String(filters.run_date);
+  } else if (filters.from_date || filters.to_date) {
+    query.run_date = {
+      ...(filters.from_date ? { $gte: String(filters.from_date) } : {}),
+      ...(filters.to_date ? { $lte: String(filters.to_date) } : {}),
+    };
+  }
+  if (filters.result) {
+    const result = String(filters.result).trim().toUpperCase();
+    if (!RESULTS.includes(result)) {
+      const err = new Error("Invalid reconciliation result filter");
+      err.statusCode = 400;
+      throw err;
+    }
+    query.result = result;
+  }
+  if (filters.discrepancy_type) {
+    query.discrepancy_type = String(filters.discrepancy_type).trim().toUpperCase();
+  }
+  return query;
+};
+
+/**
+ * Admin: danh sách dòng đối soát + tổng hợp theo result.
+ * Filters: run_date | from_date + to_date (YYYY-MM-DD), result, discrepancy_type, page, limit
+ */
+const getReconciliations = async (filters = {}) => {
+  try {
+    const query = buildReconciliationQuery(filters);
+    const pageNum = Math.max(1, parseInt(filters.page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(filters.limit, 10) || 20));
+
+    const { result, ...summaryQuery } = query;
+    const [data, total, summaryAgg] = await Promise.all([
+      PaymentReconciliationModel.find(query)
+        .sort({ run_date: -1, result: 1, checked_at: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PaymentReconciliationModel.countDocuments(query),
+      PaymentReconciliationModel.aggregate([
+        { $match: summaryQuery },
+        { $group: { _id: "$result", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const summary = RESULTS.reduce((acc, r) => ({ ...acc, [r]: 0 }), {});
+    summaryAgg.forEach((s) => {
+      summary[s._id] = s.count;
+    });
+
+    return {
+      status: "OK",
+      data,
+      summary,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum) || 1,
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/** Toàn bộ dòng đối soát theo filters (dùng cho Excel export) */
+const getReconciliationRows = async (filters = {}) => {
+  const query = buildReconciliationQuery(filters);
+  return PaymentReconciliationModel.find(query)
+    .sort({ run_date: -1, result: 1, checked_at: -1 })
+    .lean();
+};
+
+module.exports = {
+  RECONCILE_AFTER_MINUTES,
+  runReconciliation,
+  checkPendingBeforeExpiry,
+  getReconciliations,
+  getReconciliationRows,
+};
@@ -1,6 +1,14 @@
+const mongoose = require("mongoose");
 const PaymentModel = require("../models/PaymentModel");
-const { createVnpayUrl, refund } = require("../utils/createVnpayUrl");
+const { createVnpayUrl, createDate, refund } = require("../utils/createVnpayUrl");
 const OrderModel = require("../models/OrderModel");
+const OrderStatusModel = require("../models/OrderStatusModel");
+const UserModel = require("../models/UserModel");
+const PreOrderPaymentIntentModel = require("../models/PreOrderPaymentIntentModel");
+const PreOrderRemainingPaymentModel = require("../models/PreOrderRemainingPaymentModel");
+const PreOrderService = require("./PreOrderService");
+const NotificationService = require("./NotificationService");
+const CustomerEmailService = require("./CustomerEmailService");
 /* ============================
    CREATE COD PAYMENT
 ============================ */
@@ -102,15 +110,287 @@ const createVnpayPaymentUrl = async ({ order_id, user_id, ip, isMobile, session
   /* =======================
      3️⃣ CREATE VNPAY URL
   ======================= */
-  const payUrl = createVnpayUrl(order._id, payment.amount, ip,isMobile);
+  const vnpCreateDate = createDate();
+  const payUrl = createVnpayUrl(order._id, payment.amount, ip, isMobile, vnpCreateDate);
+  payment.vnp_create_date = vnpCreateDate;
+  await payment.save({ session });
 
 
   return payUrl;
 };
 
 
+/* ============================
+   VNPAY RESULT (RETURN URL + IPN)
+============================ */
+
+/**
+ * Kết quả xử lý callback VNPay:
+ * - SUCCESS / FAILED: lần đầu ghi nhận kết quả giao dịch
+ * - ALREADY_CONFIRMED: đã xử lý trước đó (return URL hoặc IPN đến trước) – không ghi gì thêm
+ * - NOT_FOUND / INVALID_AMOUNT / DUPLICATE_TXN: từ chối, không ghi gì
+ */
+const VNPAY_RESULT = {
+  SUCCESS: "SUCCESS",
+  FAILED: "FAILED",
+  ALREADY_CONFIRMED: "ALREADY_CONFIRMED",
+  NOT_FOUND: "NOT_FOUND",
+  INVALID_AMOUNT: "INVALID_AMOUNT",
+  DUPLICATE_TXN: "DUPLICATE_TXN",
+};
+
+/** vnp_Amount = số tiền * 100 */
+const isSameVnpayAmount = (vnpAmount, expectedAmount) =>
+  Number(vnpAmount) === Math.round(Number(expectedAmount) * 100);
+
+/** Pre-order deposit / remaining intent: vnp_TxnRef = intent _id */
+const applyPreOrderIntentResult = async ({ intent, kind, params, session }) => {
+  const base = { kind, id: intent._id.toString(), isMobile: intent.is_mobile === true };
+
+  if (intent.status !== "PENDING") {
+    return { ...base, result: VNPAY_RESULT.ALREADY_CONFIRMED, paid: intent.status === "SUCCESS" };
+  }
+  if (!isSameVnpayAmount(params.vnp_Amount, intent.amount)) {
+    return { ...base, result: VNPAY_RESULT.INVALID_AMOUNT, paid: false };
+  }
+
+  if (params.vnp_ResponseCode === "00") {
+    let preOrderId;
+    if (kind === "PREORDER_DEPOSIT") {
+      const preOrder = await PreOrderService.fulfillPaymentIntent(intent._id, session);
+      preOrderId = preOrder?._id;
+    } else {
+      await PreOrderService.fulfillRemainingPayment(intent._id, session);
+      preOrderId = intent.preOrderId;
+    }
+
+    // Lưu giao dịch VNPay của pre-order để có thể hoàn tiền tự động (RefundService)
+    if (preOrderId) {
+      await PaymentModel.create(
+        [
+          {
+            pre_order_id: preOrderId,
+            type: "PAYMENT",
+            method: "VNPAY",
+            amount: intent.amount,
+            status: "SUCCESS",
+            provider_txn_id: params.vnp_TransactionNo || undefined,
+            provider_response: params,
+            vnp_create_date: intent.vnp_create_date || null,
+            note: kind === "PREORDER_DEPOSIT" ? "Pre-order deposit" : "Pre-order remaining payment",
+          },
+        ],
+        { session },
+      );
+    }
+
+    // Đã thanh toán đủ → tạo đơn giao hàng (is_preorder). Thiếu thông tin người nhận thì admin tạo sau, không chặn thanh toán;
+    // lỗi khác throw → huỷ cả transaction (không để đơn tạo dở)
+    if (preOrderId && kind === "PREORDER_REMAINING") {
+      const order = await PreOrderService.createOrderFromPreOrder(preOrderId, { session, skipIfIncomplete: true });
+      if (!order) console.warn("Create order from pre-order skipped (missing receiver info):", preOrderId.toString());
+    }
+    return { ...base, result: VNPAY_RESULT.SUCCESS, paid: true };
+  }
+
+  intent.status = "FAILED";
+  await intent.save({ session });
+  return { ...base, result: VNPAY_RESULT.FAILED, paid: false };
+};
+
+const applyOrderResult = async ({ params, session }) => {
+  const orderIdStr = params.vnp_TxnRef;
+  if (!mongoose.isValidObjectId(orderIdStr)) {
+    return { kind: "ORDER", id: orderIdStr, result: VNPAY_RESULT.NOT_FOUND, paid: false };
+  }
+  const orderId = new mongoose.Types.ObjectId(orderIdStr);
+
+  const [order, payment] = await Promise.all([
+    OrderModel.findById(orderId).session(session),
+    PaymentModel.findOne({ order_id: orderId, method: "VNPAY", type: "PAYMENT" }).session(session),
+  ]);
+  if (!order || !payment) {
+    return { kind: "ORDER", id: orderIdStr, result: VNPAY_RESULT.NOT_FOUND, paid: false };
+  }
+
+  const base = { kind: "ORDER", id: orderIdStr, isMobile: order.is_mobile === true, order };
+
+  const paidStatus = await OrderStatusModel.findOne({ name: "PAID" }).session(session);
+  if (!paidStatus) throw new Error("PAID status not found");
+
+  // 🔒 Anti-replay: payment / order đã được xác nhận
+  if (payment.status === "SUCCESS" || order.order_status_id.equals(paidStatus._id)) {
+    return { ...base, result: VNPAY_RESULT.ALREADY_CONFIRMED, paid: true };
+  }
+  // TIMEOUT: hết hạn phía mình nhưng VNPay vẫn có thể đã thu tiền (querydr đối soát) → vẫn ghi nhận kết quả
+  if (payment.status !== "PENDING" && payment.status !== "TIMEOUT") {
+    return { ...base, result: VNPAY_RESULT.ALREADY_CONFIRMED, paid: false };
+  }
+
+  // 🔒 Anti-replay: transaction no đã dùng cho payment khác
+  const transactionNo = params.vnp_TransactionNo;
+  if (transactionNo) {
+    const existedTxn = await PaymentModel.findOne({
+      provider_txn_id: transactionNo,
+      _id: { $ne: payment._id },
+    }).session(session);
+    if (existedTxn) return { ...base, result: VNPAY_RESULT.DUPLICATE_TXN, paid: false };
+  }
+
+  if (!isSameVnpayAmount(params.vnp_Amount, payment.amount)) {
+    return { ...base, result: VNPAY_RESULT.INVALID_AMOUNT, paid: false };
+  }
+
+  if (params.vnp_ResponseCode === "00") {
+    if (!transactionNo) throw new Error("Missing orderId or transactionNo");
+    payment.status = "SUCCESS";
+    payment.provider_txn_id = transactionNo;
+    payment.provider_response = params;
+    await payment.save({ session });
+
+    order.status_history.push({
+      from_status: order.order_status_id,
+      to_status: paidStatus._id,
+      changed_by: order.user_id,
+      changed_by_role: "customer",
+      note: "VNPAY payment successful",
+    });
+    order.order_status_id = paidStatus._id;
+    await order.save({ session });
+    return { ...base, result: VNPAY_RESULT.SUCCESS, paid: true };
+  }
+
+  /* ===== PAYMENT FAILED → cho thanh toán lại trong 10 phút ===== */
+  payment.status = "FAILED";
+  payment.provider_response = params;
+  await payment.save({ session });
+
+  const TEN_MINUTES = 10 * 60 * 1000;
+  const pendingStatus = await OrderStatusModel.findOne({ name: "PENDING" }).session(session);
+
+  order.allow_retry = true;
+  order.auto_delete = true;
+  // Đơn hộp định kỳ được trả lại đến hạn pay_by
+  order.retry_expired_at = order.pay_by || new Date(Date.now() + TEN_MINUTES);
+  order.status_history.push({
+    from_status: order.order_status_id,
+    to_status: pendingStatus._id,
+    changed_by: order.user_id,
+    changed_by_role: "customer",
+    note: "VNPAY payment failed – allow re-payment within 10 minutes",
+  });
+  order.order_status_id = pendingStatus._id;
+  await order.save({ session });
+  return { ...base, result: VNPAY_RESULT.FAILED, paid: false };
+};
+
+/** Thông báo + email sau khi ghi nhận kết quả thanh toán đơn hàng (không throw) */
+const notifyOrderPaymentResult = async (order, isSuccess) => {
+  const orderId = order._id.toString();
+  const customerId = order.user_id.toString();
+
+  try {
+    await NotificationService.sendToUser(
+      customerId,
+      isSuccess
+        ? {
+          title: "VNPay payment successfull",
+          body: `Payment successfull for order ${orderId}. Go to Order History to check your order`,
+          data: { type: "order", orderId, action: "view_order" },
+        }
+        : {
+          title: "VNPay payment failed",
+          body: `Payment failed for order ${orderId}. Go to Order History to re-pay in 10 minutes`,
+          data: { type: "order", orderId, action: "retry_payment" },
+        },
+    );
+  } catch (notifErr) {
+    console.error("Failed to send payment notification:", notifErr);
+  }
+
+  if (isSuccess) {
+    try {
+      await NotificationService.sendToRole("sales-staff", {
+        title: "Order VNPay Payment Successfull",
+        body: `Payment successfull for order ${orderId}`,
+        data: { type: "order", orderId, action: "view_order" },
+      });
+    } catch (notifErr) {
+      console.error("Failed to send payment notification to sales staff:", notifErr);
+    }
+  }
+
+  try {
+    const user = await UserModel.findById(order.user_id).select("email user_name").lean();
+    if (user && user.email) {
+      const send = isSuccess
+        ? CustomerEmailService.sendPaymentSuccessEmail
+        : CustomerEmailService.sendPaymentFailureEmail;
+      await send(user.email, user.user_name || "Customer", orderId);
+    }
+  } catch (emailErr) {
+    console.error("Failed to send payment email:", emailErr);
+  }
+};
+
+/**
+ * Ghi nhận kết quả giao dịch VNPay (params đã verify chữ ký). Dùng chung cho return URL và IPN.
+ * Idempotent: chỉ payment / intent đang PENDING mới được cập nhật, gọi lại trả ALREADY_CONFIRMED.
+ * @param {Object} params - vnp_* params (verifyVnpayQuery)
+ * @returns {Promise<{ kind: "ORDER"|"PREORDER_DEPOSIT"|"PREORDER_REMAINING", id: string, result: string, paid: boolean, isMobile?: boolean }>}
+ */
+const processVnpayResult = async (params) => {
+  if (!params.vnp_TxnRef) {
+    return { kind: "ORDER", id: null, result: VNPAY_RESULT.NOT_FOUND, paid: false };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let outcome;
+  try {
+    const txnRef = params.vnp_TxnRef;
+    const isObjectId = mongoose.isValidObjectId(txnRef);
+
+    const depositIntent = isObjectId
+      ? await PreOrderPaymentIntentModel.findById(txnRef).session(session)
+      : null;
+    const remainingIntent = isObjectId && !depositIntent
+      ? await PreOrderRemainingPaymentModel.findById(txnRef).session(session)
+      : null;
+
+    if (depositIntent) {
+      outcome = await applyPreOrderIntentResult({ intent: depositIntent, kind: "PREORDER_DEPOSIT", params, session });
+    } else if (remainingIntent) {
+      outcome = await applyPreOrderIntentResult({ intent: remainingIntent, kind: "PREORDER_REMAINING", params, session });
+    } else {
+      outcome = await applyOrderResult({ params, session });
+    }
+
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  if (
+    outcome.kind === "ORDER" &&
+    outcome.order &&
+    [VNPAY_RESULT.SUCCESS, VNPAY_RESULT.FAILED].includes(outcome.result)
+  ) {
+    await notifyOrderPaymentResult(outcome.order, outcome.result === VNPAY_RESULT.SUCCESS);
+  }
+
+  const { order, ...result } = outcome;
+  return result;
+};
+
 module.exports = {
+  VNPAY_RESULT,
   createCODPayment,
   createOnlinePendingPayment,
   createVnpayPaymentUrl,
+  processVnpayResult,
 };
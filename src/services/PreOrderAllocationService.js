@@ -1,11 +1,13 @@
 /**
  * Pre-order Allocation Service
  *
- * Business logic for pre-order demand and FIFO allocation.
+ * Business logic for pre-order demand and allocation.
  *
  * This service handles:
  * - Demand dashboard: aggregate demand by fruit type (WAITING_FOR_ALLOCATION, WAITING_FOR_NEXT_BATCH, ALLOCATED_WAITING_PAYMENT)
- * - Run allocation: FIFO by createdAt (WAITING_FOR_NEXT_BATCH first, then WAITING_FOR_ALLOCATION); no partial allocation
+ * - Run allocation with the fruit type's strategy: FIFO (default), PRO_RATA (partial fills, deposit difference refunded)
+ *   or PRIORITY_TIER (customer tier first, then FIFO)
+ * - Dry-run: preview who gets what before committing an allocation
  * - List allocation records by fruit type
  *
  * Demand = sum(quantityKg) of pre-orders in demand statuses. READY_FOR_FULFILLMENT and COMPLETED are not counted.
@@ -19,7 +21,13 @@ const PreOrderAllocationModel = require("../models/PreOrderAllocationModel");
 const PreOrderStockModel = require("../models/PreOrderStockModel");
 const FruitTypeModel = require("../models/FruitTypeModel");
 const PreOrderHarvestBatchModel = require("../models/PreOrderHarvestBatchModel");
+const PaymentModel = require("../models/PaymentModel");
+const UserModel = require("../models/UserModel");
+const CustomerService = require("./CustomerService");
+const NotificationService = require("./NotificationService");
 const { triggerReadyAndNotifyForFruitType, notifyPreOrderDelayed } = require("./preorderFulfillmentLogic");
+const { buildStatusChange } = require("./preorderStatusHistory");
+const { getPreOrderPolicy, computePaymentDueAt } = require("./preorderPolicy");
 
 /** Statuses that count toward demand (still needing stock or waiting for remaining payment). */
 const DEMAND_STATUSES = ["WAITING_FOR_ALLOCATION", "WAITING_FOR_NEXT_BATCH", "ALLOCATED_WAITING_PAYMENT", "WAITING_FOR_PRODUCT"];
@@ -126,24 +134,399 @@ const getDemandByFruitType = async (query = {}) => {
 };
 
 /**
- * Admin: run FIFO allocation for a fruit type. Iterates PreOrders in order: WAITING_FOR_NEXT_BATCH first (by createdAt),
- * then WAITING_FOR_ALLOCATION. Allocates only when remaining stock >= order.quantityKg; no partial allocation.
- * If insufficient for current order: set WAITING_FOR_ALLOCATION → WAITING_FOR_NEXT_BATCH and stop.
+ * Per fruit type, how allocation distributes stock when a harvest comes in short:
+ * - FIFO: oldest order first (WAITING_FOR_NEXT_BATCH before WAITING_FOR_ALLOCATION), all or nothing, stop at first order that does not fit
+ * - PRO_RATA: every waiting order gets floor(quantityKg × available / demand) kg (leftover kg to the largest fractions);
+ *   partially filled orders are reduced to the allocated kg and the deposit of the unfilled kg is refunded
+ * - PRIORITY_TIER: like FIFO, but customers are ordered by tier first (LOYAL → RETURNING → STANDARD, from order history)
+ */
+const ALLOCATION_STRATEGIES = ["FIFO", "PRO_RATA", "PRIORITY_TIER"];
+/** Tier order for PRIORITY_TIER (earlier = allocated first). */
+const CUSTOMER_TIERS = ["LOYAL", "RETURNING", "STANDARD"];
+/** Statuses waiting in the allocation queue. */
+const QUEUE_STATUSES = ["WAITING_FOR_NEXT_BATCH", "WAITING_FOR_ALLOCATION", "WAITING_FOR_PRODUCT"];
+
+const normalizeStrategy = (strategy) => {
+  const value = String(strategy || "").trim().toUpperCase();
+  if (!ALLOCATION_STRATEGIES.includes(value)) {
+    throw new Error(`Invalid allocation strategy. Allowed: ${ALLOCATION_STRATEGIES.join(", ")}`);
+  }
+  return value;
+};
+
+/**
+ * Customer tier from completed orders (CustomerService segments): LOYAL_CUSTOMER → LOYAL, RETURNING_CUSTOMER → RETURNING.
+ * @param {string[]} userIds
+ * @returns {Promise<Object<string, string>>} userId → tier
+ */
+const getCustomerTiers = async (userIds) => {
+  const entries = await Promise.all(
+    userIds.map(async (uid) => {
+      const stats = await CustomerService.getOrderHistoryStats(uid);
+      if (CustomerService.matchesSegment(stats, "LOYAL_CUSTOMER")) return [uid, "LOYAL"];
+      if (CustomerService.matchesSegment(stats, "RETURNING_CUSTOMER")) return [uid, "RETURNING"];
+      return [uid, "STANDARD"];
+    })
+  );
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Allocation queue of a fruit type in the order the strategy serves it.
+ * Strategy defaults to the fruit type's allocationStrategy (FIFO when unset).
+ *
+ * @param {string|ObjectId} fruitTypeId
+ * @param {string} [strategy] - Override (dry-run / one-off run)
+ * @returns {Promise<{ strategy: string, queue: Array<Object> }>} queue items: lean pre-orders (+ tier for PRIORITY_TIER)
+ */
+const getAllocationQueue = async (fruitTypeId, strategy) => {
+  const ftObjId = new mongoose.Types.ObjectId(fruitTypeId.toString());
+  let resolved = strategy;
+  if (!resolved) {
+    const ft = await FruitTypeModel.findById(ftObjId).select("allocationStrategy").lean();
+    resolved = ft?.allocationStrategy || "FIFO";
+  }
+  resolved = normalizeStrategy(resolved);
+
+  const orders = await PreOrderModel.find({ fruitTypeId: ftObjId, status: { $in: QUEUE_STATUSES } })
+    .select("_id userId fruitTypeId quantityKg status depositPaid totalAmount policy createdAt")
+    .lean();
+  const fifoRank = (po) => (po.status === "WAITING_FOR_NEXT_BATCH" ? 0 : 1);
+  const byFifo = (a, b) => fifoRank(a) - fifoRank(b) || new Date(a.createdAt) - new Date(b.createdAt);
+
+  if (resolved === "PRIORITY_TIER") {
+    const tiers = await getCustomerTiers([...new Set(orders.map((po) => po.userId.toString()))]);
+    orders.forEach((po) => {
+      po.tier = tiers[po.userId.toString()];
+    });
+    orders.sort((a, b) => CUSTOMER_TIERS.indexOf(a.tier) - CUSTOMER_TIERS.indexOf(b.tier) || byFifo(a, b));
+  } else {
+    orders.sort(byFifo);
+  }
+  return { strategy: resolved, queue: orders };
+};
+
+/**
+ * Pure planner: who gets how many kg from availableKg. Does not write anything.
+ * outcome: FULL | PARTIAL (PRO_RATA only) | NONE. nextStatus = status after applying the plan.
+ * Under FIFO / PRIORITY_TIER only the first order that does not fit moves to WAITING_FOR_NEXT_BATCH; later orders are untouched.
+ *
+ * @param {Array<Object>} queue - From getAllocationQueue
+ * @param {number} availableKg
+ * @param {string} strategy
+ * @returns {{ lines: Array<Object>, allocatedKg: number, depositRefundTotal: number, shortfall: Object|null }}
+ */
+const planAllocation = (queue, availableKg, strategy) => {
+  const waiting = (po) => po.status === "WAITING_FOR_ALLOCATION" || po.status === "WAITING_FOR_PRODUCT";
+  const toLine = (po, allocatedKg) => {
+    const requestedKg = po.quantityKg ?? 0;
+    const outcome = allocatedKg >= requestedKg ? "FULL" : allocatedKg > 0 ? "PARTIAL" : "NONE";
+    const line = {
+      preOrderId: po._id,
+      userId: po.userId,
+      tier: po.tier,
+      currentStatus: po.status,
+      requestedKg,
+      allocatedKg,
+      outcome,
+      nextStatus: outcome === "NONE" ? po.status : "ALLOCATED_WAITING_PAYMENT",
+      depositRefund: 0,
+    };
+    if (outcome === "PARTIAL") {
+      const ratio = allocatedKg / requestedKg;
+      line.newTotalAmount = Math.round((po.totalAmount || 0) * ratio);
+      line.newDepositPaid = Math.round((po.depositPaid || 0) * ratio);
+      line.depositRefund = (po.depositPaid || 0) - line.newDepositPaid;
+    }
+    return line;
+  };
+
+  const orders = queue.filter((po) => (po.quantityKg ?? 0) > 0);
+  let lines;
+  let shortfall = null;
+
+  if (strategy === "PRO_RATA") {
+    const demandKg = orders.reduce((sum, po) => sum + po.quantityKg, 0);
+    if (availableKg >= demandKg) {
+      lines = orders.map((po) => toLine(po, po.quantityKg));
+    } else {
+      const shares = orders.map((po, idx) => {
+        const exact = (po.quantityKg * availableKg) / demandKg;
+        return { idx, kg: Math.floor(exact), fraction: exact - Math.floor(exact) };
+      });
+      let leftover = availableKg - shares.reduce((sum, s) => sum + s.kg, 0);
+      // Số kg lẻ còn lại: chia cho phần thập phân lớn nhất, hòa thì theo thứ tự hàng đợi
+      [...shares]
+        .sort((a, b) => b.fraction - a.fraction || a.idx - b.idx)
+        .forEach((s) => {
+          if (leftover > 0 && s.kg < orders[s.idx].quantityKg) {
+            s.kg += 1;
+            leftover -= 1;
+          }
+        });
+      lines = shares.map((s) => toLine(orders[s.idx], s.kg));
+      lines.forEach((line) => {
+        if (line.outcome === "NONE" && waiting({ status: line.currentStatus })) line.nextStatus = "WAITING_FOR_NEXT_BATCH";
+      });
+    }
+  } else {
+    let available = availableKg;
+    let stopped = false;
+    lines = orders.map((po) => {
+      if (stopped) return toLine(po, 0);
+      if (available >= po.quantityKg) {
+        available -= po.quantityKg;
+        return toLine(po, po.quantityKg);
+      }
+      stopped = true;
+      shortfall = { preOrderId: po._id, needKg: po.quantityKg, availableKg: available };
+      const line = toLine(po, 0);
+      if (waiting(po)) line.nextStatus = "WAITING_FOR_NEXT_BATCH";
+      return line;
+    });
+  }
+
+  return {
+    lines,
+    allocatedKg: lines.reduce((sum, l) => sum + l.allocatedKg, 0),
+    depositRefundTotal: lines.reduce((sum, l) => sum + l.depositRefund, 0),
+    shortfall,
+  };
+};
+
+/** Stock đã nhận / đã phân bổ / còn lại của một fruit type. */
+const getAllocationStock = async (ftObjId) => {
+  const stock = await PreOrderStockModel.findOne({ fruitTypeId: ftObjId }).lean();
+  const receivedKg = stock?.receivedKg ?? 0;
+  const allocatedAgg = await PreOrderModel.aggregate([
+    { $match: { fruitTypeId: ftObjId, status: { $in: ALLOCATED_STATUSES } } },
+    { $group: { _id: null, allocatedKg: { $sum: "$quantityKg" } } },
+  ]);
+  const allocatedSoFar = allocatedAgg[0]?.allocatedKg ?? 0;
+  return { receivedKg, allocatedSoFar, availableKg: Math.max(0, receivedKg - allocatedSoFar) };
+};
+
+/**
+ * Partial fill (PRO_RATA): reduce the order to the allocated kg and queue a VNPay refund of the deposit difference.
+ * Pre-orders without a recorded VNPay deposit keep allocationRefundAmount for a manual refund (refund = null).
+ */
+const applyPartialFill = async (line, strategy, actor, paymentDueAt) => {
+  const RefundService = require("./RefundService");
+  let refund = null;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      refund = null;
+      await PreOrderModel.updateOne(
+        { _id: line.preOrderId },
+        buildStatusChange(
+          line.currentStatus,
+          "ALLOCATED_WAITING_PAYMENT",
+          { ...actor, reason: `Partially allocated ${line.allocatedKg}/${line.requestedKg} kg (${strategy})` },
+          {
+            requestedKg: line.requestedKg,
+            quantityKg: line.allocatedKg,
+            totalAmount: line.newTotalAmount,
+            depositPaid: line.newDepositPaid,
+            allocationRefundAmount: line.depositRefund,
+            paymentDueAt,
+          }
+        ),
+        { session }
+      );
+      if (line.depositRefund <= 0) return;
+      const deposit = await PaymentModel.findOne({
+        pre_order_id: line.preOrderId,
+        type: "PAYMENT",
+        method: "VNPAY",
+        status: "SUCCESS",
+      })
+        .sort({ createdAt: 1 })
+        .session(session);
+      if (!deposit) return;
+      refund = await RefundService.enqueueRefund({
+        payment: deposit,
+        amount: line.depositRefund,
+        note: `Pre-order partial allocation – deposit for ${line.requestedKg - line.allocatedKg} kg not allocated`,
+        session,
+      });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  try {
+    await NotificationService.sendToUser(line.userId.toString(), {
+      title: "Pre-order partially allocated",
+      body: `This harvest came in short: ${line.allocatedKg} of ${line.requestedKg} kg were allocated to your pre-order. ${Number(
+        line.depositRefund
+      ).toLocaleString("vi-VN")} VND of your deposit will be refunded.`,
+      data: { type: "preorder", preOrderId: line.preOrderId.toString(), action: "view_my_preorders" },
+    });
+  } catch (e) {
+    console.warn("PreOrder partial allocation notify skip:", e.message);
+  }
+  return refund;
+};
+
+/**
+ * Recompute PreOrderAllocation.allocatedKg from the pre-orders (ALLOCATED_STATUSES). Called after allocation and
+ * whenever a pre-order leaves demand (cancelled by admin, overdue job or customer), so its kg go back to
+ * the available stock for the next allocation run.
+ *
+ * @param {string|ObjectId} fruitTypeId
+ * @returns {Promise<number>} New allocatedKg
+ */
+const syncAllocatedKg = async (fruitTypeId) => {
+  const ftObjId = new mongoose.Types.ObjectId(fruitTypeId.toString());
+  const agg = await PreOrderModel.aggregate([
+    { $match: { fruitTypeId: ftObjId, status: { $in: ALLOCATED_STATUSES } } },
+    { $group: { _id: null, allocatedKg: { $sum: "$quantityKg" } } },
+  ]);
+  const allocatedKg = agg[0]?.allocatedKg ?? 0;
+  await PreOrderAllocationModel.findOneAndUpdate(
+    { fruitTypeId: ftObjId },
+    { $set: { allocatedKg } },
+    { new: true, upsert: true }
+  );
+  return allocatedKg;
+};
+
+/**
+ * Allocated pre-orders with nothing left to pay (full prepay, depositPercent 100) skip the remaining payment:
+ * → READY_FOR_FULFILLMENT and the linked delivery order is created. Missing receiver info only skips the order.
+ *
+ * @param {ObjectId} ftObjId
+ * @param {Object} actor
+ * @returns {Promise<number>} Number of pre-orders moved
+ */
+const completeFullyPrepaid = async (ftObjId, actor) => {
+  const PreOrderService = require("./PreOrderService");
+  const prepaid = await PreOrderModel.find({
+    fruitTypeId: ftObjId,
+    status: "ALLOCATED_WAITING_PAYMENT",
+    remainingPaidAt: null,
+    $expr: { $gte: ["$depositPaid", "$totalAmount"] },
+  })
+    .select("_id")
+    .lean();
+  let moved = 0;
+  for (const po of prepaid) {
+    const res = await PreOrderModel.updateOne(
+      { _id: po._id, status: "ALLOCATED_WAITING_PAYMENT" },
+      buildStatusChange(
+        "ALLOCATED_WAITING_PAYMENT",
+        "READY_FOR_FULFILLMENT",
+        { ...actor, reason: "Fully prepaid at order time" },
+        { remainingPaidAt: new Date(), paymentDueAt: null }
+      )
+    );
+    if (res.modifiedCount === 0) continue;
+    moved += 1;
+    // createOrderFromPreOrder chạy transaction riêng → lỗi không để lại đơn tạo dở
+    try {
+      await PreOrderService.createOrderFromPreOrder(po._id, { actor, skipIfIncomplete: true });
+    } catch (err) {
+      console.warn("Create order from prepaid pre-order skipped:", po._id.toString(), err.message);
+    }
+  }
+  return moved;
+};
+
+/**
+ * Admin: preview an allocation run (dry-run) – same plan upsertAllocation would apply, nothing is written.
+ *
+ * @param {Object} params
+ * @param {string} params.fruitTypeId
+ * @param {string} [params.strategy] - Defaults to the fruit type's allocationStrategy
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+const previewAllocation = async ({ fruitTypeId, strategy }) => {
+  if (!mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+  const ft = await FruitTypeModel.findById(fruitTypeId).select("name allocationStrategy").lean();
+  if (!ft) throw new Error("Fruit type not found");
+
+  const ftObjId = new mongoose.Types.ObjectId(fruitTypeId);
+  const [stock, { strategy: resolved, queue }] = await Promise.all([
+    getAllocationStock(ftObjId),
+    getAllocationQueue(ftObjId, strategy || ft.allocationStrategy || "FIFO"),
+  ]);
+  const plan = planAllocation(queue, stock.availableKg, resolved);
+
+  const users = await UserModel.find({ _id: { $in: plan.lines.map((l) => l.userId) } })
+    .select("user_name email")
+    .lean();
+  const userMap = Object.fromEntries(users.map((u) => [u._id.toString(), u]));
+
+  return {
+    status: "OK",
+    data: {
+      fruitTypeId: ft._id,
+      fruitTypeName: ft.name,
+      strategy: resolved,
+      ...stock,
+      demandKg: plan.lines.reduce((sum, l) => sum + l.requestedKg, 0),
+      allocatedKg: plan.allocatedKg,
+      depositRefundTotal: plan.depositRefundTotal,
+      summary: {
+        full: plan.lines.filter((l) => l.outcome === "FULL").length,
+        partial: plan.lines.filter((l) => l.outcome === "PARTIAL").length,
+        none: plan.lines.filter((l) => l.outcome === "NONE").length,
+      },
+      lines: plan.lines.map((l) => ({
+        ...l,
+        customerName: userMap[l.userId.toString()]?.user_name || null,
+        customerEmail: userMap[l.userId.toString()]?.email || null,
+      })),
+    },
+  };
+};
+
+/**
+ * Admin: set the allocation strategy of a fruit type. Allowed while demand exists (the point is to choose when a harvest
+ * comes in short), but not while an allocation for this fruit type is running.
+ *
+ * @param {string} fruitTypeId
+ * @param {string} strategy - FIFO | PRO_RATA | PRIORITY_TIER
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+const setAllocationStrategy = async (fruitTypeId, strategy) => {
+  if (!mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+  const value = normalizeStrategy(strategy);
+  if (allocatingFruitIds.has(String(fruitTypeId))) {
+    throw new Error("Allocation for this fruit type is already in progress. Please wait.");
+  }
+  const ft = await FruitTypeModel.findByIdAndUpdate(
+    fruitTypeId,
+    { $set: { allocationStrategy: value } },
+    { new: true }
+  )
+    .select("name allocationStrategy")
+    .lean();
+  if (!ft) throw new Error("Fruit type not found");
+  return { status: "OK", data: ft };
+};
+
+/**
+ * Admin: run allocation for a fruit type with its allocation strategy (see ALLOCATION_STRATEGIES).
  *
  * Flow:
  * 1. Load fruit type and PreOrderStock (receivedKg)
  * 2. allocatedSoFar = sum(quantityKg) of PreOrders with status in ALLOCATED_STATUSES for this fruit type
  * 3. available = receivedKg - allocatedSoFar
- * 4. Load orders: WAITING_FOR_NEXT_BATCH first (createdAt asc), then WAITING_FOR_ALLOCATION (createdAt asc)
- * 5. For each: if available >= order.quantityKg → set ALLOCATED_WAITING_PAYMENT, available -= quantityKg; else set WAITING_FOR_NEXT_BATCH (if was WAITING_FOR_ALLOCATION) and break
+ * 4. Build queue + plan (getAllocationQueue / planAllocation – same as previewAllocation)
+ * 5. FULL → ALLOCATED_WAITING_PAYMENT; PARTIAL → reduce order + refund deposit difference; first order that could not be
+ *    served (WAITING_FOR_ALLOCATION) → WAITING_FOR_NEXT_BATCH + notify
  * 6. Upsert PreOrderAllocationModel.allocatedKg = new total; triggerReadyAndNotifyForFruitType
  *
  * @param {Object} params - Input parameters
  * @param {string} params.fruitTypeId - Fruit type document ID
  * @param {number} [params.allocatedKg] - Ignored
+ * @param {string} [params.strategy] - Override the fruit type's strategy for this run
+ * @param {Object} [params.actor] - { changedBy, role } of the staff running allocation (status_history)
  * @returns {Promise<{ status: string, data: Object }>}
  */
-const upsertAllocation = async ({ fruitTypeId, allocatedKg: _ignored }) => {
+const upsertAllocation = async ({ fruitTypeId, allocatedKg: _ignored, strategy, actor = {} }) => {
   const fid = String(fruitTypeId);
   if (allocatingFruitIds.has(fid)) {
     throw new Error("Allocation for this fruit type is already in progress. Please wait.");
@@ -153,19 +536,11 @@ const upsertAllocation = async ({ fruitTypeId, allocatedKg: _ignored }) => {
   const ft = await FruitTypeModel.findById(fruitTypeId);
   if (!ft) throw new Error("Fruit type not found");
 
-  const stock = await PreOrderStockModel.findOne({ fruitTypeId }).lean();
-  const receivedKg = stock?.receivedKg ?? 0;
+  const ftObjId = new mongoose.Types.ObjectId(fruitTypeId);
+  const { receivedKg, allocatedSoFar, availableKg: available } = await getAllocationStock(ftObjId);
   if (receivedKg <= 0) {
     throw new Error("Pre-order stock has no quantity. Warehouse staff must receive at Pre-order Stock.");
   }
-
-  const ftObjId = new mongoose.Types.ObjectId(fruitTypeId);
-  const allocatedAgg = await PreOrderModel.aggregate([
-    { $match: { fruitTypeId: ftObjId, status: { $in: ALLOCATED_STATUSES } } },
-    { $group: { _id: null, allocatedKg: { $sum: "$quantityKg" } } },
-  ]);
-  const allocatedSoFar = allocatedAgg[0]?.allocatedKg ?? 0;
-  let available = receivedKg - allocatedSoFar;
   if (available <= 0) {
     const demandAgg = await PreOrderModel.aggregate([
       { $match: { fruitTypeId: ftObjId, status: { $in: DEMAND_STATUSES } } },
@@ -178,55 +553,63 @@ const upsertAllocation = async ({ fruitTypeId, allocatedKg: _ignored }) => {
     );
   }
 
-  const nextBatch = await PreOrderModel.find({
-    fruitTypeId: ftObjId,
-    status: "WAITING_FOR_NEXT_BATCH",
-  })
-    .sort({ createdAt: 1 })
-    .lean();
-  const waitingAlloc = await PreOrderModel.find({
-    fruitTypeId: ftObjId,
-    status: { $in: ["WAITING_FOR_ALLOCATION", "WAITING_FOR_PRODUCT"] },
-  })
-    .sort({ createdAt: 1 })
-    .lean();
-  const queue = [...nextBatch, ...waitingAlloc];
-  let insufficientMessage = null; // when we break due to insufficient stock for next order
-
-  for (const po of queue) {
-    const qty = po.quantityKg ?? 0;
-    if (qty <= 0) continue;
-    const availableBeforeOrder = available;
-    if (available >= qty) {
-      await PreOrderModel.updateOne({ _id: po._id }, { $set: { status: "ALLOCATED_WAITING_PAYMENT" } });
-      available -= qty;
-    } else {
-      // Allocation failed for this order due to insufficient stock: set WAITING_FOR_NEXT_BATCH and notify customer.
-      insufficientMessage = `Allocation has been run but there is not enough stock to allocate for the next order: need ${qty} kg, available ${availableBeforeOrder} kg. Please receive more stock.`;
+  const { strategy: resolved, queue } = await getAllocationQueue(ftObjId, strategy || ft.allocationStrategy || "FIFO");
+  const plan = planAllocation(queue, available, resolved);
+  const queueById = Object.fromEntries(queue.map((po) => [po._id.toString(), po]));
+  const refunds = [];
+
+  const allocatedAt = new Date();
+  for (const line of plan.lines) {
+    // Hạn thanh toán phần còn lại theo chính sách của đơn (snapshot lúc đặt cọc) hoặc của fruit type
+    const paymentDueAt = computePaymentDueAt(allocatedAt, getPreOrderPolicy(queueById[line.preOrderId.toString()], ft));
+    if (line.outcome === "FULL") {
+      await PreOrderModel.updateOne(
+        { _id: line.preOrderId },
+        buildStatusChange(
+          line.currentStatus,
+          "ALLOCATED_WAITING_PAYMENT",
+          { ...actor, reason: `Allocated ${line.allocatedKg} kg (${resolved})` },
+          { paymentDueAt }
+        )
+      );
+    } else if (line.outcome === "PARTIAL") {
+      const refund = await applyPartialFill(line, resolved, actor, paymentDueAt);
+      if (refund) refunds.push(refund.toObject ? refund.toObject() : refund);
+    } else if (line.nextStatus === "WAITING_FOR_NEXT_BATCH" && line.currentStatus !== "WAITING_FOR_NEXT_BATCH") {
       // Notify is triggered HERE only (not on createBatch/createReceive/cron): this is the exact moment we transition
       // from WAITING_FOR_ALLOCATION/WAITING_FOR_PRODUCT → WAITING_FOR_NEXT_BATCH due to allocation attempt.
-      if (po.status === "WAITING_FOR_ALLOCATION" || po.status === "WAITING_FOR_PRODUCT") {
-        await PreOrderModel.updateOne({ _id: po._id }, { $set: { status: "WAITING_FOR_NEXT_BATCH" } });
-        try {
-          await notifyPreOrderDelayed(po);
-        } catch (e) {
-          console.warn("PreOrder delayed notify skip:", e.message);
-        }
+      await PreOrderModel.updateOne(
+        { _id: line.preOrderId },
+        buildStatusChange(line.currentStatus, "WAITING_FOR_NEXT_BATCH", {
+          ...actor,
+          reason: plan.shortfall
+            ? `Insufficient stock: need ${plan.shortfall.needKg} kg, available ${plan.shortfall.availableKg} kg`
+            : `Insufficient stock for a pro-rata share (${resolved})`,
+        })
+      );
+      try {
+        await notifyPreOrderDelayed(queueById[line.preOrderId.toString()]);
+      } catch (e) {
+        console.warn("PreOrder delayed notify skip:", e.message);
       }
-      break;
     }
   }
 
-  const newAllocAgg = await PreOrderModel.aggregate([
-    { $match: { fruitTypeId: ftObjId, status: { $in: ALLOCATED_STATUSES } } },
-    { $group: { _id: null, allocatedKg: { $sum: "$quantityKg" } } },
-  ]);
-  const newAllocatedKg = newAllocAgg[0]?.allocatedKg ?? 0;
-  await PreOrderAllocationModel.findOneAndUpdate(
-    { fruitTypeId },
-    { $set: { allocatedKg: newAllocatedKg } },
-    { new: true, upsert: true }
-  );
+  let insufficientMessage = null;
+  if (plan.shortfall) {
+    insufficientMessage = `Allocation has been run but there is not enough stock to allocate for the next order: need ${plan.shortfall.needKg} kg, available ${plan.shortfall.availableKg} kg. Please receive more stock.`;
+  } else if (plan.lines.some((l) => l.outcome !== "FULL")) {
+    const partial = plan.lines.filter((l) => l.outcome === "PARTIAL").length;
+    insufficientMessage = `Stock was split pro-rata: ${plan.allocatedKg} kg allocated, ${partial} order(s) partially filled (deposit difference ${plan.depositRefundTotal.toLocaleString("vi-VN")} VND refunded).`;
+  }
+
+  const newAllocatedKg = await syncAllocatedKg(ftObjId);
+
+  try {
+    await completeFullyPrepaid(ftObjId, actor);
+  } catch (e) {
+    console.warn("PreOrder completeFullyPrepaid:", e.message);
+  }
 
   try {
     await triggerReadyAndNotifyForFruitType(fruitTypeId.toString());
@@ -246,7 +629,7 @@ const upsertAllocation = async ({ fruitTypeId, allocatedKg: _ignored }) => {
     await FruitTypeModel.findByIdAndUpdate(fruitTypeId, { $set: { status: "INACTIVE" } });
   }
 
-  const responseData = { allocatedKg: newAllocatedKg };
+  const responseData = { allocatedKg: newAllocatedKg, strategy: resolved, refunds };
   if (insufficientMessage) responseData.message = insufficientMessage;
   return { status: "OK", data: responseData };
   } finally {
@@ -269,7 +652,13 @@ const listAllocations = async (fruitTypeId) => {
 };
 
 module.exports = {
+  ALLOCATION_STRATEGIES,
   getDemandByFruitType,
+  getAllocationQueue,
+  planAllocation,
+  previewAllocation,
+  setAllocationStrategy,
   upsertAllocation,
+  syncAllocatedKg,
   listAllocations,
 };
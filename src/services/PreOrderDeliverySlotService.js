@@ -0,0 +1,347 @@
+/**
+ * Pre-order Delivery Slot Service
+ *
+ * Admin-defined delivery time slots for fully paid pre-orders, each with a capacity (max pre-orders per slot).
+ *
+ * This service handles:
+ * - Admin: create / update / close slots, list slots with usage
+ * - Customer: list bookable slots for a pre-order (upcoming, ACTIVE, same fruit type or shared, not full)
+ * - Capacity check when the customer picks a slot in createRemainingPaymentIntent (PreOrderService)
+ * - Customer: choose / change the slot of a fully paid pre-order (READY_FOR_FULFILLMENT)
+ *
+ * Usage of a slot = pre-orders booked on it (not CANCELLED / REFUND) + pending remaining-payment intents holding it
+ * (PENDING, not expired; only the latest pending intent of a pre-order holds a place). The slot is copied onto the
+ * pre-order when the remaining payment succeeds.
+ * Pick lists per slot for warehouse staff: PreOrderStockService.getDeliverySlotPickList.
+ *
+ * @module services/PreOrderDeliverySlotService
+ */
+
+const mongoose = require("mongoose");
+const PreOrderDeliverySlotModel = require("../models/PreOrderDeliverySlotModel");
+const PreOrderModel = require("../models/PreOrderModel");
+const PreOrderRemainingPaymentModel = require("../models/PreOrderRemainingPaymentModel");
+const OrderModel = require("../models/OrderModel");
+const FruitTypeModel = require("../models/FruitTypeModel");
+
+/** Pre-order statuses that no longer hold a slot. */
+const RELEASED_STATUSES = ["CANCELLED", "REFUND"];
+/** In-memory lock: one booking check at a time per slot (same pattern as pre-order stock import). */
+const bookingSlotIds = new Set();
+
+/**
+ * Usage per slot: booked pre-orders + pending remaining-payment intents.
+ *
+ * @param {Array<ObjectId|string>} slotIds
+ * @param {Object} [options]
+ * @param {ObjectId|string} [options.excludePreOrderId] - Ignore this pre-order's own pending intents (it is picking again)
+ * @returns {Promise<Object>} slotId -> { bookedCount, pendingCount, usedCount }
+ */
+async function getSlotUsage(slotIds, { excludePreOrderId } = {}) {
+  const ids = slotIds.map((id) => new mongoose.Types.ObjectId(id.toString()));
+  const pendingMatch = { status: "PENDING", expiresAt: { $gt: new Date() } };
+  if (excludePreOrderId) pendingMatch.preOrderId = { $ne: new mongoose.Types.ObjectId(excludePreOrderId.toString()) };
+  const [booked, pending] = await Promise.all([
+    PreOrderModel.aggregate([
+      { $match: { deliverySlotId: { $in: ids }, status: { $nin: RELEASED_STATUSES } } },
+      { $group: { _id: "$deliverySlotId", count: { $sum: 1 } } },
+    ]),
+    PreOrderRemainingPaymentModel.aggregate([
+      { $match: pendingMatch },
+      // Một pre-order có thể mở nhiều intent liên tiếp → chỉ intent mới nhất giữ chỗ (khách đổi slot thì slot cũ được trả)
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: "$preOrderId", slot: { $first: "$deliverySlotId" } } },
+      { $match: { slot: { $in: ids } } },
+      { $group: { _id: "$slot", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const bookedMap = Object.fromEntries(booked.map((r) => [r._id.toString(), r.count]));
+  const pendingMap = Object.fromEntries(pending.map((r) => [r._id.toString(), r.count]));
+  return Object.fromEntries(
+    ids.map((id) => {
+      const key = id.toString();
+      const bookedCount = bookedMap[key] || 0;
+      const pendingCount = pendingMap[key] || 0;
+      return [key, { bookedCount, pendingCount, usedCount: bookedCount + pendingCount }];
+    })
+  );
+}
+
+/** Attach usage (bookedCount, pendingCount, remaining, isFull) to lean slots. */
+async function withUsage(slots, options) {
+  if (slots.length === 0) return [];
+  const usage = await getSlotUsage(slots.map((s) => s._id), options);
+  return slots.map((s) => {
+    const u = usage[s._id.toString()];
+    const remaining = Math.max(0, s.capacity - u.usedCount);
+    return { ...s, bookedCount: u.bookedCount, pendingCount: u.pendingCount, remaining, isFull: remaining === 0 };
+  });
+}
+
+/** Validate slot fields from admin input. Only given fields are returned. */
+function parseSlotInput({ startAt, endAt, capacity, fruitTypeId, note } = {}, { partial = false } = {}) {
+  const result = {};
+  const given = (v) => v !== undefined && v !== null && v !== "";
+  if (given(startAt) || !partial) {
+    const d = new Date(startAt);
+    if (!given(startAt) || Number.isNaN(d.getTime())) throw new Error("Slot start time is required and must be a valid date");
+    result.startAt = d;
+  }
+  if (given(endAt) || !partial) {
+    const d = new Date(endAt);
+    if (!given(endAt) || Number.isNaN(d.getTime())) throw new Error("Slot end time is required and must be a valid date");
+    result.endAt = d;
+  }
+  if (given(capacity) || !partial) {
+    const v = Number(capacity);
+    if (!Number.isInteger(v) || v < 1) throw new Error("Slot capacity must be a whole number of pre-orders greater than 0");
+    result.capacity = v;
+  }
+  if (fruitTypeId !== undefined) {
+    if (given(fruitTypeId) && !mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+    result.fruitTypeId = given(fruitTypeId) ? fruitTypeId : null;
+  }
+  if (note !== undefined) result.note = (note || "").toString().trim();
+  return result;
+}
+
+/**
+ * Admin: create a delivery slot.
+ *
+ * @param {Object} payload - { startAt, endAt, capacity, fruitTypeId?, note? }
+ * @param {string} [createdBy] - Admin user ID
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function createSlot(payload, createdBy) {
+  const fields = parseSlotInput(payload);
+  if (fields.endAt <= fields.startAt) throw new Error("Slot end time must be after start time");
+  if (fields.startAt <= new Date()) throw new Error("Slot start time must be in the future");
+  if (fields.fruitTypeId && !(await FruitTypeModel.exists({ _id: fields.fruitTypeId }))) {
+    throw new Error("Fruit type not found");
+  }
+  const doc = await PreOrderDeliverySlotModel.create({ ...fields, createdBy: createdBy || null });
+  return { status: "OK", data: doc.toObject() };
+}
+
+/**
+ * Admin: update a slot. Capacity cannot go below the pre-orders already holding the slot;
+ * time / fruit type cannot change once pre-orders are booked on it.
+ *
+ * @param {string} slotId
+ * @param {Object} payload - { startAt?, endAt?, capacity?, fruitTypeId?, note? }
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function updateSlot(slotId, payload) {
+  if (!mongoose.isValidObjectId(slotId)) throw new Error("Delivery slot not found");
+  const slot = await PreOrderDeliverySlotModel.findById(slotId).lean();
+  if (!slot) throw new Error("Delivery slot not found");
+  const fields = parseSlotInput(payload, { partial: true });
+  const startAt = fields.startAt || slot.startAt;
+  const endAt = fields.endAt || slot.endAt;
+  if (endAt <= startAt) throw new Error("Slot end time must be after start time");
+
+  const usage = (await getSlotUsage([slot._id]))[slot._id.toString()];
+  const moves =
+    (fields.startAt && fields.startAt.getTime() !== new Date(slot.startAt).getTime()) ||
+    (fields.endAt && fields.endAt.getTime() !== new Date(slot.endAt).getTime()) ||
+    (fields.fruitTypeId !== undefined && String(fields.fruitTypeId || "") !== String(slot.fruitTypeId || ""));
+  if (moves && usage.usedCount > 0) {
+    throw new Error("Time and fruit type cannot be changed once pre-orders are booked on this slot");
+  }
+  if (fields.capacity != null && fields.capacity < usage.usedCount) {
+    throw new Error(`Capacity cannot be lower than the ${usage.usedCount} pre-order(s) already holding this slot`);
+  }
+  if (fields.fruitTypeId && !(await FruitTypeModel.exists({ _id: fields.fruitTypeId }))) {
+    throw new Error("Fruit type not found");
+  }
+  const updated = await PreOrderDeliverySlotModel.findByIdAndUpdate(slotId, { $set: fields }, { new: true }).lean();
+  return { status: "OK", data: (await withUsage([updated]))[0] };
+}
+
+/**
+ * Admin: close a slot (no new bookings). Pre-orders already booked keep it.
+ *
+ * @param {string} slotId
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function closeSlot(slotId) {
+  if (!mongoose.isValidObjectId(slotId)) throw new Error("Delivery slot not found");
+  const updated = await PreOrderDeliverySlotModel.findByIdAndUpdate(slotId, { $set: { status: "CLOSED" } }, { new: true }).lean();
+  if (!updated) throw new Error("Delivery slot not found");
+  return { status: "OK", data: (await withUsage([updated]))[0] };
+}
+
+/**
+ * Admin / warehouse: list slots with usage.
+ *
+ * @param {Object} [filters] - { fruitTypeId, status, from, to (YYYY-MM-DD or ISO), page, limit }
+ * @returns {Promise<{ status: string, data: Array, pagination: Object }>}
+ */
+async function listSlots(filters = {}) {
+  const { fruitTypeId, status, from, to } = filters;
+  const pageNum = Math.max(1, Number(filters.page) || 1);
+  const limitNum = Math.max(1, Math.min(100, Number(filters.limit) || 20));
+  const query = {};
+  if (fruitTypeId) {
+    if (!mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+    query.fruitTypeId = fruitTypeId;
+  }
+  if (status && ["ACTIVE", "CLOSED"].includes(status)) query.status = status;
+  if (from || to) {
+    query.startAt = {};
+    if (from) query.startAt.$gte = new Date(from);
+    if (to) query.startAt.$lte = new Date(to);
+    if (Object.values(query.startAt).some((d) => Number.isNaN(d.getTime()))) throw new Error("Invalid from / to date");
+  }
+  const [list, total] = await Promise.all([
+    PreOrderDeliverySlotModel.find(query)
+      .populate("fruitTypeId", "name")
+      .sort({ startAt: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    PreOrderDeliverySlotModel.countDocuments(query),
+  ]);
+  return {
+    status: "OK",
+    data: await withUsage(list),
+    pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+  };
+}
+
+/** Upcoming ACTIVE slots a pre-order of this fruit type can book (dedicated to it or shared). */
+function bookableSlotQuery(fruitTypeId) {
+  return {
+    status: "ACTIVE",
+    startAt: { $gt: new Date() },
+    $or: [{ fruitTypeId: null }, { fruitTypeId }],
+  };
+}
+
+/**
+ * Customer: slots the pre-order can pick when paying the remaining balance or, once fully paid, when changing its slot
+ * (full slots are left out).
+ *
+ * @param {string} preOrderId
+ * @param {string} userId
+ * @returns {Promise<{ status: string, data: Array }>}
+ */
+async function getAvailableSlotsForPreOrder(preOrderId, userId) {
+  if (!mongoose.isValidObjectId(preOrderId)) throw new Error("Pre-order not found");
+  const po = await PreOrderModel.findOne({ _id: preOrderId, userId }).select("fruitTypeId").lean();
+  if (!po) throw new Error("Pre-order not found");
+  const slots = await PreOrderDeliverySlotModel.find(bookableSlotQuery(po.fruitTypeId))
+    .select("fruitTypeId startAt endAt capacity note")
+    .sort({ startAt: 1 })
+    .lean();
+  const data = (await withUsage(slots, { excludePreOrderId: po._id })).filter((s) => !s.isFull);
+  return { status: "OK", data };
+}
+
+/**
+ * Check that a pre-order can book the slot and run fn while the slot is locked (so two customers cannot take the last place).
+ * fn creates the pending remaining-payment intent that holds the place.
+ *
+ * @param {Object} po - Pre-order (lean: _id, fruitTypeId)
+ * @param {string} slotId
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn result
+ */
+async function withSlotBooking(po, slotId, fn) {
+  if (!mongoose.isValidObjectId(slotId)) throw new Error("Delivery slot not found");
+  const key = slotId.toString();
+  if (bookingSlotIds.has(key)) throw new Error("This delivery slot is being booked by another customer. Please try again.");
+  bookingSlotIds.add(key);
+  try {
+    const slot = await PreOrderDeliverySlotModel.findOne({ _id: slotId, ...bookableSlotQuery(po.fruitTypeId) }).lean();
+    if (!slot) throw new Error("This delivery slot is not available for this pre-order");
+    const usage = (await getSlotUsage([slot._id], { excludePreOrderId: po._id }))[key];
+    if (usage.usedCount >= slot.capacity) throw new Error("This delivery slot is full. Please choose another slot.");
+    return await fn(slot);
+  } finally {
+    bookingSlotIds.delete(key);
+  }
+}
+
+/**
+ * Customer: choose or change the delivery slot of a fully paid pre-order (READY_FOR_FULFILLMENT).
+ *
+ * Business rules:
+ * - Pre-order belongs to the customer and is READY_FOR_FULFILLMENT
+ * - Slot must be bookable for the fruit type and not full (checked under the slot lock, withSlotBooking)
+ * - With a linked delivery order: only while the order is still PAID (not being prepared); its expected_ship_date
+ *   moves to the start of the new slot
+ *
+ * @param {string} preOrderId
+ * @param {string} userId
+ * @param {string} slotId
+ * @returns {Promise<{ status: string, data: { preOrderId: ObjectId, deliverySlot: Object } }>}
+ */
+async function chooseDeliverySlot(preOrderId, userId, slotId) {
+  if (!mongoose.isValidObjectId(preOrderId)) throw new Error("Pre-order not found");
+  if (!slotId) throw new Error("Missing deliverySlotId");
+  const po = await PreOrderModel.findOne({ _id: preOrderId, userId })
+    .select("fruitTypeId status deliverySlotId order_id")
+    .lean();
+  if (!po) throw new Error("Pre-order not found");
+  if (po.status !== "READY_FOR_FULFILLMENT") {
+    throw new Error("Only fully paid pre-orders (Ready for fulfillment) can choose a delivery slot");
+  }
+
+  let paidStatus = null;
+  let linkedOrderId = null;
+  if (po.order_id) {
+    const OrderWorkflow = require("./orderWorkflow");
+    paidStatus = await OrderWorkflow.findStatusByName("PAID");
+    if (!paidStatus) throw new Error("Missing order status");
+    const order = await OrderModel.findById(po.order_id).select("order_status_id").lean();
+    if (order && !order.order_status_id?.equals(paidStatus._id)) {
+      throw new Error("The delivery order is already being prepared. The delivery slot can no longer be changed.");
+    }
+    linkedOrderId = order ? po.order_id : null;
+  }
+
+  if (po.deliverySlotId && po.deliverySlotId.toString() === slotId.toString()) {
+    const slot = await PreOrderDeliverySlotModel.findById(slotId).select("startAt endAt").lean();
+    return { status: "OK", data: { preOrderId: po._id, deliverySlot: slot } };
+  }
+
+  const deliverySlot = await withSlotBooking(po, slotId, async (slot) => {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const res = await PreOrderModel.updateOne(
+          { _id: po._id, status: "READY_FOR_FULFILLMENT", order_id: po.order_id || null },
+          { $set: { deliverySlotId: slot._id } },
+          { session }
+        );
+        if (res.matchedCount === 0) throw new Error("Pre-order has changed. Please reload and try again.");
+        if (linkedOrderId) {
+          const orderRes = await OrderModel.updateOne(
+            { _id: linkedOrderId, order_status_id: paidStatus._id },
+            { $set: { expected_ship_date: slot.startAt } },
+            { session }
+          );
+          if (orderRes.matchedCount === 0) {
+            throw new Error("The delivery order is already being prepared. The delivery slot can no longer be changed.");
+          }
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+    return { _id: slot._id, startAt: slot.startAt, endAt: slot.endAt };
+  });
+  return { status: "OK", data: { preOrderId: po._id, deliverySlot } };
+}
+
+module.exports = {
+  getSlotUsage,
+  createSlot,
+  updateSlot,
+  closeSlot,
+  listSlots,
+  getAvailableSlotsForPreOrder,
+  withSlotBooking,
+  chooseDeliverySlot,
+};
@@ -0,0 +1,200 @@
+/**
+ * Pre-order Forecast Service
+ *
+ * Harvest forecasting and demand-vs-supply planning per fruit type, week by week.
+ *
+ * This service handles:
+ * - Expected supply: pending pre-order receive batches (not rejected, not fully received) bucketed by harvest week,
+ *   scaled by the supplier's history ratio (PreOrderHarvestBatchService.getSupplierReceiveRatios)
+ * - Demand: open pre-order demand (not allocated yet) due in the week of the fruit type's estimated harvest date
+ * - Balance: stock on hand (received - allocated) + cumulative expected supply - cumulative demand due; negative = shortfall
+ *
+ * Ratio fallback: supplier + fruit type history → supplier history (all fruit types) → DEFAULT_RECEIVE_RATIO (no history).
+ * Weeks start on Monday (Asia/Ho_Chi_Minh). Overdue pending batches are expected in the current week; batches more than
+ * HISTORY_GRACE_DAYS past their harvest date are closed (history) and no longer expected.
+ *
+ * @module services/PreOrderForecastService
+ */
+
+const mongoose = require("mongoose");
+const FruitTypeModel = require("../models/FruitTypeModel");
+const PreOrderModel = require("../models/PreOrderModel");
+const PreOrderStockModel = require("../models/PreOrderStockModel");
+const PreOrderHarvestBatchModel = require("../models/PreOrderHarvestBatchModel");
+const { HISTORY_GRACE_DAYS, getSupplierReceiveRatios } = require("./PreOrderHarvestBatchService");
+
+/** Ratio used for suppliers without closed batches yet (assume they deliver what they promised). */
+const DEFAULT_RECEIVE_RATIO = 1;
+const DEFAULT_WEEKS = 8;
+const MAX_WEEKS = 26;
+/** Pre-orders still needing supply (allocated ones already have stock). */
+const OPEN_DEMAND_STATUSES = ["WAITING_FOR_ALLOCATION", "WAITING_FOR_NEXT_BATCH", "WAITING_FOR_PRODUCT"];
+const ALLOCATED_STATUSES = ["ALLOCATED_WAITING_PAYMENT", "READY_FOR_FULFILLMENT", "COMPLETED"];
+
+const VN_OFFSET_MS = 7 * 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Monday 00:00 (VN time) of the week containing date. */
+function getWeekStart(date) {
+  const vn = new Date(new Date(date).getTime() + VN_OFFSET_MS);
+  const daysSinceMonday = (vn.getUTCDay() + 6) % 7;
+  const mondayVn = Date.UTC(vn.getUTCFullYear(), vn.getUTCMonth(), vn.getUTCDate() - daysSinceMonday);
+  return new Date(mondayVn - VN_OFFSET_MS);
+}
+
+/** Week index relative to the current week (clamped at 0 for the past). */
+function getWeekIndex(date, currentWeekStart) {
+  return Math.max(0, Math.floor((getWeekStart(date).getTime() - currentWeekStart.getTime()) / WEEK_MS));
+}
+
+const sumByFruitType = (rows) => Object.fromEntries(rows.map((r) => [r._id.toString(), r.kg]));
+
+/**
+ * Admin: weekly demand-vs-supply forecast for fruit types with open demand or pending batches.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.weeks=8] - Horizon in weeks (1..26), starting with the current week
+ * @param {string} [options.fruitTypeId] - Only this fruit type
+ * @returns {Promise<{ status: string, data: { generatedAt: Date, weeks: Date[], fruitTypes: Array<Object>, summary: Object } }>}
+ */
+async function getForecast(options = {}) {
+  const weeksNum = Math.max(1, Math.min(MAX_WEEKS, Number(options.weeks) || DEFAULT_WEEKS));
+  const now = new Date();
+  const currentWeekStart = getWeekStart(now);
+  const horizonEnd = new Date(currentWeekStart.getTime() + weeksNum * WEEK_MS);
+  const weekStarts = Array.from({ length: weeksNum }, (_, i) => new Date(currentWeekStart.getTime() + i * WEEK_MS));
+  const graceCutoff = new Date(now.getTime() - HISTORY_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const ftFilter = {};
+  if (options.fruitTypeId) {
+    if (!mongoose.isValidObjectId(options.fruitTypeId)) throw new Error("Invalid fruitTypeId");
+    ftFilter.fruitTypeId = new mongoose.Types.ObjectId(options.fruitTypeId.toString());
+  }
+
+  const [openDemandAgg, allocatedAgg, stocks, pendingBatches, ratios] = await Promise.all([
+    PreOrderModel.aggregate([
+      { $match: { ...ftFilter, status: { $in: OPEN_DEMAND_STATUSES } } },
+      { $group: { _id: "$fruitTypeId", kg: { $sum: "$quantityKg" } } },
+    ]),
+    PreOrderModel.aggregate([
+      { $match: { ...ftFilter, status: { $in: ALLOCATED_STATUSES } } },
+      { $group: { _id: "$fruitTypeId", kg: { $sum: "$quantityKg" } } },
+    ]),
+    PreOrderStockModel.find(ftFilter).select("fruitTypeId receivedKg").lean(),
+    PreOrderHarvestBatchModel.find({
+      ...ftFilter,
+      rejectedAt: null,
+      harvestDate: { $gte: graceCutoff },
+      $expr: { $lt: ["$receivedKg", "$quantityKg"] },
+    })
+      .populate("supplierId", "name")
+      .lean(),
+    getSupplierReceiveRatios(),
+  ]);
+
+  const openDemand = sumByFruitType(openDemandAgg);
+  const allocated = sumByFruitType(allocatedAgg);
+  const received = Object.fromEntries(stocks.map((s) => [s.fruitTypeId.toString(), s.receivedKg ?? 0]));
+
+  const fruitTypeIds = new Set([...Object.keys(openDemand), ...pendingBatches.map((b) => b.fruitTypeId.toString())]);
+  const fruitTypes = await FruitTypeModel.find({ _id: { $in: [...fruitTypeIds] } })
+    .select("name estimatedHarvestDate status capacityKg")
+    .lean();
+
+  const batchesByFruit = {};
+  pendingBatches.forEach((b) => {
+    const fid = b.fruitTypeId.toString();
+    const sid = (b.supplierId?._id || b.supplierId).toString();
+    const history = ratios.bySupplierFruitType[`${sid}:${fid}`] || ratios.bySupplier[sid] || null;
+    const ratio = history ? history.avgRatio : DEFAULT_RECEIVE_RATIO;
+    (batchesByFruit[fid] = batchesByFruit[fid] || []).push({
+      batchId: b._id,
+      batchCode: b.batchCode,
+      supplierId: sid,
+      supplierName: b.supplierId?.name || "",
+      harvestDate: b.harvestDate,
+      quantityKg: b.quantityKg,
+      receivedKg: b.receivedKg ?? 0,
+      supplierRatio: ratio,
+      historyBatches: history?.batches ?? 0,
+      // Phần còn chờ nhận sau khi nhân tỷ lệ giao hàng thực tế của NCC
+      expectedKg: Math.max(0, Math.round(b.quantityKg * ratio - (b.receivedKg ?? 0))),
+      weekIndex: getWeekIndex(b.harvestDate, currentWeekStart),
+      beyondHorizon: new Date(b.harvestDate) >= horizonEnd,
+    });
+  });
+
+  const rows = fruitTypes.map((ft) => {
+    const fid = ft._id.toString();
+    const batches = batchesByFruit[fid] || [];
+    const openDemandKg = openDemand[fid] || 0;
+    const stockOnHandKg = Math.max(0, (received[fid] || 0) - (allocated[fid] || 0));
+    // Nhu cầu đến hạn vào tuần thu hoạch dự kiến (chưa có ngày → tuần hiện tại)
+    const demandWeekIndex = ft.estimatedHarvestDate ? getWeekIndex(ft.estimatedHarvestDate, currentWeekStart) : 0;
+
+    let cumulativeSupply = stockOnHandKg;
+    let firstShortfallWeek = null;
+    const weeks = weekStarts.map((weekStart, i) => {
+      const expectedSupplyKg = batches
+        .filter((b) => !b.beyondHorizon && b.weekIndex === i)
+        .reduce((sum, b) => sum + b.expectedKg, 0);
+      cumulativeSupply += expectedSupplyKg;
+      const demandDueKg = i >= demandWeekIndex ? openDemandKg : 0;
+      const balanceKg = cumulativeSupply - demandDueKg;
+      if (balanceKg < 0 && firstShortfallWeek === null) firstShortfallWeek = weekStart;
+      return {
+        weekStart,
+        expectedSupplyKg,
+        cumulativeSupplyKg: cumulativeSupply,
+        demandDueKg,
+        balanceKg,
+        shortfall: balanceKg < 0,
+      };
+    });
+
+    const projectedSupplyKg = batches.filter((b) => !b.beyondHorizon).reduce((sum, b) => sum + b.expectedKg, 0);
+    const laterSupplyKg = batches.filter((b) => b.beyondHorizon).reduce((sum, b) => sum + b.expectedKg, 0);
+    const projectedBalanceKg = stockOnHandKg + projectedSupplyKg - openDemandKg;
+    return {
+      fruitTypeId: ft._id,
+      fruitTypeName: ft.name,
+      status: ft.status,
+      estimatedHarvestDate: ft.estimatedHarvestDate,
+      capacityKg: ft.capacityKg ?? null,
+      openDemandKg,
+      stockOnHandKg,
+      pendingBatchKg: batches.reduce((sum, b) => sum + Math.max(0, b.quantityKg - b.receivedKg), 0),
+      projectedSupplyKg,
+      laterSupplyKg,
+      projectedBalanceKg,
+      shortfallKg: Math.max(0, -projectedBalanceKg),
+      shortfall: projectedBalanceKg < 0 || firstShortfallWeek !== null,
+      firstShortfallWeek,
+      weeks,
+      batches: batches.map(({ weekIndex, ...b }) => ({ ...b, weekStart: weekStarts[weekIndex] || null })),
+    };
+  });
+  rows.sort((a, b) => Number(b.shortfall) - Number(a.shortfall) || b.shortfallKg - a.shortfallKg || a.fruitTypeName.localeCompare(b.fruitTypeName));
+
+  return {
+    status: "OK",
+    data: {
+      generatedAt: now,
+      weeks: weekStarts,
+      fruitTypes: rows,
+      summary: {
+        fruitTypes: rows.length,
+        shortfallFruitTypes: rows.filter((r) => r.shortfall).length,
+        openDemandKg: rows.reduce((sum, r) => sum + r.openDemandKg, 0),
+        projectedSupplyKg: rows.reduce((sum, r) => sum + r.projectedSupplyKg, 0),
+        shortfallKg: rows.reduce((sum, r) => sum + r.shortfallKg, 0),
+      },
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RECEIVE_RATIO,
+  getWeekStart,
+  getForecast,
+};
@@ -7,6 +7,7 @@
  * - Create pre-order receive batch: link fruit type + harvest batch (or supplier + harvest date + batch number); one batch per (fruitTypeId, harvest date, batch number, supplier)
  * - List batches with filters (fruitTypeId, supplierId, status), keyword search, sort and pagination; each batch has status NOT_RECEIVED | PARTIAL | FULLY_RECEIVED
  * - Get batch by ID
+ * - Supplier history: average receivedKg / quantityKg of closed batches (used by PreOrderForecastService)
  *
  * A fruit type can have multiple harvest batches; warehouse can receive stock multiple times (partial deliveries).
  *
@@ -21,6 +22,9 @@ const SupplierModel = require("../models/SupplierModel");
 const PreOrderModel = require("../models/PreOrderModel");
 const PreOrderService = require("./PreOrderService");
 
+/** A batch not fully received this many days after its harvest date counts as closed (history) with what arrived. */
+const HISTORY_GRACE_DAYS = 14;
+
 /** Statuses that count toward demand. */
 const DEMAND_STATUSES = ["WAITING_FOR_ALLOCATION", "WAITING_FOR_NEXT_BATCH", "ALLOCATED_WAITING_PAYMENT"];
 
@@ -328,9 +332,68 @@ async function rejectBatch(id) {
   };
 }
 
+/**
+ * Supplier delivery history: average receivedKg / quantityKg (capped at 1) over closed batches.
+ * Closed = rejected, fully received, or harvest date more than HISTORY_GRACE_DAYS ago.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.fruitTypeId] - Only use batches of this fruit type
+ * @returns {Promise<{ bySupplier: Object<string, { batches: number, avgRatio: number }>, bySupplierFruitType: Object<string, { batches: number, avgRatio: number }> }>}
+ *   bySupplierFruitType key = `${supplierId}:${fruitTypeId}`
+ */
+async function getSupplierReceiveRatios(filters = {}) {
+  const graceCutoff = new Date(Date.now() - HISTORY_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  const match = {
+    quantityKg: { $gt: 0 },
+    $or: [
+      { rejectedAt: { $ne: null } },
+      { $expr: { $gte: ["$receivedKg", "$quantityKg"] } },
+      { harvestDate: { $lt: graceCutoff } },
+    ],
+  };
+  if (filters.fruitTypeId && mongoose.isValidObjectId(filters.fruitTypeId)) {
+    match.fruitTypeId = new mongoose.Types.ObjectId(filters.fruitTypeId.toString());
+  }
+  const rows = await PreOrderHarvestBatchModel.aggregate([
+    { $match: match },
+    {
+      $project: {
+        supplierId: 1,
+        fruitTypeId: 1,
+        ratio: { $min: [1, { $divide: [{ $ifNull: ["$receivedKg", 0] }, "$quantityKg"] }] },
+      },
+    },
+    {
+      $group: {
+        _id: { supplierId: "$supplierId", fruitTypeId: "$fruitTypeId" },
+        batches: { $sum: 1 },
+        ratioSum: { $sum: "$ratio" },
+      },
+    },
+  ]);
+
+  const bySupplier = {};
+  const bySupplierFruitType = {};
+  rows.forEach((r) => {
+    const sid = r._id.supplierId.toString();
+    bySupplierFruitType[`${sid}:${r._id.fruitTypeId.toString()}`] = { batches: r.batches, avgRatio: r.ratioSum / r.batches };
+    const agg = bySupplier[sid] || { batches: 0, ratioSum: 0 };
+    agg.batches += r.batches;
+    agg.ratioSum += r.ratioSum;
+    bySupplier[sid] = agg;
+  });
+  Object.keys(bySupplier).forEach((sid) => {
+    const { batches, ratioSum } = bySupplier[sid];
+    bySupplier[sid] = { batches, avgRatio: ratioSum / batches };
+  });
+  return { bySupplier, bySupplierFruitType };
+}
+
 module.exports = {
+  HISTORY_GRACE_DAYS,
   createBatch,
   listBatches,
   getBatchById,
   rejectBatch,
+  getSupplierReceiveRatios,
 };
@@ -4,15 +4,23 @@
  * Business logic for customer pre-orders (deposit + remaining payment) and admin pre-order management.
  *
  * This service handles:
- * - Customer: create payment intent (deposit 50%), pay remaining 50% after allocation, list my pre-orders
- * - Admin: list/filter pre-orders, view detail, mark completed when delivery is done, mark refund
+ * - Customer: create payment intent (deposit = fruit type depositPercent, 100 = full prepay), pay the remaining balance
+ *   after allocation, list my pre-orders
+ * - Admin: list/filter pre-orders, view detail and status timeline, mark completed when delivery is done, mark refund
+ * - Overdue cancellation with the fruit type's forfeit policy (jobs/preorderCancelOverdueJob)
  *
  * Core flow:
  * 1. Customer creates payment intent → pays deposit via VNPay → fulfillPaymentIntent creates PreOrder (WAITING_FOR_ALLOCATION)
- * 2. Admin allocates stock (FIFO); allocated orders → ALLOCATED_WAITING_PAYMENT; customer pays remaining → READY_FOR_FULFILLMENT
- * 3. Admin marks completed when delivery is done (status COMPLETED)
+ * 2. Admin allocates stock; allocated orders → ALLOCATED_WAITING_PAYMENT (due in paymentDeadlineDays); customer pays
+ *    remaining (picking a delivery slot) → READY_FOR_FULFILLMENT (fully prepaid orders skip straight to READY_FOR_FULFILLMENT at allocation)
+ * 3. Fully paid pre-order gets a linked OrderModel order (is_preorder) → ships through the normal order flow
+ *    (PAID → READY-TO-SHIP → SHIPPING → COMPLETED); orderWorkflow syncs the pre-order status (COMPLETED / REFUND).
+ *    Legacy pre-orders without a linked order are still marked completed by admin.
  *
- * Pre-orders cannot be cancelled by customer.
+ * Customers can cancel before allocation (free within the policy window, then a partial deposit forfeit; never once the
+ * harvest lock applies); the refundable part is queued as a VNPay REFUND payment.
+ * Payment policy (deposit %, deadline, overdue forfeit) is resolved by preorderPolicy and copied onto the pre-order.
+ * Every status change is written through preorderStatusHistory (status_history + status_changed_at).
  *
  * @module services/PreOrderService
  */
@@ -23,30 +31,54 @@ const PreOrderModel = require("../models/PreOrderModel");
 const UserModel = require("../models/UserModel");
 const PreOrderPaymentIntentModel = require("../models/PreOrderPaymentIntentModel");
 const PreOrderRemainingPaymentModel = require("../models/PreOrderRemainingPaymentModel");
-const PreOrderAllocationModel = require("../models/PreOrderAllocationModel");
+const PreOrderDeliverySlotModel = require("../models/PreOrderDeliverySlotModel");
+const PaymentModel = require("../models/PaymentModel");
+const OrderModel = require("../models/OrderModel");
+const OrderDetailModel = require("../models/OrderDetailModel");
 const { isPreOrderLockedByHarvest, DAYS_BEFORE_HARVEST_TO_LOCK } = require("./FruitTypeService");
-const { createPreOrderVnpayUrl } = require("../utils/createVnpayUrl");
+const { createPreOrderVnpayUrl, createDate } = require("../utils/createVnpayUrl");
+const { buildHistoryEntry, buildStatusChange } = require("./preorderStatusHistory");
+const {
+  DEFAULT_FREE_CANCEL_HOURS,
+  getPreOrderPolicy,
+  toPolicySnapshot,
+  computeDepositAmount,
+  computeOverdueForfeit,
+  computeCancellation,
+} = require("./preorderPolicy");
 
 /** Statuses from which admin can cancel (before remaining payment / fulfillment). */
 const CANCELLABLE_BY_ADMIN_STATUSES = ["WAITING_FOR_ALLOCATION", "WAITING_FOR_NEXT_BATCH", "ALLOCATED_WAITING_PAYMENT"];
+/** Statuses from which admin can mark Refund (not delivered yet; CANCELLED only after an admin cancellation). */
+const REFUNDABLE_BY_ADMIN_STATUSES = [
+  ...CANCELLABLE_BY_ADMIN_STATUSES,
+  "WAITING_FOR_PRODUCT",
+  "READY_FOR_FULFILLMENT",
+  "CANCELLED",
+];
 
 /** Payment intent expiry in minutes (VNPay redirect). */
 const INTENT_EXPIRE_MINUTES = 15;
-/** Reserved: cancel window in hours (pre-orders are not cancellable). */
-const CANCEL_WINDOW_HOURS = 24;
+/** Default free cancellation window in hours (fruit types override it with freeCancelHours). */
+const CANCEL_WINDOW_HOURS = DEFAULT_FREE_CANCEL_HOURS;
+/** Statuses a customer can still cancel from (not allocated yet); the harvest lock (isPreOrderLockedByHarvest) also applies. */
+const CANCELLABLE_BY_CUSTOMER_STATUSES = ["WAITING_FOR_ALLOCATION", "WAITING_FOR_NEXT_BATCH", "WAITING_FOR_PRODUCT"];
+/** Linked order: expected ship date = max(today, estimated harvest date) + this many days. */
+const PREORDER_SHIP_LEAD_DAYS = 2;
 
 /**
- * Create a deposit payment intent and return VNPay URL for customer to pay 50% deposit.
+ * Create a deposit payment intent and return VNPay URL for customer to pay the deposit (fruit type depositPercent).
  *
  * Business rules:
  * - Fruit type must exist, allowPreOrder = true, status = ACTIVE
  * - Pre-order is locked N days before estimated harvest (no new orders; N = DAYS_BEFORE_HARVEST_TO_LOCK in FruitTypeService)
  * - Quantity must be within fruit type minOrderKg..maxOrderKg
- * - Deposit is always 50% of (estimatedPrice * quantityKg)
+ * - When the fruit type has capacityKg, quantity must fit the remaining capacity (or this customer's waitlist offer)
+ * - Deposit = depositPercent% of (estimatedPrice * quantityKg); depositPercent 100 = full prepay (legacy fruit types: 50%)
  *
  * Flow:
  * 1. Load fruit type and validate eligibility
- * 2. Compute deposit amount (50%) and expiry
+ * 2. Compute deposit amount (policy) and expiry
  * 3. Create PreOrderPaymentIntent (status PENDING)
  * 4. Build VNPay URL and return
  *
@@ -71,18 +103,28 @@ async function createPaymentIntentAndGetPayUrl({ userId, fruitTypeId, quantityKg
   if (isNaN(qty) || qty < fruitType.minOrderKg || qty > fruitType.maxOrderKg) {
     throw new Error("Quantity (kg) must be between " + fruitType.minOrderKg + " and " + fruitType.maxOrderKg);
   }
-  const depositPct = 50;
-  const amount = Math.round((depositPct / 100) * fruitType.estimatedPrice * qty);
+  const PreOrderWaitlistService = require("./PreOrderWaitlistService");
+  const { waitlistEntryId, retriedIntentId } = await PreOrderWaitlistService.assertCapacityForIntent({
+    fruitType,
+    userId,
+    quantityKg: qty,
+  });
+  const policy = getPreOrderPolicy(fruitType);
+  const amount = computeDepositAmount(fruitType.estimatedPrice * qty, policy);
   const expiresAt = new Date(Date.now() + INTENT_EXPIRE_MINUTES * 60 * 1000);
   const isMobile = platform === "app";
+  const vnpCreateDate = createDate();
   const intentPayload = {
     userId,
     fruitTypeId,
     quantityKg: qty,
     amount,
+    depositPercent: policy.depositPercent,
     status: "PENDING",
     expiresAt,
     is_mobile: isMobile,
+    waitlistEntryId,
+    vnp_create_date: vnpCreateDate,
   };
   if (receiverInfo) {
     intentPayload.receiver_name = receiverInfo.receiver_name ? String(receiverInfo.receiver_name).trim() : "";
@@ -90,7 +132,11 @@ async function createPaymentIntentAndGetPayUrl({ userId, fruitTypeId, quantityKg
     intentPayload.receiver_address = receiverInfo.receiver_address ? String(receiverInfo.receiver_address).trim() : "";
   }
   const intent = await PreOrderPaymentIntentModel.create(intentPayload);
-  const payUrl = createPreOrderVnpayUrl(intent._id.toString(), amount, ip, isMobile);
+  // The new intent replaces the pending one it was checked against: only one holds capacity
+  if (retriedIntentId) {
+    await PreOrderPaymentIntentModel.updateOne({ _id: retriedIntentId, status: "PENDING" }, { $set: { status: "EXPIRED" } });
+  }
+  const payUrl = createPreOrderVnpayUrl(intent._id.toString(), amount, ip, isMobile, vnpCreateDate);
   return { success: true, paymentIntentId: intent._id.toString(), payUrl, expiresAt: intent.expiresAt };
 }
 
@@ -164,6 +210,33 @@ async function getAdminPreOrderDetail(id) {
   return { status: "OK", data: po };
 }
 
+/**
+ * Admin: status timeline of a pre-order (status_history, oldest first, with actor populated).
+ * Pre-orders created before status_history existed have an empty history; their current status is still returned.
+ *
+ * @param {string} id - Pre-order document ID
+ * @returns {Promise<{ status: string, data: { preOrderId, currentStatus, statusChangedAt, createdAt, timeline: Array } }>}
+ */
+async function getPreOrderTimeline(id) {
+  if (!mongoose.isValidObjectId(id)) throw new Error("Pre-order not found");
+  const po = await PreOrderModel.findById(id)
+    .select("status status_changed_at status_history createdAt updatedAt")
+    .populate("status_history.changed_by", "user_name email")
+    .lean();
+  if (!po) throw new Error("Pre-order not found");
+  const timeline = [...(po.status_history || [])].sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+  return {
+    status: "OK",
+    data: {
+      preOrderId: po._id,
+      currentStatus: po.status,
+      statusChangedAt: po.status_changed_at || po.updatedAt,
+      createdAt: po.createdAt,
+      timeline,
+    },
+  };
+}
+
 /**
  * Customer: list my pre-orders with optional status filter, sort and pagination. Enriches each order with remainingAmount and canPayRemaining.
  *
@@ -203,6 +276,7 @@ async function getMyPreOrders(userId, query = {}) {
   const [list, total] = await Promise.all([
     PreOrderModel.find(filter)
       .populate("fruitTypeId", "name estimatedPrice estimatedHarvestDate")
+      .populate("deliverySlotId", "startAt endAt")
       .sort(sortOpt)
       .skip(skip)
       .limit(limitNum)
@@ -215,7 +289,12 @@ async function getMyPreOrders(userId, query = {}) {
     const totalAmount = po.totalAmount ?? 0;
     const remainingAmount = po.remainingPaidAt ? 0 : Math.max(0, totalAmount - depositPaid);
     const canPayRemaining = po.status === "ALLOCATED_WAITING_PAYMENT" && remainingAmount > 0;
-    return { ...po, remainingAmount, canPayRemaining };
+    // Chênh lệch sau quyết toán giá / cân thực tế (dương = trả thêm, âm = rẻ hơn tạm tính)
+    const settlementAdjustment = po.settlement ? po.settlement.finalTotal - po.settlement.estimatedTotalAmount : 0;
+    const canCancel =
+      CANCELLABLE_BY_CUSTOMER_STATUSES.includes(po.status) && !isPreOrderLockedByHarvest(po.fruitTypeId?.estimatedHarvestDate);
+    const freeCancelUntil = canCancel ? computeCancellation(po, getPreOrderPolicy(po)).freeCancelUntil : null;
+    return { ...po, remainingAmount, canPayRemaining, settlementAdjustment, canCancel, freeCancelUntil };
   });
   return {
     status: "OK",
@@ -228,31 +307,41 @@ async function getMyPreOrders(userId, query = {}) {
 const REMAINING_INTENT_EXPIRE_MINUTES = 15;
 
 /**
- * Create a remaining-payment intent (50% balance) and return VNPay URL. Allowed only when pre-order status is ALLOCATED_WAITING_PAYMENT.
+ * Create a remaining-payment intent (balance after deposit) and return VNPay URL. Allowed only when pre-order status is ALLOCATED_WAITING_PAYMENT.
  *
  * Business rules:
  * - Pre-order must belong to userId and exist
- * - status must be ALLOCATED_WAITING_PAYMENT (stock allocated, waiting for remaining 50%)
+ * - status must be ALLOCATED_WAITING_PAYMENT (stock allocated, waiting for the remaining balance)
+ * - paymentDueAt (policy deadline) must not have passed
  * - Order must not already be fully paid (remainingPaidAt null)
- * - Remaining amount = totalAmount - depositPaid must be > 0
+ * - Remaining amount = totalAmount - depositPaid must be > 0; after settlement totalAmount is the trued-up final total
+ *   (PreOrderSettlementService), before it the estimated total at order time
+ * - Optional deliverySlotId: upcoming ACTIVE slot for this fruit type (or shared) that is not full; the pending intent
+ *   holds the place until it expires (PreOrderDeliverySlotService)
  *
  * Flow:
  * 1. Load pre-order and validate ownership and status
- * 2. Compute remaining amount and create PreOrderRemainingPayment (PENDING)
+ * 2. Compute remaining amount and create PreOrderRemainingPayment (PENDING), under the slot lock when a slot is picked
  * 3. Build VNPay URL and return
  *
  * @param {string} preOrderId - Pre-order document ID
  * @param {string} userId - Logged-in customer user ID
  * @param {string} ip - Client IP for VNPay
- * @returns {Promise<{ success: boolean, payUrl: string, expiresAt: Date }>}
+ * @param {string} [returnUrl]
+ * @param {string} [platform] - "app" = mobile
+ * @param {string} [deliverySlotId] - Delivery slot picked by the customer
+ * @returns {Promise<{ success: boolean, payUrl: string, expiresAt: Date, deliverySlot: Object|null }>}
  */
-async function createRemainingPaymentIntent(preOrderId, userId, ip, returnUrl, platform) {
+async function createRemainingPaymentIntent(preOrderId, userId, ip, returnUrl, platform, deliverySlotId) {
   const po = await PreOrderModel.findOne({ _id: preOrderId, userId }).lean();
   if (!po) throw new Error("Pre-order not found");
   if (po.status !== "ALLOCATED_WAITING_PAYMENT") {
     throw new Error("Remaining payment is available only when stock is allocated. Current status: " + (po.status || "unknown"));
   }
   if (po.remainingPaidAt) throw new Error("Order already fully paid");
+  if (po.paymentDueAt && new Date() > new Date(po.paymentDueAt)) {
+    throw new Error("The payment deadline for this pre-order has passed");
+  }
   const totalAmount = po.totalAmount ?? 0;
   const depositPaid = po.depositPaid ?? 0;
   const remaining = Math.round(totalAmount - depositPaid);
@@ -260,28 +349,132 @@ async function createRemainingPaymentIntent(preOrderId, userId, ip, returnUrl, p
 
   const isMobile = platform === "app";
   const expiresAt = new Date(Date.now() + REMAINING_INTENT_EXPIRE_MINUTES * 60 * 1000);
-  const doc = await PreOrderRemainingPaymentModel.create({
-    preOrderId: po._id,
-    amount: remaining,
-    status: "PENDING",
-    expiresAt,
-    is_mobile: isMobile,
-  });
-  const payUrl = createPreOrderVnpayUrl(doc._id.toString(), remaining, ip, isMobile);
-  return { success: true, payUrl, expiresAt };
+  const vnpCreateDate = createDate();
+  const createIntent = (slot) =>
+    PreOrderRemainingPaymentModel.create({
+      preOrderId: po._id,
+      amount: remaining,
+      status: "PENDING",
+      expiresAt,
+      is_mobile: isMobile,
+      deliverySlotId: slot?._id || null,
+      vnp_create_date: vnpCreateDate,
+    });
+  let deliverySlot = null;
+  let doc;
+  if (deliverySlotId) {
+    const PreOrderDeliverySlotService = require("./PreOrderDeliverySlotService");
+    doc = await PreOrderDeliverySlotService.withSlotBooking(po, deliverySlotId, (slot) => {
+      deliverySlot = { _id: slot._id, startAt: slot.startAt, endAt: slot.endAt };
+      return createIntent(slot);
+    });
+  } else {
+    doc = await createIntent(null);
+  }
+  const payUrl = createPreOrderVnpayUrl(doc._id.toString(), remaining, ip, isMobile, vnpCreateDate);
+  return { success: true, payUrl, expiresAt, deliverySlot };
+}
+
+/**
+ * Load a pre-order the customer wants to cancel and check the cancellation rules.
+ * @returns {Promise<{ po: Object, quote: Object }>}
+ */
+async function loadCancellablePreOrder(preOrderId, userId) {
+  if (!mongoose.isValidObjectId(preOrderId)) throw new Error("Pre-order not found");
+  const po = await PreOrderModel.findOne({ _id: preOrderId, userId }).lean();
+  if (!po) throw new Error("Pre-order not found");
+  if (po.status === "CANCELLED") throw new Error("This pre-order is already cancelled.");
+  if (!CANCELLABLE_BY_CUSTOMER_STATUSES.includes(po.status)) {
+    throw new Error("Pre-orders can only be cancelled before stock is allocated. Current status: " + (po.status || "unknown"));
+  }
+  const fruitType = await FruitTypeModel.findById(po.fruitTypeId).lean();
+  if (fruitType && isPreOrderLockedByHarvest(fruitType.estimatedHarvestDate)) {
+    throw new Error(`Pre-orders cannot be cancelled less than ${DAYS_BEFORE_HARVEST_TO_LOCK} days before harvest.`);
+  }
+  return { po, quote: computeCancellation(po, getPreOrderPolicy(po, fruitType)) };
+}
+
+/**
+ * Customer: what cancelling now would cost (refund / forfeit), without cancelling.
+ *
+ * @param {string} preOrderId - Pre-order document ID
+ * @param {string} userId - Logged-in customer user ID
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function getCancellationQuote(preOrderId, userId) {
+  const { po, quote } = await loadCancellablePreOrder(preOrderId, userId);
+  return { status: "OK", data: { preOrderId: po._id, depositPaid: po.depositPaid ?? 0, ...quote } };
 }
 
 /**
- * Customer cancel pre-order. Business rule: pre-orders are not cancellable; always throws.
+ * Customer cancel pre-order with the fruit type's cancellation policy.
+ *
+ * Business rules:
+ * - Only before allocation (WAITING_FOR_ALLOCATION, WAITING_FOR_NEXT_BATCH) and not once the harvest lock applies
+ * - Within freeCancelHours of ordering: full deposit refunded; afterwards lateCancelForfeitPercent of the deposit is kept
+ * - Refundable part is queued as REFUND/PENDING payment (jobs/vnpayRefundJob sends it to VNPay); pre-orders paid before
+ *   payments were recorded have nothing to queue and are refunded manually (refunds = [])
+ * - The kg go back to demand / allocation (PreOrderAllocationService.syncAllocatedKg) and are offered to the waitlist
  *
  * @param {string} preOrderId - Pre-order document ID
  * @param {string} userId - Logged-in customer user ID
- * @throws {Error} Always, with message that pre-orders cannot be cancelled
+ * @returns {Promise<{ status: string, data: Object, refundAmount: number, forfeitAmount: number, refunds: Object[] }>}
  */
 async function cancelPreOrder(preOrderId, userId) {
-  const po = await PreOrderModel.findOne({ _id: preOrderId, userId });
-  if (!po) throw new Error("Pre-order not found");
-  throw new Error("Pre-orders cannot be cancelled. You confirmed this at checkout.");
+  const { po, quote } = await loadCancellablePreOrder(preOrderId, userId);
+
+  const RefundService = require("./RefundService");
+  const refunds = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      refunds.length = 0;
+      const res = await PreOrderModel.updateOne(
+        { _id: po._id, status: po.status },
+        buildStatusChange(
+          po.status,
+          "CANCELLED",
+          {
+            changedBy: userId,
+            role: "customer",
+            reason: quote.freeCancellation
+              ? "Cancelled by customer within the free cancellation window"
+              : `Cancelled by customer after the free cancellation window: ${quote.forfeitPercent}% of deposit forfeited`,
+          },
+          { forfeitedAmount: quote.forfeitAmount }
+        ),
+        { session }
+      );
+      if (res.matchedCount === 0) throw new Error("This pre-order has just changed status. Please reload and try again.");
+      if (quote.refundAmount <= 0) return;
+      const payments = await PaymentModel.find({
+        pre_order_id: po._id,
+        type: "PAYMENT",
+        method: "VNPAY",
+        status: "SUCCESS",
+      })
+        .sort({ createdAt: 1 })
+        .session(session);
+      if (payments.length === 0) return;
+      const created = await RefundService.enqueueRefunds({
+        payments,
+        amount: quote.refundAmount,
+        note: "Pre-order cancelled by customer – pending VNPay refund",
+        session,
+      });
+      refunds.push(...created.map((r) => r.toObject()));
+    });
+  } finally {
+    session.endSession();
+  }
+  await releaseCancelledPreOrder(po);
+  return {
+    status: "OK",
+    data: await PreOrderModel.findById(po._id).populate("fruitTypeId", "name estimatedPrice estimatedHarvestDate").lean(),
+    refundAmount: quote.refundAmount,
+    forfeitAmount: quote.forfeitAmount,
+    refunds,
+  };
 }
 
 /**
@@ -303,20 +496,32 @@ async function fulfillPaymentIntent(intentId, session) {
   }
   const fruitType = await FruitTypeModel.findById(intent.fruitTypeId).session(session).lean();
   const totalAmount = fruitType ? Math.round(fruitType.estimatedPrice * intent.quantityKg) : 0;
+  const created = buildHistoryEntry(null, "WAITING_FOR_ALLOCATION", {
+    changedBy: intent.userId,
+    role: "customer",
+    reason: "Deposit paid via VNPay",
+  });
   const preOrderPayload = {
     userId: intent.userId,
     fruitTypeId: intent.fruitTypeId,
     quantityKg: intent.quantityKg,
     status: "WAITING_FOR_ALLOCATION",
+    status_changed_at: created.changed_at,
+    status_history: [created],
     paymentStatus: "PAID",
     depositPaid: intent.amount,
     totalAmount,
+    policy: toPolicySnapshot(getPreOrderPolicy(intent, fruitType)),
     remainingPaidAt: null,
   };
   if (intent.receiver_name != null) preOrderPayload.receiver_name = intent.receiver_name;
   if (intent.receiver_phone != null) preOrderPayload.receiver_phone = intent.receiver_phone;
   if (intent.receiver_address != null) preOrderPayload.receiver_address = intent.receiver_address;
   const preOrder = await PreOrderModel.create([preOrderPayload], { session });
+  if (intent.waitlistEntryId) {
+    const PreOrderWaitlistService = require("./PreOrderWaitlistService");
+    await PreOrderWaitlistService.markOfferConverted(intent.waitlistEntryId, preOrder[0]._id, session);
+  }
   intent.status = "SUCCESS";
   await intent.save({ session });
   return preOrder[0];
@@ -332,7 +537,7 @@ async function fulfillPaymentIntent(intentId, session) {
  *
  * Flow:
  * 1. Load intent with session; if SUCCESS return null; validate PENDING and not expired
- * 2. Update pre-order by intent.preOrderId: set remainingPaidAt and status READY_FOR_FULFILLMENT
+ * 2. Update pre-order by intent.preOrderId: set remainingPaidAt, deliverySlotId (slot picked on the intent) and status READY_FOR_FULFILLMENT
  * 3. Mark intent SUCCESS
  *
  * @param {string} remainingIntentId - PreOrderRemainingPayment document ID
@@ -349,12 +554,17 @@ async function fulfillRemainingPayment(remainingIntentId, session) {
     await intent.save({ session });
     throw new Error("Payment session expired");
   }
-  const preOrder = await PreOrderModel.findById(intent.preOrderId).session(session).select("fruitTypeId").lean();
+  const preOrder = await PreOrderModel.findById(intent.preOrderId).session(session).select("fruitTypeId userId status").lean();
   const fruitTypeId = preOrder?.fruitTypeId?._id || preOrder?.fruitTypeId;
   const now = new Date();
   await PreOrderModel.updateOne(
     { _id: intent.preOrderId },
-    { $set: { remainingPaidAt: now, status: "READY_FOR_FULFILLMENT" } },
+    buildStatusChange(
+      preOrder?.status,
+      "READY_FOR_FULFILLMENT",
+      { changedBy: preOrder?.userId, role: "customer", reason: "Remaining balance paid via VNPay" },
+      intent.deliverySlotId ? { remainingPaidAt: now, deliverySlotId: intent.deliverySlotId } : { remainingPaidAt: now }
+    ),
     { session }
   );
   intent.status = "SUCCESS";
@@ -368,8 +578,130 @@ async function fulfillRemainingPayment(remainingIntentId, session) {
   return intent;
 }
 
+/**
+ * Create the shippable order (OrderModel, is_preorder) for a fully paid pre-order and link the pre-order's VNPay payments
+ * to it. Called right after the remaining payment is recorded (PaymentService, same session) and by admin for pre-orders
+ * that were paid before linked orders existed or had no receiver info.
+ *
+ * Business rules:
+ * - Pre-order must be READY_FOR_FULFILLMENT and not linked yet
+ * - Receiver: pre-order receiver_* → receiver override (admin) → customer profile; phone must be 0xxxxxxxxx
+ * - Order starts at PAID (VNPAY, total_price = pre-order totalAmount, no shipping fee); one detail line for the fruit type
+ * - expected_ship_date = start of the delivery slot picked by the customer, otherwise max(today, estimatedHarvestDate) + PREORDER_SHIP_LEAD_DAYS
+ *
+ * @param {string} preOrderId - Pre-order document ID
+ * @param {Object} [options]
+ * @param {Object} [options.session] - MongoDB client session
+ * @param {Object} [options.receiver] - { receiver_name, receiver_phone, receiver_address } override
+ * @param {Object} [options.actor] - { changedBy, role } recorded in the order's first status_history entry
+ * @param {boolean} [options.skipIfIncomplete] - Return null instead of throwing when receiver info is missing
+ *   (checked before any write; admin creates the order later). Any other error is thrown so the caller's transaction aborts.
+ * @returns {Promise<Object|null>} Created order (lean)
+ */
+async function createOrderFromPreOrder(preOrderId, { session = null, receiver = {}, actor = {}, skipIfIncomplete = false } = {}) {
+  // Order + detail + payment links are written together: without a caller session, run in our own transaction
+  if (!session) {
+    const ownSession = await mongoose.startSession();
+    try {
+      let order = null;
+      await ownSession.withTransaction(async () => {
+        order = await createOrderFromPreOrder(preOrderId, { session: ownSession, receiver, actor, skipIfIncomplete });
+      });
+      return order;
+    } finally {
+      ownSession.endSession();
+    }
+  }
+
+  const po = await PreOrderModel.findById(preOrderId).session(session).lean();
+  if (!po) throw new Error("Pre-order not found");
+  if (po.order_id) throw new Error("This pre-order already has a linked order");
+  if (po.status !== "READY_FOR_FULFILLMENT") {
+    throw new Error("Only fully paid pre-orders (Ready for fulfillment) can be converted into an order. Current: " + (po.status || "unknown"));
+  }
+
+  const [fruitType, user, deliverySlot] = await Promise.all([
+    FruitTypeModel.findById(po.fruitTypeId).session(session).lean(),
+    UserModel.findById(po.userId).select("user_name fullName phone address").session(session).lean(),
+    po.deliverySlotId ? PreOrderDeliverySlotModel.findById(po.deliverySlotId).session(session).lean() : null,
+  ]);
+  if (!fruitType) throw new Error("Fruit type not found");
+
+  const pick = (...values) => values.map((v) => (v == null ? "" : String(v).trim())).find(Boolean) || "";
+  const receiverName = pick(receiver.receiver_name, po.receiver_name, user?.fullName, user?.user_name);
+  const receiverPhone = pick(receiver.receiver_phone, po.receiver_phone, user?.phone);
+  const receiverAddress = pick(receiver.receiver_address, po.receiver_address, user?.address);
+  if (!receiverName || !receiverAddress || !/^0\d{9}$/.test(receiverPhone)) {
+    if (skipIfIncomplete) return null;
+    throw new Error("Receiver name, phone (0xxxxxxxxx) and address are required to create the delivery order");
+  }
+
+  const OrderWorkflow = require("./orderWorkflow");
+  const paidStatus = await OrderWorkflow.findStatusByName("PAID", session);
+  if (!paidStatus) throw new Error("Missing order status");
+
+  const shipFrom = new Date(Math.max(Date.now(), new Date(fruitType.estimatedHarvestDate || 0).getTime()));
+  const expectedShipDate = deliverySlot
+    ? new Date(deliverySlot.startAt)
+    : new Date(shipFrom.getTime() + PREORDER_SHIP_LEAD_DAYS * 24 * 60 * 60 * 1000);
+  const totalAmount = po.totalAmount || 0;
+  const quantityKg = po.settlement?.actualKg || po.quantityKg || 0;
+
+  const [order] = await OrderModel.create(
+    [
+      {
+        user_id: po.userId,
+        total_price: totalAmount,
+        receiver_name: receiverName,
+        receiver_phone: receiverPhone,
+        receiver_address: receiverAddress,
+        note: `Pre-order ${po._id.toString()}`,
+        order_status_id: paidStatus._id,
+        status_history: [
+          {
+            to_status: paidStatus._id,
+            changed_by: actor.changedBy || po.userId,
+            changed_by_role: ["admin", "sales-staff"].includes(actor.role) ? actor.role : "customer",
+            note: "Created from fully paid pre-order",
+            changed_at: new Date(),
+          },
+        ],
+        is_preorder: true,
+        pre_order_id: po._id,
+        expected_ship_date: expectedShipDate,
+        payment_method: "VNPAY",
+        shipping_fee: 0,
+        status: true,
+      },
+    ],
+    { session }
+  );
+  await OrderDetailModel.create(
+    [
+      {
+        order_id: order._id,
+        fruit_type_id: fruitType._id,
+        product_name: fruitType.name,
+        product_image: fruitType.images?.[0] || fruitType.image || undefined,
+        quantity: quantityKg,
+        price: quantityKg > 0 ? totalAmount / quantityKg : 0,
+        original_price: fruitType.estimatedPrice,
+      },
+    ],
+    { session }
+  );
+  await PaymentModel.updateMany(
+    { pre_order_id: po._id, type: "PAYMENT" },
+    { $set: { order_id: order._id } },
+    { session }
+  );
+  await PreOrderModel.updateOne({ _id: po._id }, { $set: { order_id: order._id } }, { session });
+  return order.toObject();
+}
+
 /**
  * Admin: mark pre-order as COMPLETED when delivery is done. Allowed only when current status is READY_FOR_FULFILLMENT.
+ * Pre-orders with a linked order are completed through the order flow instead.
  *
  * Flow:
  * 1. Load pre-order; validate exists and status === READY_FOR_FULFILLMENT
@@ -377,15 +709,19 @@ async function fulfillRemainingPayment(remainingIntentId, session) {
  * 3. Return updated document with populated userId and fruitTypeId
  *
  * @param {string} preOrderId - Pre-order document ID
+ * @param {Object} [actor] - { changedBy, role, reason } recorded in status_history
  * @returns {Promise<{ status: string, data: Object }>}
  */
-async function markPreOrderCompleted(preOrderId) {
+async function markPreOrderCompleted(preOrderId, actor = {}) {
   const po = await PreOrderModel.findById(preOrderId).lean();
   if (!po) throw new Error("Pre-order not found");
   if (po.status !== "READY_FOR_FULFILLMENT") {
     throw new Error("Only orders with status Ready for fulfillment can be marked completed. Current: " + (po.status || "unknown"));
   }
-  await PreOrderModel.updateOne({ _id: preOrderId }, { $set: { status: "COMPLETED" } });
+  if (po.order_id) {
+    throw new Error("This pre-order ships through order " + po.order_id.toString() + ". Complete it from the order (Shipping → Completed).");
+  }
+  await PreOrderModel.updateOne({ _id: preOrderId }, buildStatusChange(po.status, "COMPLETED", actor));
   const FruitTypeService = require("./FruitTypeService");
   const fruitTypeId = po.fruitTypeId && (po.fruitTypeId._id || po.fruitTypeId);
   if (fruitTypeId) {
@@ -397,38 +733,142 @@ async function markPreOrderCompleted(preOrderId) {
 }
 
 /**
- * Admin: mark pre-order as Refund (customer contacted for refund; refund handled outside system).
- * Allowed from any status except already REFUND.
+ * Admin: mark pre-order as Refund and queue a VNPay refund of what the customer is still owed.
+ * Allowed from REFUNDABLE_BY_ADMIN_STATUSES; pre-orders with a linked order are refunded by cancelling / refunding that order.
+ *
+ * Business rules:
+ * - CANCELLED only when an admin cancelled it (markPreOrderCancelled, no refund); customer / overdue cancellations already
+ *   went through the cancellation refund policy and their forfeited part must not be refunded
+ * - Amount = recorded VNPay payments - allocationRefundAmount (PRO_RATA) - forfeitedAmount, spread over the payments
+ *   (RefundService.enqueueRefunds skips fully refunded ones); jobs/vnpayRefundJob sends it to VNPay
+ * - Pre-orders paid before payments were recorded have nothing to queue; their refund stays manual (refunds = [])
  *
  * @param {string} preOrderId - Pre-order document ID
- * @returns {Promise<{ status: string, data: Object }>}
+ * @param {Object} [actor] - { changedBy, role, reason } recorded in status_history
+ * @returns {Promise<{ status: string, data: Object, refunds: Object[] }>}
  */
-async function markPreOrderRefunded(preOrderId) {
+async function markPreOrderRefunded(preOrderId, actor = {}) {
   const po = await PreOrderModel.findById(preOrderId).lean();
   if (!po) throw new Error("Pre-order not found");
   if (po.status === "REFUND") {
     throw new Error("This pre-order is already marked as Refund.");
   }
-  await PreOrderModel.updateOne({ _id: preOrderId }, { $set: { status: "REFUND" } });
-  const FruitTypeService = require("./FruitTypeService");
+  if (!REFUNDABLE_BY_ADMIN_STATUSES.includes(po.status)) {
+    throw new Error("This pre-order cannot be marked as Refund. Current: " + (po.status || "unknown"));
+  }
+  if (po.order_id) {
+    throw new Error("This pre-order ships through order " + po.order_id.toString() + ". Cancel or refund that order instead.");
+  }
+  if (po.status === "CANCELLED" && wasCancelledWithRefundPolicy(po)) {
+    throw new Error("This pre-order was cancelled under the cancellation policy; its refundable part has already been queued.");
+  }
+
+  const RefundService = require("./RefundService");
+  const refunds = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      refunds.length = 0;
+      const res = await PreOrderModel.updateOne(
+        { _id: po._id, status: po.status },
+        buildStatusChange(po.status, "REFUND", actor),
+        { session }
+      );
+      if (res.matchedCount === 0) throw new Error("This pre-order has just changed status. Please reload and try again.");
+      const payments = await PaymentModel.find({
+        pre_order_id: po._id,
+        type: "PAYMENT",
+        method: "VNPAY",
+        status: "SUCCESS",
+      })
+        .sort({ createdAt: 1 })
+        .session(session);
+      if (payments.length === 0) return;
+      let paid = 0;
+      let refundable = 0;
+      for (const payment of payments) {
+        paid += payment.amount || 0;
+        refundable += Math.max(0, await RefundService.getRefundableAmount(payment, session));
+      }
+      const owed = paid - (po.allocationRefundAmount || 0) - (po.forfeitedAmount || 0);
+      const amount = Math.min(refundable, owed);
+      if (amount <= 0) return;
+      const created = await RefundService.enqueueRefunds({
+        payments,
+        amount,
+        note: "Pre-order refunded – pending VNPay refund",
+        session,
+      });
+      refunds.push(...created.map((r) => r.toObject()));
+    });
+  } finally {
+    session.endSession();
+  }
   const fruitTypeId = po.fruitTypeId && (po.fruitTypeId._id || po.fruitTypeId);
-  if (fruitTypeId) {
-    FruitTypeService.maybeSetInactiveWhenDemandZero(fruitTypeId).catch((e) =>
-      console.warn("FruitTypeService.maybeSetInactiveWhenDemandZero failed:", e.message)
-    );
+  if (fruitTypeId) offerFreedCapacityOrClose(fruitTypeId);
+  return {
+    status: "OK",
+    data: await PreOrderModel.findById(preOrderId).populate("userId", "user_name email").populate("fruitTypeId", "name estimatedPrice").lean(),
+    refunds,
+  };
+}
+
+/**
+ * Whether a CANCELLED pre-order went through cancelPreOrder / cancelOverduePreOrder (refund + forfeit already applied)
+ * rather than an admin cancellation without refund.
+ * @param {Object} po - Pre-order (lean)
+ * @returns {boolean}
+ */
+function wasCancelledWithRefundPolicy(po) {
+  if ((po.forfeitedAmount || 0) > 0) return true;
+  const entry = [...(po.status_history || [])].reverse().find((h) => h.to_status === "CANCELLED");
+  return !!entry && (entry.changed_by_role === "customer" || entry.changed_by_role === "system");
+}
+
+/**
+ * After a pre-order left demand (cancelled): recompute allocatedKg if it was allocated, offer the freed kg to the
+ * waitlist and, when nobody was offered, close the fruit type if demand reached 0.
+ * @param {Object} po - Pre-order as it was before cancellation (lean)
+ */
+async function releaseCancelledPreOrder(po) {
+  const fruitTypeId = po.fruitTypeId && (po.fruitTypeId._id || po.fruitTypeId);
+  if (!fruitTypeId) return;
+
+  if (po.status === "ALLOCATED_WAITING_PAYMENT") {
+    const PreOrderAllocationService = require("./PreOrderAllocationService");
+    await PreOrderAllocationService.syncAllocatedKg(fruitTypeId);
   }
-  return { status: "OK", data: await PreOrderModel.findById(preOrderId).populate("userId", "user_name email").populate("fruitTypeId", "name estimatedPrice").lean() };
+
+  offerFreedCapacityOrClose(fruitTypeId);
+}
+
+/**
+ * Capacity freed → offer it to the waitlist first; only when nobody was offered may the fruit type be closed
+ * for zero demand (otherwise the offered customers could not pay their deposit). Runs in the background.
+ * @param {string|ObjectId} fruitTypeId
+ */
+function offerFreedCapacityOrClose(fruitTypeId) {
+  const PreOrderWaitlistService = require("./PreOrderWaitlistService");
+  const FruitTypeService = require("./FruitTypeService");
+  PreOrderWaitlistService.offerFreedCapacity(fruitTypeId)
+    .catch((e) => {
+      console.warn("PreOrderWaitlistService.offerFreedCapacity failed:", e.message);
+      return { offered: 0 };
+    })
+    .then(({ offered }) => (offered > 0 ? null : FruitTypeService.maybeSetInactiveWhenDemandZero(fruitTypeId)))
+    .catch((e) => console.warn("FruitTypeService.maybeSetInactiveWhenDemandZero failed:", e.message));
 }
 
 /**
  * Admin: mark pre-order as CANCELLED (business rule: e.g. overdue remaining payment, or admin decision).
  * Allowed only from WAITING_FOR_ALLOCATION, WAITING_FOR_NEXT_BATCH, ALLOCATED_WAITING_PAYMENT.
- * Customer cannot cancel pre-orders (use cancelPreOrder for customer path; it always throws).
+ * Admin cancellation does not refund the deposit by itself (use markPreOrderRefunded); customers cancel via cancelPreOrder.
  *
  * @param {string} preOrderId - Pre-order document ID
+ * @param {Object} [actor] - { changedBy, role, reason } recorded in status_history (jobs pass role "system")
  * @returns {Promise<{ status: string, data: Object }>}
  */
-async function markPreOrderCancelled(preOrderId) {
+async function markPreOrderCancelled(preOrderId, actor = {}) {
   const po = await PreOrderModel.findById(preOrderId).lean();
   if (!po) throw new Error("Pre-order not found");
   if (po.status === "CANCELLED") {
@@ -440,88 +880,107 @@ async function markPreOrderCancelled(preOrderId) {
         (po.status || "unknown")
     );
   }
-  const fruitTypeId = po.fruitTypeId && (po.fruitTypeId._id || po.fruitTypeId);
-  await PreOrderModel.updateOne({ _id: preOrderId }, { $set: { status: "CANCELLED" } });
+  await PreOrderModel.updateOne({ _id: preOrderId }, buildStatusChange(po.status, "CANCELLED", actor));
+  await releaseCancelledPreOrder(po);
+  return { status: "OK", data: await PreOrderModel.findById(preOrderId).populate("userId", "user_name email").populate("fruitTypeId", "name estimatedPrice").lean() };
+}
 
-  if (fruitTypeId && po.status === "ALLOCATED_WAITING_PAYMENT") {
-    const ftObjId = fruitTypeId._id || fruitTypeId;
-    const allocAgg = await PreOrderModel.aggregate([
-      {
-        $match: {
-          fruitTypeId: new mongoose.Types.ObjectId(ftObjId.toString()),
-          status: { $in: ["ALLOCATED_WAITING_PAYMENT", "READY_FOR_FULFILLMENT", "COMPLETED"] },
-        },
-      },
-      { $group: { _id: null, allocatedKg: { $sum: "$quantityKg" } } },
-    ]);
-    const newAllocatedKg = allocAgg[0]?.allocatedKg ?? 0;
-    await PreOrderAllocationModel.findOneAndUpdate(
-      { fruitTypeId: ftObjId },
-      { $set: { allocatedKg: newAllocatedKg } },
-      { new: true, upsert: true }
-    );
+/**
+ * Job: cancel a pre-order whose remaining payment deadline (paymentDueAt) has passed, applying its forfeit policy:
+ * overdueForfeitPercent of the deposit is kept, the rest is queued as VNPay refund (REFUND/PENDING payment).
+ *
+ * Business rules:
+ * - Pre-order must still be ALLOCATED_WAITING_PAYMENT and not paid (remainingPaidAt null)
+ * - Legacy pre-orders (no policy) forfeit the whole deposit, as before
+ * - Pre-orders paid before payments were recorded have nothing to queue; their refund stays manual (refunds = [])
+ *
+ * @param {string} preOrderId - Pre-order document ID
+ * @returns {Promise<{ status: string, data: Object, forfeitAmount: number, refundAmount: number, refunds: Object[] }>}
+ */
+async function cancelOverduePreOrder(preOrderId) {
+  const po = await PreOrderModel.findById(preOrderId).lean();
+  if (!po) throw new Error("Pre-order not found");
+  if (po.status !== "ALLOCATED_WAITING_PAYMENT" || po.remainingPaidAt) {
+    throw new Error("Only unpaid Allocated (waiting payment) pre-orders can be cancelled as overdue. Current: " + (po.status || "unknown"));
   }
+  const policy = getPreOrderPolicy(po);
+  const { forfeitAmount, refundAmount } = computeOverdueForfeit(po.depositPaid, policy);
 
-  const FruitTypeService = require("./FruitTypeService");
-  if (fruitTypeId) {
-    const fid = fruitTypeId._id || fruitTypeId;
-    FruitTypeService.maybeSetInactiveWhenDemandZero(fid).catch((e) =>
-      console.warn("FruitTypeService.maybeSetInactiveWhenDemandZero failed:", e.message)
-    );
+  const RefundService = require("./RefundService");
+  const refunds = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      refunds.length = 0;
+      await PreOrderModel.updateOne(
+        { _id: preOrderId },
+        buildStatusChange(
+          po.status,
+          "CANCELLED",
+          {
+            role: "system",
+            reason: `Remaining payment overdue (${policy.paymentDeadlineDays} days): ${policy.overdueForfeitPercent}% of deposit forfeited`,
+          },
+          { forfeitedAmount: forfeitAmount }
+        ),
+        { session }
+      );
+      if (refundAmount <= 0) return;
+      const payments = await PaymentModel.find({
+        pre_order_id: preOrderId,
+        type: "PAYMENT",
+        method: "VNPAY",
+        status: "SUCCESS",
+      })
+        .sort({ createdAt: 1 })
+        .session(session);
+      if (payments.length === 0) return;
+      const created = await RefundService.enqueueRefunds({
+        payments,
+        amount: refundAmount,
+        note: "Pre-order cancelled (payment overdue) – refundable part of deposit",
+        session,
+      });
+      refunds.push(...created.map((r) => r.toObject()));
+    });
+  } finally {
+    session.endSession();
   }
-  return { status: "OK", data: await PreOrderModel.findById(preOrderId).populate("userId", "user_name email").populate("fruitTypeId", "name estimatedPrice").lean() };
+  await releaseCancelledPreOrder(po);
+  return {
+    status: "OK",
+    data: await PreOrderModel.findById(preOrderId).lean(),
+    forfeitAmount,
+    refundAmount,
+    refunds,
+  };
 }
 
 /**
- * Simulate pre-order import: FIFO full-order fulfillment only.
+ * Simulate pre-order import with the fruit type's allocation strategy (PreOrderAllocationService.planAllocation).
+ * FIFO / PRIORITY_TIER: full-order fulfillment only, in the strategy's queue order.
+ * PRO_RATA: any quantity up to the waiting demand is usable (orders are partially filled at allocation).
  * Used before confirming an import to get recommended quantity and reject excess.
  *
  * @param {string} fruitTypeId - Fruit type document ID
  * @param {number} supplierAvailableQuantity - Quantity (kg) supplier has available
- * @returns {Promise<{ supplierAvailableQuantity: number, numberOfOrdersCanBeFulfilled: number, totalQuantityUsedForFulfillment: number, recommendedImportQuantity: number, excessQuantity: number }>}
+ * @returns {Promise<{ strategy: string, supplierAvailableQuantity: number, numberOfOrdersCanBeFulfilled: number, totalQuantityUsedForFulfillment: number, recommendedImportQuantity: number, excessQuantity: number }>}
  */
 async function simulatePreOrderImport(fruitTypeId, supplierAvailableQuantity) {
   const qty = Number(supplierAvailableQuantity);
   if (!Number.isFinite(qty) || qty < 0) {
     throw new Error("supplierAvailableQuantity must be a non-negative number");
   }
-  const ftObjId = new mongoose.Types.ObjectId(fruitTypeId);
-  const nextBatch = await PreOrderModel.find({
-    fruitTypeId: ftObjId,
-    status: "WAITING_FOR_NEXT_BATCH",
-  })
-    .sort({ createdAt: 1 })
-    .select("_id quantityKg")
-    .lean();
-  const waitingAlloc = await PreOrderModel.find({
-    fruitTypeId: ftObjId,
-    status: { $in: ["WAITING_FOR_ALLOCATION", "WAITING_FOR_PRODUCT"] },
-  })
-    .sort({ createdAt: 1 })
-    .select("_id quantityKg")
-    .lean();
-  const queue = [...nextBatch, ...waitingAlloc];
-
-  let available = qty;
-  let totalQuantityUsedForFulfillment = 0;
-  let numberOfOrdersCanBeFulfilled = 0;
-
-  for (const po of queue) {
-    const orderQty = po.quantityKg ?? 0;
-    if (orderQty <= 0) continue;
-    if (available >= orderQty) {
-      numberOfOrdersCanBeFulfilled += 1;
-      totalQuantityUsedForFulfillment += orderQty;
-      available -= orderQty;
-    } else {
-      break;
-    }
-  }
+  const PreOrderAllocationService = require("./PreOrderAllocationService");
+  const { strategy, queue } = await PreOrderAllocationService.getAllocationQueue(fruitTypeId);
+  const plan = PreOrderAllocationService.planAllocation(queue, qty, strategy);
 
-  const recommendedImportQuantity = totalQuantityUsedForFulfillment;
-  const excessQuantity = qty - totalQuantityUsedForFulfillment;
+  const numberOfOrdersCanBeFulfilled = plan.lines.filter((l) => l.allocatedKg > 0).length;
+  const recommendedImportQuantity = plan.allocatedKg;
+  const excessQuantity = qty - recommendedImportQuantity;
 
   return {
+    strategy,
     supplierAvailableQuantity: qty,
     numberOfOrdersCanBeFulfilled,
     totalQuantityUsedForFulfillment: recommendedImportQuantity,
@@ -671,13 +1130,17 @@ module.exports = {
   getMyPreOrders,
   getAdminPreOrderList,
   getAdminPreOrderDetail,
+  getPreOrderTimeline,
   createRemainingPaymentIntent,
   cancelPreOrder,
+  getCancellationQuote,
   fulfillPaymentIntent,
   fulfillRemainingPayment,
+  createOrderFromPreOrder,
   markPreOrderCompleted,
   markPreOrderRefunded,
   markPreOrderCancelled,
+  cancelOverduePreOrder,
   simulatePreOrderImport,
   getPreOrderStats,
   CANCEL_WINDOW_HOURS,
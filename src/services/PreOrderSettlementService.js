@@ -0,0 +1,298 @@
+/**
+ * Pre-order Settlement Service
+ *
+ * Actual-weight settlement after harvest: admin enters the final price per kg (per fruit type) and the actual kg
+ * delivered per pre-order; quantityKg and totalAmount are trued up before the customer pays the remaining balance
+ * (the linked delivery order and allocatedKg use the actual kg).
+ *
+ * This service handles:
+ * - computeSettlement: pure calculation (final total, balance due, credit when the deposit exceeds the final total)
+ * - previewSettlement: dry-run for all allocated, unpaid pre-orders of a fruit type
+ * - settlePreOrders: write the settlement; balance due → paid by createRemainingPaymentIntent,
+ *   credit → VNPay refund of the difference and the pre-order is fully paid (READY_FOR_FULFILLMENT + linked order)
+ *
+ * Only ALLOCATED_WAITING_PAYMENT pre-orders whose remaining balance is not paid can be settled; settling again
+ * (admin correction) is allowed until the customer pays. estimatedTotalAmount always keeps the price at order time.
+ *
+ * @module services/PreOrderSettlementService
+ */
+
+const mongoose = require("mongoose");
+const FruitTypeModel = require("../models/FruitTypeModel");
+const PreOrderModel = require("../models/PreOrderModel");
+const PreOrderRemainingPaymentModel = require("../models/PreOrderRemainingPaymentModel");
+const PaymentModel = require("../models/PaymentModel");
+const UserModel = require("../models/UserModel");
+const NotificationService = require("./NotificationService");
+const { buildStatusChange } = require("./preorderStatusHistory");
+
+const SETTLEABLE_STATUS = "ALLOCATED_WAITING_PAYMENT";
+
+/**
+ * Settlement of one pre-order (pure).
+ *
+ * @param {Object} po - Pre-order (totalAmount, depositPaid, settlement)
+ * @param {number} finalPricePerKg
+ * @param {number} actualKg
+ * @returns {{ estimatedTotalAmount: number, finalPricePerKg: number, actualKg: number, finalTotal: number, adjustment: number, balanceDue: number, creditAmount: number }}
+ */
+function computeSettlement(po, finalPricePerKg, actualKg) {
+  const estimatedTotalAmount = po.settlement?.estimatedTotalAmount ?? po.totalAmount ?? 0;
+  const depositPaid = po.depositPaid ?? 0;
+  const finalTotal = Math.round(finalPricePerKg * actualKg);
+  return {
+    estimatedTotalAmount,
+    finalPricePerKg,
+    actualKg,
+    finalTotal,
+    adjustment: finalTotal - estimatedTotalAmount,
+    balanceDue: Math.max(0, finalTotal - depositPaid),
+    creditAmount: Math.max(0, depositPaid - finalTotal),
+  };
+}
+
+/**
+ * Validate input and build settlement lines for the fruit type's allocated, unpaid pre-orders.
+ * items omitted → every settleable pre-order with actualKg = quantityKg; items given → only those pre-orders.
+ */
+async function buildSettlementLines({ fruitTypeId, finalPricePerKg, items }) {
+  if (!mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+  const fruitType = await FruitTypeModel.findById(fruitTypeId).select("name estimatedPrice").lean();
+  if (!fruitType) throw new Error("Fruit type not found");
+  const price = Number(finalPricePerKg);
+  if (finalPricePerKg == null || finalPricePerKg === "" || Number.isNaN(price) || price < 0) {
+    throw new Error("Final price per kg must be a valid number greater than or equal to 0");
+  }
+
+  const preOrders = await PreOrderModel.find({
+    fruitTypeId,
+    status: SETTLEABLE_STATUS,
+    remainingPaidAt: null,
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  const byId = new Map(preOrders.map((po) => [po._id.toString(), po]));
+
+  let selected = preOrders.map((po) => ({ po, actualKg: po.quantityKg }));
+  if (Array.isArray(items) && items.length > 0) {
+    const seen = new Set();
+    selected = items.map((item) => {
+      const id = String(item?.preOrderId || "");
+      const po = byId.get(id);
+      if (!po) throw new Error(`Pre-order ${id} is not allocated and waiting for payment for this fruit type`);
+      if (seen.has(id)) throw new Error(`Pre-order ${id} is listed more than once`);
+      seen.add(id);
+      const kg = item.actualKg == null || item.actualKg === "" ? po.quantityKg : Number(item.actualKg);
+      if (Number.isNaN(kg) || kg <= 0) throw new Error(`Actual kg of pre-order ${id} must be greater than 0`);
+      return { po, actualKg: kg };
+    });
+  }
+  if (selected.length === 0) throw new Error("No allocated pre-orders waiting for payment to settle");
+
+  const lines = selected.map(({ po, actualKg }) => ({
+    preOrderId: po._id,
+    userId: po.userId,
+    quantityKg: po.quantityKg,
+    depositPaid: po.depositPaid ?? 0,
+    alreadySettled: !!po.settlement,
+    ...computeSettlement(po, price, actualKg),
+  }));
+  const totals = lines.reduce(
+    (acc, l) => ({
+      estimatedTotal: acc.estimatedTotal + l.estimatedTotalAmount,
+      finalTotal: acc.finalTotal + l.finalTotal,
+      balanceDue: acc.balanceDue + l.balanceDue,
+      creditAmount: acc.creditAmount + l.creditAmount,
+    }),
+    { estimatedTotal: 0, finalTotal: 0, balanceDue: 0, creditAmount: 0 }
+  );
+  return { fruitType, finalPricePerKg: price, lines, totals };
+}
+
+/**
+ * Admin: dry-run settlement – what each customer will pay or get back. Nothing is written.
+ *
+ * @param {Object} params - { fruitTypeId, finalPricePerKg, items: [{ preOrderId, actualKg }] }
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function previewSettlement(params) {
+  const { fruitType, finalPricePerKg, lines, totals } = await buildSettlementLines(params);
+  const users = await UserModel.find({ _id: { $in: lines.map((l) => l.userId) } })
+    .select("user_name email")
+    .lean();
+  const userById = new Map(users.map((u) => [u._id.toString(), u]));
+  return {
+    status: "OK",
+    data: {
+      fruitTypeId: fruitType._id,
+      fruitTypeName: fruitType.name,
+      estimatedPricePerKg: fruitType.estimatedPrice,
+      finalPricePerKg,
+      lines: lines.map((l) => ({ ...l, customer: userById.get(l.userId.toString()) || null })),
+      totals,
+    },
+  };
+}
+
+/** Apply one settlement line in its own transaction. Returns the queued refunds (credit case). */
+async function applySettlementLine(line, actor) {
+  const RefundService = require("./RefundService");
+  const PreOrderService = require("./PreOrderService");
+  const settlement = {
+    estimatedTotalAmount: line.estimatedTotalAmount,
+    finalPricePerKg: line.finalPricePerKg,
+    actualKg: line.actualKg,
+    finalTotal: line.finalTotal,
+    balanceDue: line.balanceDue,
+    creditAmount: line.creditAmount,
+    settledBy: actor.changedBy || null,
+    settledAt: new Date(),
+  };
+  const refunds = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      refunds.length = 0;
+      // Khách đang thanh toán phần còn lại theo số tiền cũ → không đổi số tiền giữa chừng
+      const paying = await PreOrderRemainingPaymentModel.exists({
+        preOrderId: line.preOrderId,
+        status: "PENDING",
+        expiresAt: { $gt: new Date() },
+      }).session(session);
+      if (paying) throw new Error("Customer is paying the remaining balance right now. Try again in a few minutes.");
+
+      const filter = { _id: line.preOrderId, status: SETTLEABLE_STATUS, remainingPaidAt: null };
+      if (line.balanceDue > 0) {
+        const res = await PreOrderModel.updateOne(
+          filter,
+          { $set: { quantityKg: line.actualKg, totalAmount: line.finalTotal, settlement } },
+          { session }
+        );
+        if (res.matchedCount === 0) throw new Error("Pre-order is no longer waiting for payment");
+        return;
+      }
+
+      // Cọc đã đủ (hoặc dư) → coi như đã thanh toán đủ, hoàn phần dư
+      const res = await PreOrderModel.updateOne(
+        filter,
+        buildStatusChange(
+          SETTLEABLE_STATUS,
+          "READY_FOR_FULFILLMENT",
+          {
+            ...actor,
+            reason:
+              line.creditAmount > 0
+                ? `Settled at ${line.actualKg} kg: deposit exceeds final total, ${line.creditAmount} refunded`
+                : `Settled at ${line.actualKg} kg: deposit covers final total`,
+          },
+          { quantityKg: line.actualKg, totalAmount: line.finalTotal, settlement, remainingPaidAt: new Date() }
+        ),
+        { session }
+      );
+      if (res.matchedCount === 0) throw new Error("Pre-order is no longer waiting for payment");
+      if (line.creditAmount > 0) {
+        const payments = await PaymentModel.find({
+          pre_order_id: line.preOrderId,
+          type: "PAYMENT",
+          method: "VNPAY",
+          status: "SUCCESS",
+        })
+          .sort({ createdAt: 1 })
+          .session(session);
+        // Pre-order cũ chưa ghi payment → hoàn thủ công (refunds = [])
+        if (payments.length > 0) {
+          const created = await RefundService.enqueueRefunds({
+            payments,
+            amount: line.creditAmount,
+            note: "Pre-order settlement – deposit exceeds final total",
+            session,
+          });
+          refunds.push(...created.map((r) => r.toObject()));
+        }
+      }
+      // Thiếu thông tin người nhận → admin tạo đơn sau; lỗi khác huỷ cả transaction chốt giá
+      const order = await PreOrderService.createOrderFromPreOrder(line.preOrderId, {
+        session,
+        actor,
+        skipIfIncomplete: true,
+      });
+      if (!order) {
+        console.warn("Create order from settled pre-order skipped (missing receiver info):", line.preOrderId.toString());
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  const formatVnd = (n) => Number(n).toLocaleString("vi-VN");
+  try {
+    await NotificationService.sendToUser(line.userId.toString(), {
+      title: "Pre-order final price settled",
+      body:
+        line.balanceDue > 0
+          ? `Final total for ${line.actualKg} kg: ${formatVnd(line.finalTotal)} VND. Remaining to pay: ${formatVnd(line.balanceDue)} VND.`
+          : line.creditAmount > 0
+            ? `Final total for ${line.actualKg} kg: ${formatVnd(line.finalTotal)} VND. Your deposit covers it; ${formatVnd(line.creditAmount)} VND will be refunded.`
+            : `Final total for ${line.actualKg} kg: ${formatVnd(line.finalTotal)} VND. Your deposit covers it, nothing more to pay.`,
+      data: { type: "preorder", preOrderId: line.preOrderId.toString(), action: "view_my_preorders" },
+    });
+  } catch (e) {
+    console.warn("PreOrder settlement notify skip:", e.message);
+  }
+  return refunds;
+}
+
+/**
+ * Admin: settle pre-orders of a fruit type with the final price per kg and actual kg per pre-order.
+ * Each pre-order is settled in its own transaction (quantityKg becomes the actual kg); failures are reported per
+ * pre-order and do not stop the others. ERR when no pre-order could be settled, partial = true when some failed.
+ *
+ * @param {Object} params
+ * @param {string} params.fruitTypeId
+ * @param {number} params.finalPricePerKg
+ * @param {Array<{ preOrderId: string, actualKg: number }>} [params.items] - Omitted = all settleable pre-orders at their allocated kg
+ * @param {Object} [params.actor] - { changedBy, role } recorded in status_history / settlement.settledBy
+ * @returns {Promise<{ status: string, message: string, data: Object }>}
+ */
+async function settlePreOrders({ fruitTypeId, finalPricePerKg, items, actor = {} }) {
+  const { fruitType, lines, totals } = await buildSettlementLines({ fruitTypeId, finalPricePerKg, items });
+  const settled = [];
+  const failed = [];
+  for (const line of lines) {
+    try {
+      const refunds = await applySettlementLine(line, actor);
+      settled.push({ ...line, refunds });
+    } catch (err) {
+      failed.push({ preOrderId: line.preOrderId, message: err.message });
+    }
+  }
+  // Actual kg khác kg đã phân bổ → cập nhật allocatedKg của loại trái
+  if (settled.some((l) => l.actualKg !== l.quantityKg)) {
+    const PreOrderAllocationService = require("./PreOrderAllocationService");
+    await PreOrderAllocationService.syncAllocatedKg(fruitType._id);
+  }
+  const partial = settled.length > 0 && failed.length > 0;
+  return {
+    status: settled.length === 0 ? "ERR" : "OK",
+    message:
+      settled.length === 0
+        ? "No pre-order could be settled"
+        : partial
+          ? `Settled ${settled.length} of ${lines.length} pre-orders; ${failed.length} failed`
+          : `Settled ${settled.length} pre-orders`,
+    data: {
+      fruitTypeId: fruitType._id,
+      finalPricePerKg: Number(finalPricePerKg),
+      partial,
+      settled,
+      failed,
+      totals,
+    },
+  };
+}
+
+module.exports = {
+  computeSettlement,
+  previewSettlement,
+  settlePreOrders,
+};
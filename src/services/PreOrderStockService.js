@@ -8,6 +8,7 @@
  * - Warehouse receive by fruit type: increment receivedKg; total received must not exceed demand; requires confirmed: true
  * - Warehouse receive by batch (PreOrderHarvestBatch): partial receives allowed; total received must not exceed demand
  * - List receive history with optional filters and pagination
+ * - Pick list per delivery slot for warehouse staff (paid pre-orders booked on the slot, totals by fruit type)
  *
  * Total received for a fruit type must not exceed total demand. Each receive requires explicit confirmation (confirmed: true).
  *
@@ -22,6 +23,7 @@ const PreOrderAllocationModel = require("../models/PreOrderAllocationModel");
 const PreOrderModel = require("../models/PreOrderModel");
 const FruitTypeModel = require("../models/FruitTypeModel");
 const HarvestBatchModel = require("../models/HarvestBatchModel");
+const PreOrderDeliverySlotModel = require("../models/PreOrderDeliverySlotModel");
 const PreOrderService = require("./PreOrderService");
 
 /** Statuses that count toward demand. */
@@ -105,8 +107,9 @@ async function listStock() {
 
 /**
  * Warehouse staff: record a receive into pre-order stock by fruit type.
- * FULL ORDER FULFILLMENT ONLY: import is allowed only when supplierAvailableQuantity equals
- * the quantity needed to fully fulfill N orders (FIFO). No partial fulfillment, no excess inventory.
+ * FULL ORDER FULFILLMENT ONLY (FIFO / PRIORITY_TIER): import is allowed only when supplierAvailableQuantity equals
+ * the quantity needed to fully fulfill N orders in the strategy's queue order. PRO_RATA fruit types accept any quantity
+ * up to the waiting demand. No excess inventory.
  *
  * @param {Object} params - Input parameters
  * @param {string} params.fruitTypeId - Fruit type document ID
@@ -384,10 +387,66 @@ async function getReceivedKgByFruitType(fruitTypeId) {
   return (s?.receivedKg ?? 0);
 }
 
+/** Paid pre-orders that still have to be picked / were delivered in a slot. */
+const PICK_LIST_STATUSES = ["READY_FOR_FULFILLMENT", "COMPLETED"];
+
+/**
+ * Warehouse staff: pick list of a delivery slot – paid pre-orders booked on the slot with receiver and kg to pick,
+ * plus totals per fruit type. Kg = actual kg after settlement, otherwise the allocated quantityKg.
+ *
+ * @param {string} slotId - PreOrderDeliverySlot document ID
+ * @returns {Promise<{ status: string, data: { slot: Object, byFruitType: Array, lines: Array, totalKg: number, totalPreOrders: number } }>}
+ */
+async function getDeliverySlotPickList(slotId) {
+  if (!mongoose.isValidObjectId(slotId)) throw new Error("Delivery slot not found");
+  const slot = await PreOrderDeliverySlotModel.findById(slotId).populate("fruitTypeId", "name").lean();
+  if (!slot) throw new Error("Delivery slot not found");
+
+  const preOrders = await PreOrderModel.find({ deliverySlotId: slot._id, status: { $in: PICK_LIST_STATUSES } })
+    .populate("fruitTypeId", "name")
+    .populate("userId", "user_name fullName phone address")
+    .sort({ fruitTypeId: 1, remainingPaidAt: 1 })
+    .lean();
+
+  const lines = preOrders.map((po) => ({
+    preOrderId: po._id,
+    orderId: po.order_id || null,
+    status: po.status,
+    fruitTypeId: po.fruitTypeId?._id || po.fruitTypeId,
+    fruitTypeName: po.fruitTypeId?.name || "",
+    quantityKg: po.settlement?.actualKg || po.quantityKg || 0,
+    receiverName: po.receiver_name || po.userId?.fullName || po.userId?.user_name || "",
+    receiverPhone: po.receiver_phone || po.userId?.phone || "",
+    receiverAddress: po.receiver_address || po.userId?.address || "",
+  }));
+
+  const byFruit = {};
+  lines.forEach((l) => {
+    const key = l.fruitTypeId.toString();
+    byFruit[key] = byFruit[key] || { fruitTypeId: l.fruitTypeId, fruitTypeName: l.fruitTypeName, preOrders: 0, totalKg: 0, pendingKg: 0 };
+    byFruit[key].preOrders += 1;
+    byFruit[key].totalKg += l.quantityKg;
+    // Kg còn phải soạn (đơn đã giao xong không cần lấy hàng nữa)
+    if (l.status === "READY_FOR_FULFILLMENT") byFruit[key].pendingKg += l.quantityKg;
+  });
+
+  return {
+    status: "OK",
+    data: {
+      slot,
+      byFruitType: Object.values(byFruit).sort((a, b) => a.fruitTypeName.localeCompare(b.fruitTypeName)),
+      lines,
+      totalKg: lines.reduce((sum, l) => sum + l.quantityKg, 0),
+      totalPreOrders: lines.length,
+    },
+  };
+}
+
 module.exports = {
   listStock,
   createReceive,
   createReceiveByBatch,
   listReceives,
   getReceivedKgByFruitType,
+  getDeliverySlotPickList,
 };
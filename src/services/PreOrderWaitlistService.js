@@ -0,0 +1,420 @@
+/**
+ * Pre-order Waitlist Service
+ *
+ * Per-fruit-type capacity (capacityKg = expected yield) and the waitlist customers join once capacity is reached.
+ *
+ * This service handles:
+ * - Capacity: committedKg (pre-orders not CANCELLED/REFUND) + reservedKg (pending deposit intents, open waitlist offers)
+ * - Capacity check when a customer creates a deposit intent (a valid offer adds its kg for that customer)
+ * - Customer: join / leave the waitlist, list my entries
+ * - Offering freed kg to WAITING entries in join order (offer expires after WAITLIST_OFFER_EXPIRE_HOURS) by FCM + email
+ * - Expiring offers and closing waitlists of fruit types that stopped taking pre-orders (jobs/preorderWaitlistJob)
+ *
+ * Freed kg = pre-order cancelled (admin / preorderCancelOverdueJob) or refunded, offer expired, capacity raised by admin.
+ *
+ * @module services/PreOrderWaitlistService
+ */
+
+const mongoose = require("mongoose");
+const FruitTypeModel = require("../models/FruitTypeModel");
+const PreOrderModel = require("../models/PreOrderModel");
+const PreOrderPaymentIntentModel = require("../models/PreOrderPaymentIntentModel");
+const PreOrderWaitlistModel = require("../models/PreOrderWaitlistModel");
+const UserModel = require("../models/UserModel");
+const NotificationService = require("./NotificationService");
+const CustomerEmailService = require("./CustomerEmailService");
+const { isPreOrderLockedByHarvest, parseCapacityKg } = require("./FruitTypeService");
+
+/** Hours a customer has to pay the deposit after receiving a waitlist offer. */
+const WAITLIST_OFFER_EXPIRE_HOURS = 24;
+/** Pre-order statuses that no longer hold capacity. */
+const RELEASED_STATUSES = ["CANCELLED", "REFUND"];
+const ACTIVE_ENTRY_STATUSES = ["WAITING", "OFFERED"];
+
+/** In-memory lock: one offer round per fruit type at a time. */
+const offeringFruitIds = new Set();
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/** Fruit type still taking pre-orders (same rules as createPaymentIntentAndGetPayUrl). */
+function isOpenForPreOrder(fruitType) {
+  return (
+    !!fruitType &&
+    fruitType.allowPreOrder &&
+    fruitType.status === "ACTIVE" &&
+    !isPreOrderLockedByHarvest(fruitType.estimatedHarvestDate)
+  );
+}
+
+/**
+ * Capacity usage of a fruit type.
+ *
+ * @param {Object} fruitType - Lean fruit type (needs _id, capacityKg)
+ * @param {Object} [options]
+ * @param {string} [options.excludeIntentId] - Do not count this pending intent (the one the customer is retrying)
+ * @param {string} [options.excludeOfferId] - Do not count this waitlist offer (its kg is added back by the caller)
+ * @returns {Promise<{ capacityKg: number|null, committedKg: number, reservedKg: number, availableKg: number|null }>}
+ */
+async function getCapacityInfo(fruitType, { excludeIntentId, excludeOfferId } = {}) {
+  const ftObjId = toObjectId(fruitType._id);
+  const now = new Date();
+  const intentFilter = excludeIntentId ? { _id: { $ne: toObjectId(excludeIntentId) } } : {};
+  const offerFilter = excludeOfferId ? { _id: { $ne: toObjectId(excludeOfferId) } } : {};
+  const [committedAgg, intentAgg, offerAgg] = await Promise.all([
+    PreOrderModel.aggregate([
+      { $match: { fruitTypeId: ftObjId, status: { $nin: RELEASED_STATUSES } } },
+      { $group: { _id: null, kg: { $sum: "$quantityKg" } } },
+    ]),
+    PreOrderPaymentIntentModel.aggregate([
+      { $match: { fruitTypeId: ftObjId, status: "PENDING", expiresAt: { $gt: now }, ...intentFilter } },
+      { $group: { _id: null, kg: { $sum: "$quantityKg" } } },
+    ]),
+    PreOrderWaitlistModel.aggregate([
+      { $match: { fruitTypeId: ftObjId, status: "OFFERED", offerExpiresAt: { $gt: now }, ...offerFilter } },
+      { $group: { _id: null, kg: { $sum: "$offeredKg" } } },
+    ]),
+  ]);
+  const committedKg = committedAgg[0]?.kg ?? 0;
+  const reservedKg = (intentAgg[0]?.kg ?? 0) + (offerAgg[0]?.kg ?? 0);
+  const capacityKg = fruitType.capacityKg ?? null;
+  return {
+    capacityKg,
+    committedKg,
+    reservedKg,
+    availableKg: capacityKg == null ? null : Math.max(0, capacityKg - committedKg - reservedKg),
+  };
+}
+
+/**
+ * Check capacity before a deposit intent is created. A valid offer of this customer adds its offeredKg.
+ * A retry only frees the customer's latest pending intent for this fruit type (the caller expires it once the new
+ * intent exists); their other pending intents still count.
+ *
+ * @param {Object} params
+ * @param {Object} params.fruitType - Lean fruit type
+ * @param {string} params.userId
+ * @param {number} params.quantityKg
+ * @returns {Promise<{ waitlistEntryId: ObjectId|null, retriedIntentId: ObjectId|null }>}
+ * @throws {Error} When capacity is reached (customer should join the waitlist)
+ */
+async function assertCapacityForIntent({ fruitType, userId, quantityKg }) {
+  if (fruitType.capacityKg == null) return { waitlistEntryId: null, retriedIntentId: null };
+  const now = new Date();
+  const [offer, retriedIntent] = await Promise.all([
+    PreOrderWaitlistModel.findOne({
+      userId,
+      fruitTypeId: fruitType._id,
+      status: "OFFERED",
+      offerExpiresAt: { $gt: now },
+    }).lean(),
+    PreOrderPaymentIntentModel.findOne({
+      userId,
+      fruitTypeId: fruitType._id,
+      status: "PENDING",
+      expiresAt: { $gt: now },
+    })
+      .sort({ createdAt: -1 })
+      .select("_id")
+      .lean(),
+  ]);
+  const retriedIntentId = retriedIntent?._id || null;
+  const info = await getCapacityInfo(fruitType, { excludeIntentId: retriedIntentId, excludeOfferId: offer?._id });
+  const allowedKg = info.availableKg + (offer?.offeredKg || 0);
+  if (quantityKg > allowedKg) {
+    throw new Error(
+      allowedKg > 0
+        ? `Only ${allowedKg} kg of this fruit type can still be pre-ordered. Order less or join the waitlist.`
+        : "This fruit type has reached its pre-order capacity. Please join the waitlist."
+    );
+  }
+  return { waitlistEntryId: offer?._id || null, retriedIntentId };
+}
+
+/**
+ * Mark the offer used by a successful deposit as CONVERTED. Runs inside the VNPay callback session.
+ * @param {ObjectId} waitlistEntryId
+ * @param {ObjectId} preOrderId
+ * @param {Object} session
+ */
+async function markOfferConverted(waitlistEntryId, preOrderId, session) {
+  await PreOrderWaitlistModel.updateOne(
+    { _id: waitlistEntryId, status: { $in: ["OFFERED", "EXPIRED"] } },
+    { $set: { status: "CONVERTED", convertedPreOrderId: preOrderId } },
+    { session }
+  );
+}
+
+/**
+ * Customer: join the waitlist of a fruit type whose capacity is reached.
+ *
+ * Business rules:
+ * - Fruit type must be open for pre-order and have a capacity
+ * - quantityKg within minOrderKg..maxOrderKg
+ * - Only when the remaining capacity cannot cover quantityKg (otherwise pre-order directly)
+ * - One WAITING / OFFERED entry per customer and fruit type
+ *
+ * @param {string} userId
+ * @param {Object} params - { fruitTypeId, quantityKg }
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function joinWaitlist(userId, { fruitTypeId, quantityKg }) {
+  if (!mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+  const fruitType = await FruitTypeModel.findById(fruitTypeId).lean();
+  if (!fruitType) throw new Error("Fruit type not found");
+  if (!isOpenForPreOrder(fruitType)) throw new Error("This fruit type does not accept pre-orders");
+  if (fruitType.capacityKg == null) {
+    throw new Error("This fruit type has no capacity limit. Please pre-order directly.");
+  }
+  const qty = Number(quantityKg);
+  if (isNaN(qty) || qty < fruitType.minOrderKg || qty > fruitType.maxOrderKg) {
+    throw new Error("Quantity (kg) must be between " + fruitType.minOrderKg + " and " + fruitType.maxOrderKg);
+  }
+  const existing = await PreOrderWaitlistModel.findOne({
+    userId,
+    fruitTypeId,
+    status: { $in: ACTIVE_ENTRY_STATUSES },
+  }).lean();
+  if (existing) throw new Error("You are already on the waitlist for this fruit type");
+
+  const info = await getCapacityInfo(fruitType);
+  if (info.availableKg >= qty) {
+    throw new Error(`${info.availableKg} kg is still available. Please pre-order directly.`);
+  }
+
+  const entry = await PreOrderWaitlistModel.create({ userId, fruitTypeId, quantityKg: qty });
+  const position = await PreOrderWaitlistModel.countDocuments({
+    fruitTypeId,
+    status: "WAITING",
+    createdAt: { $lte: entry.createdAt },
+  });
+  return { status: "OK", data: { ...entry.toObject(), position } };
+}
+
+/**
+ * Customer: leave the waitlist (WAITING or OFFERED). A declined offer frees its kg for the next customer.
+ * @param {string} userId
+ * @param {string} entryId
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function leaveWaitlist(userId, entryId) {
+  if (!mongoose.isValidObjectId(entryId)) throw new Error("Waitlist entry not found");
+  const entry = await PreOrderWaitlistModel.findOneAndUpdate(
+    { _id: entryId, userId, status: { $in: ACTIVE_ENTRY_STATUSES } },
+    { $set: { status: "CANCELLED" } },
+    { new: true }
+  ).lean();
+  if (!entry) throw new Error("Waitlist entry not found");
+  if (entry.offeredKg) {
+    offerFreedCapacity(entry.fruitTypeId).catch((e) => console.warn("Waitlist offer after leave failed:", e.message));
+  }
+  return { status: "OK", data: entry };
+}
+
+/**
+ * Customer: my waitlist entries (newest first) with fruit type and, for WAITING entries, position in line.
+ * @param {string} userId
+ * @returns {Promise<{ status: string, data: Array }>}
+ */
+async function getMyWaitlist(userId) {
+  const entries = await PreOrderWaitlistModel.find({ userId })
+    .populate("fruitTypeId", "name estimatedPrice estimatedHarvestDate image images")
+    .sort({ createdAt: -1 })
+    .lean();
+  const data = await Promise.all(
+    entries.map(async (entry) => {
+      if (entry.status !== "WAITING") return entry;
+      const position = await PreOrderWaitlistModel.countDocuments({
+        fruitTypeId: entry.fruitTypeId?._id || entry.fruitTypeId,
+        status: "WAITING",
+        createdAt: { $lte: entry.createdAt },
+      });
+      return { ...entry, position };
+    })
+  );
+  return { status: "OK", data };
+}
+
+/**
+ * Admin: waitlist entries with optional fruit type / status filter and pagination (join order).
+ * @param {Object} [filters] - { fruitTypeId, status, page, limit }
+ * @returns {Promise<{ status: string, data: Array, pagination: Object }>}
+ */
+async function getWaitlist(filters = {}) {
+  const { fruitTypeId, status, page = 1, limit = 20 } = filters;
+  const query = {};
+  if (fruitTypeId) {
+    if (!mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+    query.fruitTypeId = fruitTypeId;
+  }
+  if (status) query.status = String(status).trim().toUpperCase();
+  const pageNum = Math.max(1, Number(page) || 1);
+  const limitNum = Math.max(1, Math.min(100, Number(limit) || 20));
+  const [data, total] = await Promise.all([
+    PreOrderWaitlistModel.find(query)
+      .populate("userId", "user_name email")
+      .populate("fruitTypeId", "name capacityKg")
+      .sort({ createdAt: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    PreOrderWaitlistModel.countDocuments(query),
+  ]);
+  return {
+    status: "OK",
+    data,
+    pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+  };
+}
+
+/**
+ * Admin: set the capacity (expected yield kg) of a fruit type; null removes the limit.
+ * Allowed while demand exists. Raising it offers the freed kg to the waitlist.
+ * @param {string} fruitTypeId
+ * @param {number|null} capacityKg
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function setCapacity(fruitTypeId, capacityKg) {
+  if (!mongoose.isValidObjectId(fruitTypeId)) throw new Error("Invalid fruitTypeId");
+  const value = parseCapacityKg(capacityKg);
+  const fruitType = await FruitTypeModel.findByIdAndUpdate(
+    fruitTypeId,
+    { $set: { capacityKg: value } },
+    { new: true }
+  ).lean();
+  if (!fruitType) throw new Error("Fruit type not found");
+  offerFreedCapacity(fruitType._id).catch((e) => console.warn("Waitlist offer after capacity change failed:", e.message));
+  return { status: "OK", data: { ...fruitType, capacity: await getCapacityInfo(fruitType) } };
+}
+
+/** FCM + email for a new offer; failures only logged. */
+async function notifyOffer(entry, fruitType) {
+  const hoursLabel = `${WAITLIST_OFFER_EXPIRE_HOURS} hours`;
+  try {
+    await NotificationService.sendToUser(entry.userId.toString(), {
+      title: "Pre-order spot available",
+      body: `${entry.offeredKg} kg of ${fruitType.name} is now reserved for you. Pay the deposit within ${hoursLabel} to secure it.`,
+      data: {
+        type: "preorder",
+        action: "view_waitlist",
+        fruitTypeId: fruitType._id.toString(),
+        waitlistEntryId: entry._id.toString(),
+      },
+    });
+  } catch (e) {
+    console.warn("Waitlist offer FCM skip:", e.message);
+  }
+  try {
+    const user = await UserModel.findById(entry.userId).select("email user_name").lean();
+    if (user?.email) {
+      await CustomerEmailService.sendPreOrderWaitlistOfferEmail(
+        user.email,
+        user.user_name,
+        fruitType.name,
+        entry.offeredKg,
+        entry.offerExpiresAt
+      );
+    }
+  } catch (e) {
+    console.warn("Waitlist offer email skip:", e.message);
+  }
+}
+
+/**
+ * Offer available kg of a fruit type to WAITING entries in join order.
+ * Each entry is offered min(quantityKg, available); stops at the first entry that would get less than minOrderKg
+ * (strict order: later customers are not served before earlier ones).
+ *
+ * @param {string|ObjectId} fruitTypeId
+ * @returns {Promise<{ offered: number }>}
+ */
+async function offerFreedCapacity(fruitTypeId) {
+  if (!fruitTypeId) return { offered: 0 };
+  const fid = fruitTypeId.toString();
+  if (offeringFruitIds.has(fid)) return { offered: 0 };
+  offeringFruitIds.add(fid);
+  try {
+    const fruitType = await FruitTypeModel.findById(fid).lean();
+    if (!isOpenForPreOrder(fruitType) || fruitType.capacityKg == null) return { offered: 0 };
+
+    let { availableKg } = await getCapacityInfo(fruitType);
+    const waiting = await PreOrderWaitlistModel.find({ fruitTypeId: fid, status: "WAITING" })
+      .sort({ createdAt: 1 })
+      .lean();
+    let offered = 0;
+    for (const entry of waiting) {
+      const kg = Math.min(entry.quantityKg, availableKg);
+      if (kg <= 0 || kg < (fruitType.minOrderKg || 0)) break;
+      const now = new Date();
+      const updated = await PreOrderWaitlistModel.findOneAndUpdate(
+        { _id: entry._id, status: "WAITING" },
+        {
+          $set: {
+            status: "OFFERED",
+            offeredKg: kg,
+            offeredAt: now,
+            offerExpiresAt: new Date(now.getTime() + WAITLIST_OFFER_EXPIRE_HOURS * 60 * 60 * 1000),
+          },
+        },
+        { new: true }
+      ).lean();
+      if (!updated) continue;
+      availableKg -= kg;
+      offered += 1;
+      await notifyOffer(updated, fruitType);
+    }
+    return { offered };
+  } finally {
+    offeringFruitIds.delete(fid);
+  }
+}
+
+/**
+ * Job: expire overdue offers, close waitlists of fruit types that stopped taking pre-orders,
+ * then offer the available kg of every fruit type that still has WAITING entries.
+ * @returns {Promise<{ expired: number, closed: number, offered: number }>}
+ */
+async function processWaitlists() {
+  const expired = await PreOrderWaitlistModel.updateMany(
+    { status: "OFFERED", offerExpiresAt: { $lte: new Date() } },
+    { $set: { status: "EXPIRED" } }
+  );
+
+  const fruitTypeIds = await PreOrderWaitlistModel.distinct("fruitTypeId", { status: { $in: ACTIVE_ENTRY_STATUSES } });
+  const fruitTypes = await FruitTypeModel.find({ _id: { $in: fruitTypeIds } }).lean();
+  const closedIds = fruitTypes.filter((ft) => !isOpenForPreOrder(ft)).map((ft) => ft._id);
+  let closed = 0;
+  if (closedIds.length > 0) {
+    const res = await PreOrderWaitlistModel.updateMany(
+      { fruitTypeId: { $in: closedIds }, status: { $in: ACTIVE_ENTRY_STATUSES } },
+      { $set: { status: "CLOSED" } }
+    );
+    closed = res.modifiedCount || 0;
+  }
+
+  let offered = 0;
+  for (const ft of fruitTypes) {
+    if (closedIds.some((id) => id.equals(ft._id))) continue;
+    try {
+      const result = await offerFreedCapacity(ft._id);
+      offered += result.offered;
+    } catch (err) {
+      console.warn("Waitlist offer skip fruit type", ft._id.toString(), err.message);
+    }
+  }
+  return { expired: expired.modifiedCount || 0, closed, offered };
+}
+
+module.exports = {
+  WAITLIST_OFFER_EXPIRE_HOURS,
+  isOpenForPreOrder,
+  getCapacityInfo,
+  assertCapacityForIntent,
+  markOfferConverted,
+  joinWaitlist,
+  leaveWaitlist,
+  getMyWaitlist,
+  getWaitlist,
+  setCapacity,
+  offerFreedCapacity,
+  processWaitlists,
+};
@@ -4,6 +4,9 @@ const ProductBatchHistoryModel = require("../models/ProductBatchHistoryModel");
 const InventoryTransactionModel = require("../models/InventoryTransactionModel");
 const HarvestBatchModel = require("../models/HarvestBatchModel");
 const OrderDetailModel = require("../models/OrderDetailModel");
+const WarehouseStockModel = require("../models/WarehouseStockModel");
+const ProductLotService = require("./ProductLotService");
+const PurchaseOrderService = require("./PurchaseOrderService");
 const { getTodayInVietnam, formatDateVN, compareDates } = require("../utils/dateVN");
 
 /** Trạng thái đơn hàng "kết thúc" — không còn thay đổi số lượng kho (COMPLETED, CANCELLED, REFUND) */
@@ -468,7 +471,8 @@ const resetProductForNewBatch = async (productId, completionReason = "SOLD_OUT")
 
 
     // Reset product fields (giữ lại: name, category, brand, images, price, detail_desc, short_desc, status)
-    product.plannedQuantity = 0;
+    // plannedQuantity kỳ mới = phần chưa nhận của các PO đang mở
+    product.plannedQuantity = await PurchaseOrderService.getOutstandingQuantity(product._id, session);
     product.receivedQuantity = 0;
     product.onHandQuantity = 0;
     product.warehouseEntryDate = null;
@@ -482,6 +486,14 @@ const resetProductForNewBatch = async (productId, completionReason = "SOLD_OUT")
 
     await product.save({ session });
 
+    // Tồn theo kho cũng về 0 cho kỳ lô mới; lô còn hàng (EXPIRED) ghi nhận huỷ
+    await WarehouseStockModel.updateMany(
+      { product: product._id },
+      { $set: { onHandQuantity: 0 } },
+      { session }
+    );
+    await ProductLotService.closeProductLots(product._id, session);
+
 
     await session.commitTransaction();
 
@@ -505,12 +517,14 @@ const resetProductForNewBatch = async (productId, completionReason = "SOLD_OUT")
 
 /**
  * Tự động reset products hết hạn (chạy bởi scheduled job)
- * Tìm tất cả products có expiryDateStr < today và onHandQuantity > 0
+ * Trước tiên huỷ các lô hết hạn của sản phẩm còn lô tươi hơn đang bán (ProductLotService.writeOffExpiredLots),
+ * sau đó tìm tất cả products có expiryDateStr < today và onHandQuantity > 0 (chỉ còn lô hết hạn)
  * Tự động reset và lưu vào ProductBatchHistoryModel
- * @returns {Promise<Object>} { status, message, data: { resetCount, resetProducts } }
+ * @returns {Promise<Object>} { status, message, data: { resetCount, resetProducts, writtenOffLots } }
  */
 const autoResetExpiredProducts = async () => {
   try {
+    const writtenOffLots = await ProductLotService.writeOffExpiredLots();
     const today = getTodayInVietnam();
     const todayStr = formatDateVN(today);
     // Start of today (VN) dùng cho so sánh expiryDate (Date) khi expiryDateStr null
@@ -543,6 +557,7 @@ const autoResetExpiredProducts = async () => {
         data: {
           resetCount: 0,
           resetProducts: [],
+          writtenOffLots,
         },
       };
     }
@@ -587,6 +602,7 @@ const autoResetExpiredProducts = async () => {
         resetProducts: resetResults,
         skippedCount: skippedProducts.length,
         skippedProducts,
+        writtenOffLots,
       },
     };
   } catch (error) {
@@ -0,0 +1,418 @@
+/**
+ * Product Lot Service
+ *
+ * Lot-level inventory: every warehouse receipt creates a ProductLot (harvest batch, expiry, unit cost),
+ * so several batches of the same product can be on sale at once.
+ *
+ * This service handles:
+ * - Creating a lot per RECEIPT (InventoryTransactionService.createReceipt)
+ * - FEFO consumption (first-expiry-first-out) for issues and order deductions – via WarehouseService.decrementStock
+ * - Putting stock back into the lots an order was picked from (cancel / failed order / return restock)
+ * - Keeping Product.expiryDate = earliest expiry among lots still on sale (listing, cart and near-expiry pricing)
+ * - Writing off expired lots while fresher lots of the same product are still on sale
+ *
+ * Sum of remainingQuantity of a product's lots in a warehouse = WarehouseStock.onHandQuantity.
+ * Stock from before lot tracking is backfilled into a LEGACY lot on first use (ensureLots).
+ *
+ * @module services/ProductLotService
+ */
+
+const mongoose = require("mongoose");
+const ProductLotModel = require("../models/ProductLotModel");
+const ProductModel = require("../models/ProductModel");
+const WarehouseStockModel = require("../models/WarehouseStockModel");
+const { getTodayInVietnam, formatDateVN } = require("../utils/dateVN");
+const { getEffectivePrice } = require("../utils/productPrice");
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+const getTodayStr = () => formatDateVN(getTodayInVietnam());
+
+/** Lô còn bán được: chưa qua hạn (hết hạn trong ngày vẫn bán, giống isProductExpired) hoặc chưa có hạn. */
+const sellableFilter = (todayStr) => ({
+  $or: [{ expiryDateStr: null }, { expiryDateStr: { $gte: todayStr } }],
+});
+
+/**
+ * Đồng bộ Product.expiryDate theo lô: hạn gần nhất trong các lô còn bán được;
+ * chỉ còn lô đã hết hạn → hạn của lô đó (product hiển thị hết hạn, job chốt lô EXPIRED);
+ * hết sạch hàng → giữ nguyên (hạn của kỳ lô, dùng khi chốt lô).
+ */
+const syncProductExpiry = async (productId, session) => {
+  const base = { product: toObjectId(productId), remainingQuantity: { $gt: 0 }, expiryDate: { $ne: null } };
+  let lot = await ProductLotModel.findOne({ ...base, expiryDateStr: { $gte: getTodayStr() } })
+    .sort({ expiryDate: 1 })
+    .select("expiryDate expiryDateStr")
+    .session(session || null)
+    .lean();
+  if (!lot) {
+    lot = await ProductLotModel.findOne(base)
+      .sort({ expiryDate: -1 })
+      .select("expiryDate expiryDateStr")
+      .session(session || null)
+      .lean();
+  }
+  if (!lot) return;
+  await ProductModel.updateOne(
+    { _id: toObjectId(productId) },
+    { $set: { expiryDate: lot.expiryDate, expiryDateStr: lot.expiryDateStr } },
+    { session: session || null }
+  );
+};
+
+/**
+ * Lô còn bán được có hạn gần nhất của product tại một kho (hạn cho lô ADJUST hàng thừa khi kiểm kê).
+ * @returns {Promise<Object|null>} { _id, expiryDate, expiryDateStr } hoặc null khi kho không còn lô bán được có hạn
+ */
+const getNearestSellableLot = async (productId, warehouseId, session) =>
+  ProductLotModel.findOne({
+    product: toObjectId(productId),
+    warehouse: toObjectId(warehouseId),
+    remainingQuantity: { $gt: 0 },
+    expiryDate: { $ne: null },
+    expiryDateStr: { $gte: getTodayStr() },
+  })
+    .sort({ expiryDate: 1 })
+    .select("expiryDate expiryDateStr")
+    .session(session || null)
+    .lean();
+
+/**
+ * Bù lô LEGACY cho tồn theo kho chưa nằm trong lô nào (dữ liệu trước khi theo dõi theo lô,
+ * đơn cũ bị huỷ trả hàng về kho mà không có phân bổ lô).
+ * ⚠️ Chạy sau WarehouseService.ensureStockRows và TRƯỚC khi trừ tồn kho trong cùng thao tác.
+ */
+const ensureLots = async (productId, session) => {
+  const productOid = toObjectId(productId);
+  const [stocks, lotSums] = await Promise.all([
+    WarehouseStockModel.find({ product: productOid, onHandQuantity: { $gt: 0 } })
+      .select("warehouse onHandQuantity")
+      .session(session || null)
+      .lean(),
+    ProductLotModel.aggregate([
+      { $match: { product: productOid } },
+      { $group: { _id: "$warehouse", quantity: { $sum: "$remainingQuantity" } } },
+    ]).session(session || null),
+  ]);
+  const lotMap = new Map(lotSums.map((l) => [l._id.toString(), l.quantity]));
+  const gaps = stocks
+    .map((s) => ({ warehouse: s.warehouse, quantity: s.onHandQuantity - (lotMap.get(s.warehouse.toString()) || 0) }))
+    .filter((g) => g.quantity > 0);
+  if (gaps.length === 0) return;
+
+  const product = await ProductModel.findById(productOid)
+    .select("expiryDate expiryDateStr purchasePrice batchNumber")
+    .session(session || null)
+    .lean();
+  await ProductLotModel.create(
+    gaps.map((g) => ({
+      product: productOid,
+      warehouse: g.warehouse,
+      source: "LEGACY",
+      batchNumber: product?.batchNumber || 1,
+      expiryDate: product?.expiryDate || null,
+      expiryDateStr: product?.expiryDateStr || null,
+      unitCost: product?.purchasePrice || 0,
+      receivedQuantity: g.quantity,
+      remainingQuantity: g.quantity,
+    })),
+    { session: session || null, ordered: true }
+  );
+};
+
+/**
+ * Tạo lô cho một phiếu nhập / điều chỉnh tăng (caller đã cộng tồn kho + tổng tồn product).
+ * @param {Object} params - { productId, warehouseId, quantity, expiryDate, harvestBatchId, receiptTransactionId, unitCost, batchNumber, source, session }
+ * @returns {Promise<Object>} Lô vừa tạo
+ */
+const createLot = async ({
+  productId,
+  warehouseId,
+  quantity,
+  expiryDate,
+  harvestBatchId = null,
+  receiptTransactionId = null,
+  unitCost = 0,
+  batchNumber = 1,
+  source = "RECEIPT",
+  session,
+}) => {
+  const [lot] = await ProductLotModel.create(
+    [
+      {
+        product: toObjectId(productId),
+        warehouse: toObjectId(warehouseId),
+        harvestBatch: harvestBatchId || null,
+        receiptTransaction: receiptTransactionId || null,
+        source,
+        batchNumber,
+        expiryDate: expiryDate || null,
+        expiryDateStr: expiryDate ? formatDateVN(expiryDate) : null,
+        unitCost: Math.max(0, Number(unitCost) || 0),
+        receivedQuantity: quantity,
+        remainingQuantity: quantity,
+      },
+    ],
+    { session: session || null }
+  );
+  await syncProductExpiry(productId, session);
+  return lot;
+};
+
+/**
+ * Lấy hàng theo FEFO (hạn gần nhất trước) từ các lô của product tại một kho.
+ * Lô LEGACY chưa có hạn (null) xếp trước – hàng tồn cũ xuất trước.
+ * @param {Object} params
+ * @param {boolean} [params.sellableOnly=false] - true: bỏ qua lô đã hết hạn (đơn hàng); false: xuất cả lô hết hạn (xuất kho tay)
+ * @param {ObjectId|string} [params.lotId] - Chỉ lấy từ lô này (huỷ hàng hỏng của một lô cụ thể)
+ * @returns {Promise<Array<{ lot, quantity, expiryDate, expiryDateStr, unitCost, harvestBatch }>>} Phân bổ theo lô
+ */
+const consumeFefo = async ({ productId, warehouseId, quantity, sellableOnly = false, lotId = null, session }) => {
+  const filter = {
+    product: toObjectId(productId),
+    warehouse: toObjectId(warehouseId),
+    remainingQuantity: { $gt: 0 },
+    ...(lotId ? { _id: toObjectId(lotId) } : {}),
+    ...(sellableOnly ? sellableFilter(getTodayStr()) : {}),
+  };
+  const lots = await ProductLotModel.find(filter)
+    .sort({ expiryDate: 1, createdAt: 1 })
+    .session(session || null)
+    .lean();
+
+  let left = quantity;
+  const allocations = [];
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(left, lot.remainingQuantity);
+    const result = await ProductLotModel.updateOne(
+      { _id: lot._id, remainingQuantity: { $gte: take } },
+      { $inc: { remainingQuantity: -take } },
+      { session: session || null }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error("Lot stock was modified by another transaction, please retry");
+    }
+    allocations.push({
+      lot: lot._id,
+      quantity: take,
+      expiryDate: lot.expiryDate,
+      expiryDateStr: lot.expiryDateStr,
+      unitCost: lot.unitCost || 0,
+      harvestBatch: lot.harvestBatch || null,
+    });
+    left -= take;
+  }
+  if (left > 0) {
+    if (lotId) throw new Error("Not enough remaining quantity in the selected lot");
+    throw new Error(
+      sellableOnly
+        ? "Not enough unexpired stock in the selected warehouse"
+        : "Insufficient lot stock in the selected warehouse"
+    );
+  }
+
+  await syncProductExpiry(productId, session);
+  return allocations;
+};
+
+/**
+ * Trả hàng về đúng các lô đã lấy (đơn huỷ / đơn lỗi bị xoá / hàng trả nhập lại).
+ * @param {Array<{ lot, quantity }>} allocations - OrderDetail.lots
+ * @param {ClientSession} session
+ * @param {number} [quantity] - Chỉ trả tối đa số lượng này (trả hàng một phần), mặc định toàn bộ phân bổ
+ */
+const restoreAllocations = async (allocations, session, quantity = null) => {
+  let left = quantity == null ? Number.MAX_SAFE_INTEGER : quantity;
+  const productIds = new Set();
+  for (const a of allocations || []) {
+    if (left <= 0) break;
+    const qty = Math.min(left, Number(a.quantity) || 0);
+    if (!a.lot || qty <= 0) continue;
+    const lot = await ProductLotModel.findByIdAndUpdate(
+      a.lot,
+      { $inc: { remainingQuantity: qty } },
+      { session: session || null, new: true }
+    )
+      .select("product")
+      .lean();
+    if (lot) productIds.add(lot.product.toString());
+    left -= qty;
+  }
+  for (const productId of productIds) {
+    await syncProductExpiry(productId, session);
+  }
+};
+
+/**
+ * Huỷ các lô đã hết hạn (expiryDateStr <= hôm nay, cùng quy ước với job chốt lô hết hạn) của những sản phẩm
+ * vẫn còn lô tươi hơn đang bán. Sản phẩm chỉ còn lô hết hạn để job chốt lô EXPIRED như trước (ProductBatchService).
+ * Trừ tồn lô + tồn kho + tổng tồn product; số huỷ ghi vào ProductLot.writtenOffQuantity.
+ * @returns {Promise<Array<{ productId, lots: number, quantity: number }>>}
+ */
+const writeOffExpiredLots = async () => {
+  const todayStr = getTodayStr();
+  const expiredLots = await ProductLotModel.find({
+    remainingQuantity: { $gt: 0 },
+    expiryDateStr: { $ne: null, $lte: todayStr },
+  }).lean();
+
+  const byProduct = new Map();
+  expiredLots.forEach((lot) => {
+    const key = lot.product.toString();
+    byProduct.set(key, [...(byProduct.get(key) || []), lot]);
+  });
+
+  const results = [];
+  for (const [productId, lots] of byProduct) {
+    const hasFresherLot = await ProductLotModel.exists({
+      product: toObjectId(productId),
+      remainingQuantity: { $gt: 0 },
+      $or: [{ expiryDateStr: null }, { expiryDateStr: { $gt: todayStr } }],
+    });
+    if (!hasFresherLot) continue;
+
+    const session = await mongoose.startSession();
+    try {
+      let quantity = 0;
+      await session.withTransaction(async () => {
+        quantity = 0;
+        for (const lot of lots) {
+          const result = await ProductLotModel.updateOne(
+            { _id: lot._id, remainingQuantity: lot.remainingQuantity },
+            { $set: { remainingQuantity: 0 }, $inc: { writtenOffQuantity: lot.remainingQuantity } },
+            { session }
+          );
+          if (result.modifiedCount === 0) continue; // lô vừa thay đổi → để lần chạy sau
+          await WarehouseStockModel.updateOne(
+            { warehouse: lot.warehouse, product: lot.product, onHandQuantity: { $gte: lot.remainingQuantity } },
+            { $inc: { onHandQuantity: -lot.remainingQuantity } },
+            { session }
+          );
+          quantity += lot.remainingQuantity;
+        }
+        if (quantity > 0) {
+          await ProductModel.updateOne(
+            { _id: toObjectId(productId), onHandQuantity: { $gte: quantity } },
+            { $inc: { onHandQuantity: -quantity } },
+            { session }
+          );
+        }
+        await syncProductExpiry(productId, session);
+      });
+      if (quantity > 0) results.push({ productId, lots: lots.length, quantity });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error writing off expired lots of product ${productId}:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+  return results;
+};
+
+/**
+ * Đóng toàn bộ lô của product khi chốt lô (resetProductForNewBatch): phần còn lại ghi là huỷ.
+ */
+const closeProductLots = async (productId, session) => {
+  await ProductLotModel.updateMany(
+    { product: toObjectId(productId), remainingQuantity: { $gt: 0 } },
+    [
+      {
+        $set: {
+          writtenOffQuantity: { $add: ["$writtenOffQuantity", "$remainingQuantity"] },
+          remainingQuantity: 0,
+        },
+      },
+    ],
+    { session: session || null }
+  );
+};
+
+/**
+ * Lô đang bán của một sản phẩm (tất cả kho), gộp theo hạn – giá cận hạn tính riêng từng lô.
+ * @param {Object} product - Product (price, nearExpiry*)
+ * @returns {Promise<Array<{ expiryDate, expiryDateStr, quantity, effectivePrice, isNearExpiry }>>}
+ */
+const getSellableLotsForProduct = async (product) => {
+  const rows = await ProductLotModel.aggregate([
+    {
+      $match: {
+        product: toObjectId(product._id),
+        remainingQuantity: { $gt: 0 },
+        ...sellableFilter(getTodayStr()),
+      },
+    },
+    {
+      $group: {
+        _id: "$expiryDateStr",
+        expiryDate: { $min: "$expiryDate" },
+        quantity: { $sum: "$remainingQuantity" },
+      },
+    },
+    { $sort: { expiryDate: 1 } },
+  ]);
+  return rows.map((r) => {
+    const { effectivePrice, isNearExpiry } = getEffectivePrice(product, undefined, r);
+    return { expiryDate: r.expiryDate, expiryDateStr: r._id, quantity: r.quantity, effectivePrice, isNearExpiry };
+  });
+};
+
+/**
+ * Admin / kho: danh sách lô của một sản phẩm (theo FEFO), kèm giá bán hiệu lực từng lô.
+ * @param {string} productId
+ * @param {Object} [filters] - { warehouseId, includeEmpty }
+ */
+const getProductLots = async (productId, filters = {}) => {
+  try {
+    if (!mongoose.isValidObjectId(productId)) return { status: "ERR", message: "Invalid productId" };
+    const product = await ProductModel.findById(productId)
+      .select("name price onHandQuantity nearExpiryDaysThreshold nearExpiryDiscountPercent")
+      .lean();
+    if (!product) return { status: "ERR", message: "Product does not exist" };
+
+    const query = { product: product._id };
+    if (filters.warehouseId) {
+      if (!mongoose.isValidObjectId(filters.warehouseId)) return { status: "ERR", message: "Invalid warehouseId" };
+      query.warehouse = toObjectId(filters.warehouseId);
+    }
+    if (String(filters.includeEmpty) !== "true") query.remainingQuantity = { $gt: 0 };
+
+    const lots = await ProductLotModel.find(query)
+      .sort({ expiryDate: 1, createdAt: 1 })
+      .populate("warehouse", "code name")
+      .populate("harvestBatch", "batchCode batchNumber harvestDate harvestDateStr")
+      .lean();
+    const todayStr = getTodayStr();
+
+    return {
+      status: "OK",
+      message: "Fetched product lots successfully",
+      data: {
+        product,
+        lots: lots.map((lot) => {
+          const { effectivePrice, isNearExpiry } = getEffectivePrice(product, undefined, lot);
+          return {
+            ...lot,
+            isExpired: !!lot.expiryDateStr && lot.expiryDateStr < todayStr,
+            effectivePrice,
+            isNearExpiry,
+          };
+        }),
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+module.exports = {
+  syncProductExpiry,
+  getNearestSellableLot,
+  ensureLots,
+  createLot,
+  consumeFefo,
+  restoreAllocations,
+  writeOffExpiredLots,
+  closeProductLots,
+  getSellableLotsForProduct,
+  getProductLots,
+};
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const ProductModel = require("../models/ProductModel");
 const CategoryModel = require("../models/CategoryModel");
 const SupplierModel = require("../models/SupplierModel");
+const ProductLotModel = require("../models/ProductLotModel");
 const cloudinary = require("../config/cloudinaryConfig");
 const { getTodayInVietnam, formatDateVN, calculateDaysBetween } = require("../utils/dateVN");
 const { getEffectivePrice } = require("../utils/productPrice");
@@ -631,6 +632,11 @@ const updateProductExpiryDate = async (id, payload = {}) => {
 
 
     await product.save();
+    // Tồn cũ chưa có hạn (lô LEGACY) nhận hạn này
+    await ProductLotModel.updateMany(
+      { product: product._id, expiryDate: null },
+      { $set: { expiryDate: product.expiryDate, expiryDateStr: product.expiryDateStr } }
+    );
 
 
     const populated = await ProductModel.findById(product._id).populate("category", "name");
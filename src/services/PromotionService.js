@@ -0,0 +1,379 @@
+/**
+ * Promotion Service (khuyến mãi tự động, không cần mã)
+ *
+ * Admin tạo khuyến mãi BUY_X_GET_Y / SPEND_THRESHOLD / BUNDLE (models/PromotionModel).
+ * evaluatePromotions tính giảm giá trên các dòng giỏ hàng, dùng chung cho:
+ * - CartService.getCartItems, CheckoutService.checkoutHold (hiển thị)
+ * - OrderService.confirmCheckoutAndCreateOrder (snapshot vào order.promotions + promotion_share từng dòng)
+ *
+ * Thứ tự: theo priority; khuyến mãi theo sản phẩm (BUY_X_GET_Y, BUNDLE) không dùng lại số kg đã được
+ * khuyến mãi trước dùng; SPEND_THRESHOLD tính trên tiền hàng sau các khuyến mãi theo sản phẩm.
+ *
+ * @module services/PromotionService
+ */
+
+const mongoose = require("mongoose");
+const PromotionModel = require("../models/PromotionModel");
+const ProductModel = require("../models/ProductModel");
+
+const PROMOTION_TYPES = ["BUY_X_GET_Y", "SPEND_THRESHOLD", "BUNDLE"];
+
+/** Chia amount theo trọng số (làm tròn VND, phần tử cuối nhận phần dư) */
+const allocate = (amount, entries) => {
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+  if (amount <= 0 || totalWeight <= 0) return [];
+  let allocated = 0;
+  return entries.map((e, index) => {
+    const share =
+      index === entries.length - 1
+        ? amount - allocated
+        : Math.round((amount * e.weight) / totalWeight);
+    allocated += share;
+    return { product_id: e.product_id, discount_share: share };
+  });
+};
+
+const getActivePromotionDocs = (now = new Date()) =>
+  PromotionModel.find({
+    isActive: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+  })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+
+/* =====================================================
+   ENGINE
+===================================================== */
+
+/**
+ * Tính khuyến mãi tự động cho các dòng hàng.
+ * @param {Array} lines - [{ product_id, quantity, price }] (price = giá bán hiệu lực / kg)
+ * @param {Object} [options]
+ * @param {Array} [options.promotions] - danh sách khuyến mãi (mặc định: đang chạy)
+ * @returns {Promise<{ promotions: Object[], total_discount: number, line_shares: Object[] }>}
+ */
+const evaluatePromotions = async (lines, { promotions } = {}) => {
+  const validLines = (lines || []).filter((l) => l && l.quantity > 0 && l.price > 0);
+  const result = { promotions: [], total_discount: 0, line_shares: [] };
+  if (!validLines.length) return result;
+
+  const promoDocs = promotions || (await getActivePromotionDocs());
+  const lineMap = new Map(validLines.map((l) => [l.product_id.toString(), l]));
+  const remainingQty = new Map(validLines.map((l) => [l.product_id.toString(), l.quantity]));
+  const lineDiscount = new Map();
+
+  const addApplied = (promo, amount, items) => {
+    if (amount <= 0) return;
+    items.forEach((i) => {
+      const key = i.product_id.toString();
+      lineDiscount.set(key, (lineDiscount.get(key) || 0) + i.discount_share);
+    });
+    result.promotions.push({
+      promotion_id: promo._id,
+      name: promo.name,
+      type: promo.type,
+      description: promo.description || "",
+      discount_amount: amount,
+      items,
+    });
+    result.total_discount += amount;
+  };
+
+  // Không giảm quá tiền của dòng
+  const lineRoom = (key) => {
+    const line = lineMap.get(key);
+    return line.quantity * line.price - (lineDiscount.get(key) || 0);
+  };
+
+  for (const promo of promoDocs) {
+    if (promo.type === "BUY_X_GET_Y") {
+      const key = promo.product?.toString();
+      const line = key && lineMap.get(key);
+      if (!line || !(promo.buyQuantity > 0) || !(promo.freeQuantity > 0)) continue;
+      const sets = Math.floor((remainingQty.get(key) || 0) / promo.buyQuantity);
+      if (sets < 1) continue;
+      const amount = Math.min(Math.round(sets * promo.freeQuantity * line.price), lineRoom(key));
+      remainingQty.set(key, remainingQty.get(key) - sets * promo.buyQuantity);
+      addApplied(promo, amount, [{ product_id: line.product_id, discount_share: amount }]);
+    } else if (promo.type === "BUNDLE") {
+      const items = promo.bundleItems || [];
+      if (!items.length || promo.bundlePrice == null) continue;
+      const sets = Math.min(
+        ...items.map((i) => {
+          const key = i.product.toString();
+          return lineMap.has(key) ? Math.floor((remainingQty.get(key) || 0) / i.quantity) : 0;
+        })
+      );
+      if (!(sets >= 1)) continue;
+      const setValue = items.reduce(
+        (sum, i) => sum + i.quantity * lineMap.get(i.product.toString()).price,
+        0
+      );
+      const saving = setValue - promo.bundlePrice;
+      if (saving <= 0) continue;
+      const amount = Math.round(sets * saving);
+      const shares = allocate(
+        amount,
+        items.map((i) => ({
+          product_id: lineMap.get(i.product.toString()).product_id,
+          weight: i.quantity * lineMap.get(i.product.toString()).price,
+        }))
+      );
+      if (shares.some((s) => s.discount_share > lineRoom(s.product_id.toString()))) continue;
+      items.forEach((i) => {
+        const key = i.product.toString();
+        remainingQty.set(key, remainingQty.get(key) - sets * i.quantity);
+      });
+      addApplied(promo, amount, shares);
+    }
+  }
+
+  // SPEND_THRESHOLD: trên tiền hàng còn lại sau khuyến mãi theo sản phẩm
+  for (const promo of promoDocs.filter((p) => p.type === "SPEND_THRESHOLD")) {
+    const netValue = validLines.reduce((sum, l) => sum + lineRoom(l.product_id.toString()), 0);
+    const tier = (promo.tiers || [])
+      .filter((t) => netValue >= t.minSpend)
+      .sort((a, b) => b.minSpend - a.minSpend)[0];
+    if (!tier) continue;
+    let amount = (netValue * tier.percent) / 100;
+    if (tier.maxDiscountAmount != null) amount = Math.min(amount, tier.maxDiscountAmount);
+    amount = Math.round(amount);
+    const shares = allocate(
+      amount,
+      validLines.map((l) => ({ product_id: l.product_id, weight: lineRoom(l.product_id.toString()) }))
+    );
+    addApplied(promo, amount, shares);
+  }
+
+  result.line_shares = [...lineDiscount.entries()].map(([product_id, amount]) => ({
+    product_id,
+    promotion_share: amount,
+  }));
+  return result;
+};
+
+/* =====================================================
+   ADMIN
+===================================================== */
+
+/** Kiểm tra cấu hình theo loại. Trả về thông báo lỗi hoặc null. */
+const validatePromotion = async (promo) => {
+  if (!PROMOTION_TYPES.includes(promo.type)) return "Invalid promotion type";
+  if (!promo.name || !String(promo.name).trim()) return "Promotion name is required";
+  if (!promo.startDate || !promo.endDate || Number.isNaN(new Date(promo.startDate).getTime()) || Number.isNaN(new Date(promo.endDate).getTime())) {
+    return "Start date and end date are required";
+  }
+  if (new Date(promo.startDate) >= new Date(promo.endDate)) return "End date must be after start date";
+
+  let productIds = [];
+  if (promo.type === "BUY_X_GET_Y") {
+    if (!promo.product) return "Product is required";
+    if (!Number.isInteger(Number(promo.buyQuantity)) || Number(promo.buyQuantity) < 1) {
+      return "Buy quantity must be a whole number of kg (>= 1)";
+    }
+    if (!(Number(promo.freeQuantity) > 0)) return "Free quantity must be greater than 0";
+    productIds = [promo.product];
+  } else if (promo.type === "SPEND_THRESHOLD") {
+    if (!promo.tiers?.length) return "At least one spend tier is required";
+    const spends = promo.tiers.map((t) => Number(t.minSpend));
+    if (new Set(spends).size !== spends.length) return "Spend tiers must have different minimum spend";
+    if (promo.tiers.some((t) => !(Number(t.percent) >= 1 && Number(t.percent) <= 100))) {
+      return "Tier percent must be between 1 and 100";
+    }
+  } else {
+    if (!promo.bundleItems?.length || promo.bundleItems.length < 2) {
+      return "A bundle needs at least 2 products";
+    }
+    if (!(Number(promo.bundlePrice) > 0)) return "Bundle price must be greater than 0";
+    productIds = promo.bundleItems.map((i) => i.product);
+    if (new Set(productIds.map(String)).size !== productIds.length) {
+      return "Bundle products must be different";
+    }
+  }
+
+  if (productIds.some((id) => !mongoose.isValidObjectId(id))) return "Invalid product id";
+  if (productIds.length) {
+    const found = await ProductModel.countDocuments({ _id: { $in: productIds } });
+    if (found !== productIds.length) return "Product not found";
+  }
+  return null;
+};
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "product",
+  "buyQuantity",
+  "freeQuantity",
+  "tiers",
+  "bundleItems",
+  "bundlePrice",
+  "startDate",
+  "endDate",
+  "priority",
+  "isActive",
+];
+
+const pickFields = (data = {}) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (data[field] !== undefined) acc[field] = data[field];
+    return acc;
+  }, {});
+
+const createPromotion = async (data, createdBy) => {
+  try {
+    const payload = pickFields(data);
+    const error = await validatePromotion(payload);
+    if (error) return { status: "ERR", message: error };
+
+    const promotion = await PromotionModel.create({ ...payload, createdBy });
+    return { status: "OK", message: "Promotion created successfully", data: promotion };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const updatePromotion = async (id, data) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid promotion id" };
+    const promotion = await PromotionModel.findById(id);
+    if (!promotion) return { status: "ERR", message: "Promotion not found" };
+
+    promotion.set(pickFields(data));
+    const error = await validatePromotion(promotion.toObject());
+    if (error) return { status: "ERR", message: error };
+
+    await promotion.save();
+    return { status: "OK", message: "Promotion updated successfully", data: promotion };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const setPromotionActive = async (id, isActive) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid promotion id" };
+    const promotion = await PromotionModel.findByIdAndUpdate(
+      id,
+      { $set: { isActive: !!isActive } },
+      { new: true }
+    );
+    if (!promotion) return { status: "ERR", message: "Promotion not found" };
+    return {
+      status: "OK",
+      message: isActive ? "Promotion activated" : "Promotion deactivated",
+      data: promotion,
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Admin: danh sách khuyến mãi.
+ * status: RUNNING | UPCOMING | ENDED | INACTIVE | ALL (mặc định)
+ */
+const getPromotions = async (filters = {}) => {
+  try {
+    const { status = "ALL", type, page = 1, limit = 20 } = filters;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const now = new Date();
+
+    const query = {};
+    switch (String(status).toUpperCase()) {
+      case "RUNNING":
+        Object.assign(query, { isActive: true, startDate: { $lte: now }, endDate: { $gte: now } });
+        break;
+      case "UPCOMING":
+        Object.assign(query, { isActive: true, startDate: { $gt: now } });
+        break;
+      case "ENDED":
+        query.endDate = { $lt: now };
+        break;
+      case "INACTIVE":
+        query.isActive = false;
+        break;
+      case "ALL":
+        break;
+      default:
+        return { status: "ERR", message: "Invalid promotion status filter" };
+    }
+    if (type) {
+      if (!PROMOTION_TYPES.includes(String(type).toUpperCase())) {
+        return { status: "ERR", message: "Invalid promotion type" };
+      }
+      query.type = String(type).toUpperCase();
+    }
+
+    const [data, total] = await Promise.all([
+      PromotionModel.find(query)
+        .populate("product", "name")
+        .populate("bundleItems.product", "name")
+        .sort({ priority: 1, createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PromotionModel.countDocuments(query),
+    ]);
+
+    return {
+      status: "OK",
+      data,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum) || 1,
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const getPromotionById = async (id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid promotion id" };
+    const promotion = await PromotionModel.findById(id)
+      .populate("product", "name images")
+      .populate("bundleItems.product", "name images")
+      .lean();
+    if (!promotion) return { status: "ERR", message: "Promotion not found" };
+    return { status: "OK", data: promotion };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/** Public: khuyến mãi đang chạy (banner / trang sản phẩm) */
+const getRunningPromotions = async () => {
+  try {
+    const data = await PromotionModel.find({
+      isActive: true,
+      startDate: { $lte: new Date() },
+      endDate: { $gte: new Date() },
+    })
+      .select("-createdBy")
+      .populate("product", "name images")
+      .populate("bundleItems.product", "name images")
+      .sort({ priority: 1, createdAt: 1 })
+      .lean();
+    return { status: "OK", data };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  evaluatePromotions,
+  createPromotion,
+  updatePromotion,
+  setPromotionActive,
+  getPromotions,
+  getPromotionById,
+  getRunningPromotions,
+};
@@ -4,6 +4,7 @@ const CategoryModel = require("../models/CategoryModel");
 const InventoryTransactionModel = require("../models/InventoryTransactionModel");
 const { escapeRegex } = require("./fruitNameMapService");
 const OrderDetailModel = require("../models/OrderDetailModel");
+const ProductLotService = require("./ProductLotService");
 
 const { getEffectivePrice, isProductExpired } = require("../utils/productPrice");
 
@@ -408,6 +409,8 @@ const getProductById = async (id) => {
       isNearExpiry,
       originalPrice,
       isExpired: isProductExpired(product),
+      // Các lô đang bán song song (gộp theo hạn), giá cận hạn từng lô – đơn hàng lấy lô hạn gần nhất trước
+      lots: await ProductLotService.getSellableLotsForProduct(product),
     };
 
     return {
@@ -0,0 +1,497 @@
+/**
+ * Purchase Order Service
+ *
+ * Đơn đặt hàng nhà cung cấp (PO) và nhận hàng theo dòng PO.
+ *
+ * This service handles:
+ * - Admin: create / edit draft PO (lines: product, quantity, agreed unitCost), send, short-close, cancel
+ * - Receiving: InventoryTransactionService.createReceipt nhận theo dòng PO (purchaseOrderId + purchaseOrderLineId)
+ *   → receivedQuantity, receipts (đúng hạn so với expectedDate), giao thừa / giao thiếu
+ * - Product.plannedQuantity tự động theo PO đang mở:
+ *   gửi PO: planned += số đặt; giao thừa: planned += phần thừa; chốt thiếu / huỷ: planned -= phần chưa nhận;
+ *   chốt kỳ lô (ProductBatchService): planned = phần chưa nhận của các PO đang mở
+ *
+ * @module services/PurchaseOrderService
+ */
+
+const mongoose = require("mongoose");
+const PurchaseOrderModel = require("../models/PurchaseOrderModel");
+const ProductModel = require("../models/ProductModel");
+const SupplierModel = require("../models/SupplierModel");
+const WarehouseService = require("./WarehouseService");
+const { getTodayInVietnam, formatDateVN } = require("../utils/dateVN");
+
+const PURCHASE_ORDER_STATUSES = ["DRAFT", "SENT", "PARTIALLY_RECEIVED", "CLOSED", "CANCELLED"];
+const OPEN_STATUSES = ["SENT", "PARTIALLY_RECEIVED"];
+const MAX_LINES_PER_ORDER = 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const outstandingOf = (line) => Math.max(0, line.quantity - (line.receivedQuantity || 0));
+
+/** Lazy require tránh vòng lặp: InventoryTransactionService → PurchaseOrderService. */
+const adjustPlannedQuantity = (productId, delta, session) =>
+  require("./InventoryTransactionService").adjustPlannedQuantity(productId, delta, session);
+
+/**
+ * Thêm số liệu giao hàng cho từng dòng: outstanding, giao thừa / thiếu, trạng thái giao.
+ */
+const formatPurchaseOrder = (doc) => {
+  const po = doc.toObject ? doc.toObject() : doc;
+  const todayStr = formatDateVN(getTodayInVietnam());
+  const isOpen = OPEN_STATUSES.includes(po.status);
+  const lines = (po.lines || []).map((line) => {
+    const received = line.receivedQuantity || 0;
+    let deliveryStatus = "PENDING";
+    if (received > line.quantity) deliveryStatus = "OVER_DELIVERED";
+    else if (received === line.quantity) deliveryStatus = "COMPLETE";
+    else if (po.status === "CLOSED") deliveryStatus = "UNDER_DELIVERED";
+    else if (received > 0) deliveryStatus = "PARTIAL";
+    return {
+      ...line,
+      outstandingQuantity: isOpen ? outstandingOf(line) : 0,
+      overQuantity: Math.max(0, received - line.quantity),
+      shortQuantity: po.status === "CLOSED" ? Math.max(0, line.quantity - received) : 0,
+      deliveryStatus,
+      lineTotal: line.quantity * line.unitCost,
+    };
+  });
+  return {
+    ...po,
+    lines,
+    orderedQuantity: lines.reduce((sum, l) => sum + l.quantity, 0),
+    receivedQuantity: lines.reduce((sum, l) => sum + (l.receivedQuantity || 0), 0),
+    orderedValue: lines.reduce((sum, l) => sum + l.lineTotal, 0),
+    receivedValue: lines.reduce((sum, l) => sum + (l.receivedQuantity || 0) * l.unitCost, 0),
+    isOverdue: isOpen && po.expectedDateStr < todayStr,
+  };
+};
+
+const parseExpectedDate = (expectedDate) => {
+  if (!expectedDate) throw new Error("expectedDate is required");
+  const date = new Date(expectedDate);
+  if (Number.isNaN(date.getTime())) throw new Error("Invalid expectedDate");
+  date.setHours(0, 0, 0, 0);
+  if (date < getTodayInVietnam()) throw new Error("expectedDate cannot be in the past");
+  return date;
+};
+
+/**
+ * Chuẩn hoá dòng PO: product phải thuộc NCC của PO, không trùng product, unitCost mặc định = giá nhập của NCC.
+ */
+const normalizeLines = async (supplier, lines) => {
+  const rows = typeof lines === "string" ? JSON.parse(lines) : lines;
+  if (!Array.isArray(rows) || rows.length === 0) throw new Error("lines must be a non-empty array");
+  if (rows.length > MAX_LINES_PER_ORDER) {
+    throw new Error(`A purchase order can have at most ${MAX_LINES_PER_ORDER} lines`);
+  }
+
+  const ids = rows.map((r) => String(r.productId || ""));
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw new Error("Invalid productId");
+  if (new Set(ids).size !== ids.length) throw new Error("Each product can only appear once per purchase order");
+
+  const products = await ProductModel.find({ _id: { $in: ids.map(toObjectId) } })
+    .select("name supplier purchasePrice")
+    .lean();
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return rows.map((row, index) => {
+    const product = productMap.get(ids[index]);
+    if (!product) throw new Error("Product does not exist");
+    if (product.supplier?.toString() !== supplier._id.toString()) {
+      throw new Error(`${product.name} is not supplied by this supplier`);
+    }
+    const quantity = Number(row.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error("Line quantity must be an integer greater than 0");
+    }
+    const defaultCost = supplier.purchaseCosts?.get?.(ids[index]) ?? product.purchasePrice ?? 0;
+    const unitCost = row.unitCost === undefined || row.unitCost === null || row.unitCost === "" ? defaultCost : Number(row.unitCost);
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      throw new Error("unitCost must be a number greater than or equal to 0");
+    }
+    return { product: product._id, productName: product.name, quantity, unitCost };
+  });
+};
+
+/**
+ * Tạo PO nháp (Admin)
+ * @param {Object} payload - { supplierId, warehouseId, expectedDate, note, lines: [{ productId, quantity, unitCost? }] }
+ */
+const createPurchaseOrder = async (userId, payload = {}) => {
+  try {
+    const { supplierId, warehouseId = null, expectedDate, note = "", lines } = payload;
+    if (!supplierId || !mongoose.isValidObjectId(supplierId)) {
+      return { status: "ERR", message: "Invalid supplier ID" };
+    }
+    const supplier = await SupplierModel.findById(supplierId);
+    if (!supplier) return { status: "ERR", message: "Supplier does not exist" };
+    if (supplier.cooperationStatus !== "ACTIVE" || supplier.status === false) {
+      return { status: "ERR", message: "Purchase orders can only be created for active suppliers" };
+    }
+
+    const warehouse = warehouseId ? await WarehouseService.resolveWarehouse(warehouseId) : null;
+    const date = parseExpectedDate(expectedDate);
+    const normalizedLines = await normalizeLines(supplier, lines);
+
+    const po = await PurchaseOrderModel.create({
+      supplier: supplier._id,
+      warehouse: warehouse?._id || null,
+      expectedDate: date,
+      expectedDateStr: formatDateVN(date),
+      note: (note || "").toString().trim(),
+      lines: normalizedLines,
+      createdBy: userId,
+    });
+
+    return { status: "OK", message: "Purchase order created", data: formatPurchaseOrder(po) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Sửa PO nháp (Admin) – chỉ khi DRAFT.
+ * @param {Object} payload - { warehouseId, expectedDate, note, lines }
+ */
+const updatePurchaseOrder = async (id, payload = {}) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid purchase order id" };
+    const po = await PurchaseOrderModel.findById(id);
+    if (!po) return { status: "ERR", message: "Purchase order not found" };
+    if (po.status !== "DRAFT") return { status: "ERR", message: "Only draft purchase orders can be edited" };
+
+    if (payload.warehouseId !== undefined) {
+      po.warehouse = payload.warehouseId ? (await WarehouseService.resolveWarehouse(payload.warehouseId))._id : null;
+    }
+    if (payload.expectedDate !== undefined) {
+      const date = parseExpectedDate(payload.expectedDate);
+      po.expectedDate = date;
+      po.expectedDateStr = formatDateVN(date);
+    }
+    if (payload.note !== undefined) po.note = (payload.note || "").toString().trim();
+    if (payload.lines !== undefined) {
+      const supplier = await SupplierModel.findById(po.supplier);
+      if (!supplier) return { status: "ERR", message: "Supplier does not exist" };
+      po.lines = await normalizeLines(supplier, payload.lines);
+    }
+    await po.save();
+
+    return { status: "OK", message: "Purchase order updated", data: formatPurchaseOrder(po) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Gửi PO cho NCC: DRAFT → SENT, số đặt cộng vào plannedQuantity của từng product.
+ */
+const sendPurchaseOrder = async (id, userId) => {
+  if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid purchase order id" };
+  const session = await mongoose.startSession();
+  let po = null;
+  try {
+    await session.withTransaction(async () => {
+      po = await PurchaseOrderModel.findById(id).session(session);
+      if (!po) throw new Error("Purchase order not found");
+      if (po.status !== "DRAFT") throw new Error("Only draft purchase orders can be sent");
+      if (po.expectedDate < getTodayInVietnam()) {
+        throw new Error("expectedDate is in the past, update it before sending");
+      }
+      const supplier = await SupplierModel.findById(po.supplier).select("cooperationStatus status").session(session);
+      if (!supplier || supplier.cooperationStatus !== "ACTIVE" || supplier.status === false) {
+        throw new Error("Purchase orders can only be sent to active suppliers");
+      }
+
+      for (const line of po.lines) {
+        await adjustPlannedQuantity(line.product, line.quantity, session);
+      }
+      po.status = "SENT";
+      po.sentAt = new Date();
+      po.sentBy = userId;
+      await po.save({ session });
+    });
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  } finally {
+    session.endSession();
+  }
+  return { status: "OK", message: "Purchase order sent", data: formatPurchaseOrder(po) };
+};
+
+/**
+ * Admin chốt PO khi NCC giao thiếu (SENT / PARTIALLY_RECEIVED → CLOSED): phần chưa nhận trừ khỏi plannedQuantity.
+ */
+const closePurchaseOrder = async (id, userId, payload = {}) => {
+  if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid purchase order id" };
+  const session = await mongoose.startSession();
+  let po = null;
+  try {
+    await session.withTransaction(async () => {
+      po = await PurchaseOrderModel.findById(id).session(session);
+      if (!po) throw new Error("Purchase order not found");
+      if (!OPEN_STATUSES.includes(po.status)) {
+        throw new Error("Only sent or partially received purchase orders can be closed");
+      }
+      for (const line of po.lines) {
+        const outstanding = outstandingOf(line);
+        if (outstanding > 0) await adjustPlannedQuantity(line.product, -outstanding, session);
+      }
+      po.status = "CLOSED";
+      po.closeReason = "SHORT_CLOSED";
+      po.closeNote = (payload.note || "").toString().trim();
+      po.closedAt = new Date();
+      po.closedBy = userId;
+      await po.save({ session });
+    });
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  } finally {
+    session.endSession();
+  }
+  return { status: "OK", message: "Purchase order closed", data: formatPurchaseOrder(po) };
+};
+
+/**
+ * Huỷ PO: DRAFT, hoặc SENT chưa nhập lần nào (trả lại plannedQuantity).
+ */
+const cancelPurchaseOrder = async (id, userId, payload = {}) => {
+  if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid purchase order id" };
+  const session = await mongoose.startSession();
+  let po = null;
+  try {
+    await session.withTransaction(async () => {
+      po = await PurchaseOrderModel.findById(id).session(session);
+      if (!po) throw new Error("Purchase order not found");
+      if (!["DRAFT", "SENT"].includes(po.status)) {
+        throw new Error("Only draft or sent purchase orders without receipts can be cancelled");
+      }
+      if (po.status === "SENT") {
+        for (const line of po.lines) {
+          await adjustPlannedQuantity(line.product, -line.quantity, session);
+        }
+      }
+      po.status = "CANCELLED";
+      po.cancelledAt = new Date();
+      po.closedBy = userId;
+      po.closeNote = (payload.note || "").toString().trim();
+      await po.save({ session });
+    });
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  } finally {
+    session.endSession();
+  }
+  return { status: "OK", message: "Purchase order cancelled", data: formatPurchaseOrder(po) };
+};
+
+/**
+ * Danh sách PO (Admin)
+ * @param {Object} filters - { status, supplierId, productId, overdue, page, limit }
+ */
+const getPurchaseOrders = async (filters = {}) => {
+  try {
+    const { status, supplierId, productId, overdue, page = 1, limit = 10 } = filters;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 10));
+
+    const query = {};
+    if (status) {
+      if (!PURCHASE_ORDER_STATUSES.includes(status)) {
+        return { status: "ERR", message: `status must be one of ${PURCHASE_ORDER_STATUSES.join(", ")}` };
+      }
+      query.status = status;
+    }
+    if (supplierId) {
+      if (!mongoose.isValidObjectId(supplierId)) return { status: "ERR", message: "Invalid supplier ID" };
+      query.supplier = toObjectId(supplierId);
+    }
+    if (productId) {
+      if (!mongoose.isValidObjectId(productId)) return { status: "ERR", message: "Invalid productId" };
+      query["lines.product"] = toObjectId(productId);
+    }
+    if (overdue === true || overdue === "true") {
+      if (status && !OPEN_STATUSES.includes(status)) {
+        return { status: "OK", message: "Fetched purchase orders successfully", data: [], pagination: { page: pageNum, limit: limitNum, total: 0, totalPages: 0 } };
+      }
+      query.status = status || { $in: OPEN_STATUSES };
+      query.expectedDateStr = { $lt: formatDateVN(getTodayInVietnam()) };
+    }
+
+    const [rows, total] = await Promise.all([
+      PurchaseOrderModel.find(query)
+        .populate("supplier", "name code")
+        .populate("warehouse", "code name")
+        .populate("createdBy", "user_name email")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PurchaseOrderModel.countDocuments(query),
+    ]);
+
+    return {
+      status: "OK",
+      message: "Fetched purchase orders successfully",
+      data: rows.map(formatPurchaseOrder),
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const getPurchaseOrderById = async (id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid purchase order id" };
+    const po = await PurchaseOrderModel.findById(id)
+      .populate("supplier", "name code phone email")
+      .populate("warehouse", "code name")
+      .populate("createdBy", "user_name email")
+      .populate("sentBy", "user_name email")
+      .populate("closedBy", "user_name email")
+      .populate("lines.product", "name images plannedQuantity receivedQuantity onHandQuantity")
+      .lean();
+    if (!po) return { status: "ERR", message: "Purchase order not found" };
+    return { status: "OK", message: "Fetched purchase order successfully", data: formatPurchaseOrder(po) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Dòng PO còn nhận được (PO SENT / PARTIALLY_RECEIVED) – trang nhập kho của warehouse staff.
+ * @param {Object} filters - { productId, supplierId }
+ */
+const getReceivableLines = async (filters = {}) => {
+  try {
+    const { productId, supplierId } = filters;
+    const query = { status: { $in: OPEN_STATUSES } };
+    if (productId) {
+      if (!mongoose.isValidObjectId(productId)) return { status: "ERR", message: "Invalid productId" };
+      query["lines.product"] = toObjectId(productId);
+    }
+    if (supplierId) {
+      if (!mongoose.isValidObjectId(supplierId)) return { status: "ERR", message: "Invalid supplier ID" };
+      query.supplier = toObjectId(supplierId);
+    }
+
+    const rows = await PurchaseOrderModel.find(query)
+      .populate("supplier", "name code")
+      .populate("warehouse", "code name")
+      .sort({ expectedDate: 1 })
+      .lean();
+
+    const todayStr = formatDateVN(getTodayInVietnam());
+    const data = rows.flatMap((po) =>
+      po.lines
+        .filter((line) => !productId || line.product.toString() === productId.toString())
+        .map((line) => ({
+          purchaseOrderId: po._id,
+          purchaseOrderLineId: line._id,
+          code: po.code,
+          supplier: po.supplier,
+          warehouse: po.warehouse,
+          expectedDate: po.expectedDate,
+          expectedDateStr: po.expectedDateStr,
+          isOverdue: po.expectedDateStr < todayStr,
+          product: line.product,
+          productName: line.productName,
+          quantity: line.quantity,
+          receivedQuantity: line.receivedQuantity || 0,
+          outstandingQuantity: outstandingOf(line),
+          unitCost: line.unitCost,
+        }))
+    );
+
+    return { status: "OK", message: "Fetched receivable purchase order lines successfully", data };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Tổng phần chưa nhận của các PO đang mở cho một product (chốt kỳ lô đặt lại plannedQuantity).
+ */
+const getOutstandingQuantity = async (productId, session) => {
+  const [row] = await PurchaseOrderModel.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES }, "lines.product": toObjectId(productId) } },
+    { $unwind: "$lines" },
+    { $match: { "lines.product": toObjectId(productId) } },
+    {
+      $group: {
+        _id: null,
+        outstanding: { $sum: { $max: [0, { $subtract: ["$lines.quantity", "$lines.receivedQuantity"] }] } },
+      },
+    },
+  ]).session(session || null);
+  return row?.outstanding || 0;
+};
+
+/**
+ * Kiểm tra dòng PO trước khi nhập (trong transaction của createReceipt).
+ * @returns {Promise<{ po, line, overDelta: number }>} overDelta = phần giao thừa mới phát sinh (cộng thêm vào plannedQuantity)
+ */
+const prepareLineReceipt = async ({ purchaseOrderId, purchaseOrderLineId, product, quantity, session }) => {
+  if (!mongoose.isValidObjectId(purchaseOrderId)) throw new Error("Invalid purchaseOrderId");
+  if (!mongoose.isValidObjectId(purchaseOrderLineId)) throw new Error("Invalid purchaseOrderLineId");
+  const po = await PurchaseOrderModel.findById(purchaseOrderId).session(session);
+  if (!po) throw new Error("Purchase order not found");
+  if (!OPEN_STATUSES.includes(po.status)) {
+    throw new Error("Only sent or partially received purchase orders can be received");
+  }
+  const line = po.lines.id(purchaseOrderLineId);
+  if (!line) throw new Error("Purchase order line not found");
+  if (line.product.toString() !== product._id.toString()) {
+    throw new Error("Purchase order line does not match the product");
+  }
+  if (product.supplier?.toString() !== po.supplier.toString()) {
+    throw new Error("Purchase order supplier does not match the product's supplier");
+  }
+  const overBefore = Math.max(0, (line.receivedQuantity || 0) - line.quantity);
+  const overAfter = Math.max(0, (line.receivedQuantity || 0) + quantity - line.quantity);
+  return { po, line, overDelta: overAfter - overBefore };
+};
+
+/**
+ * Ghi nhận phiếu nhập vào dòng PO; mọi dòng nhận đủ → CLOSED (FULLY_RECEIVED), ngược lại PARTIALLY_RECEIVED.
+ */
+const recordLineReceipt = async ({ po, line, quantity, transactionId, session }) => {
+  const now = new Date();
+  const receivedDateStr = formatDateVN(now);
+  line.receivedQuantity = (line.receivedQuantity || 0) + quantity;
+  line.receipts.push({
+    transaction: transactionId,
+    quantity,
+    receivedAt: now,
+    receivedDateStr,
+    onTime: receivedDateStr <= po.expectedDateStr,
+  });
+  if (!line.firstReceivedAt) line.firstReceivedAt = now;
+  if (!line.fullyReceivedAt && line.receivedQuantity >= line.quantity) line.fullyReceivedAt = now;
+
+  if (po.lines.every((l) => l.receivedQuantity >= l.quantity)) {
+    po.status = "CLOSED";
+    po.closeReason = "FULLY_RECEIVED";
+    po.closedAt = now;
+  } else {
+    po.status = "PARTIALLY_RECEIVED";
+  }
+  await po.save({ session });
+  return po;
+};
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  getReceivableLines,
+  getOutstandingQuantity,
+  prepareLineReceipt,
+  recordLineReceipt,
+};
@@ -0,0 +1,433 @@
+const mongoose = require("mongoose");
+const PaymentModel = require("../models/PaymentModel");
+const OrderModel = require("../models/OrderModel");
+const PreOrderModel = require("../models/PreOrderModel");
+const NotificationService = require("./NotificationService");
+const { refund: refundVNPay } = require("../utils/createVnpayUrl");
+
+/** Số lần gọi VNPay tối đa trước khi refund chuyển FAILED (admin retry thủ công) */
+const MAX_REFUND_ATTEMPTS = 5;
+/** Backoff: 5, 10, 20, 40... phút sau mỗi lần thất bại */
+const RETRY_BASE_MINUTES = 5;
+/** PROCESSING quá lâu = worker chết giữa chừng → hiển thị "stuck" cho admin */
+const STUCK_AFTER_MINUTES = 15;
+
+const ACTIVE_REFUND_STATUSES = ["PENDING", "PROCESSING", "SUCCESS"];
+
+const getBackoffDate = (attempts) =>
+  new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0) * 60 * 1000);
+
+const getStuckThreshold = () => new Date(Date.now() - STUCK_AFTER_MINUTES * 60 * 1000);
+
+/** Số tiền còn hoàn được của một payment = amount - refund PENDING/PROCESSING/SUCCESS đã tạo */
+const getRefundableAmount = async (payment, session) => {
+  const existing = await PaymentModel.find({
+    refund_of: payment._id,
+    type: "REFUND",
+    status: { $in: ACTIVE_REFUND_STATUSES },
+  })
+    .select("amount")
+    .session(session || null)
+    .lean();
+  const alreadyRefunded = existing.reduce((sum, r) => sum + (r.amount || 0), 0);
+  return payment.amount - alreadyRefunded;
+};
+
+/* =====================================================
+   ENQUEUE
+===================================================== */
+
+/**
+ * Tạo REFUND/PENDING cho một payment VNPay đã SUCCESS – worker sẽ gửi sang VNPay.
+ * Không cho tổng refund (PENDING/PROCESSING/SUCCESS) vượt số tiền payment gốc.
+ * @param {Object} params
+ * @param {Document|Object} params.payment - payment gốc (type PAYMENT, method VNPAY, status SUCCESS)
+ * @param {number} [params.amount] - mặc định = phần còn lại chưa hoàn của payment
+ * @param {string} [params.note]
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Document>} refund record
+ */
+const enqueueRefund = async ({ payment, amount, note, session }) => {
+  if (!payment || payment.type !== "PAYMENT" || payment.method !== "VNPAY") {
+    throw new Error("Only VNPay payments can be refunded automatically");
+  }
+  if (payment.status !== "SUCCESS") {
+    throw new Error("Only successful VNPay payments can be refunded");
+  }
+
+  const remaining = await getRefundableAmount(payment, session);
+  if (remaining <= 0) {
+    throw new Error("This payment has already been fully refunded");
+  }
+
+  const refundAmount = amount == null ? remaining : Number(amount);
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw new Error("Refund amount must be greater than 0");
+  }
+  if (refundAmount > remaining) {
+    throw new Error("Refund amount exceeds the remaining refundable amount of this payment");
+  }
+
+  const [created] = await PaymentModel.create(
+    [
+      {
+        order_id: payment.order_id || undefined,
+        pre_order_id: payment.pre_order_id || null,
+        refund_of: payment._id,
+        type: "REFUND",
+        method: "VNPAY",
+        amount: refundAmount,
+        status: "PENDING",
+        next_attempt_at: new Date(),
+        note: note || "Pending VNPay refund",
+      },
+    ],
+    { session: session || null }
+  );
+  return created;
+};
+
+/**
+ * Hoàn tiền trải trên nhiều payment VNPay (vd. đơn pre-order: tiền cọc + phần còn lại), theo thứ tự payments.
+ * Payment đã hoàn hết được bỏ qua.
+ * @param {Object} params
+ * @param {Array<Document>} params.payments - payment gốc (PAYMENT, VNPAY, SUCCESS)
+ * @param {number} [params.amount] - mặc định = toàn bộ phần còn hoàn được của các payment
+ * @param {string} [params.note]
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Document[]>} refund records đã tạo
+ */
+const enqueueRefunds = async ({ payments, amount, note, session }) => {
+  let left = amount == null ? Infinity : Number(amount);
+  if (Number.isNaN(left) || left <= 0) {
+    throw new Error("Refund amount must be greater than 0");
+  }
+  const created = [];
+  for (const payment of payments || []) {
+    if (left <= 0) break;
+    const remaining = await getRefundableAmount(payment, session);
+    if (remaining <= 0) continue;
+    const part = Math.min(remaining, left);
+    created.push(await enqueueRefund({ payment, amount: part, note, session }));
+    left -= part;
+  }
+  if (Number.isFinite(left) && left > 0) {
+    throw new Error("Refund amount exceeds the remaining refundable amount of the payments");
+  }
+  return created;
+};
+
+/* =====================================================
+   WORKER
+===================================================== */
+
+/** Payment gốc: refund_of, hoặc (dữ liệu cũ) payment VNPay SUCCESS của order */
+const findOriginalPayment = async (refundDoc) => {
+  if (refundDoc.refund_of) {
+    return PaymentModel.findById(refundDoc.refund_of).lean();
+  }
+  if (!refundDoc.order_id) return null;
+  return PaymentModel.findOne({
+    order_id: refundDoc.order_id,
+    type: "PAYMENT",
+    method: "VNPAY",
+    status: "SUCCESS",
+  }).lean();
+};
+
+const notifyRefundResult = async (refundDoc, isSuccess) => {
+  try {
+    let customerId = null;
+    if (refundDoc.order_id) {
+      const order = await OrderModel.findById(refundDoc.order_id).select("user_id").lean();
+      customerId = order?.user_id?.toString() || null;
+    } else if (refundDoc.pre_order_id) {
+      const preOrder = await PreOrderModel.findById(refundDoc.pre_order_id).select("userId").lean();
+      customerId = preOrder?.userId?.toString() || null;
+    }
+    const targetId = (refundDoc.order_id || refundDoc.pre_order_id).toString();
+    const data = {
+      type: refundDoc.order_id ? "order" : "preorder",
+      ...(refundDoc.order_id ? { orderId: targetId } : { preOrderId: targetId }),
+      action: "view_refund",
+    };
+
+    if (isSuccess && customerId) {
+      await NotificationService.sendToUser(customerId, {
+        title: "Refund completed",
+        body: `${Number(refundDoc.amount).toLocaleString("vi-VN")} VND has been refunded to your VNPay payment method.`,
+        data,
+      });
+    }
+    if (!isSuccess) {
+      await NotificationService.sendToRole("admin", {
+        title: "VNPay refund failed",
+        body: `Refund ${refundDoc._id} (${targetId}) failed after ${refundDoc.attempts} attempts. Please retry manually.`,
+        data: { ...data, refundId: refundDoc._id.toString() },
+      });
+    }
+  } catch (notifErr) {
+    console.error("Failed to send refund notification:", notifErr);
+  }
+};
+
+/**
+ * Lock một refund (PENDING → PROCESSING), gọi VNPay, ghi kết quả.
+ * Lỗi tạm thời → PENDING + next_attempt_at (backoff); hết lượt hoặc thiếu payment gốc → FAILED.
+ * @param {string|ObjectId} refundId
+ * @returns {Promise<Object|null>} refund sau khi xử lý; null nếu refund đã bị worker khác lock
+ */
+const processRefund = async (refundId) => {
+  const locked = await PaymentModel.findOneAndUpdate(
+    {
+      _id: refundId,
+      type: "REFUND",
+      method: "VNPAY",
+      status: "PENDING",
+    },
+    { $set: { status: "PROCESSING" }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!locked) return null;
+
+  const payment = await findOriginalPayment(locked);
+  if (!payment || !payment.provider_response) {
+    locked.status = "FAILED";
+    locked.last_error = "Original VNPay payment (with provider response) not found";
+    locked.processed_at = new Date();
+    await locked.save();
+    await notifyRefundResult(locked, false);
+    return locked;
+  }
+
+  let result = null;
+  let errorMessage = null;
+  try {
+    result = await refundVNPay({ payment, refund: locked });
+    if (result?.vnp_ResponseCode !== "00") {
+      errorMessage = `VNPay ${result?.vnp_ResponseCode || "?"}: ${result?.vnp_Message || "Refund rejected"}`;
+    }
+  } catch (err) {
+    errorMessage = err.response?.data?.vnp_Message || err.message || "VNPay refund request failed";
+  }
+
+  if (result) locked.provider_response = result;
+
+  if (!errorMessage) {
+    locked.status = "SUCCESS";
+    locked.last_error = null;
+    locked.next_attempt_at = null;
+    locked.processed_at = new Date();
+    if (result.vnp_TransactionNo) locked.provider_txn_id = `REFUND-${result.vnp_TransactionNo}`;
+    await locked.save();
+    await notifyRefundResult(locked, true);
+    return locked;
+  }
+
+  locked.last_error = errorMessage.slice(0, 500);
+  if (locked.attempts >= MAX_REFUND_ATTEMPTS) {
+    locked.status = "FAILED";
+    locked.next_attempt_at = null;
+    locked.processed_at = new Date();
+    await locked.save();
+    await notifyRefundResult(locked, false);
+    return locked;
+  }
+
+  locked.status = "PENDING";
+  locked.next_attempt_at = getBackoffDate(locked.attempts);
+  await locked.save();
+  return locked;
+};
+
+/**
+ * Chạy các refund đến hạn (PENDING, next_attempt_at ≤ now). Dùng bởi jobs/vnpayRefundJob.
+ * @param {{ limit?: number }} [options]
+ */
+const runPendingRefunds = async ({ limit = 20 } = {}) => {
+  const due = await PaymentModel.find({
+    type: "REFUND",
+    method: "VNPAY",
+    status: "PENDING",
+    $or: [{ next_attempt_at: null }, { next_attempt_at: { $lte: new Date() } }],
+  })
+    .sort({ next_attempt_at: 1, createdAt: 1 })
+    .limit(limit)
+    .select("_id")
+    .lean();
+
+  const summary = { processed: 0, succeeded: 0, retrying: 0, failed: 0 };
+  for (const { _id } of due) {
+    try {
+      const refundDoc = await processRefund(_id);
+      if (!refundDoc) continue;
+      summary.processed += 1;
+      if (refundDoc.status === "SUCCESS") summary.succeeded += 1;
+      else if (refundDoc.status === "FAILED") summary.failed += 1;
+      else summary.retrying += 1;
+    } catch (err) {
+      console.error("[VnpayRefund] Process refund failed:", _id.toString(), err);
+    }
+  }
+  return summary;
+};
+
+/* =====================================================
+   ADMIN
+===================================================== */
+
+/**
+ * Danh sách refund cho admin.
+ * status: ATTENTION (mặc định: FAILED + PROCESSING bị kẹt), STUCK, FAILED, PENDING, PROCESSING, SUCCESS, ALL
+ */
+const getRefunds = async (filters = {}) => {
+  try {
+    const { status = "ATTENTION", page = 1, limit = 20 } = filters;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const statusFilter = status.toString().trim().toUpperCase();
+
+    const stuckQuery = { status: "PROCESSING", updatedAt: { $lt: getStuckThreshold() } };
+    const query = { type: "REFUND", method: "VNPAY" };
+    if (statusFilter === "ATTENTION") {
+      query.$or = [{ status: "FAILED" }, stuckQuery];
+    } else if (statusFilter === "STUCK") {
+      Object.assign(query, stuckQuery);
+    } else if (["PENDING", "PROCESSING", "SUCCESS", "FAILED"].includes(statusFilter)) {
+      query.status = statusFilter;
+    } else if (statusFilter !== "ALL") {
+      return { status: "ERR", message: "Invalid refund status filter" };
+    }
+
+    const [data, total] = await Promise.all([
+      PaymentModel.find(query)
+        .populate("order_id", "user_id total_price")
+        .populate("pre_order_id", "userId quantityKg depositPaid")
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PaymentModel.countDocuments(query),
+    ]);
+
+    const stuckThreshold = getStuckThreshold();
+    return {
+      status: "OK",
+      data: data.map((r) => ({
+        ...r,
+        is_stuck: r.status === "PROCESSING" && new Date(r.updatedAt) < stuckThreshold,
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum) || 1,
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Admin retry: chỉ refund FAILED → PENDING (reset attempts) rồi xử lý ngay.
+ * PROCESSING (kể cả bị kẹt) có thể VNPay đã nhận lệnh hoàn → không retry, tránh hoàn tiền hai lần;
+ * admin đối chiếu trên cổng VNPay rồi chốt bằng resolveStuckRefund (FAILED → retry được).
+ */
+const retryRefund = async (refundId) => {
+  if (!mongoose.isValidObjectId(refundId)) {
+    return { status: "ERR", message: "Invalid refund id" };
+  }
+  const reset = await PaymentModel.findOneAndUpdate(
+    {
+      _id: refundId,
+      type: "REFUND",
+      method: "VNPAY",
+      status: "FAILED",
+    },
+    {
+      $set: {
+        status: "PENDING",
+        attempts: 0,
+        next_attempt_at: new Date(),
+        processed_at: null,
+      },
+    },
+    { new: true }
+  );
+  if (!reset) {
+    return { status: "ERR", message: "Only failed refunds can be retried" };
+  }
+
+  const refundDoc = await processRefund(reset._id);
+  return {
+    status: "OK",
+    message:
+      refundDoc?.status === "SUCCESS"
+        ? "Refund completed"
+        : "Refund re-queued; VNPay has not confirmed it yet",
+    data: refundDoc || reset,
+  };
+};
+
+/**
+ * Admin xử lý refund PROCESSING bị kẹt sau khi đối chiếu trên cổng VNPay:
+ * SUCCESS = VNPay đã hoàn (báo khách), FAILED = VNPay chưa nhận lệnh (sau đó có thể retry).
+ * Chỉ áp dụng cho refund đã kẹt quá STUCK_AFTER_MINUTES, tránh tranh chấp với worker đang gọi VNPay.
+ * @param {string} refundId
+ * @param {{ status: "SUCCESS"|"FAILED", note: string }} params
+ */
+const resolveStuckRefund = async (refundId, { status, note } = {}) => {
+  if (!mongoose.isValidObjectId(refundId)) {
+    return { status: "ERR", message: "Invalid refund id" };
+  }
+  const resolution = (status || "").toString().trim().toUpperCase();
+  if (!["SUCCESS", "FAILED"].includes(resolution)) {
+    return { status: "ERR", message: "Resolution status must be SUCCESS or FAILED" };
+  }
+  const reason = (note || "").toString().trim();
+  if (!reason) {
+    return { status: "ERR", message: "Please enter a note (e.g. what the VNPay portal shows)" };
+  }
+
+  const $set = {
+    status: resolution,
+    next_attempt_at: null,
+    processed_at: new Date(),
+    note: `Resolved manually: ${reason}`.slice(0, 200),
+  };
+  if (resolution === "FAILED") $set.last_error = reason.slice(0, 500);
+  const resolved = await PaymentModel.findOneAndUpdate(
+    {
+      _id: refundId,
+      type: "REFUND",
+      method: "VNPAY",
+      status: "PROCESSING",
+      updatedAt: { $lt: getStuckThreshold() },
+    },
+    { $set },
+    { new: true }
+  );
+  if (!resolved) {
+    return { status: "ERR", message: "Only refunds stuck in processing can be resolved manually" };
+  }
+  if (resolution === "SUCCESS") await notifyRefundResult(resolved, true);
+
+  return {
+    status: "OK",
+    message: resolution === "SUCCESS" ? "Refund marked as completed" : "Refund marked as failed; it can now be retried",
+    data: resolved,
+  };
+};
+
+module.exports = {
+  MAX_REFUND_ATTEMPTS,
+  getRefundableAmount,
+  enqueueRefund,
+  enqueueRefunds,
+  processRefund,
+  runPendingRefunds,
+  getRefunds,
+  retryRefund,
+  resolveStuckRefund,
+};
@@ -1,63 +1,220 @@
+const mongoose = require("mongoose");
 const CartModel = require("../models/CartsModel");
 const CartDetailModel = require("../models/CartDetailsModel");
+const ProductModel = require("../models/ProductModel");
 const ShippingRuleModel = require("../models/ShippingRuleModel");
+const { getEffectivePrice, getDaysUntilExpiry } = require("../utils/productPrice");
+const { getTodayInVietnam } = require("../utils/dateVN");
 
-const calculateShippingFee = async ({
-  user_id,
-  selected_product_ids,
-  city,
-}) => {
-  // 1. Lấy cart
-  const cart = await CartModel.findOne({ user_id });
-  if (!cart) throw new Error("Shopping cart not found");
+/** Tỉnh gửi hàng mặc định (cửa hàng) – có thể override qua env */
+const DEFAULT_ORIGIN_PROVINCE =
+  process.env.SHIPPING_ORIGIN_PROVINCE || "Thành phố Cần Thơ";
 
-  // 2. Lấy các item được chọn
-  const cartItems = await CartDetailModel.find({
-    cart_id: cart._id,
-    product_id: { $in: selected_product_ids },
-  });
+const RULE_TYPES = ["IN_PROVINCE", "OUT_PROVINCE", "PROVINCE", "DISTRICT"];
+const ZONES = ["STANDARD", "REMOTE"];
 
-  if (!cartItems.length)
-    throw new Error("No products were selected.");
+const normalizeArea = (value) =>
+  (value ?? "").toString().trim().replace(/\s+/g, " ").toLowerCase();
 
-  // 3. Tổng cân nặng (quantity = kg)
-  let totalWeight = 0;
+/**
+ * Chọn rule phù hợp nhất cho điểm nhận: DISTRICT > PROVINCE > IN_PROVINCE / OUT_PROVINCE.
+ * @param {Array} rules - rule đang active của tỉnh gửi
+ */
+const pickShippingRule = (rules, originProvince, city, district) => {
+  const cityKey = normalizeArea(city);
+  const districtKey = normalizeArea(district);
 
-  for (const item of cartItems) {
-    if (item.quantity <= 0)
-      throw new Error("Invalid product quantity");
+  if (districtKey) {
+    const districtRule = rules.find(
+      (r) =>
+        r.type === "DISTRICT" &&
+        normalizeArea(r.destinationProvince) === cityKey &&
+        normalizeArea(r.destinationDistrict) === districtKey
+    );
+    if (districtRule) return districtRule;
+  }
 
-    totalWeight += item.quantity;
+  const provinceRule = rules.find(
+    (r) => r.type === "PROVINCE" && normalizeArea(r.destinationProvince) === cityKey
+  );
+  if (provinceRule) return provinceRule;
+
+  const defaultType =
+    cityKey === normalizeArea(originProvince) ? "IN_PROVINCE" : "OUT_PROVINCE";
+  return rules.find((r) => r.type === defaultType) || null;
+};
+
+/**
+ * Phí theo cân nặng: dùng weightTiers nếu có, ngược lại dùng baseWeight/basePrice.
+ * Vượt bậc cuối (hoặc vượt baseWeight) thì cộng extraPricePerKg cho mỗi kg (làm tròn lên).
+ */
+const calculateWeightFee = (rule, totalWeight) => {
+  const tiers = (rule.weightTiers || [])
+    .slice()
+    .sort((a, b) => a.maxWeight - b.maxWeight);
+
+  if (tiers.length > 0) {
+    const tier = tiers.find((t) => totalWeight <= t.maxWeight);
+    if (tier) return tier.price;
+    const lastTier = tiers[tiers.length - 1];
+    const extraKg = Math.ceil(totalWeight - lastTier.maxWeight);
+    return lastTier.price + extraKg * (rule.extraPricePerKg || 0);
   }
 
-  // 4. Phân loại trong / ngoài tỉnh
-  const storeProvince = "Thành phố Cần Thơ";
-  const shippingType =
-    city.trim().toLowerCase() === storeProvince.toLowerCase()
-      ? "IN_PROVINCE"
-      : "OUT_PROVINCE";
+  let fee = rule.basePrice || 0;
+  if (totalWeight > (rule.baseWeight || 0)) {
+    const extraKg = Math.ceil(totalWeight - (rule.baseWeight || 0));
+    fee += extraKg * (rule.extraPricePerKg || 0);
+  }
+  return fee;
+};
 
-  // 5. Lấy rule ship
-  const rule = await ShippingRuleModel.findOne({
-    type: shippingType,
-    province: storeProvince,
-  });
+/**
+ * Báo giá ship dùng chung cho preview (/shipping/check) và tạo đơn.
+ * @param {Object} params
+ * @param {string} [params.originProvince] - Tỉnh gửi hàng (mặc định: DEFAULT_ORIGIN_PROVINCE)
+ * @param {string} params.city - Tỉnh/thành nhận
+ * @param {string} [params.district] - Quận/huyện nhận
+ * @param {Array<{ product: Object, quantity: number }>} params.items - quantity = kg
+ * @param {number} params.orderValue - Giá trị hàng (VND) để xét miễn phí ship
+ * @param {ClientSession} [params.session]
+ */
+const quoteShipping = async ({
+  originProvince = DEFAULT_ORIGIN_PROVINCE,
+  city,
+  district,
+  items,
+  orderValue = 0,
+  session,
+}) => {
+  if (!city || !city.toString().trim()) {
+    throw new Error("Please select a province/city");
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("No products were selected.");
+  }
+
+  let totalWeight = 0;
+  for (const item of items) {
+    if (!(item.quantity > 0)) throw new Error("Invalid product quantity");
+    totalWeight += item.quantity;
+  }
+
+  const rules = await ShippingRuleModel.find({
+    province: originProvince,
+    status: { $ne: false },
+  })
+    .session(session || null)
+    .lean();
 
+  const rule = pickShippingRule(rules, originProvince, city, district);
   if (!rule)
     throw new Error("Shipping charges for this area have not yet been configured");
 
-  // 6. Tính tiền ship
-  let shippingFee = rule.basePrice;
+  const weightFee = calculateWeightFee(rule, totalWeight);
+  const remoteSurcharge = rule.zone === "REMOTE" ? rule.remoteSurcharge || 0 : 0;
 
-  if (totalWeight > rule.baseWeight) {
-    const extraKg = Math.ceil(totalWeight - rule.baseWeight);
-    shippingFee += extraKg * rule.extraPricePerKg;
+  let perishableWeight = 0;
+  if ((rule.perishableSurchargePerKg || 0) > 0) {
+    const today = getTodayInVietnam();
+    for (const item of items) {
+      const daysLeft = getDaysUntilExpiry(
+        item.product?.expiryDateStr ?? item.product?.expiryDate ?? null,
+        today
+      );
+      if (daysLeft != null && daysLeft <= (rule.perishableWithinDays ?? 0)) {
+        perishableWeight += item.quantity;
+      }
+    }
   }
+  const perishableSurcharge = Math.ceil(perishableWeight) * (rule.perishableSurchargePerKg || 0);
+
+  const freeShippingApplied =
+    rule.freeShippingThreshold != null &&
+    rule.freeShippingThreshold > 0 &&
+    orderValue >= rule.freeShippingThreshold;
+
+  const shippingFee = freeShippingApplied
+    ? 0
+    : weightFee + remoteSurcharge + perishableSurcharge;
+
+  return {
+    shippingType: rule.type,
+    ruleId: rule._id,
+    zone: rule.zone || "STANDARD",
+    originProvince,
+    totalWeight, // kg
+    orderValue,
+    weightFee,
+    remoteSurcharge,
+    perishableSurcharge,
+    freeShippingThreshold: rule.freeShippingThreshold ?? null,
+    freeShippingApplied,
+    estimatedDeliveryDays: rule.estimatedDeliveryDays ?? null,
+    shippingFee, // VND
+  };
+};
+
+/**
+ * Load item đã chọn trong giỏ kèm product + giá trị hàng (theo giá hiệu lực).
+ */
+const loadSelectedCartItems = async ({ user_id, selected_product_ids, session }) => {
+  const cart = await CartModel.findOne({ user_id }).session(session || null);
+  if (!cart) throw new Error("Shopping cart not found");
+
+  const cartItems = await CartDetailModel.find({
+    cart_id: cart._id,
+    product_id: { $in: selected_product_ids },
+  }).session(session || null);
+
+  if (!cartItems.length) throw new Error("No products were selected.");
 
+  const products = await ProductModel.find({
+    _id: { $in: cartItems.map((i) => i.product_id) },
+  })
+    .select("price expiryDate expiryDateStr nearExpiryDaysThreshold nearExpiryDiscountPercent")
+    .session(session || null)
+    .lean();
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  let orderValue = 0;
+  const items = cartItems.map((item) => {
+    const product = productMap.get(item.product_id.toString()) || null;
+    if (product) {
+      orderValue += item.quantity * getEffectivePrice(product).effectivePrice;
+    }
+    return { product_id: item.product_id, product, quantity: item.quantity };
+  });
+
+  return { items, orderValue };
+};
+
+/**
+ * Preview phí ship: chọn kho giao (đủ hàng, rẻ nhất / nhanh nhất) rồi báo giá từ kho đó.
+ */
+const calculateShippingFee = async ({
+  user_id,
+  selected_product_ids,
+  city,
+  district,
+  preference,
+}) => {
+  const { items, orderValue } = await loadSelectedCartItems({
+    user_id,
+    selected_product_ids,
+  });
+  const WarehouseService = require("./WarehouseService");
+  const { warehouse, quote, candidates } = await WarehouseService.selectFulfillmentWarehouse({
+    items,
+    city,
+    district,
+    orderValue,
+    preference,
+  });
   return {
-    shippingType,
-    totalWeight,      // kg
-    shippingFee,      // VND
+    ...quote,
+    warehouse: { _id: warehouse._id, code: warehouse.code, name: warehouse.name },
+    candidates,
   };
 };
 
@@ -65,53 +222,347 @@ const calculateShippingForCheckout = async ({
   user_id,
   selected_product_ids,
   city,
+  district,
+  preference,
   session,
 }) => {
-  const cart = await CartModel.findOne({ user_id }).session(session);
-  if (!cart) throw new Error("Không tìm thấy giỏ hàng");
+  const { items, orderValue } = await loadSelectedCartItems({
+    user_id,
+    selected_product_ids,
+    session,
+  });
+  const WarehouseService = require("./WarehouseService");
+  const { warehouse, quote } = await WarehouseService.selectFulfillmentWarehouse({
+    items,
+    city,
+    district,
+    orderValue,
+    preference,
+    session,
+  });
 
-  const cartItems = await CartDetailModel.find({
-    cart_id: cart._id,
-    product_id: { $in: selected_product_ids },
-  }).session(session);
+  return {
+    ...quote,
+    warehouseId: warehouse._id,
+    shippingWeight: quote.totalWeight,
+  };
+};
 
-  if (!cartItems.length)
-    throw new Error("Không có sản phẩm để tính tiền ship");
+/* =====================================================
+   ADMIN: SHIPPING RULE MANAGEMENT
+===================================================== */
 
-  // quantity = kg
-  let totalWeight = 0;
-  for (const item of cartItems) {
-    totalWeight += item.quantity;
+const toNonNegativeNumber = (value, field) => {
+  const num = Number(value);
+  if (value === "" || value === null || Number.isNaN(num) || num < 0) {
+    return { valid: false, message: `${field} must be a non-negative number` };
   }
+  return { valid: true, value: num };
+};
 
-  const storeProvince = "Thành phố Cần Thơ";
-  const shippingType =
-    city.trim().toLowerCase() === storeProvince.toLowerCase()
-      ? "IN_PROVINCE"
-      : "OUT_PROVINCE";
+/**
+ * Validate + chuẩn hoá payload rule. Trả về { valid, message, data } (data = field đã chuẩn hoá).
+ * @param {Object} payload
+ * @param {Object|null} current - rule hiện tại khi update (để kiểm tra ràng buộc theo type)
+ */
+const normalizeRulePayload = (payload = {}, current = null) => {
+  const data = {};
 
-  const rule = await ShippingRuleModel.findOne({
-    type: shippingType,
-    province: storeProvince,
-  }).session(session);
+  if (payload.name !== undefined) {
+    const name = (payload.name ?? "").toString().trim();
+    if (name.length > 100) {
+      return { valid: false, message: "Rule name must be at most 100 characters" };
+    }
+    data.name = name;
+  }
 
-  if (!rule)
-    throw new Error("Chưa cấu hình tiền ship");
+  if (payload.type !== undefined) {
+    if (!RULE_TYPES.includes(payload.type)) {
+      return { valid: false, message: `type must be one of ${RULE_TYPES.join(", ")}` };
+    }
+    data.type = payload.type;
+  }
 
-  let shippingFee = rule.basePrice;
-  if (totalWeight > rule.baseWeight) {
-    const extraKg = Math.ceil(totalWeight - rule.baseWeight);
-    shippingFee += extraKg * rule.extraPricePerKg;
+  if (payload.province !== undefined) {
+    const province = (payload.province ?? "").toString().trim();
+    if (!province) return { valid: false, message: "Origin province is required" };
+    data.province = province;
   }
 
-  return {
-    shippingFee,
-    shippingType,
-    shippingWeight: totalWeight,
+  for (const key of ["destinationProvince", "destinationDistrict"]) {
+    if (payload[key] !== undefined) {
+      data[key] = (payload[key] ?? "").toString().trim() || null;
+    }
+  }
+
+  if (payload.zone !== undefined) {
+    if (!ZONES.includes(payload.zone)) {
+      return { valid: false, message: "zone must be STANDARD or REMOTE" };
+    }
+    data.zone = payload.zone;
+  }
+
+  for (const key of [
+    "baseWeight",
+    "basePrice",
+    "extraPricePerKg",
+    "remoteSurcharge",
+    "perishableSurchargePerKg",
+  ]) {
+    if (payload[key] !== undefined) {
+      const check = toNonNegativeNumber(payload[key], key);
+      if (!check.valid) return check;
+      data[key] = check.value;
+    }
+  }
+
+  for (const key of ["perishableWithinDays", "estimatedDeliveryDays"]) {
+    if (payload[key] !== undefined) {
+      const days = Number(payload[key]);
+      if (!Number.isInteger(days) || days < 0) {
+        return { valid: false, message: `${key} must be a non-negative integer` };
+      }
+      data[key] = days;
+    }
+  }
+
+  if (payload.freeShippingThreshold !== undefined) {
+    if (payload.freeShippingThreshold === null || payload.freeShippingThreshold === "") {
+      data.freeShippingThreshold = null;
+    } else {
+      const check = toNonNegativeNumber(payload.freeShippingThreshold, "freeShippingThreshold");
+      if (!check.valid) return check;
+      data.freeShippingThreshold = check.value;
+    }
+  }
+
+  if (payload.weightTiers !== undefined) {
+    if (!Array.isArray(payload.weightTiers)) {
+      return { valid: false, message: "weightTiers must be an array" };
+    }
+    const tiers = [];
+    for (const tier of payload.weightTiers) {
+      const maxWeight = Number(tier?.maxWeight);
+      const price = Number(tier?.price);
+      if (!(maxWeight > 0)) {
+        return { valid: false, message: "Each weight tier needs maxWeight greater than 0" };
+      }
+      if (Number.isNaN(price) || price < 0) {
+        return { valid: false, message: "Each weight tier needs a non-negative price" };
+      }
+      tiers.push({ maxWeight, price });
+    }
+    tiers.sort((a, b) => a.maxWeight - b.maxWeight);
+    for (let i = 1; i < tiers.length; i++) {
+      if (tiers[i].maxWeight === tiers[i - 1].maxWeight) {
+        return { valid: false, message: "Weight tiers must have distinct maxWeight values" };
+      }
+    }
+    data.weightTiers = tiers;
+  }
+
+  if (payload.status !== undefined) {
+    data.status = payload.status === true || payload.status === "true";
+  }
+
+  // Ràng buộc theo type (áp dụng trên giá trị sau khi merge)
+  const merged = { ...(current || {}), ...data };
+  if (!merged.type) return { valid: false, message: "type is required" };
+  if (!merged.province) return { valid: false, message: "Origin province is required" };
+  if (["PROVINCE", "DISTRICT"].includes(merged.type) && !merged.destinationProvince) {
+    return { valid: false, message: "destinationProvince is required for PROVINCE/DISTRICT rules" };
+  }
+  if (merged.type === "DISTRICT" && !merged.destinationDistrict) {
+    return { valid: false, message: "destinationDistrict is required for DISTRICT rules" };
+  }
+  if (["IN_PROVINCE", "OUT_PROVINCE"].includes(merged.type)) {
+    data.destinationProvince = null;
+    data.destinationDistrict = null;
+  } else if (merged.type === "PROVINCE") {
+    data.destinationDistrict = null;
+  }
+  const hasTiers = Array.isArray(merged.weightTiers) && merged.weightTiers.length > 0;
+  if (!hasTiers && !(merged.basePrice > 0)) {
+    return { valid: false, message: "Provide weightTiers or a basePrice greater than 0" };
+  }
+
+  return { valid: true, data };
+};
+
+/** Tìm rule trùng phạm vi (cùng tỉnh gửi, type, tỉnh/quận nhận) */
+const findDuplicateRule = async (scope, excludeId) => {
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const query = {
+    province: { $regex: `^${escape(scope.province)}$`, $options: "i" },
+    type: scope.type,
   };
+  if (scope.destinationProvince) {
+    query.destinationProvince = { $regex: `^${escape(scope.destinationProvince)}$`, $options: "i" };
+  }
+  if (scope.destinationDistrict) {
+    query.destinationDistrict = { $regex: `^${escape(scope.destinationDistrict)}$`, $options: "i" };
+  }
+  if (excludeId) query._id = { $ne: excludeId };
+  return ShippingRuleModel.findOne(query);
+};
+
+const createShippingRule = async (payload = {}) => {
+  try {
+    const body = { ...payload, province: payload.province || DEFAULT_ORIGIN_PROVINCE };
+    const check = normalizeRulePayload(body);
+    if (!check.valid) return { status: "ERR", message: check.message };
+
+    const duplicate = await findDuplicateRule(check.data);
+    if (duplicate) {
+      return { status: "ERR", message: "A shipping rule for this area already exists" };
+    }
+
+    const rule = await ShippingRuleModel.create(check.data);
+    return { status: "OK", message: "Shipping rule created successfully", data: rule };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const updateShippingRule = async (id, payload = {}) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return { status: "ERR", message: "Invalid shipping rule ID" };
+    }
+    const rule = await ShippingRuleModel.findById(id);
+    if (!rule) return { status: "ERR", message: "Shipping rule does not exist" };
+
+    const check = normalizeRulePayload(payload, rule.toObject());
+    if (!check.valid) return { status: "ERR", message: check.message };
+
+    const scope = { ...rule.toObject(), ...check.data };
+    const duplicate = await findDuplicateRule(scope, rule._id);
+    if (duplicate) {
+      return { status: "ERR", message: "A shipping rule for this area already exists" };
+    }
+
+    rule.set(check.data);
+    await rule.save();
+    return { status: "OK", message: "Shipping rule updated successfully", data: rule };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const deleteShippingRule = async (id) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return { status: "ERR", message: "Invalid shipping rule ID" };
+    }
+    const rule = await ShippingRuleModel.findByIdAndDelete(id);
+    if (!rule) return { status: "ERR", message: "Shipping rule does not exist" };
+    return { status: "OK", message: "Shipping rule deleted successfully" };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const getShippingRuleById = async (id) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return { status: "ERR", message: "Invalid shipping rule ID" };
+    }
+    const rule = await ShippingRuleModel.findById(id).lean();
+    if (!rule) return { status: "ERR", message: "Shipping rule does not exist" };
+    return { status: "OK", message: "Fetched shipping rule successfully", data: rule };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Danh sách rule (filter theo type, zone, status, tỉnh gửi/nhận; search theo name / tỉnh / quận; pagination)
+ */
+const getShippingRules = async (filters = {}) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search = "",
+      type,
+      zone,
+      status,
+      province,
+      destinationProvince,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = filters;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    const searchValue = search?.toString().trim();
+    if (searchValue) {
+      const escaped = searchValue.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const regex = new RegExp(escaped, "i");
+      query.$or = [
+        { name: regex },
+        { destinationProvince: regex },
+        { destinationDistrict: regex },
+      ];
+    }
+    if (type) {
+      if (!RULE_TYPES.includes(type)) {
+        return { status: "ERR", message: `type must be one of ${RULE_TYPES.join(", ")}` };
+      }
+      query.type = type;
+    }
+    if (zone) {
+      if (!ZONES.includes(zone)) {
+        return { status: "ERR", message: "zone must be STANDARD or REMOTE" };
+      }
+      query.zone = zone;
+    }
+    if (status !== undefined && status !== "") {
+      query.status = status === true || status === "true";
+    }
+    if (province) query.province = province.toString().trim();
+    if (destinationProvince) query.destinationProvince = destinationProvince.toString().trim();
+
+    const allowedSortFields = ["createdAt", "updatedAt", "type", "destinationProvince", "basePrice"];
+    const sortField = allowedSortFields.includes(sortBy) ? sortBy : "createdAt";
+    const sortDirection = sortOrder === "asc" ? 1 : -1;
+
+    const [data, total] = await Promise.all([
+      ShippingRuleModel.find(query)
+        .sort({ [sortField]: sortDirection })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      ShippingRuleModel.countDocuments(query),
+    ]);
+
+    return {
+      status: "OK",
+      message: "Fetched shipping rules successfully",
+      data,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
 };
 
 module.exports = {
+  DEFAULT_ORIGIN_PROVINCE,
+  quoteShipping,
   calculateShippingFee,
-  calculateShippingForCheckout
+  calculateShippingForCheckout,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+  getShippingRuleById,
+  getShippingRules,
 };
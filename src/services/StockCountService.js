@@ -0,0 +1,516 @@
+/**
+ * Stock Count Service
+ *
+ * Stock-take (cycle counting) workflow for warehouse staff, with ADJUST transactions and variance reports.
+ *
+ * This service handles:
+ * - Opening a count session for a set of products in one warehouse (optionally blind)
+ * - Entering counted quantities (system quantity is refreshed at count time)
+ * - Submit → admin review (approve / send back for recount / cancel)
+ * - On approval: one ADJUST transaction per line with a variance, with a reason code
+ *   (SPOILAGE, DAMAGE, THEFT, COUNT_ERROR, OTHER) – InventoryTransactionService.postAdjustment
+ * - Variance report per staff member (who counted) and per period (day / week / month)
+ *
+ * A product can only be in one OPEN / SUBMITTED session per warehouse at a time.
+ *
+ * @module services/StockCountService
+ */
+
+const mongoose = require("mongoose");
+const StockCountSessionModel = require("../models/StockCountSessionModel");
+const ProductModel = require("../models/ProductModel");
+const WarehouseStockModel = require("../models/WarehouseStockModel");
+const UserModel = require("../models/UserModel");
+const WarehouseService = require("./WarehouseService");
+const InventoryTransactionService = require("./InventoryTransactionService");
+
+const { ADJUST_REASON_CODES } = InventoryTransactionService;
+const ACTIVE_STATUSES = ["OPEN", "SUBMITTED"];
+const SESSION_STATUSES = ["OPEN", "SUBMITTED", "APPROVED", "CANCELLED"];
+const MAX_PRODUCTS_PER_SESSION = 200;
+const REPORT_PERIOD_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/** Phiên blind: nhân viên kho không thấy tồn hệ thống / chênh lệch cho tới khi duyệt. */
+const formatSession = (doc, viewer = {}) => {
+  const session = doc.toObject ? doc.toObject() : doc;
+  const hideSystem = session.blind && !viewer.isAdmin && session.status !== "APPROVED";
+  const items = (session.items || []).map((item) =>
+    hideSystem ? { ...item, systemQuantity: undefined, variance: undefined } : item
+  );
+  const counted = items.filter((i) => i.countedQuantity != null);
+  return {
+    ...session,
+    items,
+    summary: {
+      products: items.length,
+      counted: counted.length,
+      ...(hideSystem
+        ? {}
+        : {
+            withVariance: counted.filter((i) => i.variance !== 0).length,
+            shortageQuantity: counted.reduce((sum, i) => sum + Math.max(0, -i.variance), 0),
+            surplusQuantity: counted.reduce((sum, i) => sum + Math.max(0, i.variance), 0),
+          }),
+    },
+  };
+};
+
+/** Tồn theo kho hiện tại của các product (Map productId → onHand). */
+const getWarehouseQuantities = async (warehouseId, productIds) => {
+  await WarehouseService.ensureStockRows(productIds);
+  const stocks = await WarehouseStockModel.find({
+    warehouse: warehouseId,
+    product: { $in: productIds.map(toObjectId) },
+  })
+    .select("product onHandQuantity")
+    .lean();
+  return new Map(stocks.map((s) => [s.product.toString(), s.onHandQuantity || 0]));
+};
+
+/**
+ * Mở phiên kiểm kê.
+ * @param {ObjectId} userId
+ * @param {Object} payload - { warehouseId, productIds: string[], blind, note }
+ */
+const openSession = async (userId, payload = {}) => {
+  try {
+    const { warehouseId = null, productIds, blind = false, note = "" } = payload;
+    const ids = [...new Set((Array.isArray(productIds) ? productIds : []).map((id) => String(id)))];
+    if (ids.length === 0) return { status: "ERR", message: "productIds must be a non-empty array" };
+    if (ids.length > MAX_PRODUCTS_PER_SESSION) {
+      return { status: "ERR", message: `A stock count can include at most ${MAX_PRODUCTS_PER_SESSION} products` };
+    }
+    if (ids.some((id) => !mongoose.isValidObjectId(id))) return { status: "ERR", message: "Invalid productId" };
+
+    const warehouse = await WarehouseService.resolveWarehouse(warehouseId);
+    const products = await ProductModel.find({ _id: { $in: ids.map(toObjectId) } })
+      .select("name purchasePrice")
+      .lean();
+    if (products.length !== ids.length) return { status: "ERR", message: "Product does not exist" };
+
+    const busy = await StockCountSessionModel.findOne({
+      warehouse: warehouse._id,
+      status: { $in: ACTIVE_STATUSES },
+      "items.product": { $in: ids.map(toObjectId) },
+    })
+      .select("_id items.product items.productName")
+      .lean();
+    if (busy) {
+      const busyItem = busy.items.find((i) => ids.includes(i.product.toString()));
+      return {
+        status: "ERR",
+        message: `${busyItem?.productName || "A product"} is already in an open stock count of this warehouse`,
+      };
+    }
+
+    const quantities = await getWarehouseQuantities(warehouse._id, ids);
+    const session = await StockCountSessionModel.create({
+      warehouse: warehouse._id,
+      blind: blind === true || blind === "true",
+      note: (note || "").toString().trim(),
+      createdBy: userId,
+      items: products.map((p) => ({
+        product: p._id,
+        productName: p.name,
+        systemQuantity: quantities.get(p._id.toString()) || 0,
+        unitCost: p.purchasePrice || 0,
+      })),
+    });
+
+    return { status: "OK", message: "Stock count opened", data: formatSession(session, { isAdmin: true }) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Nhập số đếm (có thể nhập nhiều lần, nhiều người) – chỉ khi phiên OPEN.
+ * @param {Object} payload - { items: [{ productId, countedQuantity, reasonCode?, note? }] }
+ * @param {Object} viewer - { _id, isAdmin }
+ */
+const recordCounts = async (id, viewer, payload = {}) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid stock count id" };
+    const lines = Array.isArray(payload.items) ? payload.items : [];
+    if (lines.length === 0) return { status: "ERR", message: "items must be a non-empty array" };
+
+    const session = await StockCountSessionModel.findById(id);
+    if (!session) return { status: "ERR", message: "Stock count not found" };
+    if (session.status !== "OPEN") return { status: "ERR", message: "Only open stock counts can be counted" };
+
+    const itemMap = new Map(session.items.map((item) => [item.product.toString(), item]));
+    for (const line of lines) {
+      const item = itemMap.get(String(line.productId));
+      if (!item) return { status: "ERR", message: "Product is not part of this stock count" };
+      const counted = Number(line.countedQuantity);
+      if (!Number.isInteger(counted) || counted < 0) {
+        return { status: "ERR", message: "countedQuantity must be an integer greater than or equal to 0" };
+      }
+      if (line.reasonCode && !ADJUST_REASON_CODES.includes(line.reasonCode)) {
+        return { status: "ERR", message: `reasonCode must be one of ${ADJUST_REASON_CODES.join(", ")}` };
+      }
+    }
+
+    const quantities = await getWarehouseQuantities(
+      session.warehouse,
+      lines.map((l) => String(l.productId))
+    );
+    const now = new Date();
+    lines.forEach((line) => {
+      const item = itemMap.get(String(line.productId));
+      item.systemQuantity = quantities.get(String(line.productId)) || 0;
+      item.countedQuantity = Number(line.countedQuantity);
+      item.variance = item.countedQuantity - item.systemQuantity;
+      if (line.reasonCode !== undefined) item.reasonCode = line.reasonCode || null;
+      if (line.note !== undefined) item.note = (line.note || "").toString().trim();
+      item.countedBy = viewer._id;
+      item.countedAt = now;
+    });
+    await session.save();
+
+    return { status: "OK", message: "Counts recorded", data: formatSession(session, viewer) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/** Gửi duyệt: mọi sản phẩm phải đã được đếm. */
+const submitSession = async (id, viewer) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid stock count id" };
+    const session = await StockCountSessionModel.findById(id);
+    if (!session) return { status: "ERR", message: "Stock count not found" };
+    if (session.status !== "OPEN") return { status: "ERR", message: "Only open stock counts can be submitted" };
+    const notCounted = session.items.filter((i) => i.countedQuantity == null).length;
+    if (notCounted > 0) {
+      return { status: "ERR", message: `${notCounted} product(s) have not been counted yet` };
+    }
+
+    session.status = "SUBMITTED";
+    session.submittedBy = viewer._id;
+    session.submittedAt = new Date();
+    await session.save();
+    return { status: "OK", message: "Stock count submitted for review", data: formatSession(session, viewer) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Admin duyệt: ghi ADJUST cho từng dòng lệch (trong một transaction), rồi chốt lô các sản phẩm về 0.
+ * @param {Object} payload - { items?: [{ productId, reasonCode }] (ghi đè lý do), note }
+ */
+const approveSession = async (id, adminId, payload = {}) => {
+  if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid stock count id" };
+  const overrides = new Map(
+    (Array.isArray(payload.items) ? payload.items : []).map((i) => [String(i.productId), i.reasonCode])
+  );
+  for (const reasonCode of overrides.values()) {
+    if (!ADJUST_REASON_CODES.includes(reasonCode)) {
+      return { status: "ERR", message: `reasonCode must be one of ${ADJUST_REASON_CODES.join(", ")}` };
+    }
+  }
+
+  const dbSession = await mongoose.startSession();
+  let countSession = null;
+  try {
+    await dbSession.withTransaction(async () => {
+      countSession = await StockCountSessionModel.findById(id).session(dbSession);
+      if (!countSession) throw new Error("Stock count not found");
+      if (countSession.status !== "SUBMITTED") throw new Error("Only submitted stock counts can be approved");
+
+      for (const item of countSession.items) {
+        const override = overrides.get(item.product.toString());
+        if (override) item.reasonCode = override;
+        if (!item.variance) continue;
+        if (!item.reasonCode) {
+          throw new Error(`A reason code is required for the variance of ${item.productName}`);
+        }
+        const tx = await InventoryTransactionService.postAdjustment(
+          adminId,
+          {
+            productId: item.product,
+            quantity: item.variance,
+            reasonCode: item.reasonCode,
+            warehouseId: countSession.warehouse,
+            referenceType: "STOCK_COUNT",
+            referenceId: countSession._id,
+            note: item.note || `Stock count ${countSession._id.toString()}`,
+          },
+          dbSession
+        );
+        item.adjustmentTransaction = tx._id;
+      }
+
+      countSession.status = "APPROVED";
+      countSession.reviewedBy = adminId;
+      countSession.reviewedAt = new Date();
+      countSession.reviewNote = (payload.note || "").toString().trim();
+      await countSession.save({ session: dbSession });
+    });
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  } finally {
+    dbSession.endSession();
+  }
+
+  // Sau commit: sản phẩm về 0 sau điều chỉnh giảm → chốt lô như khi xuất kho hết
+  const soldOutIds = countSession.items.filter((i) => i.variance < 0).map((i) => i.product);
+  if (soldOutIds.length > 0) {
+    const { autoResetSoldOutProduct } = require("./ProductBatchService");
+    const emptied = await ProductModel.find({ _id: { $in: soldOutIds }, onHandQuantity: 0 }).select("_id").lean();
+    for (const p of emptied) {
+      try {
+        await autoResetSoldOutProduct(p._id.toString());
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error auto-resetting product ${p._id} after stock count:`, error);
+      }
+    }
+  }
+
+  return {
+    status: "OK",
+    message: "Stock count approved and adjustments posted",
+    data: formatSession(countSession, { isAdmin: true }),
+  };
+};
+
+/** Admin trả phiếu về để đếm lại (SUBMITTED → OPEN). */
+const reopenSession = async (id, adminId, payload = {}) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid stock count id" };
+    const session = await StockCountSessionModel.findOneAndUpdate(
+      { _id: id, status: "SUBMITTED" },
+      {
+        $set: {
+          status: "OPEN",
+          submittedBy: null,
+          submittedAt: null,
+          reviewNote: (payload.note || "").toString().trim(),
+        },
+      },
+      { new: true }
+    );
+    if (!session) {
+      const exists = await StockCountSessionModel.exists({ _id: id });
+      return { status: "ERR", message: exists ? "Only submitted stock counts can be sent back for recount" : "Stock count not found" };
+    }
+    return { status: "OK", message: "Stock count sent back for recount", data: formatSession(session, { isAdmin: true }) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/** Admin huỷ phiên (OPEN / SUBMITTED), không điều chỉnh tồn. */
+const cancelSession = async (id, adminId, payload = {}) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid stock count id" };
+    const session = await StockCountSessionModel.findOneAndUpdate(
+      { _id: id, status: { $in: ACTIVE_STATUSES } },
+      {
+        $set: {
+          status: "CANCELLED",
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          reviewNote: (payload.note || "").toString().trim(),
+        },
+      },
+      { new: true }
+    );
+    if (!session) {
+      const exists = await StockCountSessionModel.exists({ _id: id });
+      return { status: "ERR", message: exists ? "Only open or submitted stock counts can be cancelled" : "Stock count not found" };
+    }
+    return { status: "OK", message: "Stock count cancelled", data: formatSession(session, { isAdmin: true }) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Danh sách phiên kiểm kê.
+ * @param {Object} filters - { status, warehouseId, page, limit }
+ * @param {Object} viewer - { isAdmin }
+ */
+const listSessions = async (filters = {}, viewer = {}) => {
+  try {
+    const { status, warehouseId, page = 1, limit = 10 } = filters;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 10));
+
+    const query = {};
+    if (status) {
+      if (!SESSION_STATUSES.includes(status)) {
+        return { status: "ERR", message: `status must be one of ${SESSION_STATUSES.join(", ")}` };
+      }
+      query.status = status;
+    }
+    if (warehouseId) {
+      if (!mongoose.isValidObjectId(warehouseId)) return { status: "ERR", message: "Invalid warehouseId" };
+      query.warehouse = toObjectId(warehouseId);
+    }
+
+    const [rows, total] = await Promise.all([
+      StockCountSessionModel.find(query)
+        .populate("warehouse", "code name")
+        .populate("createdBy", "user_name email")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      StockCountSessionModel.countDocuments(query),
+    ]);
+
+    return {
+      status: "OK",
+      message: "Fetched stock counts successfully",
+      data: rows.map((row) => {
+        const { items, ...rest } = formatSession(row, viewer);
+        return rest;
+      }),
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const getSessionById = async (id, viewer = {}) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid stock count id" };
+    const session = await StockCountSessionModel.findById(id)
+      .populate("warehouse", "code name")
+      .populate("createdBy", "user_name email")
+      .populate("submittedBy", "user_name email")
+      .populate("reviewedBy", "user_name email")
+      .populate("items.countedBy", "user_name email")
+      .lean();
+    if (!session) return { status: "ERR", message: "Stock count not found" };
+    return { status: "OK", message: "Fetched stock count successfully", data: formatSession(session, viewer) };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const varianceGroup = (id) => ({
+  _id: id,
+  sessions: { $addToSet: "$sessionId" },
+  itemsCounted: { $sum: 1 },
+  itemsWithVariance: { $sum: { $cond: [{ $ne: ["$variance", 0] }, 1, 0] } },
+  shortageQuantity: { $sum: "$shortage" },
+  surplusQuantity: { $sum: "$surplus" },
+  shortageValue: { $sum: { $multiply: ["$shortage", "$unitCost"] } },
+  surplusValue: { $sum: { $multiply: ["$surplus", "$unitCost"] } },
+});
+
+const toVarianceRow = ({ _id, sessions, ...row }) => ({
+  sessions: sessions.length,
+  ...row,
+  netVarianceQuantity: row.surplusQuantity - row.shortageQuantity,
+  netVarianceValue: row.surplusValue - row.shortageValue,
+  accuracyPercent:
+    row.itemsCounted > 0
+      ? Math.round(((row.itemsCounted - row.itemsWithVariance) / row.itemsCounted) * 10000) / 100
+      : 100,
+});
+
+/**
+ * Báo cáo chênh lệch kiểm kê (chỉ phiên APPROVED, theo ngày duyệt) theo nhân viên đếm và theo kỳ.
+ * Giá trị chênh lệch = số lượng × giá nhập lúc mở phiên.
+ * @param {Object} filters - { startDate, endDate, period: "day" | "week" | "month", warehouseId, staffId }
+ */
+const getVarianceReport = async (filters = {}) => {
+  try {
+    const { startDate, endDate, period = "month", warehouseId, staffId } = filters;
+    const format = REPORT_PERIOD_FORMATS[period];
+    if (!format) return { status: "ERR", message: "period must be day, week or month" };
+
+    const now = new Date();
+    const vnNow = new Date(now.toLocaleString("en-US", { timeZone: "Asia/Ho_Chi_Minh" }));
+    const start = startDate ? new Date(startDate) : new Date(vnNow.getFullYear(), vnNow.getMonth(), 1);
+    const end = endDate ? new Date(endDate) : now;
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return { status: "ERR", message: "Invalid startDate or endDate" };
+    }
+    start.setHours(0, 0, 0, 0);
+    if (endDate) end.setHours(23, 59, 59, 999);
+
+    const match = { status: "APPROVED", reviewedAt: { $gte: start, $lte: end } };
+    if (warehouseId) {
+      if (!mongoose.isValidObjectId(warehouseId)) return { status: "ERR", message: "Invalid warehouseId" };
+      match.warehouse = toObjectId(warehouseId);
+    }
+    if (staffId && !mongoose.isValidObjectId(staffId)) return { status: "ERR", message: "Invalid staffId" };
+
+    const [result] = await StockCountSessionModel.aggregate([
+      { $match: match },
+      { $unwind: "$items" },
+      ...(staffId ? [{ $match: { "items.countedBy": toObjectId(staffId) } }] : []),
+      {
+        $project: {
+          sessionId: "$_id",
+          staff: "$items.countedBy",
+          variance: "$items.variance",
+          reasonCode: "$items.reasonCode",
+          unitCost: "$items.unitCost",
+          shortage: { $cond: [{ $lt: ["$items.variance", 0] }, { $multiply: ["$items.variance", -1] }, 0] },
+          surplus: { $cond: [{ $gt: ["$items.variance", 0] }, "$items.variance", 0] },
+          period: { $dateToString: { date: "$reviewedAt", format, timezone: "Asia/Ho_Chi_Minh" } },
+        },
+      },
+      {
+        $facet: {
+          summary: [{ $group: varianceGroup(null) }],
+          byStaff: [{ $group: varianceGroup("$staff") }],
+          byPeriod: [{ $group: varianceGroup("$period") }, { $sort: { _id: 1 } }],
+          byReason: [{ $match: { variance: { $ne: 0 } } }, { $group: varianceGroup("$reasonCode") }],
+        },
+      },
+    ]);
+
+    const staffIds = result.byStaff.map((r) => r._id).filter(Boolean);
+    const users = await UserModel.find({ _id: { $in: staffIds } }).select("user_name email").lean();
+    const userMap = new Map(users.map((u) => [u._id.toString(), u]));
+
+    return {
+      status: "OK",
+      message: "Fetched stock count variance report successfully",
+      data: {
+        startDate: start,
+        endDate: end,
+        period,
+        summary: result.summary[0] ? toVarianceRow(result.summary[0]) : null,
+        byStaff: result.byStaff
+          .map((r) => ({
+            staffId: r._id,
+            staffName: userMap.get(r._id?.toString())?.user_name || "",
+            email: userMap.get(r._id?.toString())?.email || "",
+            ...toVarianceRow(r),
+          }))
+          .sort((a, b) => b.shortageValue - a.shortageValue),
+        byPeriod: result.byPeriod.map((r) => ({ period: r._id, ...toVarianceRow(r) })),
+        byReason: result.byReason.map((r) => ({ reasonCode: r._id, ...toVarianceRow(r) })),
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+module.exports = {
+  openSession,
+  recordCounts,
+  submitSession,
+  approveSession,
+  reopenSession,
+  cancelSession,
+  listSessions,
+  getSessionById,
+  getVarianceReport,
+};
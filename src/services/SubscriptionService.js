@@ -0,0 +1,754 @@
+/**
+ * Subscription Service
+ *
+ * Recurring fruit boxes: admin plans (products / categories, kg, WEEKLY or MONTHLY) and customer subscriptions.
+ *
+ * This service handles:
+ * - Admin: create / update / deactivate plans, list plans and subscriptions
+ * - Public: list active plans, plan detail with the box as it would be picked today (price estimate)
+ * - Customer: subscribe (address, payment method, first delivery date), update, pause / resume, skip next delivery, cancel
+ * - Cycle processing (jobs/subscriptionJob): reminder before each charge, order generation, auto-resume of pauses
+ *
+ * Each cycle the order is created ORDER_LEAD_DAYS before next_delivery_date (the "charge": COD order or VNPay order)
+ * through OrderService.confirmCheckoutAndCreateOrder (items mode) – same pricing, promotions, warehouse and stock logic
+ * as cart orders. A VNPay order must be paid before its delivery date (pay_by); the pay link is created when the customer
+ * opens it (OrderService.retryVnpayPayment). An unpaid order removed by jobs/autoDeleteFailedOrders fails its cycle. Out-of-stock products are substituted with the closest-priced product of the same category; category
+ * lines take the cheapest product in stock. The customer is reminded REMINDER_DAYS_BEFORE_CHARGE days before the charge.
+ *
+ * @module services/SubscriptionService
+ */
+
+const mongoose = require("mongoose");
+const SubscriptionPlanModel = require("../models/SubscriptionPlanModel");
+const SubscriptionModel = require("../models/SubscriptionModel");
+const ProductModel = require("../models/ProductModel");
+const CategoryModel = require("../models/CategoryModel");
+const UserModel = require("../models/UserModel");
+const NotificationService = require("./NotificationService");
+const CustomerEmailService = require("./CustomerEmailService");
+const { getEffectivePrice, isProductExpired } = require("../utils/productPrice");
+
+/** Order (charge) is created this many days before the delivery date. */
+const ORDER_LEAD_DAYS = 1;
+/** Reminder is sent this many days before the charge. */
+const REMINDER_DAYS_BEFORE_CHARGE = 2;
+/** Longest pause with an end date. */
+const MAX_PAUSE_DAYS = 90;
+const FREQUENCIES = ["WEEKLY", "MONTHLY"];
+const PAYMENT_METHODS = ["COD", "VNPAY"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VN_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/** In-memory lock: one cycle run at a time. */
+let processing = false;
+
+/** "YYYY-MM-DD" (VN) → Date at 00:00 VN time. */
+function parseVnDate(value, label) {
+  const str = (value || "").toString().trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(str) ? new Date(str + "T00:00:00+07:00") : new Date(NaN);
+  if (Number.isNaN(d.getTime())) throw new Error(`${label} must be a date in YYYY-MM-DD format`);
+  return d;
+}
+
+/** VN day of month of a date (monthly subscriptions keep delivering on this day). */
+function getVnDay(date) {
+  return new Date(new Date(date).getTime() + VN_OFFSET_MS).getUTCDate();
+}
+
+/**
+ * Next delivery date after date: +7 days, or anchorDay of next month (clamped to the month's last day, so 31 → 28/29 → 31).
+ * @param {Date} date
+ * @param {string} frequency - WEEKLY | MONTHLY
+ * @param {number} [anchorDay] - Day of month of the first delivery (defaults to date's day)
+ */
+function addCycle(date, frequency, anchorDay) {
+  if (frequency === "WEEKLY") return new Date(new Date(date).getTime() + 7 * DAY_MS);
+  const vn = new Date(new Date(date).getTime() + VN_OFFSET_MS);
+  const y = vn.getUTCFullYear();
+  const m = vn.getUTCMonth() + 1;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  const day = Math.min(anchorDay || vn.getUTCDate(), lastDay);
+  return new Date(Date.UTC(y, m, day, vn.getUTCHours(), vn.getUTCMinutes()) - VN_OFFSET_MS);
+}
+
+/** When the order for a delivery date is created. */
+function getChargeDate(deliveryDate) {
+  return new Date(new Date(deliveryDate).getTime() - ORDER_LEAD_DAYS * DAY_MS);
+}
+
+/** Roll a delivery date forward until its charge date is in the future. */
+function rollForward(deliveryDate, frequency, anchorDay, now = new Date()) {
+  let next = new Date(deliveryDate);
+  while (getChargeDate(next) <= now) next = addCycle(next, frequency, anchorDay);
+  return next;
+}
+
+const formatVnDate = (d) => new Date(d).toLocaleDateString("vi-VN", { timeZone: "Asia/Ho_Chi_Minh" });
+
+/* =====================================================
+   PLANS
+===================================================== */
+
+/**
+ * Validate plan input. Items: [{ product } | { category }, quantity (kg)]; referenced products / categories must exist.
+ * @param {Object} payload
+ * @param {Object} [options] - partial: only validate given fields (update)
+ */
+async function parsePlanInput({ name, description, frequency, items, isActive } = {}, { partial = false } = {}) {
+  const result = {};
+  if (name !== undefined || !partial) {
+    if (!name || !name.toString().trim()) throw new Error("Plan name is required");
+    result.name = name.toString().trim();
+  }
+  if (description !== undefined) result.description = (description || "").toString().trim();
+  if (frequency !== undefined || !partial) {
+    if (!FREQUENCIES.includes(frequency)) throw new Error("Frequency must be WEEKLY or MONTHLY");
+    result.frequency = frequency;
+  }
+  if (items !== undefined || !partial) {
+    if (!Array.isArray(items) || items.length === 0) throw new Error("A plan needs at least one item");
+    result.items = items.map((item, idx) => {
+      const product = item?.product || null;
+      const category = item?.category || null;
+      if (!!product === !!category) throw new Error(`Item ${idx + 1}: choose either a product or a category`);
+      if (!mongoose.isValidObjectId(product || category)) throw new Error(`Item ${idx + 1}: invalid product or category`);
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) throw new Error(`Item ${idx + 1}: quantity must be a whole number of kg`);
+      return { product, category, quantity };
+    });
+    const productIds = result.items.filter((i) => i.product).map((i) => i.product);
+    const categoryIds = result.items.filter((i) => i.category).map((i) => i.category);
+    const [products, categories] = await Promise.all([
+      ProductModel.countDocuments({ _id: { $in: productIds } }),
+      CategoryModel.countDocuments({ _id: { $in: categoryIds } }),
+    ]);
+    if (products !== new Set(productIds.map(String)).size) throw new Error("Some products in the plan were not found");
+    if (categories !== new Set(categoryIds.map(String)).size) throw new Error("Some categories in the plan were not found");
+  }
+  if (isActive !== undefined) result.isActive = isActive === true || isActive === "true";
+  return result;
+}
+
+/**
+ * Admin: create a plan.
+ * @param {Object} payload - { name, description, frequency, items: [{ product | category, quantity }] }
+ * @param {string} [createdBy]
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function createPlan(payload, createdBy) {
+  const fields = await parsePlanInput(payload);
+  const doc = await SubscriptionPlanModel.create({ ...fields, createdBy: createdBy || null });
+  return { status: "OK", data: doc.toObject() };
+}
+
+/**
+ * Admin: update a plan. Frequency changes apply to new subscriptions only; items apply from the next cycle.
+ * isActive = false stops new subscriptions, existing ones keep running.
+ * @param {string} planId
+ * @param {Object} payload
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function updatePlan(planId, payload) {
+  if (!mongoose.isValidObjectId(planId)) throw new Error("Plan not found");
+  const fields = await parsePlanInput(payload, { partial: true });
+  const updated = await SubscriptionPlanModel.findByIdAndUpdate(planId, { $set: fields }, { new: true, runValidators: true }).lean();
+  if (!updated) throw new Error("Plan not found");
+  return { status: "OK", data: updated };
+}
+
+/**
+ * List plans. Public callers only see active plans.
+ * @param {Object} [filters] - { frequency, isActive (admin), page, limit }
+ * @param {Object} [options] - admin: include inactive plans
+ * @returns {Promise<{ status: string, data: Array, pagination: Object }>}
+ */
+async function listPlans(filters = {}, { admin = false } = {}) {
+  const pageNum = Math.max(1, Number(filters.page) || 1);
+  const limitNum = Math.max(1, Math.min(100, Number(filters.limit) || 20));
+  const query = {};
+  if (!admin) query.isActive = true;
+  else if (filters.isActive === "true" || filters.isActive === "false") query.isActive = filters.isActive === "true";
+  if (FREQUENCIES.includes(filters.frequency)) query.frequency = filters.frequency;
+  const [list, total] = await Promise.all([
+    SubscriptionPlanModel.find(query)
+      .populate("items.product", "name images price")
+      .populate("items.category", "name")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    SubscriptionPlanModel.countDocuments(query),
+  ]);
+  return {
+    status: "OK",
+    data: list,
+    pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+  };
+}
+
+/**
+ * Plan detail with the box as it would be picked now (substitutions, estimated subtotal before promotions / shipping).
+ * @param {string} planId
+ * @param {Object} [options] - admin: inactive plans visible
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function getPlanById(planId, { admin = false } = {}) {
+  if (!mongoose.isValidObjectId(planId)) throw new Error("Plan not found");
+  const plan = await SubscriptionPlanModel.findById(planId)
+    .populate("items.product", "name images price")
+    .populate("items.category", "name")
+    .lean();
+  if (!plan || (!admin && !plan.isActive)) throw new Error("Plan not found");
+  const box = await resolveBoxItems(plan);
+  return {
+    status: "OK",
+    data: {
+      ...plan,
+      preview: {
+        lines: box.lines,
+        substitutions: box.substitutions,
+        estimatedSubtotal: box.lines.reduce((sum, l) => sum + l.quantity * l.price, 0),
+      },
+    },
+  };
+}
+
+/* =====================================================
+   BOX PICKING (SUBSTITUTION)
+===================================================== */
+
+/**
+ * Pick the products of one box from the plan items with current stock.
+ * - Product line: the product when sellable with enough stock; otherwise the same-category product whose price is closest
+ * - Category line: the cheapest sellable product of the category with enough stock
+ * - Nothing in stock: line dropped (UNAVAILABLE)
+ *
+ * @param {Object} plan - Plan (items.product / items.category may be populated or ids)
+ * @returns {Promise<{ lines: Array<{ product_id, name, quantity, price }>, substitutions: Array }>}
+ */
+async function resolveBoxItems(plan) {
+  const used = new Map();
+  const available = (p, qty) => p && p.status && !isProductExpired(p) && p.onHandQuantity - (used.get(p._id.toString()) || 0) >= qty;
+  const take = (p, qty) => used.set(p._id.toString(), (used.get(p._id.toString()) || 0) + qty);
+  const pickFromCategory = async (categoryId, qty, refPrice) => {
+    const candidates = await ProductModel.find({ category: categoryId, status: true, onHandQuantity: { $gte: qty } }).lean();
+    const ok = candidates
+      .filter((p) => available(p, qty))
+      .map((p) => ({ p, price: getEffectivePrice(p).effectivePrice }))
+      .sort((a, b) => (refPrice == null ? a.price - b.price : Math.abs(a.price - refPrice) - Math.abs(b.price - refPrice)));
+    return ok[0]?.p || null;
+  };
+
+  const picked = [];
+  const substitutions = [];
+  for (const item of plan.items) {
+    const qty = item.quantity;
+    if (item.product) {
+      const productId = item.product._id || item.product;
+      const product = await ProductModel.findById(productId).lean();
+      if (available(product, qty)) {
+        take(product, qty);
+        picked.push({ product, quantity: qty });
+        continue;
+      }
+      const substitute = product ? await pickFromCategory(product.category, qty, getEffectivePrice(product).effectivePrice) : null;
+      if (substitute) {
+        take(substitute, qty);
+        picked.push({ product: substitute, quantity: qty });
+      }
+      substitutions.push({
+        from_product: productId,
+        to_product: substitute?._id || null,
+        category: product?.category || null,
+        quantity: qty,
+        reason: substitute ? "OUT_OF_STOCK" : "UNAVAILABLE",
+      });
+    } else {
+      const categoryId = item.category._id || item.category;
+      const product = await pickFromCategory(categoryId, qty, null);
+      if (product) {
+        take(product, qty);
+        picked.push({ product, quantity: qty });
+      } else {
+        substitutions.push({ from_product: null, to_product: null, category: categoryId, quantity: qty, reason: "UNAVAILABLE" });
+      }
+    }
+  }
+
+  // Gộp các dòng trùng product (đơn hàng tạo một dòng mỗi product)
+  const lines = new Map();
+  picked.forEach(({ product, quantity }) => {
+    const key = product._id.toString();
+    const line = lines.get(key) || { product_id: product._id, name: product.name, quantity: 0, price: getEffectivePrice(product).effectivePrice };
+    line.quantity += quantity;
+    lines.set(key, line);
+  });
+  return { lines: [...lines.values()], substitutions };
+}
+
+/* =====================================================
+   CUSTOMER SUBSCRIPTIONS
+===================================================== */
+
+/** Validate receiver / payment fields. Only given fields are returned unless partial = false. */
+function parseSubscriptionInput(payload = {}, { partial = false } = {}) {
+  const result = {};
+  const str = (v) => (v == null ? "" : String(v).trim());
+  const required = [
+    ["receiver_name", "Receiver name"],
+    ["receiver_address", "Receiver address"],
+    ["receiver_city", "City"],
+  ];
+  required.forEach(([key, label]) => {
+    if (payload[key] !== undefined || !partial) {
+      if (!str(payload[key])) throw new Error(`${label} is required`);
+      result[key] = str(payload[key]);
+    }
+  });
+  if (payload.receiver_phone !== undefined || !partial) {
+    if (!/^0\d{9}$/.test(str(payload.receiver_phone))) throw new Error("Receiver phone must be 10 digits starting with 0");
+    result.receiver_phone = str(payload.receiver_phone);
+  }
+  if (payload.receiver_district !== undefined) result.receiver_district = str(payload.receiver_district) || null;
+  if (payload.note !== undefined) result.note = str(payload.note);
+  if (payload.payment_method !== undefined || !partial) {
+    const method = payload.payment_method || "COD";
+    if (!PAYMENT_METHODS.includes(method)) throw new Error("Payment method must be COD or VNPAY");
+    result.payment_method = method;
+  }
+  return result;
+}
+
+/** Load a customer's own subscription. */
+async function loadOwnSubscription(userId, subscriptionId) {
+  if (!mongoose.isValidObjectId(subscriptionId)) throw new Error("Subscription not found");
+  const sub = await SubscriptionModel.findOne({ _id: subscriptionId, user_id: userId }).lean();
+  if (!sub) throw new Error("Subscription not found");
+  return sub;
+}
+
+/** Subscription as returned to clients (next charge date). */
+const withChargeDate = (sub) => ({ ...sub, next_charge_date: sub.status === "CANCELLED" ? null : getChargeDate(sub.next_delivery_date) });
+
+/**
+ * Customer: subscribe to a plan.
+ *
+ * Business rules:
+ * - Plan must be active; one ACTIVE / PAUSED subscription per plan and customer
+ * - start_date (YYYY-MM-DD, first delivery) must leave at least ORDER_LEAD_DAYS before the first charge
+ * - Receiver name / phone (0xxxxxxxxx) / address / city required (city + district select the warehouse and shipping fee)
+ *
+ * @param {string} userId
+ * @param {Object} payload - { plan_id, start_date, receiver_*, note, payment_method }
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function subscribe(userId, payload = {}) {
+  if (!mongoose.isValidObjectId(payload.plan_id)) throw new Error("Plan not found");
+  const plan = await SubscriptionPlanModel.findOne({ _id: payload.plan_id, isActive: true }).lean();
+  if (!plan) throw new Error("Plan not found");
+  const fields = parseSubscriptionInput(payload);
+  const firstDelivery = parseVnDate(payload.start_date, "Start date");
+  if (getChargeDate(firstDelivery) <= new Date()) {
+    throw new Error(`The first delivery must be at least ${ORDER_LEAD_DAYS + 1} day(s) from today`);
+  }
+  const existing = await SubscriptionModel.exists({ user_id: userId, plan_id: plan._id, status: { $in: ["ACTIVE", "PAUSED"] } });
+  if (existing) throw new Error("You already have a subscription to this plan");
+
+  const doc = await SubscriptionModel.create({
+    ...fields,
+    user_id: userId,
+    plan_id: plan._id,
+    frequency: plan.frequency,
+    next_delivery_date: firstDelivery,
+    anchor_day: getVnDay(firstDelivery),
+  });
+  return { status: "OK", data: withChargeDate(doc.toObject()) };
+}
+
+/**
+ * Customer: my subscriptions with plan and last cycles.
+ * @param {string} userId
+ * @returns {Promise<{ status: string, data: Array }>}
+ */
+async function getMySubscriptions(userId) {
+  const list = await SubscriptionModel.find({ user_id: userId })
+    .populate("plan_id", "name frequency items")
+    .populate("cycles.order_id", "total_price order_status_id")
+    .sort({ createdAt: -1 })
+    .lean();
+  return { status: "OK", data: list.map(withChargeDate) };
+}
+
+/**
+ * Customer: change receiver / note / payment method (applies from the next order).
+ * @param {string} userId
+ * @param {string} subscriptionId
+ * @param {Object} payload
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function updateSubscription(userId, subscriptionId, payload = {}) {
+  const sub = await loadOwnSubscription(userId, subscriptionId);
+  if (sub.status === "CANCELLED") throw new Error("This subscription is cancelled");
+  const fields = parseSubscriptionInput(payload, { partial: true });
+  const updated = await SubscriptionModel.findByIdAndUpdate(sub._id, { $set: fields }, { new: true }).lean();
+  return { status: "OK", data: withChargeDate(updated) };
+}
+
+/**
+ * Customer: pause deliveries. until (YYYY-MM-DD) resumes automatically (max MAX_PAUSE_DAYS); without it until resume.
+ * @param {string} userId
+ * @param {string} subscriptionId
+ * @param {Object} [payload] - { until }
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function pauseSubscription(userId, subscriptionId, { until } = {}) {
+  const sub = await loadOwnSubscription(userId, subscriptionId);
+  if (sub.status !== "ACTIVE") throw new Error("Only active subscriptions can be paused");
+  let pausedUntil = null;
+  if (until) {
+    pausedUntil = parseVnDate(until, "Pause end date");
+    const now = Date.now();
+    if (pausedUntil.getTime() <= now) throw new Error("Pause end date must be in the future");
+    if (pausedUntil.getTime() - now > MAX_PAUSE_DAYS * DAY_MS) throw new Error(`A subscription can be paused for at most ${MAX_PAUSE_DAYS} days`);
+  }
+  const updated = await SubscriptionModel.findOneAndUpdate(
+    { _id: sub._id, status: "ACTIVE" },
+    { $set: { status: "PAUSED", paused_until: pausedUntil } },
+    { new: true }
+  ).lean();
+  if (!updated) throw new Error("This subscription has just changed. Please reload and try again.");
+  return { status: "OK", data: withChargeDate(updated) };
+}
+
+/** Set a paused subscription back to ACTIVE with a next delivery whose charge is still ahead. */
+async function reactivate(sub, now = new Date()) {
+  return SubscriptionModel.findOneAndUpdate(
+    { _id: sub._id, status: "PAUSED" },
+    {
+      $set: {
+        status: "ACTIVE",
+        paused_until: null,
+        next_delivery_date: rollForward(sub.next_delivery_date, sub.frequency, sub.anchor_day, now),
+      },
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Customer: resume a paused subscription. Deliveries missed during the pause are not made up.
+ * @param {string} userId
+ * @param {string} subscriptionId
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function resumeSubscription(userId, subscriptionId) {
+  const sub = await loadOwnSubscription(userId, subscriptionId);
+  if (sub.status !== "PAUSED") throw new Error("Only paused subscriptions can be resumed");
+  const updated = await reactivate(sub);
+  if (!updated) throw new Error("This subscription has just changed. Please reload and try again.");
+  return { status: "OK", data: withChargeDate(updated) };
+}
+
+/**
+ * Customer: skip the next delivery (before its order is created).
+ * @param {string} userId
+ * @param {string} subscriptionId
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function skipNextDelivery(userId, subscriptionId) {
+  const sub = await loadOwnSubscription(userId, subscriptionId);
+  if (sub.status === "CANCELLED") throw new Error("This subscription is cancelled");
+  if (getChargeDate(sub.next_delivery_date) <= new Date()) {
+    throw new Error("The order for the next delivery is already being created. Please try again later.");
+  }
+  const updated = await SubscriptionModel.findOneAndUpdate(
+    { _id: sub._id, next_delivery_date: sub.next_delivery_date, status: { $ne: "CANCELLED" } },
+    {
+      $set: { next_delivery_date: addCycle(sub.next_delivery_date, sub.frequency, sub.anchor_day), reminder_sent_for: null },
+      $push: { cycles: { delivery_date: sub.next_delivery_date, status: "SKIPPED", message: "Skipped by customer" } },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) throw new Error("This subscription has just changed. Please reload and try again.");
+  return { status: "OK", data: withChargeDate(updated) };
+}
+
+/**
+ * Customer: cancel the subscription. Orders already created follow the normal order flow.
+ * @param {string} userId
+ * @param {string} subscriptionId
+ * @returns {Promise<{ status: string, data: Object }>}
+ */
+async function cancelSubscription(userId, subscriptionId) {
+  const sub = await loadOwnSubscription(userId, subscriptionId);
+  if (sub.status === "CANCELLED") throw new Error("This subscription is already cancelled");
+  const updated = await SubscriptionModel.findOneAndUpdate(
+    { _id: sub._id, status: { $ne: "CANCELLED" } },
+    { $set: { status: "CANCELLED", cancelled_at: new Date(), paused_until: null } },
+    { new: true }
+  ).lean();
+  return { status: "OK", data: withChargeDate(updated) };
+}
+
+/**
+ * Admin: list subscriptions.
+ * @param {Object} [filters] - { status, plan_id, page, limit }
+ * @returns {Promise<{ status: string, data: Array, pagination: Object }>}
+ */
+async function listSubscriptions(filters = {}) {
+  const pageNum = Math.max(1, Number(filters.page) || 1);
+  const limitNum = Math.max(1, Math.min(100, Number(filters.limit) || 20));
+  const query = {};
+  if (["ACTIVE", "PAUSED", "CANCELLED"].includes(filters.status)) query.status = filters.status;
+  if (filters.plan_id) {
+    if (!mongoose.isValidObjectId(filters.plan_id)) throw new Error("Invalid plan_id");
+    query.plan_id = filters.plan_id;
+  }
+  const [list, total] = await Promise.all([
+    SubscriptionModel.find(query)
+      .populate("user_id", "user_name email phone")
+      .populate("plan_id", "name frequency")
+      .sort({ next_delivery_date: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    SubscriptionModel.countDocuments(query),
+  ]);
+  return {
+    status: "OK",
+    data: list.map(withChargeDate),
+    pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+  };
+}
+
+/* =====================================================
+   CYCLE PROCESSING (jobs/subscriptionJob)
+===================================================== */
+
+/** FCM; failures are logged only. */
+async function notify(userId, title, body, data = {}) {
+  try {
+    await NotificationService.sendToUser(userId.toString(), { title, body, data: { type: "subscription", ...data } });
+  } catch (e) {
+    console.warn("Subscription notify skip:", e.message);
+  }
+}
+
+/** Remind customers whose charge is within REMINDER_DAYS_BEFORE_CHARGE days. */
+async function sendUpcomingReminders(now = new Date()) {
+  const horizon = new Date(now.getTime() + (REMINDER_DAYS_BEFORE_CHARGE + ORDER_LEAD_DAYS) * DAY_MS);
+  const subs = await SubscriptionModel.find({
+    status: "ACTIVE",
+    next_delivery_date: { $lte: horizon },
+    $expr: { $ne: ["$reminder_sent_for", "$next_delivery_date"] },
+  })
+    .populate("plan_id", "name")
+    .lean();
+  let sent = 0;
+  for (const sub of subs) {
+    const claimed = await SubscriptionModel.updateOne(
+      { _id: sub._id, status: "ACTIVE", next_delivery_date: sub.next_delivery_date },
+      { $set: { reminder_sent_for: sub.next_delivery_date } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    const planName = sub.plan_id?.name || "fruit box";
+    const chargeDate = getChargeDate(sub.next_delivery_date);
+    await notify(
+      sub.user_id,
+      "Your fruit box is coming up",
+      `${planName}: the order will be placed on ${formatVnDate(chargeDate)} (${sub.payment_method}) for delivery on ${formatVnDate(sub.next_delivery_date)}. Skip or pause before then if needed.`,
+      { subscriptionId: sub._id.toString(), action: "view_my_subscriptions" }
+    );
+    try {
+      const user = await UserModel.findById(sub.user_id).select("email user_name").lean();
+      if (user?.email) {
+        await CustomerEmailService.sendSubscriptionReminderEmail(
+          user.email,
+          user.user_name || "Customer",
+          planName,
+          chargeDate,
+          sub.next_delivery_date,
+          sub.payment_method
+        );
+      }
+    } catch (e) {
+      console.warn("Subscription reminder email skip:", e.message);
+    }
+    sent += 1;
+  }
+  return sent;
+}
+
+/** Paused subscriptions whose paused_until has passed go back to ACTIVE. */
+async function resumeExpiredPauses(now = new Date()) {
+  const subs = await SubscriptionModel.find({ status: "PAUSED", paused_until: { $ne: null, $lte: now } }).lean();
+  let resumed = 0;
+  for (const sub of subs) {
+    const updated = await reactivate(sub, now);
+    if (!updated) continue;
+    resumed += 1;
+    await notify(
+      sub.user_id,
+      "Fruit box subscription resumed",
+      `Your subscription is active again. Next delivery: ${formatVnDate(updated.next_delivery_date)}.`,
+      { subscriptionId: sub._id.toString(), action: "view_my_subscriptions" }
+    );
+  }
+  return resumed;
+}
+
+/**
+ * Create the order of one due cycle. The cycle is claimed first (next_delivery_date moved on) so a delivery date is
+ * never ordered twice; the outcome is recorded in cycles (ORDERED / FAILED).
+ * @returns {Promise<string|null>} Cycle status or null when another run claimed it
+ */
+async function generateCycleOrder(sub, now = new Date()) {
+  const deliveryDate = sub.next_delivery_date;
+  const claimed = await SubscriptionModel.updateOne(
+    { _id: sub._id, status: "ACTIVE", next_delivery_date: deliveryDate },
+    {
+      $set: {
+        next_delivery_date: rollForward(addCycle(deliveryDate, sub.frequency, sub.anchor_day), sub.frequency, sub.anchor_day, now),
+        reminder_sent_for: null,
+      },
+    }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  const cycle = { delivery_date: deliveryDate, status: "FAILED", order_id: null, substitutions: [], message: "", created_at: new Date() };
+  if (deliveryDate < now) {
+    // Quá ngày giao (job không chạy kịp) → không tạo đơn muộn
+    cycle.status = "SKIPPED";
+    cycle.message = "Delivery date passed before the order could be created";
+  } else {
+    try {
+      const plan = await SubscriptionPlanModel.findById(sub.plan_id).lean();
+      if (!plan) throw new Error("Plan no longer exists");
+      const box = await resolveBoxItems(plan);
+      cycle.substitutions = box.substitutions;
+      if (box.lines.length === 0) throw new Error("No product of this box is in stock");
+
+      const OrderService = require("./OrderService");
+      const result = await OrderService.confirmCheckoutAndCreateOrder({
+        user_id: sub.user_id,
+        items: box.lines.map((l) => ({ product_id: l.product_id, quantity: l.quantity })),
+        receiverInfo: {
+          receiver_name: sub.receiver_name,
+          receiver_phone: sub.receiver_phone,
+          receiver_address: sub.receiver_address,
+          city: sub.receiver_city,
+          district: sub.receiver_district,
+          note: [sub.note, `Subscription ${sub._id.toString()}`].filter(Boolean).join(" – "),
+        },
+        payment_method: sub.payment_method,
+        subscription_id: sub._id,
+        expected_ship_date: deliveryDate,
+        ...(sub.payment_method === "VNPAY" ? { pay_by: deliveryDate, defer_payment_url: true } : {}),
+      });
+      if (!result.success) throw new Error(result.message || "Order could not be created");
+      cycle.status = "ORDERED";
+      cycle.order_id = result.order_id;
+    } catch (err) {
+      cycle.message = err.message;
+    }
+  }
+  await SubscriptionModel.updateOne({ _id: sub._id }, { $push: { cycles: cycle } });
+
+  const substituted = cycle.substitutions.filter((s) => s.reason === "OUT_OF_STOCK").length;
+  const dropped = cycle.substitutions.filter((s) => s.reason === "UNAVAILABLE").length;
+  const changes = [
+    substituted ? `${substituted} item(s) substituted` : "",
+    dropped ? `${dropped} item(s) unavailable this time` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+  if (cycle.status === "ORDERED") {
+    await notify(
+      sub.user_id,
+      "Fruit box order created",
+      `Your box for ${formatVnDate(deliveryDate)} has been ordered${changes ? ` (${changes})` : ""}.` +
+        (sub.payment_method === "VNPAY"
+          ? ` Please pay with VNPay from your order before ${formatVnDate(deliveryDate)}, otherwise the order is cancelled.`
+          : ""),
+      {
+        subscriptionId: sub._id.toString(),
+        orderId: cycle.order_id.toString(),
+        action: "view_order",
+      }
+    );
+  } else if (cycle.status === "FAILED") {
+    await notify(
+      sub.user_id,
+      "Fruit box could not be ordered",
+      `We could not create your box for ${formatVnDate(deliveryDate)}: ${cycle.message}. Your subscription continues with the next delivery.`,
+      { subscriptionId: sub._id.toString(), action: "view_my_subscriptions" }
+    );
+  }
+  return cycle.status;
+}
+
+/**
+ * Unpaid cycle order removed (jobs/autoDeleteFailedOrders): its cycle becomes FAILED. Runs in the deletion session.
+ * @param {Object} order - Removed order (subscription_id, _id)
+ * @param {string} reason - Cycle message
+ * @param {Object} [session]
+ */
+async function markCycleOrderRemoved(order, reason, session = null) {
+  if (!order.subscription_id) return;
+  await SubscriptionModel.updateOne(
+    { _id: order.subscription_id, "cycles.order_id": order._id },
+    { $set: { "cycles.$.status": "FAILED", "cycles.$.message": reason } },
+    { session }
+  );
+}
+
+/**
+ * Job entry: resume expired pauses, send reminders, create the orders of due cycles.
+ * @param {Date} [now]
+ * @returns {Promise<{ resumed: number, reminded: number, ordered: number, failed: number, skipped: number }>}
+ */
+async function processSubscriptions(now = new Date()) {
+  const summary = { resumed: 0, reminded: 0, ordered: 0, failed: 0, skipped: 0 };
+  if (processing) return summary;
+  processing = true;
+  try {
+    summary.resumed = await resumeExpiredPauses(now);
+    summary.reminded = await sendUpcomingReminders(now);
+    const due = await SubscriptionModel.find({
+      status: "ACTIVE",
+      next_delivery_date: { $lte: new Date(now.getTime() + ORDER_LEAD_DAYS * DAY_MS) },
+    }).lean();
+    for (const sub of due) {
+      const status = await generateCycleOrder(sub, now);
+      if (status === "ORDERED") summary.ordered += 1;
+      else if (status === "FAILED") summary.failed += 1;
+      else if (status === "SKIPPED") summary.skipped += 1;
+    }
+    return summary;
+  } finally {
+    processing = false;
+  }
+}
+
+module.exports = {
+  ORDER_LEAD_DAYS,
+  REMINDER_DAYS_BEFORE_CHARGE,
+  addCycle,
+  getChargeDate,
+  resolveBoxItems,
+  createPlan,
+  updatePlan,
+  listPlans,
+  getPlanById,
+  subscribe,
+  getMySubscriptions,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextDelivery,
+  cancelSubscription,
+  listSubscriptions,
+  processSubscriptions,
+  markCycleOrderRemoved,
+};
@@ -0,0 +1,420 @@
+/**
+ * Supplier Scorecard Service
+ *
+ * Supplier performance analytics, one scorecard per supplier, rankable and exportable (ExportService).
+ *
+ * Metrics:
+ * - On-time delivery: harvest batches received within HARVEST_DELIVERY_SLA_DAYS of their harvest date
+ *   + purchase order receipts on or before the PO expectedDate
+ * - Quantity accuracy: 100 - Σ|received - planned| / Σplanned over closed product batches (received vs planned)
+ *   + lines of closed POs (received vs ordered); the PO fill rate is also reported in details
+ * - Discard rate: Σdiscarded / Σreceived of closed product batches (ProductBatchHistory); discardedQuantity already
+ *   includes write-offs, WriteOff totals are reported in details only
+ * - Average sell-through days: warehouse entry → batch close, batches that sold something
+ * - Gross margin: Σsold × (unitSellPrice - unitCostPrice) / Σsold × unitSellPrice
+ * - Rating: visible reviews of the supplier's products (ReviewModel)
+ *
+ * Batch history → supplier: harvest batch's supplier, else the product's current supplier.
+ * Score (0–100) = weighted average of the available metric scores (SCORE_WEIGHTS), weights re-normalised when a metric has no data.
+ *
+ * @module services/SupplierScorecardService
+ */
+
+const mongoose = require("mongoose");
+const SupplierModel = require("../models/SupplierModel");
+const ProductModel = require("../models/ProductModel");
+const ProductBatchHistoryModel = require("../models/ProductBatchHistoryModel");
+const HarvestBatchModel = require("../models/HarvestBatchModel");
+const InventoryTransactionModel = require("../models/InventoryTransactionModel");
+const PurchaseOrderModel = require("../models/PurchaseOrderModel");
+const WriteOffModel = require("../models/WriteOffModel");
+const ReviewModel = require("../models/ReviewModel");
+const { formatDateVN, calculateDaysBetween } = require("../utils/dateVN");
+
+/** Harvest → warehouse receipt within this many days counts as on time (fresh fruit). */
+const HARVEST_DELIVERY_SLA_DAYS = 2;
+/** Sell-through at or under this many days scores 100. */
+const TARGET_SELL_THROUGH_DAYS = 5;
+/** Gross margin at or above this percent scores 100. */
+const TARGET_GROSS_MARGIN_PERCENT = 40;
+const SCORE_WEIGHTS = {
+  onTimeDelivery: 0.2,
+  quantityAccuracy: 0.2,
+  discardRate: 0.2,
+  sellThrough: 0.1,
+  grossMargin: 0.15,
+  rating: 0.15,
+};
+/** sortBy → true when a lower value ranks higher. */
+const SORT_FIELDS = {
+  score: false,
+  onTimeDeliveryPercent: false,
+  quantityAccuracyPercent: false,
+  discardRatePercent: true,
+  avgSellThroughDays: true,
+  grossMarginPercent: false,
+  avgRating: false,
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+const round2 = (n) => Math.round(n * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : null);
+const clamp = (n) => Math.max(0, Math.min(100, n));
+
+const buildRange = (startDate, endDate) => {
+  if (!startDate && !endDate) return null;
+  const range = {};
+  if (startDate) {
+    const start = new Date(startDate);
+    if (Number.isNaN(start.getTime())) throw new Error("Invalid startDate");
+    start.setHours(0, 0, 0, 0);
+    range.$gte = start;
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    if (Number.isNaN(end.getTime())) throw new Error("Invalid endDate");
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return range;
+};
+
+/** Lô đã chốt (ProductBatchHistory) theo NCC: kế hoạch / nhận / huỷ / bán / lợi nhuận gộp / số ngày bán hết. */
+const aggregateBatchHistories = async (supplierIds, range) => {
+  const rows = await ProductBatchHistoryModel.aggregate([
+    { $match: range ? { completedDate: range } : {} },
+    { $lookup: { from: HarvestBatchModel.collection.name, localField: "harvestBatch", foreignField: "_id", as: "hb" } },
+    { $lookup: { from: ProductModel.collection.name, localField: "product", foreignField: "_id", as: "p" } },
+    {
+      $addFields: {
+        supplier: {
+          $ifNull: [{ $arrayElemAt: ["$hb.supplier", 0] }, { $arrayElemAt: ["$p.supplier", 0] }],
+        },
+      },
+    },
+    { $project: { hb: 0, p: 0, productSnapshot: 0 } },
+    { $match: { supplier: { $in: supplierIds } } },
+    {
+      $addFields: {
+        sellThroughDays: {
+          $cond: [
+            { $gt: ["$soldQuantity", 0] },
+            { $divide: [{ $subtract: ["$completedDate", "$warehouseEntryDate"] }, DAY_MS] },
+            null,
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$supplier",
+        closedBatches: { $sum: 1 },
+        plannedQuantity: { $sum: "$plannedQuantity" },
+        receivedQuantity: { $sum: "$receivedQuantity" },
+        quantityDeviation: { $sum: { $abs: { $subtract: ["$receivedQuantity", "$plannedQuantity"] } } },
+        soldQuantity: { $sum: "$soldQuantity" },
+        discardedQuantity: { $sum: "$discardedQuantity" },
+        listRevenue: { $sum: { $multiply: ["$soldQuantity", "$unitSellPrice"] } },
+        grossProfit: { $sum: { $multiply: ["$soldQuantity", { $subtract: ["$unitSellPrice", "$unitCostPrice"] }] } },
+        avgSellThroughDays: { $avg: "$sellThroughDays" },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r]));
+};
+
+/** Lô thu hoạch đã nhập kho: số ngày từ ngày thu hoạch tới phiếu nhập đầu tiên. */
+const aggregateHarvestDeliveries = async (supplierIds, range) => {
+  const batches = await HarvestBatchModel.find({
+    supplier: { $in: supplierIds },
+    isPreOrderBatch: { $ne: true },
+    "inventoryTransactionIds.0": { $exists: true },
+    ...(range ? { harvestDate: range } : {}),
+  })
+    .select("supplier harvestDate harvestDateStr inventoryTransactionIds")
+    .lean();
+  if (batches.length === 0) return new Map();
+
+  const firstReceipts = await InventoryTransactionModel.aggregate([
+    { $match: { _id: { $in: batches.flatMap((b) => b.inventoryTransactionIds) }, type: "RECEIPT" } },
+    { $group: { _id: "$harvestBatch", firstReceiptAt: { $min: "$createdAt" } } },
+  ]);
+  const firstMap = new Map(firstReceipts.map((r) => [r._id?.toString(), r.firstReceiptAt]));
+
+  const bySupplier = new Map();
+  batches.forEach((b) => {
+    const firstReceiptAt = firstMap.get(b._id.toString());
+    if (!firstReceiptAt) return;
+    const days = Math.max(
+      0,
+      calculateDaysBetween(b.harvestDateStr || formatDateVN(b.harvestDate), formatDateVN(firstReceiptAt))
+    );
+    const key = b.supplier.toString();
+    const row = bySupplier.get(key) || { deliveries: 0, onTime: 0, totalDays: 0 };
+    row.deliveries += 1;
+    row.totalDays += days;
+    if (days <= HARVEST_DELIVERY_SLA_DAYS) row.onTime += 1;
+    bySupplier.set(key, row);
+  });
+  return bySupplier;
+};
+
+/** Phiếu nhập theo PO (đúng hạn expectedDate) + tỉ lệ giao đủ của PO đã đóng. */
+const aggregatePurchaseOrders = async (supplierIds, range) => {
+  const [receipts, closed] = await Promise.all([
+    PurchaseOrderModel.aggregate([
+      { $match: { supplier: { $in: supplierIds } } },
+      { $unwind: "$lines" },
+      { $unwind: "$lines.receipts" },
+      ...(range ? [{ $match: { "lines.receipts.receivedAt": range } }] : []),
+      {
+        $group: {
+          _id: "$supplier",
+          receipts: { $sum: 1 },
+          onTime: { $sum: { $cond: ["$lines.receipts.onTime", 1, 0] } },
+        },
+      },
+    ]),
+    PurchaseOrderModel.aggregate([
+      { $match: { supplier: { $in: supplierIds }, status: "CLOSED", ...(range ? { closedAt: range } : {}) } },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: "$supplier",
+          closedOrders: { $addToSet: "$_id" },
+          orderedQuantity: { $sum: "$lines.quantity" },
+          receivedQuantity: { $sum: "$lines.receivedQuantity" },
+          quantityDeviation: { $sum: { $abs: { $subtract: ["$lines.receivedQuantity", "$lines.quantity"] } } },
+        },
+      },
+    ]),
+  ]);
+  const map = new Map();
+  receipts.forEach((r) => map.set(r._id.toString(), { receipts: r.receipts, onTime: r.onTime }));
+  closed.forEach((r) => {
+    const row = map.get(r._id.toString()) || { receipts: 0, onTime: 0 };
+    map.set(r._id.toString(), {
+      ...row,
+      closedOrders: r.closedOrders.length,
+      orderedQuantity: r.orderedQuantity,
+      receivedQuantity: r.receivedQuantity,
+      quantityDeviation: r.quantityDeviation,
+    });
+  });
+  return map;
+};
+
+/** Huỷ hàng (WriteOff) quy về NCC của lô thu hoạch / product. */
+const aggregateWriteOffs = async (supplierIds, range) => {
+  const rows = await WriteOffModel.aggregate([
+    { $match: range ? { createdAt: range } : {} },
+    { $unwind: "$lots" },
+    { $addFields: { lotSupplier: { $ifNull: ["$lots.supplier", "$supplier"] } } },
+    { $match: { lotSupplier: { $in: supplierIds } } },
+    {
+      $group: {
+        _id: "$lotSupplier",
+        quantity: { $sum: "$lots.quantity" },
+        value: { $sum: { $multiply: ["$lots.quantity", "$unitCost"] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r]));
+};
+
+/** Đánh giá (VISIBLE) của các sản phẩm thuộc NCC. */
+const aggregateRatings = async (supplierIds, range) => {
+  const products = await ProductModel.find({ supplier: { $in: supplierIds } }).select("supplier").lean();
+  if (products.length === 0) return new Map();
+  const productSupplier = new Map(products.map((p) => [p._id.toString(), p.supplier.toString()]));
+
+  const rows = await ReviewModel.aggregate([
+    {
+      $match: {
+        product_id: { $in: products.map((p) => p._id) },
+        status: "VISIBLE",
+        ...(range ? { createdAt: range } : {}),
+      },
+    },
+    { $group: { _id: "$product_id", count: { $sum: 1 }, total: { $sum: "$rating" } } },
+  ]);
+
+  const map = new Map();
+  rows.forEach((r) => {
+    const key = productSupplier.get(r._id.toString());
+    const row = map.get(key) || { reviewCount: 0, ratingTotal: 0 };
+    row.reviewCount += r.count;
+    row.ratingTotal += r.total;
+    map.set(key, row);
+  });
+  return map;
+};
+
+const computeScore = (metrics) => {
+  const parts = {
+    onTimeDelivery: metrics.onTimeDeliveryPercent,
+    quantityAccuracy: metrics.quantityAccuracyPercent,
+    discardRate: metrics.discardRatePercent == null ? null : clamp(100 - metrics.discardRatePercent),
+    sellThrough:
+      metrics.avgSellThroughDays == null
+        ? null
+        : clamp((TARGET_SELL_THROUGH_DAYS / Math.max(metrics.avgSellThroughDays, 0.01)) * 100),
+    grossMargin:
+      metrics.grossMarginPercent == null ? null : clamp((metrics.grossMarginPercent / TARGET_GROSS_MARGIN_PERCENT) * 100),
+    rating: metrics.avgRating == null ? null : clamp((metrics.avgRating / 5) * 100),
+  };
+  let weighted = 0;
+  let weights = 0;
+  Object.entries(parts).forEach(([key, value]) => {
+    if (value == null) return;
+    weighted += value * SCORE_WEIGHTS[key];
+    weights += SCORE_WEIGHTS[key];
+  });
+  return weights > 0 ? round2(weighted / weights) : null;
+};
+
+/**
+ * Scorecard của các NCC, đã xếp hạng.
+ * @param {Object} filters - { supplierId, cooperationStatus, type, startDate, endDate, sortBy, order: "asc" | "desc" }
+ * @returns {Promise<{ status, message, data }>}
+ */
+const getSupplierScorecards = async (filters = {}) => {
+  try {
+    const { supplierId, cooperationStatus, type, startDate, endDate, sortBy = "score", order } = filters;
+    if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sortBy)) {
+      return { status: "ERR", message: `sortBy must be one of ${Object.keys(SORT_FIELDS).join(", ")}` };
+    }
+    if (order && !["asc", "desc"].includes(order)) {
+      return { status: "ERR", message: "order must be asc or desc" };
+    }
+    const range = buildRange(startDate, endDate);
+
+    const query = {};
+    if (supplierId) {
+      if (!mongoose.isValidObjectId(supplierId)) return { status: "ERR", message: "Invalid supplier ID" };
+      query._id = toObjectId(supplierId);
+    }
+    if (cooperationStatus) query.cooperationStatus = cooperationStatus;
+    if (type) query.type = type;
+
+    const suppliers = await SupplierModel.find(query)
+      .select("name code type cooperationStatus status totalBatches totalProductsSupplied")
+      .lean();
+    const supplierIds = suppliers.map((s) => s._id);
+
+    const [histories, harvests, purchaseOrders, writeOffs, ratings] = await Promise.all([
+      aggregateBatchHistories(supplierIds, range),
+      aggregateHarvestDeliveries(supplierIds, range),
+      aggregatePurchaseOrders(supplierIds, range),
+      aggregateWriteOffs(supplierIds, range),
+      aggregateRatings(supplierIds, range),
+    ]);
+
+    const rows = suppliers.map((s) => {
+      const key = s._id.toString();
+      const h = histories.get(key) || {};
+      const hv = harvests.get(key) || { deliveries: 0, onTime: 0, totalDays: 0 };
+      const po = purchaseOrders.get(key) || { receipts: 0, onTime: 0 };
+      const wo = writeOffs.get(key) || { quantity: 0, value: 0 };
+      const rt = ratings.get(key) || { reviewCount: 0, ratingTotal: 0 };
+      // Lệch số lượng: lô hàng đã đóng (nhận vs kế hoạch) + dòng PO đã đóng (nhận vs đặt)
+      const expectedQuantity = (h.plannedQuantity || 0) + (po.orderedQuantity || 0);
+      const quantityDeviation = (h.quantityDeviation || 0) + (po.quantityDeviation || 0);
+
+      const metrics = {
+        onTimeDeliveryPercent: percent(hv.onTime + po.onTime, hv.deliveries + po.receipts),
+        quantityAccuracyPercent:
+          expectedQuantity > 0 ? round2(clamp(100 - (quantityDeviation / expectedQuantity) * 100)) : null,
+        discardRatePercent: percent(h.discardedQuantity || 0, h.receivedQuantity || 0),
+        avgSellThroughDays: h.avgSellThroughDays == null ? null : round2(h.avgSellThroughDays),
+        grossMarginPercent: percent(h.grossProfit || 0, h.listRevenue || 0),
+        avgRating: rt.reviewCount > 0 ? round2(rt.ratingTotal / rt.reviewCount) : null,
+      };
+
+      return {
+        supplierId: s._id,
+        name: s.name,
+        code: s.code,
+        type: s.type,
+        cooperationStatus: s.cooperationStatus,
+        totalBatches: s.totalBatches || 0,
+        totalProductsSupplied: s.totalProductsSupplied || 0,
+        ...metrics,
+        score: computeScore(metrics),
+        details: {
+          closedBatches: h.closedBatches || 0,
+          plannedQuantity: h.plannedQuantity || 0,
+          receivedQuantity: h.receivedQuantity || 0,
+          soldQuantity: h.soldQuantity || 0,
+          discardedQuantity: h.discardedQuantity || 0,
+          grossProfit: h.grossProfit || 0,
+          harvestDeliveries: hv.deliveries,
+          harvestDeliveriesOnTime: hv.onTime,
+          avgHarvestToReceiptDays: hv.deliveries > 0 ? round2(hv.totalDays / hv.deliveries) : null,
+          purchaseOrderReceipts: po.receipts,
+          purchaseOrderReceiptsOnTime: po.onTime,
+          closedPurchaseOrders: po.closedOrders || 0,
+          purchaseOrderFillRatePercent: percent(po.receivedQuantity || 0, po.orderedQuantity || 0),
+          purchaseOrderOrderedQuantity: po.orderedQuantity || 0,
+          purchaseOrderQuantityDeviation: po.quantityDeviation || 0,
+          writeOffQuantity: wo.quantity,
+          writeOffValue: wo.value,
+          reviewCount: rt.reviewCount,
+        },
+      };
+    });
+
+    const lowerIsBetter = SORT_FIELDS[sortBy];
+    const ascending = order ? order === "asc" : lowerIsBetter;
+    rows.sort((a, b) => {
+      const av = a[sortBy];
+      const bv = b[sortBy];
+      if (av == null && bv == null) return a.name.localeCompare(b.name);
+      if (av == null) return 1; // chưa có dữ liệu xếp cuối
+      if (bv == null) return -1;
+      return ascending ? av - bv : bv - av;
+    });
+    rows.forEach((row, index) => {
+      row.rank = index + 1;
+    });
+
+    return {
+      status: "OK",
+      message: "Fetched supplier scorecards successfully",
+      data: {
+        startDate: range?.$gte || null,
+        endDate: range?.$lte || null,
+        sortBy,
+        order: ascending ? "asc" : "desc",
+        suppliers: rows,
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Scorecard của một NCC (rank = thứ hạng trong toàn bộ NCC theo sortBy).
+ */
+const getSupplierScorecardById = async (supplierId, filters = {}) => {
+  if (!supplierId || !mongoose.isValidObjectId(supplierId)) {
+    return { status: "ERR", message: "Invalid supplier ID" };
+  }
+  const response = await getSupplierScorecards({ ...filters, supplierId: undefined });
+  if (response.status === "ERR") return response;
+  const row = response.data.suppliers.find((s) => s.supplierId.toString() === supplierId.toString());
+  if (!row) return { status: "ERR", message: "Supplier does not exist" };
+  return {
+    status: "OK",
+    message: "Fetched supplier scorecard successfully",
+    data: { ...row, totalSuppliers: response.data.suppliers.length },
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  getSupplierScorecards,
+  getSupplierScorecardById,
+};
@@ -0,0 +1,425 @@
+const mongoose = require("mongoose");
+const WarehouseModel = require("../models/WarehouseModel");
+const WarehouseStockModel = require("../models/WarehouseStockModel");
+const ProductModel = require("../models/ProductModel");
+const ShippingService = require("./ShippingService");
+const ProductLotService = require("./ProductLotService");
+
+const FULFILLMENT_PREFERENCES = ["CHEAPEST", "FASTEST"];
+
+/* =====================================================
+   HELPER: KHO MẶC ĐỊNH + TỒN KHO THEO KHO
+===================================================== */
+
+/**
+ * Lấy kho mặc định; nếu hệ thống chưa có kho nào thì tạo kho MAIN theo tỉnh gửi mặc định.
+ */
+const getDefaultWarehouse = async (session) => {
+  let warehouse = await WarehouseModel.findOne({ isDefault: true }).session(session || null);
+  if (warehouse) return warehouse;
+
+  warehouse = await WarehouseModel.findOne({ status: true })
+    .sort({ createdAt: 1 })
+    .session(session || null);
+  if (warehouse) {
+    warehouse.isDefault = true;
+    await warehouse.save({ session: session || null });
+    return warehouse;
+  }
+
+  const [created] = await WarehouseModel.create(
+    [
+      {
+        code: "MAIN",
+        name: "Main warehouse",
+        province: ShippingService.DEFAULT_ORIGIN_PROVINCE,
+        isDefault: true,
+        status: true,
+      },
+    ],
+    { session: session || null }
+  );
+  return created;
+};
+
+/**
+ * Trả về kho theo id (phải đang hoạt động); không truyền id thì dùng kho mặc định.
+ */
+const resolveWarehouse = async (warehouseId, session) => {
+  if (!warehouseId) return getDefaultWarehouse(session);
+  if (!mongoose.isValidObjectId(warehouseId)) throw new Error("Invalid warehouseId");
+  const warehouse = await WarehouseModel.findById(warehouseId).session(session || null);
+  if (!warehouse) throw new Error("Warehouse does not exist");
+  if (warehouse.status === false) throw new Error("Warehouse is inactive");
+  return warehouse;
+};
+
+/**
+ * Dữ liệu cũ chỉ có Product.onHandQuantity: nếu product chưa có dòng tồn theo kho nào
+ * thì ghi toàn bộ tồn hiện tại vào kho mặc định.
+ * ⚠️ Phải chạy TRƯỚC khi cập nhật Product.onHandQuantity trong cùng thao tác, nếu không số backfill sẽ bị lệch.
+ */
+const ensureStockRows = async (productIds, session) => {
+  const ids = [...new Set((productIds || []).map((id) => id.toString()))].map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+  if (ids.length === 0) return;
+
+  const existing = await WarehouseStockModel.distinct("product", { product: { $in: ids } }).session(
+    session || null
+  );
+  const existingSet = new Set(existing.map((id) => id.toString()));
+  const missing = ids.filter((id) => !existingSet.has(id.toString()));
+  if (missing.length === 0) return;
+
+  const defaultWarehouse = await getDefaultWarehouse(session);
+  const products = await ProductModel.find({ _id: { $in: missing } })
+    .select("onHandQuantity")
+    .session(session || null)
+    .lean();
+
+  const ops = products.map((p) => ({
+    updateOne: {
+      filter: { warehouse: defaultWarehouse._id, product: p._id },
+      update: { $setOnInsert: { onHandQuantity: p.onHandQuantity || 0 } },
+      upsert: true,
+    },
+  }));
+  if (ops.length > 0) {
+    await WarehouseStockModel.bulkWrite(ops, { session: session || undefined });
+  }
+};
+
+const incrementStock = async ({ warehouseId, productId, quantity, session }) => {
+  await ensureStockRows([productId], session);
+  await WarehouseStockModel.updateOne(
+    { warehouse: warehouseId, product: productId },
+    { $inc: { onHandQuantity: quantity } },
+    { upsert: true, session: session || null }
+  );
+};
+
+/**
+ * Trừ tồn của một kho (atomic, chặn âm kho). Không đụng Product.onHandQuantity – caller tự trừ tổng.
+ * Lấy hàng theo lô FEFO (ProductLotService.consumeFefo); sellableOnly = bỏ qua lô đã hết hạn (đơn hàng);
+ * lotId = chỉ lấy từ một lô.
+ * @returns {Promise<Array<{ lot, quantity, expiryDate, expiryDateStr, unitCost, harvestBatch }>>} Phân bổ theo lô
+ */
+const decrementStock = async ({ warehouseId, productId, quantity, sellableOnly = false, lotId = null, session }) => {
+  await ensureStockRows([productId], session);
+  await ProductLotService.ensureLots(productId, session);
+  const result = await WarehouseStockModel.updateOne(
+    {
+      warehouse: warehouseId,
+      product: productId,
+      onHandQuantity: { $gte: quantity },
+    },
+    { $inc: { onHandQuantity: -quantity } },
+    { session: session || null }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error("Insufficient inventory in the selected warehouse");
+  }
+  return ProductLotService.consumeFefo({ warehouseId, productId, quantity, sellableOnly, lotId, session });
+};
+
+/**
+ * Hoàn tồn về kho đã xuất đơn (đơn cũ chưa có warehouse_id → kho mặc định).
+ * Có lots (phân bổ lô lúc trừ kho) → trả về đúng các lô đó; đơn cũ không có lots → bù lô LEGACY lần trừ kho sau.
+ * @param {Array<{ product_id, quantity, lots? }>} items
+ */
+const restockOrderItems = async ({ warehouseId, items, session }) => {
+  const warehouse = warehouseId
+    ? { _id: warehouseId }
+    : await getDefaultWarehouse(session);
+  for (const item of items || []) {
+    const qty = Number(item.quantity) || 0;
+    if (!item.product_id || qty <= 0) continue;
+    await incrementStock({
+      warehouseId: warehouse._id,
+      productId: item.product_id,
+      quantity: qty,
+      session,
+    });
+    if (item.lots?.length) {
+      await ProductLotService.restoreAllocations(item.lots, session, qty);
+    }
+  }
+};
+
+/**
+ * Chọn kho giao hàng: kho phải đủ tồn cho tất cả sản phẩm; trong các kho đủ hàng,
+ * chọn theo phí ship thấp nhất (CHEAPEST) hoặc số ngày giao ít nhất (FASTEST).
+ * @param {Object} params
+ * @param {Array<{ product_id, quantity, product? }>} params.items - quantity = kg
+ * @param {string} params.city
+ * @param {string} [params.district]
+ * @param {number} params.orderValue
+ * @param {"CHEAPEST"|"FASTEST"} [params.preference]
+ * @returns {Promise<{ warehouse, quote, candidates }>}
+ */
+const selectFulfillmentWarehouse = async ({
+  items,
+  city,
+  district,
+  orderValue,
+  preference = "CHEAPEST",
+  session,
+}) => {
+  const mode = FULFILLMENT_PREFERENCES.includes(preference) ? preference : "CHEAPEST";
+  const productIds = items.map((i) => i.product_id);
+  await ensureStockRows(productIds, session);
+
+  const warehouses = await WarehouseModel.find({ status: true }).session(session || null).lean();
+  const stocks = await WarehouseStockModel.find({
+    product: { $in: productIds },
+    warehouse: { $in: warehouses.map((w) => w._id) },
+  })
+    .session(session || null)
+    .lean();
+  const stockMap = new Map(
+    stocks.map((s) => [`${s.warehouse.toString()}_${s.product.toString()}`, s.onHandQuantity || 0])
+  );
+
+  const candidates = [];
+  for (const warehouse of warehouses) {
+    const hasAll = items.every(
+      (item) =>
+        (stockMap.get(`${warehouse._id.toString()}_${item.product_id.toString()}`) || 0) >=
+        item.quantity
+    );
+    if (!hasAll) continue;
+
+    try {
+      const quote = await ShippingService.quoteShipping({
+        originProvince: warehouse.province,
+        city,
+        district,
+        items,
+        orderValue,
+        session,
+      });
+      candidates.push({ warehouse, quote });
+    } catch (err) {
+      // Kho chưa cấu hình bảng giá cho khu vực nhận → bỏ qua kho này
+    }
+  }
+
+  if (candidates.length === 0) {
+    throw new Error("No warehouse can fulfill this order to the selected area");
+  }
+
+  const daysOf = (c) => c.quote.estimatedDeliveryDays ?? Number.MAX_SAFE_INTEGER;
+  candidates.sort((a, b) => {
+    if (mode === "FASTEST") {
+      return daysOf(a) - daysOf(b) || a.quote.shippingFee - b.quote.shippingFee;
+    }
+    return a.quote.shippingFee - b.quote.shippingFee || daysOf(a) - daysOf(b);
+  });
+
+  return {
+    warehouse: candidates[0].warehouse,
+    quote: candidates[0].quote,
+    candidates: candidates.map((c) => ({
+      warehouse_id: c.warehouse._id,
+      warehouse_name: c.warehouse.name,
+      shippingFee: c.quote.shippingFee,
+      estimatedDeliveryDays: c.quote.estimatedDeliveryDays,
+    })),
+  };
+};
+
+/* =====================================================
+   ADMIN: WAREHOUSE MANAGEMENT
+===================================================== */
+
+const normalizeWarehousePayload = (payload = {}) => {
+  const data = {};
+  if (payload.code !== undefined) {
+    const code = (payload.code ?? "").toString().trim().toUpperCase();
+    if (!code) return { valid: false, message: "Warehouse code is required" };
+    if (code.length > 20) return { valid: false, message: "Warehouse code must be at most 20 characters" };
+    data.code = code;
+  }
+  if (payload.name !== undefined) {
+    const name = (payload.name ?? "").toString().trim();
+    if (!name) return { valid: false, message: "Warehouse name is required" };
+    if (name.length > 100) return { valid: false, message: "Warehouse name must be at most 100 characters" };
+    data.name = name;
+  }
+  if (payload.province !== undefined) {
+    const province = (payload.province ?? "").toString().trim();
+    if (!province) return { valid: false, message: "Province is required" };
+    data.province = province;
+  }
+  for (const key of ["address", "district", "phone"]) {
+    if (payload[key] !== undefined) data[key] = (payload[key] ?? "").toString().trim();
+  }
+  if (data.address && data.address.length > 200) {
+    return { valid: false, message: "Address must be at most 200 characters" };
+  }
+  if (payload.isDefault !== undefined) data.isDefault = payload.isDefault === true || payload.isDefault === "true";
+  if (payload.status !== undefined) data.status = payload.status === true || payload.status === "true";
+  return { valid: true, data };
+};
+
+const createWarehouse = async (payload = {}) => {
+  try {
+    if (!payload.code || !payload.name || !payload.province) {
+      return { status: "ERR", message: "code, name and province are required" };
+    }
+    const check = normalizeWarehousePayload(payload);
+    if (!check.valid) return { status: "ERR", message: check.message };
+
+    const existing = await WarehouseModel.findOne({ code: check.data.code });
+    if (existing) return { status: "ERR", message: `Warehouse code "${check.data.code}" already exists` };
+
+    const hasAny = await WarehouseModel.exists({});
+    if (!hasAny) check.data.isDefault = true;
+    if (check.data.isDefault) {
+      if (check.data.status === false) {
+        return { status: "ERR", message: "The default warehouse cannot be inactive" };
+      }
+      await WarehouseModel.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    }
+
+    const warehouse = await WarehouseModel.create(check.data);
+    return { status: "OK", message: "Warehouse created successfully", data: warehouse };
+  } catch (error) {
+    if (error.code === 11000) return { status: "ERR", message: "Warehouse code already exists" };
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const updateWarehouse = async (id, payload = {}) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid warehouse ID" };
+    const warehouse = await WarehouseModel.findById(id);
+    if (!warehouse) return { status: "ERR", message: "Warehouse does not exist" };
+
+    const check = normalizeWarehousePayload(payload);
+    if (!check.valid) return { status: "ERR", message: check.message };
+
+    if (check.data.code && check.data.code !== warehouse.code) {
+      const existing = await WarehouseModel.findOne({ code: check.data.code, _id: { $ne: id } });
+      if (existing) return { status: "ERR", message: `Warehouse code "${check.data.code}" already exists` };
+    }
+    if (warehouse.isDefault && check.data.isDefault === false) {
+      return { status: "ERR", message: "Set another warehouse as default instead" };
+    }
+    const willBeDefault = check.data.isDefault ?? warehouse.isDefault;
+    const willBeActive = check.data.status ?? warehouse.status;
+    if (willBeDefault && !willBeActive) {
+      return { status: "ERR", message: "The default warehouse cannot be inactive" };
+    }
+    if (check.data.isDefault && !warehouse.isDefault) {
+      await WarehouseModel.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    }
+
+    warehouse.set(check.data);
+    await warehouse.save();
+    return { status: "OK", message: "Warehouse updated successfully", data: warehouse };
+  } catch (error) {
+    if (error.code === 11000) return { status: "ERR", message: "Warehouse code already exists" };
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const deleteWarehouse = async (id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid warehouse ID" };
+    const warehouse = await WarehouseModel.findById(id);
+    if (!warehouse) return { status: "ERR", message: "Warehouse does not exist" };
+    if (warehouse.isDefault) return { status: "ERR", message: "Cannot delete the default warehouse" };
+
+    const hasStock = await WarehouseStockModel.exists({ warehouse: warehouse._id, onHandQuantity: { $gt: 0 } });
+    if (hasStock) {
+      return { status: "ERR", message: "Warehouse still has stock. Issue or transfer it before deleting." };
+    }
+
+    await WarehouseStockModel.deleteMany({ warehouse: warehouse._id });
+    await warehouse.deleteOne();
+    return { status: "OK", message: "Warehouse deleted successfully" };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const getWarehouses = async (filters = {}) => {
+  try {
+    const { search = "", status, province } = filters;
+    const query = {};
+    const searchValue = search?.toString().trim();
+    if (searchValue) {
+      const escaped = searchValue.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const regex = new RegExp(escaped, "i");
+      query.$or = [{ code: regex }, { name: regex }, { address: regex }];
+    }
+    if (status !== undefined && status !== "") query.status = status === true || status === "true";
+    if (province) query.province = province.toString().trim();
+
+    const data = await WarehouseModel.find(query).sort({ isDefault: -1, createdAt: 1 }).lean();
+    return { status: "OK", message: "Fetched warehouses successfully", data };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const getWarehouseById = async (id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid warehouse ID" };
+    const warehouse = await WarehouseModel.findById(id).lean();
+    if (!warehouse) return { status: "ERR", message: "Warehouse does not exist" };
+    return { status: "OK", message: "Fetched warehouse successfully", data: warehouse };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Tồn kho của một sản phẩm theo từng kho
+ */
+const getProductStockByWarehouse = async (productId) => {
+  try {
+    if (!mongoose.isValidObjectId(productId)) return { status: "ERR", message: "Invalid productId" };
+    const product = await ProductModel.findById(productId).select("name onHandQuantity").lean();
+    if (!product) return { status: "ERR", message: "Product does not exist" };
+
+    await ensureStockRows([productId]);
+    const stocks = await WarehouseStockModel.find({ product: productId })
+      .populate("warehouse", "code name province district isDefault status")
+      .lean();
+
+    return {
+      status: "OK",
+      message: "Fetched stock by warehouse successfully",
+      data: {
+        product,
+        totalOnHand: product.onHandQuantity || 0,
+        warehouses: stocks.map((s) => ({
+          warehouse: s.warehouse,
+          onHandQuantity: s.onHandQuantity || 0,
+        })),
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+module.exports = {
+  FULFILLMENT_PREFERENCES,
+  getDefaultWarehouse,
+  resolveWarehouse,
+  ensureStockRows,
+  incrementStock,
+  decrementStock,
+  restockOrderItems,
+  selectFulfillmentWarehouse,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+  getWarehouses,
+  getWarehouseById,
+  getProductStockByWarehouse,
+};
@@ -4,6 +4,7 @@
  * Thống kê trang warehouse staff:
  * - Cá nhân: lịch sử nhập kho (RECEIPT) của nhân viên đó.
  * - Chung: tổng nhập theo tháng trong năm, tháng hiện tại, tồn kho, còn/hết hàng, sắp hết hàng (~10%), sắp hết hạn (≤7 ngày), pre-order summary.
+ * - Hao hụt tháng hiện tại (phiếu huỷ hàng – WriteOffService): của nhân viên và toàn kho, định giá theo giá nhập.
  *
  * @module services/WarehouseStaffStatsService
  */
@@ -13,6 +14,7 @@ const InventoryTransactionModel = require("../models/InventoryTransactionModel")
 const ProductModel = require("../models/ProductModel");
 const PreOrderStockModel = require("../models/PreOrderStockModel");
 const PreOrderAllocationModel = require("../models/PreOrderAllocationModel");
+const WriteOffService = require("./WriteOffService");
 
 const RECEIPT_HISTORY_DEFAULT_LIMIT = 20;
 const NEAR_EXPIRY_DAYS = 7;
@@ -247,18 +249,25 @@ async function getWarehouseStaffStats(staffId, options = {}) {
   const page = options.page || 1;
   const limit = options.limit || RECEIPT_HISTORY_DEFAULT_LIMIT;
 
+  const { start: monthStart, end: monthEnd } = getCurrentMonthRangeVN();
+  const monthMatch = { createdAt: { $gte: monthStart, $lte: monthEnd } };
+
   const [
     receiptHistory,
     totalReceivedByMonthThisYear,
     totalReceivedCurrentMonth,
     productStats,
     preOrder,
+    myWriteOffsCurrentMonth,
+    shrinkageCurrentMonth,
   ] = await Promise.all([
     getStaffReceiptHistory(staffId, page, limit),
     getTotalReceivedByMonthThisYear(),
     getTotalReceivedCurrentMonth(),
     getWarehouseProductStats(),
     getPreOrderSummary(),
+    WriteOffService.getWriteOffTotals({ ...monthMatch, createdBy: new mongoose.Types.ObjectId(staffId) }),
+    WriteOffService.getWriteOffTotals(monthMatch),
   ]);
 
   const myStats = {
@@ -266,6 +275,7 @@ async function getWarehouseStaffStats(staffId, options = {}) {
       data: receiptHistory.data,
       pagination: receiptHistory.pagination,
     },
+    writeOffsCurrentMonth: myWriteOffsCurrentMonth,
   };
 
   const warehouseStats = {
@@ -278,6 +288,7 @@ async function getWarehouseStaffStats(staffId, options = {}) {
     totalProductsOutOfStock: productStats.totalProductsOutOfStock,
     totalPreOrderKg: preOrder.totalPreOrderKg,
     preOrderStockSummary: preOrder.preOrderStockSummary,
+    shrinkageCurrentMonth,
   };
 
   return {
@@ -0,0 +1,381 @@
+/**
+ * Write-off Service
+ *
+ * Huỷ hàng hỏng / dập / mất tại kho (spoilage & write-off tracking).
+ *
+ * This service handles:
+ * - Warehouse staff log a write-off: quantity, reason code (SPOILAGE, DAMAGE, THEFT, OTHER), note, photos
+ *   (uploadWriteOffImages) – SPOILAGE / DAMAGE need at least one photo
+ * - Stock is deducted immediately via an ADJUST (OUT) transaction – FEFO, or from one specific lot (lotId)
+ * - Valuation at Product.purchasePrice at the time of the write-off
+ * - Shrinkage report by product, supplier and harvest batch (+ by reason)
+ *
+ * Hàng hết hạn do job huỷ tự động vẫn nằm ở ProductLot.writtenOffQuantity / ProductBatchHistory.discardedQuantity.
+ *
+ * @module services/WriteOffService
+ */
+
+const mongoose = require("mongoose");
+const cloudinary = require("../config/cloudinaryConfig");
+const WriteOffModel = require("../models/WriteOffModel");
+const ProductModel = require("../models/ProductModel");
+const ProductLotModel = require("../models/ProductLotModel");
+const HarvestBatchModel = require("../models/HarvestBatchModel");
+const SupplierModel = require("../models/SupplierModel");
+const InventoryTransactionService = require("./InventoryTransactionService");
+
+const WRITE_OFF_REASON_CODES = InventoryTransactionService.ADJUST_REASON_CODES.filter((c) => c !== "COUNT_ERROR");
+const PHOTO_REQUIRED_REASONS = ["SPOILAGE", "DAMAGE"];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const removeUploadedImages = (publicIds = []) => {
+  publicIds.forEach((pid) => {
+    if (pid) cloudinary.uploader.destroy(pid).catch((e) => console.warn("Could not delete write-off image on Cloudinary:", e.message));
+  });
+};
+
+/**
+ * Ghi nhận huỷ hàng → trừ tồn (ADJUST OUT) + lưu phiếu huỷ trong cùng transaction.
+ * @param {ObjectId} userId - nhân viên kho ghi nhận
+ * @param {Object} payload - { productId, quantity, reasonCode, warehouseId, lotId, note, images, imagePublicIds }
+ */
+const createWriteOff = async (userId, payload = {}) => {
+  const { productId, quantity, reasonCode, warehouseId = null, lotId = null, note = "" } = payload;
+  const images = Array.isArray(payload.images) ? payload.images : [];
+  const imagePublicIds = Array.isArray(payload.imagePublicIds) ? payload.imagePublicIds : [];
+
+  const fail = (message) => {
+    removeUploadedImages(imagePublicIds);
+    return { status: "ERR", message };
+  };
+
+  if (!productId || !mongoose.isValidObjectId(productId)) return fail("Invalid productId");
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty <= 0) return fail("quantity must be a positive integer");
+  if (!WRITE_OFF_REASON_CODES.includes(reasonCode)) {
+    return fail(`reasonCode must be one of ${WRITE_OFF_REASON_CODES.join(", ")}`);
+  }
+  if (PHOTO_REQUIRED_REASONS.includes(reasonCode) && images.length === 0) {
+    return fail("At least one photo is required for spoilage or damage write-offs");
+  }
+  if (lotId && !mongoose.isValidObjectId(lotId)) return fail("Invalid lotId");
+
+  const product = await ProductModel.findById(productId).select("name purchasePrice supplier").lean();
+  if (!product) return fail("Product does not exist");
+
+  let lotWarehouseId = null;
+  if (lotId) {
+    const lot = await ProductLotModel.findById(lotId).select("product warehouse").lean();
+    if (!lot || lot.product.toString() !== productId.toString()) {
+      return fail("Lot does not belong to this product");
+    }
+    if (warehouseId && lot.warehouse.toString() !== warehouseId.toString()) {
+      return fail("Lot is not stored in the selected warehouse");
+    }
+    lotWarehouseId = lot.warehouse;
+  }
+
+  const unitCost = product.purchasePrice || 0;
+  const session = await mongoose.startSession();
+  let writeOff = null;
+  try {
+    await session.withTransaction(async () => {
+      const writeOffId = new mongoose.Types.ObjectId();
+      const tx = await InventoryTransactionService.postAdjustment(
+        userId,
+        {
+          productId,
+          quantity: -qty,
+          reasonCode,
+          warehouseId: lotWarehouseId || warehouseId,
+          lotId,
+          referenceType: "WRITE_OFF",
+          referenceId: writeOffId,
+          note: (note || "").toString().trim(),
+        },
+        session
+      );
+
+      const lotDocs = await ProductLotModel.find({ _id: { $in: tx.lots.map((l) => l.lot) } })
+        .select("harvestBatch")
+        .session(session)
+        .lean();
+      const batchIds = lotDocs.map((l) => l.harvestBatch).filter(Boolean);
+      const batches = batchIds.length
+        ? await HarvestBatchModel.find({ _id: { $in: batchIds } }).select("supplier").session(session).lean()
+        : [];
+      const lotBatch = new Map(lotDocs.map((l) => [l._id.toString(), l.harvestBatch]));
+      const batchSupplier = new Map(batches.map((b) => [b._id.toString(), b.supplier]));
+
+      [writeOff] = await WriteOffModel.create(
+        [
+          {
+            _id: writeOffId,
+            product: product._id,
+            productName: product.name,
+            warehouse: tx.warehouse,
+            quantity: qty,
+            reasonCode,
+            note: (note || "").toString().trim(),
+            images,
+            imagePublicIds,
+            unitCost,
+            totalCost: qty * unitCost,
+            supplier: product.supplier || null,
+            lots: tx.lots.map((l) => {
+              const harvestBatch = lotBatch.get(l.lot.toString()) || null;
+              return {
+                lot: l.lot,
+                quantity: l.quantity,
+                harvestBatch,
+                supplier: (harvestBatch && batchSupplier.get(harvestBatch.toString())) || product.supplier || null,
+              };
+            }),
+            transaction: tx._id,
+            createdBy: userId,
+          },
+        ],
+        { session }
+      );
+    });
+  } catch (error) {
+    return fail(error.message);
+  } finally {
+    session.endSession();
+  }
+
+  // Huỷ hết hàng → chốt lô như khi xuất kho hết
+  const remaining = await ProductModel.findById(productId).select("onHandQuantity").lean();
+  if (remaining && (remaining.onHandQuantity ?? 0) <= 0) {
+    try {
+      const { autoResetSoldOutProduct } = require("./ProductBatchService");
+      await autoResetSoldOutProduct(productId.toString());
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error auto-resetting product ${productId} after write-off:`, error);
+    }
+  }
+
+  return { status: "OK", message: "Write-off recorded", data: writeOff };
+};
+
+const buildDateRange = (startDate, endDate) => {
+  const now = new Date();
+  const vnNow = new Date(now.toLocaleString("en-US", { timeZone: "Asia/Ho_Chi_Minh" }));
+  const start = startDate ? new Date(startDate) : new Date(vnNow.getFullYear(), vnNow.getMonth(), 1);
+  const end = endDate ? new Date(endDate) : now;
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return null;
+  start.setHours(0, 0, 0, 0);
+  if (endDate) end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+/**
+ * Danh sách phiếu huỷ.
+ * @param {Object} filters - { productId, warehouseId, reasonCode, createdBy, startDate, endDate, page, limit }
+ */
+const getWriteOffs = async (filters = {}) => {
+  try {
+    const { productId, warehouseId, reasonCode, createdBy, startDate, endDate, page = 1, limit = 20 } = filters;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+
+    const query = {};
+    if (productId) {
+      if (!mongoose.isValidObjectId(productId)) return { status: "ERR", message: "Invalid productId" };
+      query.product = toObjectId(productId);
+    }
+    if (warehouseId) {
+      if (!mongoose.isValidObjectId(warehouseId)) return { status: "ERR", message: "Invalid warehouseId" };
+      query.warehouse = toObjectId(warehouseId);
+    }
+    if (createdBy) {
+      if (!mongoose.isValidObjectId(createdBy)) return { status: "ERR", message: "Invalid createdBy" };
+      query.createdBy = toObjectId(createdBy);
+    }
+    if (reasonCode) {
+      if (!WRITE_OFF_REASON_CODES.includes(reasonCode)) {
+        return { status: "ERR", message: `reasonCode must be one of ${WRITE_OFF_REASON_CODES.join(", ")}` };
+      }
+      query.reasonCode = reasonCode;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        query.createdAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const [data, total] = await Promise.all([
+      WriteOffModel.find(query)
+        .populate("product", "name images")
+        .populate("warehouse", "code name")
+        .populate("createdBy", "user_name email")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      WriteOffModel.countDocuments(query),
+    ]);
+
+    return {
+      status: "OK",
+      message: "Fetched write-offs successfully",
+      data,
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+const getWriteOffById = async (id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) return { status: "ERR", message: "Invalid write-off id" };
+    const writeOff = await WriteOffModel.findById(id)
+      .populate("product", "name images purchasePrice")
+      .populate("warehouse", "code name")
+      .populate("supplier", "name code")
+      .populate("createdBy", "user_name email")
+      .populate("lots.harvestBatch", "batchCode harvestDateStr")
+      .populate("lots.supplier", "name code")
+      .populate("lots.lot", "expiryDateStr source batchNumber")
+      .lean();
+    if (!writeOff) return { status: "ERR", message: "Write-off not found" };
+    return { status: "OK", message: "Fetched write-off successfully", data: writeOff };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+/**
+ * Tổng huỷ (số phiếu, số lượng, giá trị) theo điều kiện – dùng cho thống kê warehouse staff.
+ */
+const getWriteOffTotals = async (match = {}) => {
+  const [row] = await WriteOffModel.aggregate([
+    { $match: match },
+    { $group: { _id: null, count: { $sum: 1 }, quantity: { $sum: "$quantity" }, value: { $sum: "$totalCost" } } },
+  ]);
+  return { count: row?.count ?? 0, quantity: row?.quantity ?? 0, value: row?.value ?? 0 };
+};
+
+const shrinkageGroup = (id) => ({
+  _id: id,
+  writeOffs: { $addToSet: "$_id" },
+  quantity: { $sum: "$lotQuantity" },
+  value: { $sum: { $multiply: ["$lotQuantity", "$unitCost"] } },
+  spoilageQuantity: { $sum: { $cond: [{ $eq: ["$reasonCode", "SPOILAGE"] }, "$lotQuantity", 0] } },
+  damageQuantity: { $sum: { $cond: [{ $eq: ["$reasonCode", "DAMAGE"] }, "$lotQuantity", 0] } },
+  theftQuantity: { $sum: { $cond: [{ $eq: ["$reasonCode", "THEFT"] }, "$lotQuantity", 0] } },
+  otherQuantity: { $sum: { $cond: [{ $eq: ["$reasonCode", "OTHER"] }, "$lotQuantity", 0] } },
+});
+
+const toShrinkageRow = ({ _id, writeOffs, ...row }) => ({ writeOffs: writeOffs.length, ...row });
+
+/**
+ * Báo cáo hao hụt (huỷ hàng) theo sản phẩm, nhà cung cấp, lô thu hoạch và lý do.
+ * Tính theo từng phân bổ lô của phiếu huỷ → cùng một phiếu có thể rơi vào nhiều lô thu hoạch / NCC.
+ * @param {Object} filters - { startDate, endDate (mặc định tháng hiện tại VN), warehouseId, reasonCode }
+ */
+const getShrinkageReport = async (filters = {}) => {
+  try {
+    const { startDate, endDate, warehouseId, reasonCode } = filters;
+    const range = buildDateRange(startDate, endDate);
+    if (!range) return { status: "ERR", message: "Invalid startDate or endDate" };
+
+    const match = { createdAt: { $gte: range.start, $lte: range.end } };
+    if (warehouseId) {
+      if (!mongoose.isValidObjectId(warehouseId)) return { status: "ERR", message: "Invalid warehouseId" };
+      match.warehouse = toObjectId(warehouseId);
+    }
+    if (reasonCode) {
+      if (!WRITE_OFF_REASON_CODES.includes(reasonCode)) {
+        return { status: "ERR", message: `reasonCode must be one of ${WRITE_OFF_REASON_CODES.join(", ")}` };
+      }
+      match.reasonCode = reasonCode;
+    }
+
+    const [result] = await WriteOffModel.aggregate([
+      { $match: match },
+      { $unwind: "$lots" },
+      {
+        $project: {
+          product: 1,
+          productName: 1,
+          reasonCode: 1,
+          unitCost: 1,
+          lotQuantity: "$lots.quantity",
+          harvestBatch: "$lots.harvestBatch",
+          supplier: { $ifNull: ["$lots.supplier", "$supplier"] },
+        },
+      },
+      {
+        $facet: {
+          summary: [{ $group: shrinkageGroup(null) }],
+          byReason: [{ $group: shrinkageGroup("$reasonCode") }, { $sort: { value: -1 } }],
+          byProduct: [
+            { $group: { ...shrinkageGroup("$product"), productName: { $last: "$productName" } } },
+            { $sort: { value: -1 } },
+          ],
+          bySupplier: [{ $group: shrinkageGroup("$supplier") }, { $sort: { value: -1 } }],
+          byHarvestBatch: [
+            { $group: { ...shrinkageGroup("$harvestBatch"), product: { $first: "$product" }, productName: { $last: "$productName" } } },
+            { $sort: { value: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    const supplierIds = result.bySupplier.map((r) => r._id).filter(Boolean);
+    const batchIds = result.byHarvestBatch.map((r) => r._id).filter(Boolean);
+    const [suppliers, batches] = await Promise.all([
+      SupplierModel.find({ _id: { $in: supplierIds } }).select("name code").lean(),
+      HarvestBatchModel.find({ _id: { $in: batchIds } }).select("batchCode harvestDateStr supplier").lean(),
+    ]);
+    const supplierMap = new Map(suppliers.map((s) => [s._id.toString(), s]));
+    const batchMap = new Map(batches.map((b) => [b._id.toString(), b]));
+
+    return {
+      status: "OK",
+      message: "Fetched shrinkage report successfully",
+      data: {
+        startDate: range.start,
+        endDate: range.end,
+        summary: result.summary[0] ? toShrinkageRow(result.summary[0]) : { writeOffs: 0, quantity: 0, value: 0 },
+        byReason: result.byReason.map((r) => ({ reasonCode: r._id, ...toShrinkageRow(r) })),
+        byProduct: result.byProduct.map((r) => ({ productId: r._id, ...toShrinkageRow(r) })),
+        bySupplier: result.bySupplier.map((r) => ({
+          supplierId: r._id,
+          supplierName: supplierMap.get(r._id?.toString())?.name || "",
+          supplierCode: supplierMap.get(r._id?.toString())?.code || "",
+          ...toShrinkageRow(r),
+        })),
+        // harvestBatchId null = hàng từ phiếu nhập không gắn lô thu hoạch / tồn cũ (LEGACY)
+        byHarvestBatch: result.byHarvestBatch.map((r) => ({
+          harvestBatchId: r._id,
+          batchCode: batchMap.get(r._id?.toString())?.batchCode || "",
+          harvestDateStr: batchMap.get(r._id?.toString())?.harvestDateStr || null,
+          ...toShrinkageRow(r),
+        })),
+      },
+    };
+  } catch (error) {
+    return { status: "ERR", message: error.message };
+  }
+};
+
+module.exports = {
+  WRITE_OFF_REASON_CODES,
+  createWriteOff,
+  getWriteOffs,
+  getWriteOffById,
+  getWriteOffTotals,
+  getShrinkageReport,
+};
@@ -0,0 +1,568 @@
+/**
+ * Order Workflow (declarative order state machine)
+ *
+ * Single source of truth for order statuses, allowed transitions, who may trigger them, and what happens when they run.
+ * `OrderService.updateOrder` / `cancelOrderByCustomer` execute transitions through this module, `GET /orderstatus/transitions`
+ * lists the legal actions for an order, and the `order_statuses` collection is seeded from ORDER_STATUSES on startup.
+ *
+ * Building blocks:
+ * - ORDER_STATUSES: status names (normalized, e.g. "READY-TO-SHIP") with display label + description
+ * - transitions: { from, to, methods, roles, guards, note } – methods = payment methods the edge applies to
+ * - guards: named async checks (ctx) => void; throw Error to block the transition
+ * - hooks: side effects matched by { from?, to?, method? }; phase "transaction" runs inside the status-change
+ *   transaction (stock, payment), phase "afterCommit" runs after commit and never fails the request (notifications)
+ *
+ * Extend with defineTransition / registerGuard / registerHook instead of editing OrderService.
+ *
+ * @module services/orderWorkflow
+ */
+
+const mongoose = require("mongoose");
+const OrderStatusModel = require("../models/OrderStatusModel");
+const OrderDetailModel = require("../models/OrderDetailModel");
+const PaymentModel = require("../models/PaymentModel");
+const ProductModel = require("../models/ProductModel");
+const NotificationService = require("./NotificationService");
+const WarehouseService = require("./WarehouseService");
+const RefundService = require("./RefundService");
+const PreOrderModel = require("../models/PreOrderModel");
+const { buildStatusChange: buildPreOrderStatusChange } = require("./preorderStatusHistory");
+
+const ROLES = ["admin", "sales-staff", "customer"];
+const STAFF_ROLES = ["admin", "sales-staff"];
+const PAYMENT_METHODS = ["COD", "VNPAY"];
+
+/** Max total kg of an order that can go to REFUND (larger orders are handled offline) */
+const REFUND_MAX_TOTAL_KG = 100;
+
+/** Đơn pre-order (is_preorder): trạng thái order → trạng thái pre-order gốc */
+const PREORDER_STATUS_BY_ORDER_STATUS = {
+  COMPLETED: "COMPLETED",
+  CANCELLED: "REFUND",
+  REFUND: "REFUND",
+};
+
+const ORDER_STATUSES = [
+  { name: "PENDING", label: "Pending", description: "Order placed, waiting for confirmation or online payment" },
+  { name: "PAID", label: "Paid", description: "Online payment received" },
+  { name: "READY-TO-SHIP", label: "Ready to ship", description: "Order packed and waiting for the carrier" },
+  { name: "SHIPPING", label: "Shipping", description: "Order handed over to the carrier" },
+  { name: "COMPLETED", label: "Completed", description: "Order delivered to the customer" },
+  { name: "REFUND", label: "Refund", description: "Order returned, refund in progress" },
+  { name: "CANCELLED", label: "Cancelled", description: "Order cancelled" },
+];
+
+const normalizeStatusName = (value) => {
+  if (!value) return "";
+  return value
+    .toString()
+    .trim()
+    .toUpperCase()
+    .replace(/[_\s]+/g, "-");
+};
+
+const normalizeToken = (value) =>
+  value ? value.toString().trim().toUpperCase() : "";
+
+const normalizeRole = (value) => {
+  const role = (value || "").toString().trim().toLowerCase();
+  return ROLES.includes(role) ? role : "";
+};
+
+const getStatusDisplayLabel = (statusName) => {
+  const normalized = normalizeStatusName(statusName);
+  const status = ORDER_STATUSES.find((s) => s.name === normalized);
+  return status ? status.label : normalized || "Updated";
+};
+
+/* =====================================================
+   REGISTRY
+===================================================== */
+const transitions = [];
+const guards = new Map();
+const hooks = [];
+
+/**
+ * @param {Object} def
+ * @param {string} def.from
+ * @param {string} def.to
+ * @param {string[]} [def.methods] - payment methods (default: all)
+ * @param {string[]} def.roles - roles allowed to trigger it
+ * @param {string[]} [def.guards] - guard names, run in order
+ * @param {string} [def.note] - note appended to status history
+ */
+const defineTransition = (def) => {
+  transitions.push({
+    from: normalizeStatusName(def.from),
+    to: normalizeStatusName(def.to),
+    methods: (def.methods || PAYMENT_METHODS).map(normalizeToken),
+    roles: def.roles,
+    guards: def.guards || [],
+    note: def.note || "",
+  });
+};
+
+const registerGuard = (name, fn) => {
+  guards.set(name, fn);
+};
+
+/**
+ * @param {Object} match - { from?, to?, method? } (omitted = any)
+ * @param {Function} fn - async (ctx) => void
+ * @param {"transaction"|"afterCommit"} [phase]
+ */
+const registerHook = (match, fn, phase = "transaction") => {
+  hooks.push({
+    from: match.from ? normalizeStatusName(match.from) : null,
+    to: match.to ? normalizeStatusName(match.to) : null,
+    method: match.method ? normalizeToken(match.method) : null,
+    phase,
+    fn,
+  });
+};
+
+/* =====================================================
+   TRANSITIONS
+===================================================== */
+defineTransition({ from: "PENDING", to: "READY-TO-SHIP", methods: ["COD"], roles: STAFF_ROLES });
+defineTransition({ from: "PENDING", to: "CANCELLED", methods: ["COD"], roles: ROLES, guards: ["customerOwnsOrder"] });
+defineTransition({ from: "PENDING", to: "PAID", methods: ["VNPAY"], roles: STAFF_ROLES, guards: ["paymentSucceeded"] });
+defineTransition({ from: "PENDING", to: "CANCELLED", methods: ["VNPAY"], roles: STAFF_ROLES });
+defineTransition({ from: "PAID", to: "READY-TO-SHIP", methods: ["VNPAY"], roles: STAFF_ROLES });
+defineTransition({ from: "READY-TO-SHIP", to: "SHIPPING", roles: STAFF_ROLES });
+defineTransition({ from: "SHIPPING", to: "COMPLETED", roles: STAFF_ROLES });
+defineTransition({
+  from: "SHIPPING",
+  to: "CANCELLED",
+  roles: STAFF_ROLES,
+  note: "Customer refused to receive, restocked inventory",
+});
+defineTransition({ from: "COMPLETED", to: "REFUND", roles: STAFF_ROLES, guards: ["refundQuantityLimit"] });
+defineTransition({
+  from: "PAID",
+  to: "CANCELLED",
+  methods: ["VNPAY"],
+  roles: STAFF_ROLES,
+  guards: ["preOrderOnly"],
+  note: "Pre-order cancelled before shipping, deposit and remaining payment refunded",
+});
+
+/* =====================================================
+   GUARDS
+===================================================== */
+registerGuard("customerOwnsOrder", async (ctx) => {
+  if (ctx.role !== "customer") return;
+  if (!ctx.userId || ctx.order.user_id?.toString() !== ctx.userId.toString()) {
+    throw new Error("You can only cancel your own orders");
+  }
+});
+
+registerGuard("paymentSucceeded", async (ctx) => {
+  if (ctx.payment?.status !== "SUCCESS") {
+    throw new Error("Payment has not been recorded as successful");
+  }
+});
+
+registerGuard("preOrderOnly", async (ctx) => {
+  if (!ctx.order.is_preorder) {
+    throw new Error("Only pre-order deliveries can be cancelled after payment");
+  }
+});
+
+registerGuard("refundQuantityLimit", async (ctx) => {
+  const details = await OrderDetailModel.find({ order_id: ctx.order._id })
+    .select("quantity")
+    .session(ctx.session || null)
+    .lean();
+  const totalOrderQuantity = details.reduce(
+    (sum, item) => sum + (Number(item.quantity) || 0),
+    0
+  );
+  if (totalOrderQuantity > REFUND_MAX_TOTAL_KG) {
+    throw new Error(
+      `Refund is only allowed for orders with total product quantity below or equal to ${REFUND_MAX_TOTAL_KG}kg`
+    );
+  }
+});
+
+/* =====================================================
+   HOOKS (IN TRANSACTION)
+===================================================== */
+
+// COD giao thành công → thu tiền
+registerHook({ to: "COMPLETED", method: "COD" }, async ({ payment, session }) => {
+  payment.status = "SUCCESS";
+  await payment.save({ session });
+});
+
+// Huỷ COD → chưa thu tiền nên để UNPAID (FAILED chỉ dùng khi thanh toán thất bại)
+registerHook({ to: "CANCELLED", method: "COD" }, async ({ payment, role, session }) => {
+  payment.status = "UNPAID";
+  if (role === "customer") payment.note = "Order cancelled";
+  await payment.save({ session });
+});
+
+// COMPLETED → REFUND: đợi nhân viên lấy hàng rồi xác nhận (confirmRefundPayment).
+// COD: payment chuyển PENDING, hoàn tiền thủ công. VNPAY: payment giữ SUCCESS, xác nhận sẽ đưa vào hàng đợi refund VNPay.
+registerHook({ to: "REFUND" }, async ({ payment, session }) => {
+  const pendingNote = payment.method === "VNPAY"
+    ? "Refund pending – staff to collect goods, then confirm to refund via VNPay"
+    : "Refund pending – staff to collect and process refund manually";
+  if (payment.method !== "VNPAY") payment.status = "PENDING";
+  payment.note = (payment.note || "").trim()
+    ? payment.note + "; " + pendingNote
+    : pendingNote;
+  await payment.save({ session });
+});
+
+// Huỷ khi VNPAY chưa thanh toán / đã thanh toán (đã thanh toán → refund PENDING, jobs/vnpayRefundJob gọi VNPay)
+registerHook({ to: "CANCELLED", method: "VNPAY" }, async ({ payment, session }) => {
+  if (payment.status === "PENDING") {
+    payment.status = "CANCELLED";
+    await payment.save({ session });
+    return;
+  }
+  if (payment.status === "SUCCESS") {
+    await RefundService.enqueueRefund({
+      payment,
+      note: "Admin cancelled the order – pending VNPay refund",
+      session,
+    });
+  }
+});
+
+// Đơn pre-order có nhiều payment VNPay (cọc + phần còn lại): hook trên hoàn một payment, ở đây hoàn nốt các payment còn lại
+registerHook({ to: "CANCELLED", method: "VNPAY" }, async ({ order, payment, session }) => {
+  if (!order.is_preorder) return;
+  const others = await PaymentModel.find({
+    order_id: order._id,
+    type: "PAYMENT",
+    method: "VNPAY",
+    status: "SUCCESS",
+    _id: { $ne: payment._id },
+  }).session(session);
+  if (others.length === 0) return;
+  await RefundService.enqueueRefunds({
+    payments: others,
+    note: "Pre-order delivery cancelled – pending VNPay refund",
+    session,
+  });
+});
+
+// Đơn pre-order: đồng bộ trạng thái pre-order gốc (COMPLETED → COMPLETED, CANCELLED / REFUND → REFUND)
+registerHook({}, async ({ order, toStatus, userId, role, session }) => {
+  const nextPreOrderStatus = PREORDER_STATUS_BY_ORDER_STATUS[toStatus];
+  if (!order.is_preorder || !order.pre_order_id || !nextPreOrderStatus) return;
+  const preOrder = await PreOrderModel.findById(order.pre_order_id).select("status").session(session).lean();
+  if (!preOrder || preOrder.status === nextPreOrderStatus) return;
+  await PreOrderModel.updateOne(
+    { _id: preOrder._id },
+    buildPreOrderStatusChange(preOrder.status, nextPreOrderStatus, {
+      changedBy: userId,
+      role,
+      reason: `Order ${order._id.toString()} moved to ${toStatus}`,
+    }),
+    { session }
+  );
+});
+
+// Bất kỳ transition -> CANCELLED: hoàn kho (kho giao + đúng các lô đã lấy + tổng tồn product)
+registerHook({ to: "CANCELLED" }, async ({ order, session }) => {
+  // Dòng fruit type của đơn pre-order không có tồn kho product
+  const details = await OrderDetailModel.find({ order_id: order._id, product_id: { $ne: null } })
+    .select("product_id quantity lots")
+    .session(session);
+  if (details.length === 0) return;
+
+  await WarehouseService.restockOrderItems({
+    warehouseId: order.warehouse_id,
+    items: details,
+    session,
+  });
+  const bulkOps = details
+    .filter((d) => d?.product_id && (d.quantity || 0) > 0)
+    .map((d) => ({
+      updateOne: {
+        filter: { _id: d.product_id },
+        update: { $inc: { onHandQuantity: Number(d.quantity) || 0 } },
+      },
+    }));
+  if (bulkOps.length > 0) {
+    await ProductModel.bulkWrite(bulkOps, { session });
+  }
+});
+
+/* =====================================================
+   HOOKS (AFTER COMMIT)
+===================================================== */
+
+// Chỉ chốt lô khi đơn đã chuyển COMPLETED và sản phẩm đã thực sự hết hàng
+registerHook(
+  { to: "COMPLETED" },
+  async ({ order }) => {
+    const details = await OrderDetailModel.find({ order_id: order._id }).select("product_id").lean();
+    const productIds = [...new Set(details.map((d) => d.product_id?.toString()).filter(Boolean))];
+    if (productIds.length === 0) return;
+
+    const products = await ProductModel.find({
+      _id: { $in: productIds.map((id) => new mongoose.Types.ObjectId(id)) },
+    })
+      .select("onHandQuantity warehouseEntryDate warehouseEntryDateStr")
+      .lean();
+    const eligibleProductIds = products
+      .filter(
+        (p) =>
+          (p.onHandQuantity ?? 0) === 0 &&
+          (p.warehouseEntryDate || p.warehouseEntryDateStr)
+      )
+      .map((p) => p._id.toString());
+
+    const ProductBatchService = require("./ProductBatchService");
+    const orderIdStr = order._id?.toString?.();
+    for (const pid of eligibleProductIds) {
+      try {
+        await ProductBatchService.autoResetSoldOutProduct(pid, { excludeOrderId: orderIdStr });
+      } catch (e) {
+        console.error("Auto-reset sold out product after COMPLETED failed:", pid, e);
+      }
+    }
+  },
+  "afterCommit"
+);
+
+// Thông báo cho khách hàng khi nhân viên cập nhật trạng thái đơn
+registerHook(
+  {},
+  async ({ order, toStatus, role }) => {
+    if (role === "customer") return;
+    const customerId = order.user_id?.toString?.() || order.user_id;
+    if (!customerId) return;
+    await NotificationService.sendToUser(customerId, {
+      title: "Order update",
+      body: `Your order status has been updated to "${getStatusDisplayLabel(toStatus)}".`,
+      data: {
+        type: "order",
+        orderId: order._id.toString(),
+        action: "view_order",
+        status: toStatus,
+      },
+    });
+  },
+  "afterCommit"
+);
+
+/* =====================================================
+   QUERY + EXECUTION
+===================================================== */
+
+const findTransition = (paymentMethod, fromStatus, toStatus) => {
+  const method = normalizeToken(paymentMethod);
+  const from = normalizeStatusName(fromStatus);
+  const to = normalizeStatusName(toStatus);
+  return (
+    transitions.find(
+      (t) => t.from === from && t.to === to && t.methods.includes(method)
+    ) || null
+  );
+};
+
+const matchHooks = (phase, ctx) =>
+  hooks.filter(
+    (h) =>
+      h.phase === phase &&
+      (!h.from || h.from === ctx.fromStatus) &&
+      (!h.to || h.to === ctx.toStatus) &&
+      (!h.method || h.method === ctx.paymentMethod)
+  );
+
+const runGuards = async (transition, ctx) => {
+  for (const name of transition.guards) {
+    const guard = guards.get(name);
+    if (!guard) throw new Error(`Unknown order workflow guard: ${name}`);
+    await guard(ctx);
+  }
+};
+
+/**
+ * Kiểm tra transition hợp lệ (bảng transition + role + guards). Throw Error nếu không hợp lệ.
+ * @returns {Object} transition definition
+ */
+const assertTransition = async (ctx) => {
+  const transition = findTransition(ctx.paymentMethod, ctx.fromStatus, ctx.toStatus);
+  if (!transition) throw new Error("Invalid status transition for this order");
+  if (!transition.roles.includes(ctx.role)) {
+    throw new Error(
+      `Only ${transition.roles.join(" or ")} can move an order from ${ctx.fromStatus} to ${ctx.toStatus}`
+    );
+  }
+  await runGuards(transition, ctx);
+  return transition;
+};
+
+/**
+ * Danh sách transition hợp lệ cho order hiện tại theo role (đã chạy guards, không ghi DB).
+ * @param {Object} params - { order, payment, fromStatus, role, userId }
+ * @returns {Promise<Array<{ to, label, note }>>}
+ */
+const getAvailableTransitions = async ({ order, payment, fromStatus, role, userId }) => {
+  const ctx = {
+    order,
+    payment,
+    fromStatus: normalizeStatusName(fromStatus),
+    paymentMethod: normalizeToken(order.payment_method),
+    role: normalizeRole(role),
+    userId,
+    session: null,
+  };
+  const candidates = transitions.filter(
+    (t) =>
+      t.from === ctx.fromStatus &&
+      t.methods.includes(ctx.paymentMethod) &&
+      t.roles.includes(ctx.role)
+  );
+
+  const available = [];
+  for (const t of candidates) {
+    try {
+      await runGuards(t, { ...ctx, toStatus: t.to });
+      available.push({ to: t.to, label: getStatusDisplayLabel(t.to), note: t.note || "" });
+    } catch (e) {
+      // guard chặn → không hiển thị action này
+    }
+  }
+  return available;
+};
+
+/**
+ * Chạy một transition trong session đang mở: kiểm tra, đổi trạng thái + ghi history, chạy hooks "transaction".
+ * Caller commit transaction rồi gọi `runAfterCommit` với ctx trả về.
+ * @param {Object} params
+ * @param {Document} params.order - order document (loaded with session)
+ * @param {string} params.toStatus
+ * @param {ObjectId} params.userId
+ * @param {string} params.role
+ * @param {string} [params.note]
+ * @param {ClientSession} params.session
+ * @returns {Promise<Object>} ctx
+ */
+const executeTransition = async ({ order, toStatus, userId, role, note, session }) => {
+  const currentStatusDoc = await OrderStatusModel.findById(order.order_status_id).session(session);
+  const fromStatus = normalizeStatusName(currentStatusDoc?.name || "");
+  const nextStatusDoc = await findStatusByName(toStatus, session);
+  if (!nextStatusDoc) throw new Error("Invalid order status");
+
+  const payment = await PaymentModel.findOne({
+    order_id: order._id,
+    type: "PAYMENT",
+  }).session(session);
+  if (!payment) throw new Error("Order payment not found");
+
+  const ctx = {
+    order,
+    payment,
+    fromStatus,
+    toStatus: normalizeStatusName(nextStatusDoc.name),
+    paymentMethod: normalizeToken(order.payment_method),
+    role: normalizeRole(role),
+    userId,
+    session,
+  };
+
+  const transition = await assertTransition(ctx);
+
+  const historyNote = [note?.toString?.().trim?.(), transition.note]
+    .filter(Boolean)
+    .join(" | ");
+
+  order.status_history.push({
+    from_status: order.order_status_id,
+    to_status: nextStatusDoc._id,
+    changed_by: userId,
+    changed_by_role: ctx.role || "admin",
+    note: historyNote,
+    changed_at: new Date(),
+  });
+  order.order_status_id = nextStatusDoc._id;
+  await order.save({ session });
+
+  for (const hook of matchHooks("transaction", ctx)) {
+    await hook.fn(ctx);
+  }
+
+  return ctx;
+};
+
+/** Hooks sau commit – lỗi chỉ log, không ảnh hưởng kết quả cập nhật trạng thái */
+const runAfterCommit = async (ctx) => {
+  const afterCtx = { ...ctx, session: null };
+  for (const hook of matchHooks("afterCommit", afterCtx)) {
+    try {
+      await hook.fn(afterCtx);
+    } catch (err) {
+      console.error(
+        `Order workflow after-commit hook failed (${ctx.fromStatus} -> ${ctx.toStatus}):`,
+        err
+      );
+    }
+  }
+};
+
+const buildStatusRegex = (value) => {
+  const normalized = normalizeStatusName(value);
+  if (!normalized) return null;
+  const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const flexible = escaped.replace(/-/g, "[-_\\s]+");
+  return new RegExp(`^${flexible}$`, "i");
+};
+
+const findStatusByName = async (name, session) => {
+  const regex = buildStatusRegex(name);
+  if (!regex) return null;
+  return OrderStatusModel.findOne({ name: { $regex: regex } }).session(
+    session || null,
+  );
+};
+
+/**
+ * Seed collection order_statuses từ ORDER_STATUSES: tạo status còn thiếu, cập nhật description.
+ * Status đã tồn tại được nhận diện không phân biệt hoa thường / "_" vs "-" để không tạo trùng.
+ */
+const seedOrderStatuses = async () => {
+  let created = 0;
+  for (const status of ORDER_STATUSES) {
+    const existing = await findStatusByName(status.name);
+    if (existing) {
+      if (existing.description !== status.description) {
+        existing.description = status.description;
+        await existing.save();
+      }
+      continue;
+    }
+    await OrderStatusModel.create({ name: status.name, description: status.description });
+    created += 1;
+  }
+  return { created };
+};
+
+/** Bảng transition (read-only) – dùng cho API / debug */
+const listTransitions = () =>
+  transitions.map((t) => ({ ...t, methods: [...t.methods], roles: [...t.roles], guards: [...t.guards] }));
+
+module.exports = {
+  ORDER_STATUSES,
+  REFUND_MAX_TOTAL_KG,
+  normalizeStatusName,
+  normalizeToken,
+  getStatusDisplayLabel,
+  buildStatusRegex,
+  findStatusByName,
+  defineTransition,
+  registerGuard,
+  registerHook,
+  findTransition,
+  getAvailableTransitions,
+  executeTransition,
+  runAfterCommit,
+  seedOrderStatuses,
+  listTransitions,
+};
@@ -2,8 +2,8 @@
  * Pre-order Fulfillment Logic (post-allocation notifications)
  *
  * Called after admin runs allocation for a fruit type. Sends email and FCM to customers with ALLOCATED_WAITING_PAYMENT
- * asking them to pay the remaining 50%. Does NOT change pre-order status to READY_FOR_FULFILLMENT (that happens when
- * customer pays via fulfillRemainingPayment). Also notifies customers when their order is moved to WAITING_FOR_NEXT_BATCH.
+ * asking them to pay the remaining balance before their payment deadline (fruit type policy, services/preorderPolicy).
+ * Does NOT change pre-order status to READY_FOR_FULFILLMENT (that happens when customer pays via fulfillRemainingPayment). Also notifies customers when their order is moved to WAITING_FOR_NEXT_BATCH.
  *
  * This module handles:
  * - triggerReadyAndNotifyForFruitType: notify all ALLOCATED_WAITING_PAYMENT orders for a fruit type to pay remaining balance
@@ -20,20 +20,18 @@ const UserModel = require("../models/UserModel");
 const FruitTypeModel = require("../models/FruitTypeModel");
 const NotificationService = require("./NotificationService");
 const CustomerEmailService = require("./CustomerEmailService");
-
-/** Number of days given to customer to pay remaining balance (used in email/notification copy). */
-const DAYS_TO_PAY = 7;
+const { getPreOrderPolicy } = require("./preorderPolicy");
 
 /**
  * After allocation: send email and FCM to all customers with ALLOCATED_WAITING_PAYMENT pre-orders for that fruit type,
- * asking them to pay the remaining 50%. Does NOT update pre-order status (READY_FOR_FULFILLMENT is set only when
+ * asking them to pay the remaining balance. Does NOT update pre-order status (READY_FOR_FULFILLMENT is set only when
  * customer pays remaining via fulfillRemainingPayment).
  *
  * Flow:
  * 1. Load allocation for fruitTypeId; if allocatedKg <= 0, return { updated: 0 }
  * 2. Load PreOrderStock for fruitTypeId; if receivedKg < allocatedKg, return { updated: 0 }
  * 3. Load all pre-orders for this fruitTypeId with status ALLOCATED_WAITING_PAYMENT
- * 4. For each: send PreOrderReady email and FCM to pay remaining balance
+ * 4. For each: send PreOrderReady email and FCM with the deadline and forfeit of the pre-order's policy
  *
  * @param {string} fruitTypeIdStr - Fruit type ObjectId as string
  * @returns {Promise<{ updated: number }>} Number of pre-orders notified (0 if none)
@@ -56,7 +54,7 @@ async function triggerReadyAndNotifyForFruitType(fruitTypeIdStr) {
     fruitTypeId: fruitTypeObjId,
     status: "ALLOCATED_WAITING_PAYMENT",
   })
-    .select("_id userId fruitTypeId quantityKg")
+    .select("_id userId fruitTypeId quantityKg policy")
     .lean();
 
   const ids = cursor.map((d) => d._id);
@@ -70,35 +68,38 @@ async function triggerReadyAndNotifyForFruitType(fruitTypeIdStr) {
   const userMap = Object.fromEntries(users.map((u) => [u._id.toString(), u]));
 
   const fruitTypes = await FruitTypeModel.find({ _id: { $in: fruitTypeIds.map((id) => new mongoose.Types.ObjectId(id)) } })
-    .select("name")
+    .select("name depositPercent paymentDeadlineDays overdueForfeitPercent")
     .lean();
   const fruitTypeMap = Object.fromEntries(fruitTypes.map((f) => [f._id.toString(), f]));
 
   for (const po of cursor) {
+    const u = userMap[po.userId.toString()];
+    const ft = fruitTypeMap[po.fruitTypeId.toString()];
+    const policy = getPreOrderPolicy(po, ft);
     try {
-      const u = userMap[po.userId.toString()];
-      const ft = fruitTypeMap[po.fruitTypeId.toString()];
       if (u?.email) {
         await CustomerEmailService.sendPreOrderReadyEmail(
           u.email,
           u.user_name,
           ft?.name,
           po.quantityKg || 0,
-          DAYS_TO_PAY
+          policy.paymentDeadlineDays,
+          policy.overdueForfeitPercent
         );
       }
     } catch (e) {
       console.warn("PreOrder ready email skip:", e.message);
     }
-  }
 
-  const fcmBody = `Please pay the remaining amount within ${DAYS_TO_PAY} days. If not paid in full, the order may be cancelled and the deposit will not be refunded.`;
-  for (const uid of userIds) {
+    const forfeitText =
+      policy.overdueForfeitPercent >= 100
+        ? "the deposit will not be refunded"
+        : `${policy.overdueForfeitPercent}% of the deposit will not be refunded`;
     try {
-      await NotificationService.sendToUser(uid, {
+      await NotificationService.sendToUser(po.userId.toString(), {
         title: "Pre-order ready – Pay remaining balance",
-        body: fcmBody,
-        data: { type: "preorder", action: "view_my_preorders" },
+        body: `Please pay the remaining amount within ${policy.paymentDeadlineDays} days. If not paid in full, the order may be cancelled and ${forfeitText}.`,
+        data: { type: "preorder", preOrderId: po._id.toString(), action: "view_my_preorders" },
       });
     } catch (e) {
       console.warn("PreOrder notify skip:", e.message);
@@ -158,4 +159,4 @@ async function notifyPreOrderDelayed(preOrder) {
   return { sent: true };
 }
 
-module.exports = { triggerReadyAndNotifyForFruitType, notifyPreOrderDelayed, DAYS_TO_PAY };
+module.exports = { triggerReadyAndNotifyForFruitType, notifyPreOrderDelayed };
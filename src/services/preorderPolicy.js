@@ -0,0 +1,153 @@
+/**
+ * Pre-order payment policy per fruit type (deposit, remaining-payment deadline, overdue forfeit).
+ *
+ * - depositPercent: % of the estimated total paid at order time (100 = full prepay, nothing left to pay after allocation)
+ * - paymentDeadlineDays: days after allocation to pay the remaining balance (paymentDueAt on the pre-order)
+ * - overdueForfeitPercent: % of the deposit kept when the pre-order is cancelled for missing the deadline; the rest is refunded
+ * - freeCancelHours / lateCancelForfeitPercent: customer cancellation – free within freeCancelHours of ordering,
+ *   afterwards lateCancelForfeitPercent of the deposit is kept (never once the harvest lock applies)
+ *
+ * The policy is copied onto the pre-order when the deposit is paid (PreOrder.policy); pre-orders created before that
+ * fall back to the defaults below (the old fixed rules: 50% deposit, 7 days, deposit not refunded).
+ * Customer cancellation did not exist before; legacy pre-orders get the default cancellation rules.
+ *
+ * @module services/preorderPolicy
+ */
+
+const DEFAULT_DEPOSIT_PERCENT = 50;
+const DEFAULT_PAYMENT_DEADLINE_DAYS = 7;
+const DEFAULT_OVERDUE_FORFEIT_PERCENT = 100;
+const DEFAULT_FREE_CANCEL_HOURS = 24;
+const DEFAULT_LATE_CANCEL_FORFEIT_PERCENT = 50;
+const MAX_PAYMENT_DEADLINE_DAYS = 60;
+const MAX_FREE_CANCEL_HOURS = 720;
+
+/**
+ * Resolve the policy of a pre-order (snapshot) or a fruit type; missing values use the defaults.
+ * @param {...Object} sources - Pre-order (policy snapshot) and/or fruit type, first defined value wins
+ * @returns {{ depositPercent: number, fullPrepay: boolean, paymentDeadlineDays: number, overdueForfeitPercent: number,
+ *   freeCancelHours: number, lateCancelForfeitPercent: number }}
+ */
+function getPreOrderPolicy(...sources) {
+  const pick = (key, fallback) => {
+    for (const src of sources) {
+      const value = src?.policy?.[key] ?? src?.[key];
+      if (value != null) return value;
+    }
+    return fallback;
+  };
+  const depositPercent = pick("depositPercent", DEFAULT_DEPOSIT_PERCENT);
+  return {
+    depositPercent,
+    fullPrepay: depositPercent >= 100,
+    paymentDeadlineDays: pick("paymentDeadlineDays", DEFAULT_PAYMENT_DEADLINE_DAYS),
+    overdueForfeitPercent: pick("overdueForfeitPercent", DEFAULT_OVERDUE_FORFEIT_PERCENT),
+    freeCancelHours: pick("freeCancelHours", DEFAULT_FREE_CANCEL_HOURS),
+    lateCancelForfeitPercent: pick("lateCancelForfeitPercent", DEFAULT_LATE_CANCEL_FORFEIT_PERCENT),
+  };
+}
+
+/** Fields stored on PreOrder.policy. */
+function toPolicySnapshot({ depositPercent, paymentDeadlineDays, overdueForfeitPercent, freeCancelHours, lateCancelForfeitPercent }) {
+  return { depositPercent, paymentDeadlineDays, overdueForfeitPercent, freeCancelHours, lateCancelForfeitPercent };
+}
+
+/** Deposit amount for an estimated total. */
+function computeDepositAmount(totalAmount, policy) {
+  return Math.round((policy.depositPercent / 100) * totalAmount);
+}
+
+/** Remaining-payment deadline counted from the allocation time. */
+function computePaymentDueAt(from, policy) {
+  return new Date(new Date(from).getTime() + policy.paymentDeadlineDays * 24 * 60 * 60 * 1000);
+}
+
+/** Split the deposit of an overdue pre-order into the kept part and the refund. */
+function computeOverdueForfeit(depositPaid, policy) {
+  const forfeitAmount = Math.round(((depositPaid || 0) * policy.overdueForfeitPercent) / 100);
+  return { forfeitAmount, refundAmount: Math.max(0, (depositPaid || 0) - forfeitAmount) };
+}
+
+/**
+ * Customer cancellation quote: free within freeCancelHours of ordering, otherwise lateCancelForfeitPercent of the deposit is kept.
+ * @param {Object} po - Pre-order (createdAt, depositPaid)
+ * @param {Object} policy
+ * @param {Date} [now]
+ * @returns {{ freeCancellation: boolean, freeCancelUntil: Date, forfeitPercent: number, forfeitAmount: number, refundAmount: number }}
+ */
+function computeCancellation(po, policy, now = new Date()) {
+  const freeCancelUntil = new Date(new Date(po.createdAt).getTime() + policy.freeCancelHours * 60 * 60 * 1000);
+  const freeCancellation = new Date(now) <= freeCancelUntil;
+  const forfeitPercent = freeCancellation ? 0 : policy.lateCancelForfeitPercent;
+  const depositPaid = po.depositPaid || 0;
+  const forfeitAmount = Math.round((depositPaid * forfeitPercent) / 100);
+  return {
+    freeCancellation,
+    freeCancelUntil,
+    forfeitPercent,
+    forfeitAmount,
+    refundAmount: Math.max(0, depositPaid - forfeitAmount),
+  };
+}
+
+/**
+ * Validate policy fields from admin input (create / update fruit type). Only given fields are returned.
+ * @param {Object} payload - { depositPercent, paymentDeadlineDays, overdueForfeitPercent, freeCancelHours, lateCancelForfeitPercent }
+ * @returns {Object} Normalized numbers
+ * @throws {Error} When a value is out of range
+ */
+function parsePolicyInput({
+  depositPercent,
+  paymentDeadlineDays,
+  overdueForfeitPercent,
+  freeCancelHours,
+  lateCancelForfeitPercent,
+} = {}) {
+  const result = {};
+  const given = (v) => v !== undefined && v !== null && v !== "";
+  if (given(depositPercent)) {
+    const v = Number(depositPercent);
+    if (Number.isNaN(v) || v < 1 || v > 100) throw new Error("Deposit percent must be between 1 and 100 (100 = full prepay)");
+    result.depositPercent = v;
+  }
+  if (given(paymentDeadlineDays)) {
+    const v = Number(paymentDeadlineDays);
+    if (!Number.isInteger(v) || v < 1 || v > MAX_PAYMENT_DEADLINE_DAYS) {
+      throw new Error(`Payment deadline must be a whole number of days between 1 and ${MAX_PAYMENT_DEADLINE_DAYS}`);
+    }
+    result.paymentDeadlineDays = v;
+  }
+  if (given(overdueForfeitPercent)) {
+    const v = Number(overdueForfeitPercent);
+    if (Number.isNaN(v) || v < 0 || v > 100) throw new Error("Overdue forfeit percent must be between 0 and 100");
+    result.overdueForfeitPercent = v;
+  }
+  if (given(freeCancelHours)) {
+    const v = Number(freeCancelHours);
+    if (Number.isNaN(v) || v < 0 || v > MAX_FREE_CANCEL_HOURS) {
+      throw new Error(`Free cancellation window must be between 0 and ${MAX_FREE_CANCEL_HOURS} hours`);
+    }
+    result.freeCancelHours = v;
+  }
+  if (given(lateCancelForfeitPercent)) {
+    const v = Number(lateCancelForfeitPercent);
+    if (Number.isNaN(v) || v < 0 || v > 100) throw new Error("Late cancellation forfeit percent must be between 0 and 100");
+    result.lateCancelForfeitPercent = v;
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_DEPOSIT_PERCENT,
+  DEFAULT_PAYMENT_DEADLINE_DAYS,
+  DEFAULT_OVERDUE_FORFEIT_PERCENT,
+  DEFAULT_FREE_CANCEL_HOURS,
+  DEFAULT_LATE_CANCEL_FORFEIT_PERCENT,
+  getPreOrderPolicy,
+  toPolicySnapshot,
+  computeDepositAmount,
+  computePaymentDueAt,
+  computeOverdueForfeit,
+  computeCancellation,
+  parsePolicyInput,
+};
@@ -0,0 +1,54 @@
+/**
+ * Pre-order Status History
+ *
+ * Builds the Mongo update for a pre-order status transition: sets `status` + `status_changed_at` and appends an entry
+ * to `status_history` (from/to status, actor, role, reason, timestamp). Every writer of PreOrder.status goes through
+ * here so the audit trail and the "time in current status" used by jobs stay in sync.
+ *
+ * @module services/preorderStatusHistory
+ */
+
+/** Roles that may appear in pre-order status_history ("system" = cron jobs / payment callbacks). */
+const PREORDER_HISTORY_ROLES = ["admin", "sales-staff", "customer", "system"];
+
+/**
+ * Build one status_history entry.
+ * @param {string|null} fromStatus - Previous status (null when the pre-order is created)
+ * @param {string} toStatus - New status
+ * @param {Object} [actor]
+ * @param {string|ObjectId} [actor.changedBy] - User who triggered the change (omit for system)
+ * @param {string} [actor.role="system"] - admin | sales-staff | customer | system
+ * @param {string} [actor.reason] - Free text, max 500 chars
+ * @param {Date} [at=new Date()]
+ * @returns {Object}
+ */
+function buildHistoryEntry(fromStatus, toStatus, actor = {}, at = new Date()) {
+  const role = PREORDER_HISTORY_ROLES.includes(actor.role) ? actor.role : "system";
+  const entry = {
+    from_status: fromStatus || null,
+    to_status: toStatus,
+    changed_by: actor.changedBy || null,
+    changed_by_role: role,
+    changed_at: at,
+  };
+  if (actor.reason) entry.reason = String(actor.reason).trim().slice(0, 500);
+  return entry;
+}
+
+/**
+ * Build the update document for a status transition. Extra fields (e.g. remainingPaidAt) can be passed in `extraSet`.
+ * @param {string|null} fromStatus
+ * @param {string} toStatus
+ * @param {Object} [actor] - See buildHistoryEntry
+ * @param {Object} [extraSet] - Additional $set fields
+ * @returns {{ $set: Object, $push: Object }}
+ */
+function buildStatusChange(fromStatus, toStatus, actor = {}, extraSet = {}) {
+  const now = new Date();
+  return {
+    $set: { ...extraSet, status: toStatus, status_changed_at: now },
+    $push: { status_history: buildHistoryEntry(fromStatus, toStatus, actor, now) },
+  };
+}
+
+module.exports = { PREORDER_HISTORY_ROLES, buildHistoryEntry, buildStatusChange };
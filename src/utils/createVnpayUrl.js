@@ -5,8 +5,8 @@ const { vnpConfig } = require("../config/vnpayConfig");
 
 const pad = (n) => n.toString().padStart(2, "0");
 
-const createDate = () => {
-  const d = new Date();
+// yyyyMMddHHmmss theo giờ server – cùng định dạng vnp_CreateDate khi tạo URL thanh toán
+const createDate = (d = new Date()) => {
   return (
     d.getFullYear() +
     pad(d.getMonth() + 1) +
@@ -17,16 +17,18 @@ const createDate = () => {
   );
 };
 
+/**
+ * URL thanh toán VNPay cho đơn hàng (vnp_TxnRef = order id).
+ * vnpCreateDate: truyền vào để lưu lên payment (querydr đối soát cần đúng vnp_CreateDate của URL), mặc định = now.
+ */
 const createVnpayUrl = (
   orderId,
   amount,
   ipAddr = "127.0.0.1",
   isMobile = false,
+  vnpCreateDate = createDate(),
 ) => {
-  const dt = new Date();
-  const yyyyMMddHHmmss =
-    `${dt.getFullYear()}${pad(dt.getMonth() + 1)}${pad(dt.getDate())}` +
-    `${pad(dt.getHours())}${pad(dt.getMinutes())}${pad(dt.getSeconds())}`;
+  const yyyyMMddHHmmss = vnpCreateDate;
 
   const ipString = String(ipAddr || "127.0.0.1");
 
@@ -89,12 +91,16 @@ const createVnpayUrl = (
 /**
  * Pre-order VNPay URL. Uses intentId as vnp_TxnRef.
  * When isMobile true, use same return URL as order (10.0.2.2:3001 for emulator) so callback hits backend.
+ * vnpCreateDate: store it on the intent (then on the payment) – querydr / refund need the exact vnp_CreateDate; defaults to now.
  */
-const createPreOrderVnpayUrl = (intentId, amount, ipAddr = "127.0.0.1", isMobile = false) => {
-  const dt = new Date();
-  const yyyyMMddHHmmss =
-    `${dt.getFullYear()}${pad(dt.getMonth() + 1)}${pad(dt.getDate())}` +
-    `${pad(dt.getHours())}${pad(dt.getMinutes())}${pad(dt.getSeconds())}`;
+const createPreOrderVnpayUrl = (
+  intentId,
+  amount,
+  ipAddr = "127.0.0.1",
+  isMobile = false,
+  vnpCreateDate = createDate(),
+) => {
+  const yyyyMMddHHmmss = vnpCreateDate;
 
   const normalizedIp = (ipAddr || "127.0.0.1").includes("::")
     ? "127.0.0.1"
@@ -145,6 +151,50 @@ const createPreOrderVnpayUrl = (intentId, amount, ipAddr = "127.0.0.1", isMobile
   return `${vnpConfig.url}?${qs.stringify(finalParams, { encode: false })}`;
 };
 
+/**
+ * Verify VNPay callback query (return URL + IPN dùng chung).
+ * rawQuery là query string gốc (không decode "+"), vì chữ ký VNPay được tính trên giá trị đã encode.
+ * @param {string} rawQuery
+ * @returns {{ isValid: boolean, params: Object }} params đã bỏ vnp_SecureHash / vnp_SecureHashType, sort theo key
+ */
+const verifyVnpayQuery = (rawQuery) => {
+  if (!rawQuery) return { isValid: false, params: {} };
+
+  const vnpParams = qs.parse(rawQuery, {
+    ignoreQueryPrefix: true,
+    decoder(str) {
+      return str;
+    },
+  });
+
+  const secureHash = vnpParams.vnp_SecureHash;
+  delete vnpParams.vnp_SecureHash;
+  delete vnpParams.vnp_SecureHashType;
+
+  const sortedParams = {};
+  Object.keys(vnpParams)
+    .sort()
+    .forEach((key) => {
+      sortedParams[key] = vnpParams[key];
+    });
+
+  const signData = qs.stringify(sortedParams, { encode: false });
+  const checkHash = crypto
+    .createHmac("sha512", vnpConfig.hashSecret)
+    .update(signData, "utf-8")
+    .digest("hex");
+
+  const isValid =
+    typeof secureHash === "string" &&
+    secureHash.length === checkHash.length &&
+    crypto.timingSafeEqual(
+      Buffer.from(checkHash, "utf-8"),
+      Buffer.from(secureHash.toLowerCase(), "utf-8"),
+    );
+
+  return { isValid, params: sortedParams };
+};
+
 const refund = async ({ payment, refund }) => {
   if (!payment?.provider_response) {
     throw new Error("Missing payment.provider_response");
@@ -155,11 +205,13 @@ const refund = async ({ payment, refund }) => {
     vnp_Version: "2.1.0",
     vnp_Command: "refund",
     vnp_TmnCode: vnpConfig.tmnCode,
-    vnp_TransactionType: "02", // hoàn toàn phần
+    // 02: hoàn toàn phần, 03: hoàn một phần
+    vnp_TransactionType: Number(refund.amount) < Number(payment.amount) ? "03" : "02",
     vnp_TxnRef: payment.provider_response.vnp_TxnRef,
     vnp_Amount: refund.amount * 100, // ✅ REFUND → KHÔNG * 100
     vnp_TransactionNo: payment.provider_response.vnp_TransactionNo,
-    vnp_TransactionDate: payment.provider_response.vnp_PayDate,
+    // vnp_CreateDate của URL thanh toán (VNPay yêu cầu); payment cũ chưa lưu thì dùng vnp_PayDate
+    vnp_TransactionDate: payment.vnp_create_date || payment.provider_response.vnp_PayDate,
     vnp_CreateBy: "system",
     vnp_CreateDate: createDate(),
     vnp_IpAddr: "127.0.0.1",
@@ -198,4 +250,102 @@ const refund = async ({ payment, refund }) => {
   return res.data;
 };
 
-module.exports = { createVnpayUrl, createPreOrderVnpayUrl, refund };
+/**
+ * Tra cứu giao dịch (querydr) – dùng cho đối soát.
+ * @param {Object} params
+ * @param {string} params.txnRef - vnp_TxnRef (order id / intent id)
+ * @param {string|Date} params.transactionDate - vnp_CreateDate của URL thanh toán (yyyyMMddHHmmss) hoặc Date
+ * @returns {Promise<Object>} response VNPay: vnp_ResponseCode ("00" tra cứu được, "91" không tìm thấy),
+ *   vnp_TransactionStatus ("00" thành công, "01" chưa hoàn tất, còn lại lỗi), vnp_Amount, vnp_TransactionNo, vnp_PayDate.
+ *   Chưa verify chữ ký – gọi verifyQueryResponse trước khi dùng.
+ */
+const queryTransaction = async ({ txnRef, transactionDate }) => {
+  const payload = {
+    vnp_RequestId: `${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    vnp_Version: "2.1.0",
+    vnp_Command: "querydr",
+    vnp_TmnCode: vnpConfig.tmnCode,
+    vnp_TxnRef: txnRef.toString(),
+    vnp_OrderInfo: `Doi soat giao dich ${txnRef}`,
+    vnp_TransactionDate:
+      typeof transactionDate === "string" ? transactionDate : createDate(new Date(transactionDate)),
+    vnp_CreateDate: createDate(),
+    vnp_IpAddr: "127.0.0.1",
+  };
+
+  const signData = [
+    payload.vnp_RequestId,
+    payload.vnp_Version,
+    payload.vnp_Command,
+    payload.vnp_TmnCode,
+    payload.vnp_TxnRef,
+    payload.vnp_TransactionDate,
+    payload.vnp_CreateDate,
+    payload.vnp_IpAddr,
+    payload.vnp_OrderInfo,
+  ].join("|");
+
+  payload.vnp_SecureHash = crypto
+    .createHmac("sha512", vnpConfig.hashSecret)
+    .update(signData, "utf8")
+    .digest("hex");
+
+  const res = await axios.post(vnpConfig.refundUrl, payload, {
+    headers: { "Content-Type": "application/json" },
+    timeout: 15000,
+  });
+
+  return res.data;
+};
+
+/**
+ * Verify vnp_SecureHash của response querydr (thứ tự field theo tài liệu VNPay API 2.1.0).
+ * @param {Object} data - response body querydr
+ * @returns {boolean}
+ */
+const verifyQueryResponse = (data) => {
+  if (!data || typeof data.vnp_SecureHash !== "string") return false;
+
+  const signData = [
+    data.vnp_ResponseId,
+    data.vnp_Command,
+    data.vnp_ResponseCode,
+    data.vnp_Message,
+    data.vnp_TmnCode,
+    data.vnp_TxnRef,
+    data.vnp_Amount,
+    data.vnp_BankCode,
+    data.vnp_PayDate,
+    data.vnp_TransactionNo,
+    data.vnp_TransactionType,
+    data.vnp_TransactionStatus,
+    data.vnp_OrderInfo,
+    data.vnp_PromotionCode,
+    data.vnp_PromotionAmount,
+  ]
+    .map((v) => (v == null ? "" : v))
+    .join("|");
+
+  const checkHash = crypto
+    .createHmac("sha512", vnpConfig.hashSecret)
+    .update(signData, "utf8")
+    .digest("hex");
+
+  return (
+    data.vnp_SecureHash.length === checkHash.length &&
+    crypto.timingSafeEqual(
+      Buffer.from(checkHash, "utf-8"),
+      Buffer.from(data.vnp_SecureHash.toLowerCase(), "utf-8"),
+    )
+  );
+};
+
+module.exports = {
+  createDate,
+  createVnpayUrl,
+  createPreOrderVnpayUrl,
+  verifyVnpayQuery,
+  refund,
+  queryTransaction,
+  verifyQueryResponse,
+};
@@ -17,8 +17,11 @@ const getDaysUntilExpiry = (expiryDate, referenceDate) => {
 };
 /**
  * Tính giá bán hiệu lực cho khách: nếu còn ≤ nearExpiryDaysThreshold ngày thì giảm nearExpiryDiscountPercent%.
+ * Có lot: tính theo hạn của lô (ProductLot), giá / ngưỡng / % giảm vẫn lấy từ product.
+ * Không có lot: theo Product.expiryDate (= hạn lô bán được gần nhất, xem ProductLotService.syncProductExpiry).
  * @param {Object} product - Document product (price, expiryDateStr hoặc expiryDate, nearExpiryDaysThreshold, nearExpiryDiscountPercent)
  * @param {Date} [referenceDate] - Ngày tham chiếu (mặc định: hôm nay VN)
+ * @param {Object} [lot] - Lô cụ thể (expiryDateStr hoặc expiryDate)
  * @returns {{ effectivePrice: number, isNearExpiry: boolean, originalPrice: number }}
  */
 /**
@@ -33,11 +36,12 @@ const isProductExpired = (product, referenceDate) => {
   return daysUntil != null && daysUntil < 0;
 };
 
-const getEffectivePrice = (product, referenceDate) => {
+const getEffectivePrice = (product, referenceDate, lot = null) => {
   const originalPrice = Number(product?.price) || 0;
   const refDate = referenceDate || getTodayInVietnam();
-  const expiryStr = product?.expiryDateStr ?? null;
-  const expiryDate = product?.expiryDate ?? null;
+  const expirySource = lot || product;
+  const expiryStr = expirySource?.expiryDateStr ?? null;
+  const expiryDate = expirySource?.expiryDate ?? null;
   const expiry = expiryStr || expiryDate;
   const daysUntil = getDaysUntilExpiry(expiry, refDate);
   const nearExpiryDaysThreshold = Number(product?.nearExpiryDaysThreshold) ?? 7;
@@ -52,8 +56,37 @@ const getEffectivePrice = (product, referenceDate) => {
     originalPrice,
   };
 };
+
+/**
+ * Giá của một dòng hàng lấy từ nhiều lô (FEFO): mỗi lô tính giá cận hạn riêng.
+ * @param {Object} product
+ * @param {Array<{ quantity: number, expiryDate?, expiryDateStr? }>} allocations - Kết quả ProductLotService.consumeFefo
+ * @param {Date} [referenceDate]
+ * @returns {{ effectivePrice: number, originalPrice: number, isNearExpiry: boolean, lineTotal: number, lots: Array<Object> }}
+ *   effectivePrice = giá trung bình / kg của dòng (lineTotal / tổng số lượng)
+ */
+const getLotsPrice = (product, allocations, referenceDate) => {
+  let quantity = 0;
+  let lineTotal = 0;
+  const lots = (allocations || []).map((a) => {
+    const { effectivePrice, isNearExpiry } = getEffectivePrice(product, referenceDate, a);
+    quantity += a.quantity;
+    lineTotal += a.quantity * effectivePrice;
+    return { ...a, price: effectivePrice, isNearExpiry };
+  });
+  const originalPrice = Number(product?.price) || 0;
+  return {
+    effectivePrice: quantity > 0 ? Math.round((lineTotal / quantity) * 100) / 100 : originalPrice,
+    originalPrice,
+    isNearExpiry: lots.some((l) => l.isNearExpiry),
+    lineTotal,
+    lots,
+  };
+};
+
 module.exports = {
   getDaysUntilExpiry,
   getEffectivePrice,
+  getLotsPrice,
   isProductExpired,
 };
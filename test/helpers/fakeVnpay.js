@@ -0,0 +1,92 @@
+const qs = require("qs");
+const crypto = require("crypto");
+
+const pad = (n) => n.toString().padStart(2, "0");
+const vnpDate = (d = new Date()) =>
+  `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+  `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+
+// Cùng cách encode giá trị như createVnpayUrl (khoảng trắng → "+")
+const encodeValue = (value) => encodeURIComponent(value).replace(/%20/g, "+");
+
+/**
+ * Fake VNPay cho test: nhận URL thanh toán do createVnpayUrl tạo, kiểm tra chữ ký merchant
+ * rồi trả query callback (return URL / IPN) ký HmacSHA512 bằng cùng hashSecret như VNPay thật.
+ * @param {Object} params
+ * @param {string} params.hashSecret - vnp_HashSecret dùng chung với merchant
+ */
+const createFakeVnpay = ({ hashSecret }) => {
+  let nextTransactionNo = 14000000;
+
+  const sign = (encodedParams) => {
+    const sorted = {};
+    Object.keys(encodedParams)
+      .sort()
+      .forEach((k) => (sorted[k] = encodedParams[k]));
+    const signData = qs.stringify(sorted, { encode: false });
+    return crypto.createHmac("sha512", hashSecret).update(signData, "utf-8").digest("hex");
+  };
+
+  const parseRaw = (rawQuery) =>
+    qs.parse(rawQuery, { ignoreQueryPrefix: true, decoder: (str) => str });
+
+  /**
+   * Khách thanh toán trên cổng VNPay.
+   * @param {string} payUrl - URL từ createVnpayUrl
+   * @param {Object} [options]
+   * @param {string} [options.responseCode="00"] - "00" thành công, "24" khách huỷ...
+   * @param {number} [options.amount] - số tiền VNPay báo về (VND), mặc định = số tiền trên URL
+   * @param {string} [options.transactionNo] - mặc định tự tăng
+   * @returns {string} query string gốc VNPay gửi kèm return URL / IPN
+   */
+  const pay = (payUrl, { responseCode = "00", amount, transactionNo } = {}) => {
+    const request = parseRaw(payUrl.split("?")[1]);
+    const merchantHash = request.vnp_SecureHash;
+    delete request.vnp_SecureHash;
+    delete request.vnp_SecureHashType;
+    if (sign(request) !== merchantHash) {
+      throw new Error("Fake VNPay: invalid merchant signature");
+    }
+
+    const callback = {
+      vnp_Amount: amount != null ? encodeValue(amount * 100) : request.vnp_Amount,
+      vnp_BankCode: "NCB",
+      vnp_BankTranNo: `VNP${nextTransactionNo}`,
+      vnp_CardType: "ATM",
+      vnp_OrderInfo: request.vnp_OrderInfo,
+      vnp_PayDate: vnpDate(),
+      vnp_ResponseCode: responseCode,
+      vnp_TmnCode: request.vnp_TmnCode,
+      vnp_TransactionNo: encodeValue(transactionNo || String(nextTransactionNo++)),
+      vnp_TransactionStatus: responseCode,
+      vnp_TxnRef: request.vnp_TxnRef,
+    };
+
+    return qs.stringify(
+      { ...callback, vnp_SecureHashType: "HmacSHA512", vnp_SecureHash: sign(callback) },
+      { encode: false },
+    );
+  };
+
+  /** Sửa một tham số sau khi VNPay đã ký (giả lập bị chỉnh trên đường truyền). */
+  const tamper = (rawQuery, key, value) => {
+    const params = parseRaw(rawQuery);
+    params[key] = encodeValue(value);
+    return qs.stringify(params, { encode: false });
+  };
+
+  /** Ký lại query bằng hashSecret của fake này (giả lập callback giả mạo khi secret khác). */
+  const resign = (rawQuery) => {
+    const params = parseRaw(rawQuery);
+    delete params.vnp_SecureHash;
+    delete params.vnp_SecureHashType;
+    return qs.stringify(
+      { ...params, vnp_SecureHashType: "HmacSHA512", vnp_SecureHash: sign(params) },
+      { encode: false },
+    );
+  };
+
+  return { pay, tamper, resign };
+};
+
+module.exports = { createFakeVnpay };
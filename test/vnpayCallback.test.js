@@ -0,0 +1,295 @@
+/**
+ * VNPay callback (return URL + IPN): verifyVnpayQuery + PaymentService.processVnpayResult
+ * chạy với fake VNPay (test/helpers/fakeVnpay.js) và model giả lập trong bộ nhớ.
+ */
+process.env.VNP_HASH_SECRET = "TEST_HASH_SECRET";
+process.env.VNP_TMN_CODE = "TESTTMN1";
+process.env.VNP_RETURN_URL = "http://localhost:3001/payment/vnpay/return";
+
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const { createVnpayUrl, verifyVnpayQuery } = require("../src/utils/createVnpayUrl");
+const PaymentService = require("../src/services/PaymentService");
+const PaymentModel = require("../src/models/PaymentModel");
+const OrderModel = require("../src/models/OrderModel");
+const OrderStatusModel = require("../src/models/OrderStatusModel");
+const UserModel = require("../src/models/UserModel");
+const PreOrderPaymentIntentModel = require("../src/models/PreOrderPaymentIntentModel");
+const PreOrderRemainingPaymentModel = require("../src/models/PreOrderRemainingPaymentModel");
+const NotificationService = require("../src/services/NotificationService");
+const CustomerEmailService = require("../src/services/CustomerEmailService");
+const { createFakeVnpay } = require("./helpers/fakeVnpay");
+
+const { VNPAY_RESULT } = PaymentService;
+const ORDER_AMOUNT = 250000;
+
+// Query mongoose giả: hỗ trợ .session() / .select() / .lean() rồi await
+const query = (value) => ({
+  session() {
+    return this;
+  },
+  select() {
+    return this;
+  },
+  lean() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(value).then(resolve, reject);
+  },
+});
+
+const sameId = (a, b) => a != null && b != null && a.toString() === b.toString();
+
+describe("VNPay callback", () => {
+  const vnpay = createFakeVnpay({ hashSecret: process.env.VNP_HASH_SECRET });
+  let store;
+  let session;
+  let notifications;
+
+  const createPendingOrder = (amount = ORDER_AMOUNT) => {
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      user_id: new mongoose.Types.ObjectId(),
+      is_mobile: false,
+      order_status_id: store.statuses.PENDING._id,
+      status_history: [],
+      saves: 0,
+      async save() {
+        this.saves += 1;
+        return this;
+      },
+    };
+    const payment = {
+      _id: new mongoose.Types.ObjectId(),
+      order_id: order._id,
+      type: "PAYMENT",
+      method: "VNPAY",
+      amount,
+      status: "PENDING",
+      saves: 0,
+      async save() {
+        this.saves += 1;
+        return this;
+      },
+    };
+    store.orders.push(order);
+    store.payments.push(payment);
+    return { order, payment, payUrl: createVnpayUrl(order._id, amount, "127.0.0.1") };
+  };
+
+  const receiveCallback = async (rawQuery) => {
+    const { isValid, params } = verifyVnpayQuery(rawQuery);
+    assert.equal(isValid, true, "fake VNPay callback must carry a valid signature");
+    return PaymentService.processVnpayResult(params);
+  };
+
+  beforeEach(() => {
+    store = {
+      statuses: {
+        PENDING: { _id: new mongoose.Types.ObjectId(), name: "PENDING" },
+        PAID: { _id: new mongoose.Types.ObjectId(), name: "PAID" },
+      },
+      orders: [],
+      payments: [],
+    };
+    session = { committed: 0, aborted: 0 };
+    notifications = [];
+
+    mock.method(mongoose, "startSession", async () => ({
+      startTransaction() {},
+      async commitTransaction() {
+        session.committed += 1;
+      },
+      async abortTransaction() {
+        session.aborted += 1;
+      },
+      endSession() {},
+    }));
+    mock.method(PreOrderPaymentIntentModel, "findById", () => query(null));
+    mock.method(PreOrderRemainingPaymentModel, "findById", () => query(null));
+    mock.method(OrderModel, "findById", (id) =>
+      query(store.orders.find((o) => sameId(o._id, id)) || null),
+    );
+    mock.method(OrderStatusModel, "findOne", ({ name }) => query(store.statuses[name] || null));
+    mock.method(PaymentModel, "findOne", (filter) => {
+      if (filter.provider_txn_id) {
+        return query(
+          store.payments.find(
+            (p) => p.provider_txn_id === filter.provider_txn_id && !sameId(p._id, filter._id?.$ne),
+          ) || null,
+        );
+      }
+      return query(
+        store.payments.find(
+          (p) =>
+            sameId(p.order_id, filter.order_id) &&
+            p.method === filter.method &&
+            p.type === filter.type,
+        ) || null,
+      );
+    });
+    mock.method(UserModel, "findById", () =>
+      query({ email: "customer@example.com", user_name: "Customer" }),
+    );
+    mock.method(NotificationService, "sendToUser", async (userId, notification) => {
+      notifications.push({ to: userId, title: notification.title });
+    });
+    mock.method(NotificationService, "sendToRole", async (role, notification) => {
+      notifications.push({ to: role, title: notification.title });
+    });
+    mock.method(CustomerEmailService, "sendPaymentSuccessEmail", async () => {});
+    mock.method(CustomerEmailService, "sendPaymentFailureEmail", async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("verifyVnpayQuery", () => {
+    it("accepts a callback signed by VNPay", () => {
+      const { order, payUrl } = createPendingOrder();
+      const { isValid, params } = verifyVnpayQuery(vnpay.pay(payUrl));
+
+      assert.equal(isValid, true);
+      assert.equal(params.vnp_TxnRef, order._id.toString());
+      assert.equal(params.vnp_SecureHash, undefined);
+      assert.equal(params.vnp_SecureHashType, undefined);
+    });
+
+    it("rejects a callback whose params were changed after signing", () => {
+      const { payUrl } = createPendingOrder();
+      const callback = vnpay.pay(payUrl, { responseCode: "24" });
+
+      assert.equal(verifyVnpayQuery(vnpay.tamper(callback, "vnp_ResponseCode", "00")).isValid, false);
+      assert.equal(verifyVnpayQuery(vnpay.tamper(callback, "vnp_Amount", "100")).isValid, false);
+    });
+
+    it("rejects a callback signed with another secret or without a signature", () => {
+      const { payUrl } = createPendingOrder();
+      const forged = createFakeVnpay({ hashSecret: "ANOTHER_SECRET" });
+      const callback = vnpay.pay(payUrl);
+
+      assert.equal(verifyVnpayQuery(forged.resign(callback)).isValid, false);
+      assert.equal(verifyVnpayQuery(vnpay.resign(callback)).isValid, true);
+
+      const unsigned = callback.replace(/&vnp_SecureHash=[^&]+/, "");
+      assert.equal(verifyVnpayQuery(unsigned).isValid, false);
+      assert.equal(verifyVnpayQuery("").isValid, false);
+    });
+
+    it("does not reach processVnpayResult for a bad signature (IPN answers 97)", async () => {
+      const { payment, payUrl } = createPendingOrder();
+      const tampered = vnpay.tamper(vnpay.pay(payUrl, { responseCode: "24" }), "vnp_ResponseCode", "00");
+
+      const PaymentController = require("../src/controller/PaymentController");
+      const processResult = mock.method(PaymentService, "processVnpayResult");
+      let body;
+      await PaymentController.vnpayIpn(
+        { originalUrl: `/payment/vnpay/ipn?${tampered}` },
+        {
+          status() {
+            return this;
+          },
+          json(payload) {
+            body = payload;
+            return this;
+          },
+        },
+      );
+
+      assert.deepEqual(body, { RspCode: "97", Message: "Invalid signature" });
+      assert.equal(processResult.mock.callCount(), 0);
+      assert.equal(payment.status, "PENDING");
+    });
+  });
+
+  describe("processVnpayResult", () => {
+    it("marks the payment SUCCESS and the order PAID on a successful payment", async () => {
+      const { order, payment, payUrl } = createPendingOrder();
+
+      const outcome = await receiveCallback(vnpay.pay(payUrl, { transactionNo: "14123456" }));
+
+      assert.deepEqual(outcome, {
+        kind: "ORDER",
+        id: order._id.toString(),
+        result: VNPAY_RESULT.SUCCESS,
+        paid: true,
+        isMobile: false,
+      });
+      assert.equal(payment.status, "SUCCESS");
+      assert.equal(payment.provider_txn_id, "14123456");
+      assert.equal(payment.provider_response.vnp_TxnRef, order._id.toString());
+      assert.ok(order.order_status_id.equals(store.statuses.PAID._id));
+      assert.equal(order.status_history.length, 1);
+      assert.equal(session.committed, 1);
+      assert.equal(session.aborted, 0);
+      assert.deepEqual(
+        notifications.map((n) => n.to),
+        [order.user_id.toString(), "sales-staff"],
+      );
+    });
+
+    it("rejects an amount that does not match the payment and records nothing", async () => {
+      const { payment, payUrl } = createPendingOrder();
+
+      const outcome = await receiveCallback(vnpay.pay(payUrl, { amount: ORDER_AMOUNT - 1000 }));
+
+      assert.equal(outcome.result, VNPAY_RESULT.INVALID_AMOUNT);
+      assert.equal(outcome.paid, false);
+      assert.equal(payment.status, "PENDING");
+      assert.equal(payment.saves, 0);
+      assert.equal(notifications.length, 0);
+    });
+
+    it("treats a duplicate IPN as already confirmed without writing twice", async () => {
+      const { order, payment, payUrl } = createPendingOrder();
+      const callback = vnpay.pay(payUrl);
+
+      const first = await receiveCallback(callback);
+      const savesAfterFirst = { payment: payment.saves, order: order.saves };
+      const second = await receiveCallback(callback);
+
+      assert.equal(first.result, VNPAY_RESULT.SUCCESS);
+      assert.equal(second.result, VNPAY_RESULT.ALREADY_CONFIRMED);
+      assert.equal(second.paid, true);
+      assert.deepEqual({ payment: payment.saves, order: order.saves }, savesAfterFirst);
+      assert.equal(order.status_history.length, 1);
+      assert.equal(notifications.filter((n) => n.to === order.user_id.toString()).length, 1);
+    });
+
+    it("rejects a transaction number already used by another payment", async () => {
+      const first = createPendingOrder();
+      const second = createPendingOrder();
+      await receiveCallback(vnpay.pay(first.payUrl, { transactionNo: "14999999" }));
+
+      const outcome = await receiveCallback(vnpay.pay(second.payUrl, { transactionNo: "14999999" }));
+
+      assert.equal(outcome.result, VNPAY_RESULT.DUPLICATE_TXN);
+      assert.equal(second.payment.status, "PENDING");
+    });
+
+    it("marks the payment FAILED and lets the customer retry when VNPay declines", async () => {
+      const { order, payment, payUrl } = createPendingOrder();
+
+      const outcome = await receiveCallback(vnpay.pay(payUrl, { responseCode: "24" }));
+
+      assert.equal(outcome.result, VNPAY_RESULT.FAILED);
+      assert.equal(payment.status, "FAILED");
+      assert.equal(order.allow_retry, true);
+      assert.ok(order.order_status_id.equals(store.statuses.PENDING._id));
+    });
+
+    it("returns NOT_FOUND for an unknown vnp_TxnRef", async () => {
+      const { payUrl } = createPendingOrder();
+      store.orders = [];
+
+      const outcome = await receiveCallback(vnpay.pay(payUrl));
+
+      assert.equal(outcome.result, VNPAY_RESULT.NOT_FOUND);
+      assert.equal(outcome.paid, false);
+    });
+  });
+});